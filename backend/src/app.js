@@ -12,6 +12,10 @@ const { testConnection, initializeModels } = require('./config/database');
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
 const notFoundHandler = require('./middleware/notFoundHandler');
+const WebhookDeliveryService = require('./services/WebhookDeliveryService');
+const WaitlistService = require('./services/WaitlistService');
+const BookingHoldService = require('./services/BookingHoldService');
+const ClassSessionService = require('./services/ClassSessionService');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -158,6 +162,26 @@ const startServer = async () => {
     
     // Initialize models and associations
     initializeModels();
+
+    // Start background webhook retry worker
+    if (config.webhook.worker.enabled) {
+      WebhookDeliveryService.start();
+    }
+
+    // Start background waitlist offer expiry worker
+    if (config.waitlist.worker.enabled) {
+      WaitlistService.start();
+    }
+
+    // Start background checkout hold expiry worker
+    if (config.booking.holds.worker.enabled) {
+      BookingHoldService.start();
+    }
+
+    // Start background class minimum-attendance worker
+    if (config.booking.classes.worker.enabled) {
+      ClassSessionService.start();
+    }
     
     // Start the server
     const server = app.listen(config.port, () => {
@@ -170,6 +194,10 @@ const startServer = async () => {
     // Graceful shutdown
     const gracefulShutdown = (signal) => {
       logger.info(`${signal} received, shutting down gracefully`);
+      WebhookDeliveryService.stop();
+      WaitlistService.stop();
+      BookingHoldService.stop();
+      ClassSessionService.stop();
       server.close(() => {
         logger.info('Process terminated');
         process.exit(0);
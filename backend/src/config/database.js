@@ -69,21 +69,45 @@ const initializeModels = () => {
   // Import all models here
   const User = require('../models/User')(sequelize);
   const Store = require('../models/Store')(sequelize);
+  const StoreException = require('../models/StoreException')(sequelize);
+  const StaffShift = require('../models/StaffShift')(sequelize);
+  const StaffTimeOff = require('../models/StaffTimeOff')(sequelize);
+  const StaffQualification = require('../models/StaffQualification')(sequelize);
   const Treatment = require('../models/Treatment')(sequelize);
   const Booking = require('../models/Booking')(sequelize);
+  const BookingResource = require('../models/BookingResource')(sequelize);
+  const BookingSeries = require('../models/BookingSeries')(sequelize);
+  const AppointmentGroup = require('../models/AppointmentGroup')(sequelize);
+  const ClassSession = require('../models/ClassSession')(sequelize);
   const Resource = require('../models/Resource')(sequelize);
+  const ResourceMaintenance = require('../models/ResourceMaintenance')(sequelize);
   const Timeslot = require('../models/Timeslot')(sequelize);
+  const WaitlistEntry = require('../models/WaitlistEntry')(sequelize);
   const WebhookSubscription = require('../models/WebhookSubscription')(sequelize);
+  const WebhookDelivery = require('../models/WebhookDelivery')(sequelize);
+  const WebhookOutbox = require('../models/WebhookOutbox')(sequelize);
   
   // Define associations
   const models = {
     User,
     Store,
+    StoreException,
+    StaffShift,
+    StaffTimeOff,
+    StaffQualification,
     Treatment,
     Booking,
+    BookingResource,
+    BookingSeries,
+    AppointmentGroup,
+    ClassSession,
     Resource,
+    ResourceMaintenance,
     Timeslot,
-    WebhookSubscription
+    WaitlistEntry,
+    WebhookSubscription,
+    WebhookDelivery,
+    WebhookOutbox
   };
   
   // Set up associations
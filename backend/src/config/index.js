@@ -25,14 +25,31 @@ module.exports = {
   
   // Webhook Configuration
   webhook: {
-    secret: process.env.WEBHOOK_SECRET || 'webhook-secret'
+    secret: process.env.WEBHOOK_SECRET || 'webhook-secret',
+    worker: {
+      enabled: process.env.WEBHOOK_WORKER_ENABLED !== 'false',
+      intervalMs: parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS) || 5000,
+      batchSize: parseInt(process.env.WEBHOOK_WORKER_BATCH_SIZE) || 50,
+      leaseMs: parseInt(process.env.WEBHOOK_WORKER_LEASE_MS) || 60000 // claimed rows are hidden from other workers for this long
+    }
   },
   
   // Redis Configuration
   redis: {
     url: process.env.REDIS_URL,
     host: process.env.REDIS_HOST || 'localhost',
-    port: process.env.REDIS_PORT || 6379
+    port: process.env.REDIS_PORT || 6379,
+    enabled: Boolean(process.env.REDIS_URL || process.env.REDIS_HOST)
+  },
+
+  // Cache Configuration (Redis when configured, otherwise in-process memory)
+  cache: {
+    prefix: process.env.CACHE_PREFIX || 'cache:',
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000, // in-memory fallback only
+    availability: {
+      enabled: process.env.AVAILABILITY_CACHE_ENABLED !== 'false',
+      ttlSeconds: parseInt(process.env.AVAILABILITY_CACHE_TTL_SECONDS) || 300
+    }
   },
   
   // Logging Configuration
@@ -70,7 +87,49 @@ module.exports = {
     defaultDuration: 60, // minutes
     maxAdvanceBookingDays: 90,
     cancellationDeadlineHours: 24,
-    bufferTimeMinutes: 15
+    rescheduleDeadlineHours: 24,
+    bufferTimeMinutes: 15,
+    staffAssignment: {
+      strategy: 'least_loaded', // manual, round_robin, least_loaded, preferred_staff, skill_match
+      assignOn: 'confirm' // create or confirm
+    },
+    slots: {
+      mode: 'auto', // timeslots, dynamic or auto (dynamic, honouring timeslots where a day has them)
+      stepMinutes: 15
+    },
+    series: {
+      maxOccurrences: 52,
+      alternatives: 3 // suggested times per occurrence that can't be booked
+    },
+    groups: {
+      maxSegments: 5 // treatments per multi-service visit
+    },
+    classes: {
+      maxSeats: 100,
+      attendanceCutoffHours: 24, // sessions below their minimum attendance this long before start are cancelled
+      worker: {
+        enabled: process.env.CLASS_WORKER_ENABLED !== 'false',
+        intervalMs: parseInt(process.env.CLASS_WORKER_INTERVAL_MS) || 300000
+      }
+    },
+    holds: {
+      defaultMinutes: 10,
+      maxMinutes: 30,
+      maxPerCustomer: 2,
+      worker: {
+        enabled: process.env.HOLD_WORKER_ENABLED !== 'false',
+        intervalMs: parseInt(process.env.HOLD_WORKER_INTERVAL_MS) || 15000
+      }
+    }
+  },
+
+  // Waitlist Configuration
+  waitlist: {
+    offerMinutes: parseInt(process.env.WAITLIST_OFFER_MINUTES) || 30, // how long freed time is held for each customer
+    worker: {
+      enabled: process.env.WAITLIST_WORKER_ENABLED !== 'false',
+      intervalMs: parseInt(process.env.WAITLIST_WORKER_INTERVAL_MS) || 60000
+    }
   },
   
   // User Roles
@@ -88,7 +147,8 @@ module.exports = {
     IN_PROGRESS: 'in_progress',
     COMPLETED: 'completed',
     CANCELLED: 'cancelled',
-    NO_SHOW: 'no_show'
+    NO_SHOW: 'no_show',
+    HELD: 'held' // temporary hold during checkout; counts against capacity until confirmed or expired
   },
   
   // Webhook Events
@@ -97,6 +157,11 @@ module.exports = {
     BOOKING_UPDATED: 'booking.updated',
     BOOKING_CANCELLED: 'booking.cancelled',
     BOOKING_COMPLETED: 'booking.completed',
-    AVAILABILITY_CHANGED: 'availability.changed'
+    AVAILABILITY_CHANGED: 'availability.changed',
+    WAITLIST_OFFERED: 'waitlist.offered',
+    WAITLIST_ACCEPTED: 'waitlist.accepted',
+    WAITLIST_DECLINED: 'waitlist.declined',
+    WAITLIST_EXPIRED: 'waitlist.expired',
+    CLASS_CANCELLED: 'class.cancelled'
   }
 };
\ No newline at end of file
@@ -0,0 +1,165 @@
+const { catchAsync, AppError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { sequelize } = require('../config/database');
+const AppointmentGroupService = require('../services/AppointmentGroupService');
+const WebhookEventService = require('../services/WebhookEventService');
+const WaitlistService = require('../services/WaitlistService');
+const StaffQualificationService = require('../services/StaffQualificationService');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+class AppointmentGroupController {
+  /**
+   * Book several treatments as one visit
+   */
+  static createGroup = catchAsync(async (req, res) => {
+    const { customerId, storeId, bookingDateTime, segments, notes } = req.body;
+    const { Treatment, Store, User } = sequelize.models;
+
+    const finalCustomerId = req.user.role === config.roles.CUSTOMER ? req.user.id : customerId;
+    if (!finalCustomerId) {
+      throw new AppError('Customer ID is required', 400, 'CUSTOMER_REQUIRED');
+    }
+
+    if ([config.roles.STORE_ADMIN, config.roles.STAFF].includes(req.user.role) && req.user.storeId !== storeId) {
+      throw new AuthorizationError('You can only book visits for your store');
+    }
+
+    const store = await Store.findByPk(storeId);
+    if (!store || !store.isActive) {
+      throw new NotFoundError('Store');
+    }
+
+    const customer = await User.findByPk(finalCustomerId);
+    if (!customer || !customer.isActive) {
+      throw new NotFoundError('Customer');
+    }
+
+    const resolved = [];
+    for (const segment of segments) {
+      const treatment = await Treatment.findByPk(segment.treatmentId);
+      if (!treatment || !treatment.isActive) {
+        throw new NotFoundError('Treatment');
+      }
+
+      if (treatment.storeId !== storeId) {
+        throw new AppError('Treatment does not belong to the specified store', 400, 'TREATMENT_STORE_MISMATCH');
+      }
+
+      if (segment.staffId) {
+        const staff = await User.findByPk(segment.staffId);
+        if (!staff || staff.storeId !== storeId || !['staff', 'store_admin'].includes(staff.role)) {
+          throw new AppError('Invalid staff assignment', 400, 'INVALID_STAFF');
+        }
+        await StaffQualificationService.assertQualified(treatment, segment.staffId, new Date(bookingDateTime));
+      }
+
+      resolved.push({ treatment, staffId: segment.staffId, timing: segment.timing });
+    }
+
+    const { group, bookings } = await AppointmentGroupService.createGroup({
+      store,
+      customerId: finalCustomerId,
+      bookingDateTime: new Date(bookingDateTime),
+      segments: resolved,
+      notes
+    }, req.user.id);
+
+    for (const booking of bookings) {
+      logger.logBookingEvent('booking_created', booking.id, req.user.id, {
+        customerId: finalCustomerId,
+        storeId,
+        treatmentId: booking.treatmentId,
+        bookingDateTime: new Date(booking.bookingDateTime).toISOString(),
+        groupId: group.id
+      });
+
+      WebhookEventService.emitBookingEvent(config.webhookEvents.BOOKING_CREATED, booking, {
+        actorId: req.user.id
+      });
+    }
+
+    res.status(201).json({ success: true, data: group.toVisit(bookings) });
+  });
+
+  /**
+   * Get a visit with its segments
+   */
+  static getGroupById = catchAsync(async (req, res) => {
+    const { Booking, User, Treatment } = sequelize.models;
+    const group = await AppointmentGroupController.findGroup(req.params.groupId, req.user);
+
+    const segments = await Booking.findAll({
+      where: { groupId: group.id },
+      include: [
+        { model: User, as: 'staff', attributes: ['id', 'firstName', 'lastName'], required: false },
+        { model: Treatment, as: 'treatment', attributes: ['id', 'name', 'duration', 'price'] }
+      ]
+    });
+
+    res.json({ success: true, data: group.toVisit(segments) });
+  });
+
+  /**
+   * Cancel every segment of a visit
+   */
+  static cancelGroup = catchAsync(async (req, res) => {
+    const { cancellationReason = 'Cancelled by user' } = req.body;
+    const group = await AppointmentGroupController.findGroup(req.params.groupId, req.user);
+
+    const { segments, cancelled, skipped } = await AppointmentGroupService.cancelGroup(group, {
+      reason: cancellationReason,
+      actor: req.user
+    });
+
+    if (cancelled.length === 0 && skipped.length > 0) {
+      throw new AppError('Visit cannot be cancelled at this time', 400, 'BOOKING_NOT_CANCELLABLE');
+    }
+
+    for (const { booking, previousStatus } of cancelled) {
+      logger.logBookingEvent('booking_cancelled', booking.id, req.user.id, { cancellationReason, groupId: group.id });
+
+      WebhookEventService.emitBookingEvent(config.webhookEvents.BOOKING_CANCELLED, booking, {
+        actorId: req.user.id,
+        previousStatus,
+        changes: ['status', 'cancellationReason']
+      });
+
+      WaitlistService.offerFreedBooking(booking).catch(error => {
+        logger.logError(error, { context: 'waitlist_offer', bookingId: booking.id });
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Visit cancelled successfully',
+        visit: group.toVisit(segments),
+        skipped
+      }
+    });
+  });
+
+  /**
+   * Load a visit the user may act on
+   */
+  static async findGroup(groupId, user) {
+    const { AppointmentGroup } = sequelize.models;
+
+    const group = await AppointmentGroup.findByPk(groupId);
+    if (!group) {
+      throw new NotFoundError('Appointment group');
+    }
+
+    if (user.role === config.roles.CUSTOMER && group.customerId !== user.id) {
+      throw new AuthorizationError('You can only access your own visits');
+    }
+
+    if ([config.roles.STORE_ADMIN, config.roles.STAFF].includes(user.role) && group.storeId !== user.storeId) {
+      throw new AuthorizationError('You can only access visits from your store');
+    }
+
+    return group;
+  }
+}
+
+module.exports = AppointmentGroupController;
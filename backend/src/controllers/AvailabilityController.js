@@ -1,7 +1,9 @@
 const { catchAsync, AppError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
 const AvailabilityService = require('../services/AvailabilityService');
+const TimeslotService = require('../services/TimeslotService');
 const { sequelize } = require('../config/database');
 const logger = require('../utils/logger');
+const { parseDateParam, addDays } = require('../utils/timezone');
 const config = require('../config');
 
 class AvailabilityController {
@@ -61,12 +63,22 @@ class AvailabilityController {
    * Get available slots for a treatment on a specific date
    */
   static getAvailableSlots = catchAsync(async (req, res) => {
-    const { storeId, treatmentId, date } = req.query;
+    const { storeId, treatmentId, date, step, mode } = req.query;
 
     if (!storeId || !treatmentId || !date) {
       throw new AppError('storeId, treatmentId, and date are required', 400, 'MISSING_PARAMETERS');
     }
 
+    // Optional overrides of the store's slot settings
+    const stepMinutes = step !== undefined ? parseInt(step) : undefined;
+    if (stepMinutes !== undefined && !(stepMinutes >= 5 && stepMinutes <= 120)) {
+      throw new AppError('step must be between 5 and 120 minutes', 400, 'INVALID_STEP');
+    }
+
+    if (mode !== undefined && !['timeslots', 'dynamic', 'auto'].includes(mode)) {
+      throw new AppError('mode must be one of timeslots, dynamic or auto', 400, 'INVALID_SLOT_MODE');
+    }
+
     // Authorization check for store access
     if ([config.roles.STORE_ADMIN, config.roles.STAFF].includes(req.user.role)) {
       if (req.user.storeId !== storeId) {
@@ -74,13 +86,18 @@ class AvailabilityController {
       }
     }
 
-    const requestedDate = new Date(date);
-    const slots = await AvailabilityService.getAvailableSlots(storeId, treatmentId, requestedDate);
+    // Dates are calendar days in the store's timezone
+    const requestedDate = parseDateParam(date);
+    if (!requestedDate) {
+      throw new AppError('Dates must be calendar dates in YYYY-MM-DD format', 400, 'INVALID_DATE');
+    }
+
+    const slots = await AvailabilityService.getAvailableSlots(storeId, treatmentId, requestedDate, { mode, stepMinutes });
 
     res.json({
       success: true,
       data: {
-        date: requestedDate.toISOString().split('T')[0],
+        date: requestedDate,
         treatmentId,
         storeId,
         availableSlots: slots,
@@ -94,7 +111,7 @@ class AvailabilityController {
    */
   static generateTimeslots = catchAsync(async (req, res) => {
     const { storeId } = req.params;
-    const { date, slotDuration = 60, maxCapacity = 1 } = req.body;
+    const { date, slotDuration = 60, maxCapacity = 1, dryRun = false } = req.body;
 
     // Only admins can generate timeslots
     if (req.user.role === config.roles.STORE_ADMIN && req.user.storeId !== storeId) {
@@ -109,27 +126,39 @@ class AvailabilityController {
       throw new AppError('Date is required', 400, 'DATE_REQUIRED');
     }
 
-    const targetDate = new Date(date);
-    const slotsGenerated = await AvailabilityService.generateTimeslots(
+    const targetDate = parseDateParam(date);
+    if (!targetDate) {
+      throw new AppError('Dates must be calendar dates in YYYY-MM-DD format', 400, 'INVALID_DATE');
+    }
+
+    const plan = await AvailabilityService.generateTimeslots(
       storeId,
       targetDate,
       parseInt(slotDuration),
-      parseInt(maxCapacity)
+      parseInt(maxCapacity),
+      { dryRun: Boolean(dryRun) }
     );
+    const slotsGenerated = plan.create.length;
 
-    logger.logDatabaseOperation('generate', 'timeslots', null, {
-      storeId,
-      date: targetDate.toISOString().split('T')[0],
-      slotsGenerated,
-      generatedBy: req.user.id
-    });
+    if (!dryRun) {
+      logger.logDatabaseOperation('generate', 'timeslots', null, {
+        storeId,
+        date: targetDate,
+        slotsGenerated,
+        generatedBy: req.user.id
+      });
+    }
 
     res.json({
       success: true,
       data: {
-        message: `Generated ${slotsGenerated} timeslots for ${targetDate.toISOString().split('T')[0]}`,
+        message: dryRun
+          ? `Regenerating ${targetDate} would create ${slotsGenerated} timeslots`
+          : `Generated ${slotsGenerated} timeslots for ${targetDate}`,
         slotsGenerated,
-        date: targetDate.toISOString().split('T')[0]
+        date: targetDate,
+        dryRun: Boolean(dryRun),
+        changes: TimeslotService.describePlan(plan)
       }
     });
   });
@@ -151,11 +180,14 @@ class AvailabilityController {
       }
     }
 
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    const start = parseDateParam(startDate);
+    const end = parseDateParam(endDate);
+    if (!start || !end) {
+      throw new AppError('Dates must be calendar dates in YYYY-MM-DD format', 400, 'INVALID_DATE');
+    }
 
     // Limit date range to prevent excessive queries
-    const daysDiff = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
+    const daysDiff = Math.ceil((Date.parse(end) - Date.parse(start)) / (1000 * 60 * 60 * 24));
     if (daysDiff > 90) {
       throw new AppError('Date range cannot exceed 90 days', 400, 'DATE_RANGE_TOO_LARGE');
     }
@@ -171,8 +203,8 @@ class AvailabilityController {
       success: true,
       data: {
         storeId,
-        startDate: start.toISOString().split('T')[0],
-        endDate: end.toISOString().split('T')[0],
+        startDate: start,
+        endDate: end,
         treatmentId: treatmentId || null,
         summary
       }
@@ -233,7 +265,7 @@ class AvailabilityController {
    */
   static bulkGenerateTimeslots = catchAsync(async (req, res) => {
     const { storeId } = req.params;
-    const { startDate, endDate, slotDuration = 60, maxCapacity = 1 } = req.body;
+    const { startDate, endDate, slotDuration = 60, maxCapacity = 1, dryRun = false } = req.body;
 
     // Only super admins and store admins can bulk generate
     if (req.user.role === config.roles.STORE_ADMIN && req.user.storeId !== storeId) {
@@ -248,62 +280,71 @@ class AvailabilityController {
       throw new AppError('startDate and endDate are required', 400, 'DATES_REQUIRED');
     }
 
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    const start = parseDateParam(startDate);
+    const end = parseDateParam(endDate);
+    if (!start || !end) {
+      throw new AppError('Dates must be calendar dates in YYYY-MM-DD format', 400, 'INVALID_DATE');
+    }
     
     // Limit to 30 days to prevent excessive operations
-    const daysDiff = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
+    const daysDiff = Math.ceil((Date.parse(end) - Date.parse(start)) / (1000 * 60 * 60 * 24));
     if (daysDiff > 30) {
       throw new AppError('Date range cannot exceed 30 days for bulk generation', 400, 'DATE_RANGE_TOO_LARGE');
     }
 
     const results = [];
-    const currentDate = new Date(start);
 
-    while (currentDate <= end) {
+    for (let currentDate = start; currentDate <= end; currentDate = addDays(currentDate, 1)) {
       try {
-        const slotsGenerated = await AvailabilityService.generateTimeslots(
+        const plan = await AvailabilityService.generateTimeslots(
           storeId,
-          new Date(currentDate),
+          currentDate,
           parseInt(slotDuration),
-          parseInt(maxCapacity)
+          parseInt(maxCapacity),
+          { dryRun: Boolean(dryRun) }
         );
 
         results.push({
-          date: currentDate.toISOString().split('T')[0],
-          slotsGenerated,
-          success: true
+          date: currentDate,
+          slotsGenerated: plan.create.length,
+          slotsRemoved: plan.remove.length,
+          slotsRetained: plan.retain.length,
+          success: true,
+          ...(dryRun && { changes: TimeslotService.describePlan(plan) })
         });
       } catch (error) {
         results.push({
-          date: currentDate.toISOString().split('T')[0],
+          date: currentDate,
           slotsGenerated: 0,
           success: false,
           error: error.message
         });
       }
-
-      currentDate.setDate(currentDate.getDate() + 1);
     }
 
     const totalGenerated = results.reduce((sum, result) => sum + result.slotsGenerated, 0);
 
-    logger.logDatabaseOperation('bulk_generate', 'timeslots', null, {
-      storeId,
-      dateRange: `${start.toISOString().split('T')[0]} to ${end.toISOString().split('T')[0]}`,
-      totalGenerated,
-      generatedBy: req.user.id
-    });
+    if (!dryRun) {
+      logger.logDatabaseOperation('bulk_generate', 'timeslots', null, {
+        storeId,
+        dateRange: `${start} to ${end}`,
+        totalGenerated,
+        generatedBy: req.user.id
+      });
+    }
 
     res.json({
       success: true,
       data: {
-        message: `Bulk generation completed. Generated ${totalGenerated} total timeslots.`,
+        message: dryRun
+          ? `Bulk regeneration would create ${totalGenerated} total timeslots.`
+          : `Bulk generation completed. Generated ${totalGenerated} total timeslots.`,
         results,
         totalGenerated,
+        dryRun: Boolean(dryRun),
         dateRange: {
-          startDate: start.toISOString().split('T')[0],
-          endDate: end.toISOString().split('T')[0]
+          startDate: start,
+          endDate: end
         }
       }
     });
@@ -1,6 +1,12 @@
-const { catchAsync, AppError, NotFoundError, AuthorizationError, ConflictError } = require('../middleware/errorHandler');
+const { catchAsync, AppError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
 const { sequelize } = require('../config/database');
+const WebhookEventService = require('../services/WebhookEventService');
+const BookingService = require('../services/BookingService');
+const BookingStateMachine = require('../services/BookingStateMachine');
+const StaffQualificationService = require('../services/StaffQualificationService');
+const WaitlistService = require('../services/WaitlistService');
 const logger = require('../utils/logger');
+const { parseDateParam, getDayBounds } = require('../utils/timezone');
 const config = require('../config');
 
 class BookingController {
@@ -22,14 +28,27 @@ class BookingController {
       where.storeId = storeId;
     }
     
-    if (status) where.status = status;
+    // Checkout holds only show up when asked for
+    where.status = status || { [sequelize.Sequelize.Op.ne]: config.bookingStatus.HELD };
     if (customerId && req.user.role !== config.roles.CUSTOMER) where.customerId = customerId;
+
+    // Customers see a multi-treatment visit once, listed by its first segment
+    const showVisits = req.user.role === config.roles.CUSTOMER;
+    if (showVisits) {
+      where[sequelize.Sequelize.Op.or] = [{ groupId: null }, { groupPosition: 0 }];
+    }
     
     if (date) {
-      const startOfDay = new Date(date);
-      startOfDay.setHours(0, 0, 0, 0);
-      const endOfDay = new Date(date);
-      endOfDay.setHours(23, 59, 59, 999);
+      const requestedDate = parseDateParam(date);
+      if (!requestedDate) {
+        throw new AppError('Dates must be calendar dates in YYYY-MM-DD format', 400, 'INVALID_DATE');
+      }
+
+      // A single store's day follows its timezone; across stores fall back to UTC
+      const store = where.storeId ? await Store.findByPk(where.storeId, { attributes: ['id', 'timezone'] }) : null;
+      const { start: startOfDay, end: endOfDay } = store
+        ? store.getDayBounds(requestedDate)
+        : getDayBounds(requestedDate, 'UTC');
       where.bookingDateTime = { [sequelize.Sequelize.Op.between]: [startOfDay, endOfDay] };
     }
 
@@ -59,7 +78,7 @@ class BookingController {
 
     res.json({
       success: true,
-      data: bookingsWithMeta,
+      data: showVisits ? await BookingController.collapseVisits(bookingsWithMeta) : bookingsWithMeta,
       meta: {
         page: parseInt(page),
         pageSize: parseInt(limit),
@@ -74,14 +93,20 @@ class BookingController {
    */
   static getBookingById = catchAsync(async (req, res) => {
     const { bookingId } = req.params;
-    const { Booking, User, Store, Treatment } = sequelize.models;
+    const { Booking, User, Store, Treatment, BookingResource, Resource } = sequelize.models;
 
     const booking = await Booking.findByPk(bookingId, {
       include: [
         { model: User, as: 'customer', attributes: ['id', 'firstName', 'lastName', 'email', 'phone'] },
         { model: User, as: 'staff', attributes: ['id', 'firstName', 'lastName'], required: false },
         { model: Store, as: 'store', attributes: ['id', 'name', 'timezone', 'address'] },
-        { model: Treatment, as: 'treatment', attributes: ['id', 'name', 'description', 'duration', 'price'] }
+        { model: Treatment, as: 'treatment', attributes: ['id', 'name', 'description', 'duration', 'price'] },
+        {
+          model: BookingResource,
+          as: 'resourceAllocations',
+          attributes: ['id', 'resourceId', 'groupIndex', 'label'],
+          include: [{ model: Resource, as: 'resource', attributes: ['id', 'name', 'type'] }]
+        }
       ]
     });
 
@@ -103,6 +128,7 @@ class BookingController {
     bookingData.canBeCancelled = booking.canBeCancelled();
     bookingData.canBeModified = booking.canBeModified();
     bookingData.formattedPrice = booking.getFormattedPrice();
+    bookingData.allowedTransitions = BookingStateMachine.getAllowedTransitions(booking, req.user.role);
 
     res.json({ success: true, data: bookingData });
   });
@@ -143,29 +169,17 @@ class BookingController {
       if (!staff || staff.storeId !== storeId || !['staff', 'store_admin'].includes(staff.role)) {
         throw new AppError('Invalid staff assignment', 400, 'INVALID_STAFF');
       }
+      await StaffQualificationService.assertQualified(treatment, staffId, new Date(bookingDateTime));
     }
 
-    // Check for booking conflicts
+    // Check quotas, reserve the timeslot and create the booking atomically
     const bookingStart = new Date(bookingDateTime);
-    const bookingEnd = new Date(bookingStart.getTime() + treatment.duration * 60000);
-
-    if (staffId) {
-      const conflictingBookings = await Booking.findConflicting(staffId, bookingStart, bookingEnd);
-      if (conflictingBookings.length > 0) {
-        throw new ConflictError('Staff member is not available at the requested time');
-      }
-    }
-
-    // Create booking
-    const booking = await Booking.create({
+    const booking = await BookingService.createBooking({
       customerId: finalCustomerId,
       storeId,
-      treatmentId,
+      treatment,
       staffId,
       bookingDateTime: bookingStart,
-      duration: treatment.duration,
-      status: config.bookingStatus.PENDING,
-      price: treatment.price,
       notes
     });
 
@@ -186,6 +200,10 @@ class BookingController {
       bookingDateTime: bookingStart.toISOString()
     });
 
+    WebhookEventService.emitBookingEvent(config.webhookEvents.BOOKING_CREATED, booking, {
+      actorId: req.user.id
+    });
+
     res.status(201).json({ success: true, data: bookingWithRelations.toJSON() });
   });
 
@@ -195,7 +213,7 @@ class BookingController {
   static updateBooking = catchAsync(async (req, res) => {
     const { bookingId } = req.params;
     const updates = req.body;
-    const { Booking, User } = sequelize.models;
+    const { Booking, Treatment, User } = sequelize.models;
 
     const booking = await Booking.findByPk(bookingId);
     if (!booking) {
@@ -224,21 +242,28 @@ class BookingController {
       }
     }
 
+    // Class seats follow their session's time and instructor
+    if (booking.sessionId && (updates.bookingDateTime || updates.staffId)) {
+      throw new AppError('Class seats cannot be moved; book a seat in another session instead', 400, 'CLASS_SEAT_NOT_MOVABLE');
+    }
+
+    // Visit segments are laid out together, with turnover trimmed between them
+    if (booking.groupId && (updates.bookingDateTime || updates.staffId)) {
+      throw new AppError('Visit segments cannot be moved on their own; cancel and rebook the visit instead', 400, 'GROUP_SEGMENT_NOT_MOVABLE');
+    }
+
     // Validate staff assignment if being updated
     if (updates.staffId && updates.staffId !== booking.staffId) {
       const staff = await User.findByPk(updates.staffId);
       if (!staff || staff.storeId !== booking.storeId || !['staff', 'store_admin'].includes(staff.role)) {
         throw new AppError('Invalid staff assignment', 400, 'INVALID_STAFF');
       }
-
-      // Check for conflicts with new staff
-      const bookingStart = new Date(updates.bookingDateTime || booking.bookingDateTime);
-      const bookingEnd = new Date(bookingStart.getTime() + booking.duration * 60000);
-      
-      const conflictingBookings = await Booking.findConflicting(updates.staffId, bookingStart, bookingEnd, bookingId);
-      if (conflictingBookings.length > 0) {
-        throw new ConflictError('Staff member is not available at the requested time');
-      }
+      const treatment = await Treatment.findByPk(booking.treatmentId);
+      await StaffQualificationService.assertQualified(
+        treatment,
+        updates.staffId,
+        new Date(updates.bookingDateTime || booking.bookingDateTime)
+      );
     }
 
     // Validate booking can be modified
@@ -246,19 +271,135 @@ class BookingController {
       throw new AppError('Booking cannot be modified at this time', 400, 'BOOKING_NOT_MODIFIABLE');
     }
 
-    await booking.update(updates);
+    // Status changes go through the transition graph; time and staff changes
+    // are re-validated against the full quota suite
+    const previousStatus = booking.status;
+    const { status, ...fieldUpdates } = updates;
+    if (status && status !== previousStatus) {
+      await BookingService.transitionStatus(booking, status, {
+        actor: req.user,
+        reason: updates.cancellationReason,
+        updates: fieldUpdates
+      });
+    } else {
+      await BookingService.updateBooking(booking, fieldUpdates);
+    }
 
     logger.logBookingEvent('booking_updated', bookingId, req.user.id, { updates });
 
+    const eventType = booking.status !== previousStatus
+      ? WebhookEventService.getEventForStatus(booking.status)
+      : config.webhookEvents.BOOKING_UPDATED;
+    WebhookEventService.emitBookingEvent(eventType, booking, {
+      actorId: req.user.id,
+      previousStatus,
+      changes: Object.keys(updates)
+    });
+
+    if (booking.status === config.bookingStatus.CANCELLED && previousStatus !== config.bookingStatus.CANCELLED) {
+      BookingController.offerToWaitlist(booking);
+    }
+
     res.json({ success: true, data: booking.toJSON() });
   });
 
+  /**
+   * Reschedule booking to a new time and optionally a new staff member
+   */
+  static rescheduleBooking = catchAsync(async (req, res) => {
+    const { bookingId } = req.params;
+    const { bookingDateTime, staffId, reason } = req.body;
+    const { Booking, Store, Treatment, User } = sequelize.models;
+
+    const booking = await Booking.findByPk(bookingId, {
+      include: [{ model: Store, as: 'store', attributes: ['id', 'settings'] }]
+    });
+    if (!booking) {
+      throw new NotFoundError('Booking');
+    }
+
+    // Authorization check
+    if (req.user.role === config.roles.CUSTOMER && booking.customerId !== req.user.id) {
+      throw new AuthorizationError('You can only reschedule your own bookings');
+    } else if ([config.roles.STORE_ADMIN, config.roles.STAFF].includes(req.user.role)) {
+      if (booking.storeId !== req.user.storeId) {
+        throw new AuthorizationError('You can only reschedule bookings from your store');
+      }
+    }
+
+    if (booking.sessionId) {
+      throw new AppError('Class seats cannot be moved; book a seat in another session instead', 400, 'CLASS_SEAT_NOT_MOVABLE');
+    }
+
+    if (booking.groupId) {
+      throw new AppError('Visit segments cannot be moved on their own; cancel and rebook the visit instead', 400, 'GROUP_SEGMENT_NOT_MOVABLE');
+    }
+
+    const deadlineHours = booking.store?.settings?.rescheduleDeadlineHours ?? config.booking.rescheduleDeadlineHours;
+    if (!booking.canBeRescheduled(deadlineHours)) {
+      throw new AppError(
+        `Booking cannot be rescheduled less than ${deadlineHours} hours before it starts or once it has started`,
+        400,
+        'BOOKING_NOT_RESCHEDULABLE'
+      );
+    }
+
+    const newStart = new Date(bookingDateTime);
+    const staffChanged = staffId !== undefined && staffId !== booking.staffId;
+    if (newStart.getTime() === new Date(booking.bookingDateTime).getTime() && !staffChanged) {
+      throw new AppError('New time and staff are the same as the current booking', 400, 'RESCHEDULE_UNCHANGED');
+    }
+
+    // Validate staff assignment if being changed
+    if (staffChanged && staffId) {
+      const staff = await User.findByPk(staffId);
+      if (!staff || staff.storeId !== booking.storeId || !['staff', 'store_admin'].includes(staff.role)) {
+        throw new AppError('Invalid staff assignment', 400, 'INVALID_STAFF');
+      }
+    }
+
+    // The assigned staff member must still hold a valid certification on the new date
+    const assignedStaffId = staffId !== undefined ? staffId : booking.staffId;
+    if (assignedStaffId) {
+      const treatment = await Treatment.findByPk(booking.treatmentId);
+      await StaffQualificationService.assertQualified(treatment, assignedStaffId, newStart);
+    }
+
+    const reschedule = await BookingService.rescheduleBooking(booking, {
+      bookingDateTime: newStart,
+      staffId,
+      actorId: req.user.id,
+      reason
+    });
+
+    logger.logBookingEvent('booking_rescheduled', bookingId, req.user.id, reschedule);
+
+    WebhookEventService.emitBookingEvent(config.webhookEvents.BOOKING_UPDATED, booking, {
+      actorId: req.user.id,
+      previousStatus: booking.status,
+      changes: staffChanged ? ['bookingDateTime', 'staffId'] : ['bookingDateTime']
+    });
+
+    const bookingData = booking.toJSON();
+    delete bookingData.store;
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Booking rescheduled successfully',
+        booking: bookingData,
+        reschedule
+      }
+    });
+  });
+
   /**
    * Cancel booking
    */
   static cancelBooking = catchAsync(async (req, res) => {
     const { bookingId } = req.params;
     const { cancellationReason } = req.body;
+    const { Booking } = sequelize.models;
 
     const booking = await Booking.findByPk(bookingId);
     if (!booking) {
@@ -278,14 +419,26 @@ class BookingController {
       throw new AppError('Booking cannot be cancelled at this time', 400, 'BOOKING_NOT_CANCELLABLE');
     }
 
-    await booking.update({
-      status: config.bookingStatus.CANCELLED,
-      cancellationReason: cancellationReason || 'Cancelled by user',
-      cancelledAt: new Date()
+    const previousStatus = booking.status;
+    await BookingService.transitionStatus(booking, config.bookingStatus.CANCELLED, {
+      actor: req.user,
+      reason: cancellationReason || 'Cancelled by user',
+      updates: {
+        cancellationReason: cancellationReason || 'Cancelled by user',
+        cancelledAt: new Date()
+      }
     });
 
     logger.logBookingEvent('booking_cancelled', bookingId, req.user.id, { cancellationReason });
 
+    WebhookEventService.emitBookingEvent(config.webhookEvents.BOOKING_CANCELLED, booking, {
+      actorId: req.user.id,
+      previousStatus,
+      changes: ['status', 'cancellationReason']
+    });
+
+    BookingController.offerToWaitlist(booking);
+
     res.json({ 
       success: true, 
       data: { 
@@ -300,7 +453,8 @@ class BookingController {
    */
   static updateBookingStatus = catchAsync(async (req, res) => {
     const { bookingId } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
+    const { Booking } = sequelize.models;
 
     // Only staff and admins can update booking status
     if ([config.roles.CUSTOMER].includes(req.user.role)) {
@@ -312,26 +466,86 @@ class BookingController {
       throw new NotFoundError('Booking');
     }
 
-    if (booking.storeId !== req.user.storeId) {
+    if ([config.roles.STORE_ADMIN, config.roles.STAFF].includes(req.user.role) && booking.storeId !== req.user.storeId) {
       throw new AuthorizationError('You can only update bookings from your store');
     }
 
+    // Rejects transitions outside the graph, by the wrong role or too early
     const oldStatus = booking.status;
-    await booking.update({ status });
+    const transition = await BookingService.transitionStatus(booking, status, {
+      actor: req.user,
+      reason
+    });
+
+    logger.logBookingEvent('booking_status_updated', bookingId, req.user.id, transition);
 
-    logger.logBookingEvent('booking_status_updated', bookingId, req.user.id, { 
-      oldStatus, 
-      newStatus: status 
+    WebhookEventService.emitBookingEvent(WebhookEventService.getEventForStatus(status), booking, {
+      actorId: req.user.id,
+      previousStatus: oldStatus,
+      changes: ['status']
     });
 
+    if (status === config.bookingStatus.CANCELLED) {
+      BookingController.offerToWaitlist(booking);
+    }
+
     res.json({ 
       success: true, 
       data: { 
         message: `Booking status updated to ${status}`,
-        booking: booking.toJSON()
+        booking: booking.toJSON(),
+        transition,
+        allowedTransitions: BookingStateMachine.getAllowedTransitions(booking, req.user.role)
       }
     });
   });
+
+  /**
+   * Replace the first segment of each appointment group with the whole visit:
+   * every segment and the combined price
+   */
+  static async collapseVisits(bookings) {
+    const { AppointmentGroup, Booking, User, Treatment } = sequelize.models;
+
+    const groupIds = [...new Set(bookings.filter(booking => booking.groupId).map(booking => booking.groupId))];
+    if (groupIds.length === 0) {
+      return bookings;
+    }
+
+    const [groups, segments] = await Promise.all([
+      AppointmentGroup.findAll({ where: { id: groupIds } }),
+      Booking.findAll({
+        where: { groupId: groupIds },
+        include: [
+          { model: User, as: 'staff', attributes: ['id', 'firstName', 'lastName'], required: false },
+          { model: Treatment, as: 'treatment', attributes: ['id', 'name', 'duration', 'price'] }
+        ]
+      })
+    ]);
+
+    return bookings.map(booking => {
+      const group = groups.find(candidate => candidate.id === booking.groupId);
+      if (!group) {
+        return booking;
+      }
+
+      return {
+        ...group.toVisit(segments.filter(segment => segment.groupId === group.id)),
+        store: booking.store,
+        bookingDateTime: booking.bookingDateTime,
+        endDateTime: group.endTime
+      };
+    });
+  }
+
+  /**
+   * Offer a cancelled booking's time to the waitlist without holding up the response
+   */
+  static offerToWaitlist(booking) {
+    WaitlistService.offerFreedBooking(booking).catch(error => {
+      logger.logError(error, { context: 'waitlist_offer', bookingId: booking.id });
+    });
+  }
 }
 
 module.exports = BookingController;
\ No newline at end of file
@@ -0,0 +1,138 @@
+const { catchAsync, AppError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { sequelize } = require('../config/database');
+const BookingHoldService = require('../services/BookingHoldService');
+const WebhookEventService = require('../services/WebhookEventService');
+const StaffQualificationService = require('../services/StaffQualificationService');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+class BookingHoldController {
+  /**
+   * Hold a time during checkout
+   */
+  static createHold = catchAsync(async (req, res) => {
+    const { customerId, storeId, treatmentId, staffId, bookingDateTime, holdMinutes } = req.body;
+    const { Treatment, Store, User } = sequelize.models;
+
+    const finalCustomerId = req.user.role === config.roles.CUSTOMER ? req.user.id : customerId;
+    if (!finalCustomerId) {
+      throw new AppError('Customer ID is required', 400, 'CUSTOMER_REQUIRED');
+    }
+
+    const treatment = await Treatment.findByPk(treatmentId, { include: [{ model: Store, as: 'store' }] });
+    if (!treatment || !treatment.isActive) {
+      throw new NotFoundError('Treatment');
+    }
+
+    if (treatment.storeId !== storeId) {
+      throw new AppError('Treatment does not belong to the specified store', 400, 'TREATMENT_STORE_MISMATCH');
+    }
+
+    const customer = await User.findByPk(finalCustomerId);
+    if (!customer || !customer.isActive) {
+      throw new NotFoundError('Customer');
+    }
+
+    if (staffId) {
+      const staff = await User.findByPk(staffId);
+      if (!staff || staff.storeId !== storeId || !['staff', 'store_admin'].includes(staff.role)) {
+        throw new AppError('Invalid staff assignment', 400, 'INVALID_STAFF');
+      }
+      await StaffQualificationService.assertQualified(treatment, staffId, new Date(bookingDateTime));
+    }
+
+    const hold = await BookingHoldService.createHold({
+      customerId: finalCustomerId,
+      storeId,
+      treatment,
+      staffId,
+      bookingDateTime: new Date(bookingDateTime),
+      minutes: holdMinutes
+    }, req.user.id);
+
+    res.status(201).json({ success: true, data: BookingHoldController.serializeHold(hold) });
+  });
+
+  /**
+   * Get a hold
+   */
+  static getHoldById = catchAsync(async (req, res) => {
+    const hold = await BookingHoldController.findHold(req.params.holdId, req.user);
+
+    res.json({ success: true, data: BookingHoldController.serializeHold(hold) });
+  });
+
+  /**
+   * Confirm a hold, turning it into a pending booking
+   */
+  static confirmHold = catchAsync(async (req, res) => {
+    const hold = await BookingHoldController.findHold(req.params.holdId, req.user);
+
+    const booking = await BookingHoldService.confirmHold(hold, { notes: req.body.notes, actorId: req.user.id });
+
+    logger.logBookingEvent('booking_created', booking.id, req.user.id, {
+      customerId: booking.customerId,
+      storeId: booking.storeId,
+      treatmentId: booking.treatmentId,
+      bookingDateTime: new Date(booking.bookingDateTime).toISOString(),
+      fromHold: true
+    });
+
+    WebhookEventService.emitBookingEvent(config.webhookEvents.BOOKING_CREATED, booking, {
+      actorId: req.user.id
+    });
+
+    res.json({ success: true, data: booking.toJSON() });
+  });
+
+  /**
+   * Release a hold before it expires
+   */
+  static releaseHold = catchAsync(async (req, res) => {
+    const hold = await BookingHoldController.findHold(req.params.holdId, req.user);
+
+    await BookingHoldService.releaseHold(hold, req.user.id);
+
+    res.json({
+      success: true,
+      data: { message: 'Hold released successfully' }
+    });
+  });
+
+  /**
+   * Load a live hold the user may act on
+   */
+  static async findHold(holdId, user) {
+    const { Booking } = sequelize.models;
+
+    const hold = await Booking.findByPk(holdId);
+    if (!hold || !hold.isHeld()) {
+      throw new NotFoundError('Hold');
+    }
+
+    if (user.role === config.roles.CUSTOMER && hold.customerId !== user.id) {
+      throw new AuthorizationError('You can only access your own holds');
+    }
+
+    if ([config.roles.STORE_ADMIN, config.roles.STAFF].includes(user.role) && hold.storeId !== user.storeId) {
+      throw new AuthorizationError('You can only access holds from your store');
+    }
+
+    return hold;
+  }
+
+  /**
+   * A hold as returned to clients, with the time left to confirm it
+   */
+  static serializeHold(hold) {
+    const expiresInSeconds = Math.max(0, Math.floor((new Date(hold.holdExpiresAt) - Date.now()) / 1000));
+
+    return {
+      ...hold.toJSON(),
+      endDateTime: hold.getEndDateTime(),
+      expiresInSeconds
+    };
+  }
+}
+
+module.exports = BookingHoldController;
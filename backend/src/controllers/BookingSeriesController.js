@@ -0,0 +1,342 @@
+const { catchAsync, AppError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { sequelize } = require('../config/database');
+const BookingSeriesService = require('../services/BookingSeriesService');
+const WebhookEventService = require('../services/WebhookEventService');
+const WaitlistService = require('../services/WaitlistService');
+const StaffQualificationService = require('../services/StaffQualificationService');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+class BookingSeriesController {
+  /**
+   * List booking series; customers see their own, store staff their store's
+   */
+  static getSeries = catchAsync(async (req, res) => {
+    const { page, limit, storeId, customerId, status } = req.query;
+    const { BookingSeries, User, Treatment } = sequelize.models;
+
+    const where = {};
+
+    // Role-based filtering
+    if (req.user.role === config.roles.CUSTOMER) {
+      where.customerId = req.user.id;
+    } else if ([config.roles.STORE_ADMIN, config.roles.STAFF].includes(req.user.role)) {
+      where.storeId = req.user.storeId;
+    } else if (storeId) {
+      where.storeId = storeId;
+    }
+
+    if (status) where.status = status;
+    if (customerId && req.user.role !== config.roles.CUSTOMER) where.customerId = customerId;
+
+    const { count, rows: series } = await BookingSeries.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: 'customer', attributes: ['id', 'firstName', 'lastName', 'email'] },
+        { model: Treatment, as: 'treatment', attributes: ['id', 'name', 'duration'] }
+      ],
+      limit,
+      offset: (page - 1) * limit,
+      order: [['firstStartTime', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: series.map(item => item.toJSON()),
+      meta: {
+        page,
+        limit,
+        totalCount: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  });
+
+  /**
+   * Get a series with its occurrences
+   */
+  static getSeriesById = catchAsync(async (req, res) => {
+    const { Booking } = sequelize.models;
+    const series = await BookingSeriesController.findSeries(req.params.seriesId, req.user);
+
+    const bookings = await Booking.findAll({
+      where: { seriesId: series.id },
+      order: [['bookingDateTime', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...series.toJSON(),
+        bookings: bookings.map(booking => booking.toJSON())
+      }
+    });
+  });
+
+  /**
+   * Check a prospective series occurrence by occurrence without booking it
+   */
+  static previewSeries = catchAsync(async (req, res) => {
+    const request = await BookingSeriesController.resolveRequest(req);
+
+    const preview = await BookingSeriesService.previewSeries(request);
+
+    res.json({ success: true, data: preview });
+  });
+
+  /**
+   * Create a series, booking every occurrence that is available
+   */
+  static createSeries = catchAsync(async (req, res) => {
+    const request = await BookingSeriesController.resolveRequest(req);
+
+    const result = await BookingSeriesService.createSeries({ ...request, notes: req.body.notes }, req.user.id);
+
+    for (const { booking } of result.booked) {
+      logger.logBookingEvent('booking_created', booking.id, req.user.id, {
+        customerId: booking.customerId,
+        storeId: booking.storeId,
+        treatmentId: booking.treatmentId,
+        bookingDateTime: new Date(booking.bookingDateTime).toISOString(),
+        seriesId: result.series.id
+      });
+
+      WebhookEventService.emitBookingEvent(config.webhookEvents.BOOKING_CREATED, booking, {
+        actorId: req.user.id
+      });
+    }
+
+    res.status(201).json({ success: true, data: result });
+  });
+
+  /**
+   * Book an extra occurrence into a series, e.g. an alternative for one that failed
+   */
+  static addOccurrence = catchAsync(async (req, res) => {
+    const { bookingDateTime, occurrence } = req.body;
+    const { Treatment } = sequelize.models;
+
+    const series = await BookingSeriesController.findSeries(req.params.seriesId, req.user);
+    if (series.status !== 'active') {
+      throw new AppError('Series has been cancelled', 409, 'SERIES_CANCELLED');
+    }
+
+    const treatment = await Treatment.findByPk(series.treatmentId);
+    if (!treatment || !treatment.isActive) {
+      throw new NotFoundError('Treatment');
+    }
+
+    const booking = await BookingSeriesService.bookOccurrence(series, treatment, new Date(bookingDateTime), occurrence);
+
+    logger.logBookingEvent('booking_created', booking.id, req.user.id, {
+      customerId: booking.customerId,
+      storeId: booking.storeId,
+      treatmentId: booking.treatmentId,
+      bookingDateTime: new Date(booking.bookingDateTime).toISOString(),
+      seriesId: series.id
+    });
+
+    WebhookEventService.emitBookingEvent(config.webhookEvents.BOOKING_CREATED, booking, {
+      actorId: req.user.id
+    });
+
+    res.status(201).json({ success: true, data: booking.toJSON() });
+  });
+
+  /**
+   * Cancel one occurrence, it and the following ones, or the whole series
+   */
+  static cancelSeries = catchAsync(async (req, res) => {
+    const { scope, bookingId, reason = 'Cancelled by user' } = req.body;
+
+    const series = await BookingSeriesController.findSeries(req.params.seriesId, req.user);
+    const anchor = bookingId ? await BookingSeriesController.findOccurrence(series, bookingId) : null;
+
+    const { cancelled, skipped } = await BookingSeriesService.cancelOccurrences(series, {
+      scope,
+      anchor,
+      reason,
+      actor: req.user
+    });
+
+    for (const { booking, previousStatus } of cancelled) {
+      logger.logBookingEvent('booking_cancelled', booking.id, req.user.id, { cancellationReason: reason, seriesId: series.id, scope });
+
+      WebhookEventService.emitBookingEvent(config.webhookEvents.BOOKING_CANCELLED, booking, {
+        actorId: req.user.id,
+        previousStatus,
+        changes: ['status', 'cancellationReason']
+      });
+
+      WaitlistService.offerFreedBooking(booking).catch(error => {
+        logger.logError(error, { context: 'waitlist_offer', bookingId: booking.id });
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        series: series.toJSON(),
+        cancelled: cancelled.map(({ booking }) => booking.toJSON()),
+        skipped
+      }
+    });
+  });
+
+  /**
+   * Reschedule one occurrence, it and the following ones, or the whole series
+   */
+  static rescheduleSeries = catchAsync(async (req, res) => {
+    const { scope, bookingId, bookingDateTime, staffId, reason } = req.body;
+    const { Booking, User } = sequelize.models;
+    const { Op } = sequelize.Sequelize;
+
+    const series = await BookingSeriesController.findSeries(req.params.seriesId, req.user);
+
+    // A whole-series move is measured from the next upcoming occurrence unless one is named
+    const anchor = bookingId
+      ? await BookingSeriesController.findOccurrence(series, bookingId)
+      : await Booking.findOne({
+        where: {
+          seriesId: series.id,
+          status: { [Op.in]: [config.bookingStatus.PENDING, config.bookingStatus.CONFIRMED] },
+          bookingDateTime: { [Op.gte]: new Date() }
+        },
+        order: [['bookingDateTime', 'ASC']]
+      });
+    if (!anchor) {
+      throw new AppError('Series has no upcoming occurrences', 400, 'SERIES_HAS_NO_UPCOMING_OCCURRENCES');
+    }
+
+    if (staffId) {
+      const staff = await User.findByPk(staffId);
+      if (!staff || staff.storeId !== series.storeId || !['staff', 'store_admin'].includes(staff.role)) {
+        throw new AppError('Invalid staff assignment', 400, 'INVALID_STAFF');
+      }
+    }
+
+    const { rescheduled, failed, skipped } = await BookingSeriesService.rescheduleOccurrences(series, {
+      scope,
+      anchor,
+      bookingDateTime,
+      staffId,
+      reason,
+      actor: req.user
+    });
+
+    for (const { booking, reschedule } of rescheduled) {
+      logger.logBookingEvent('booking_rescheduled', booking.id, req.user.id, { ...reschedule, seriesId: series.id, scope });
+
+      WebhookEventService.emitBookingEvent(config.webhookEvents.BOOKING_UPDATED, booking, {
+        actorId: req.user.id,
+        previousStatus: booking.status,
+        changes: reschedule.fromStaffId !== reschedule.toStaffId ? ['bookingDateTime', 'staffId'] : ['bookingDateTime']
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        series: series.toJSON(),
+        rescheduled: rescheduled.map(({ booking, reschedule }) => ({ booking: booking.toJSON(), reschedule })),
+        failed,
+        skipped
+      }
+    });
+  });
+
+  /**
+   * Validate the treatment, customer and staff of a series request
+   */
+  static async resolveRequest(req) {
+    const { customerId, storeId, treatmentId, staffId, bookingDateTime, recurrence } = req.body;
+    const { Treatment, Store, User } = sequelize.models;
+
+    const finalCustomerId = req.user.role === config.roles.CUSTOMER ? req.user.id : customerId;
+    if (!finalCustomerId) {
+      throw new AppError('Customer ID is required', 400, 'CUSTOMER_REQUIRED');
+    }
+
+    if ([config.roles.STORE_ADMIN, config.roles.STAFF].includes(req.user.role) && req.user.storeId !== storeId) {
+      throw new AuthorizationError('You can only book series for your store');
+    }
+
+    const treatment = await Treatment.findByPk(treatmentId, { include: [{ model: Store, as: 'store' }] });
+    if (!treatment || !treatment.isActive) {
+      throw new NotFoundError('Treatment');
+    }
+
+    if (treatment.storeId !== storeId) {
+      throw new AppError('Treatment does not belong to the specified store', 400, 'TREATMENT_STORE_MISMATCH');
+    }
+
+    const customer = await User.findByPk(finalCustomerId);
+    if (!customer || !customer.isActive) {
+      throw new NotFoundError('Customer');
+    }
+
+    const firstStart = new Date(bookingDateTime);
+    if (recurrence.until && recurrence.until < treatment.store.getLocalDate(firstStart)) {
+      throw new AppError('Recurrence must not end before the first occurrence', 400, 'INVALID_DATE');
+    }
+
+    if (staffId) {
+      const staff = await User.findByPk(staffId);
+      if (!staff || staff.storeId !== storeId || !['staff', 'store_admin'].includes(staff.role)) {
+        throw new AppError('Invalid staff assignment', 400, 'INVALID_STAFF');
+      }
+      await StaffQualificationService.assertQualified(treatment, staffId, firstStart);
+    }
+
+    return {
+      store: treatment.store,
+      treatment,
+      customerId: finalCustomerId,
+      staffId: staffId || null,
+      firstStart,
+      recurrence
+    };
+  }
+
+  /**
+   * Load a series the user may act on
+   */
+  static async findSeries(seriesId, user) {
+    const { BookingSeries } = sequelize.models;
+
+    const series = await BookingSeries.findByPk(seriesId);
+    if (!series) {
+      throw new NotFoundError('Booking series');
+    }
+
+    if (user.role === config.roles.CUSTOMER && series.customerId !== user.id) {
+      throw new AuthorizationError('You can only access your own booking series');
+    }
+
+    if ([config.roles.STORE_ADMIN, config.roles.STAFF].includes(user.role) && series.storeId !== user.storeId) {
+      throw new AuthorizationError('You can only access booking series from your store');
+    }
+
+    return series;
+  }
+
+  /**
+   * Load an occurrence of a series
+   */
+  static async findOccurrence(series, bookingId) {
+    const { Booking } = sequelize.models;
+
+    const booking = await Booking.findByPk(bookingId);
+    if (!booking) {
+      throw new NotFoundError('Booking');
+    }
+
+    if (booking.seriesId !== series.id) {
+      throw new AppError('Booking is not an occurrence of this series', 400, 'BOOKING_NOT_IN_SERIES');
+    }
+
+    return booking;
+  }
+}
+
+module.exports = BookingSeriesController;
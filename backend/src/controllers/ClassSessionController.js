@@ -0,0 +1,254 @@
+const { catchAsync, AppError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { sequelize } = require('../config/database');
+const ClassSessionService = require('../services/ClassSessionService');
+const StaffQualificationService = require('../services/StaffQualificationService');
+const WebhookEventService = require('../services/WebhookEventService');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+class ClassSessionController {
+  /**
+   * Get a store's class sessions with seats taken and available
+   */
+  static getSessions = catchAsync(async (req, res) => {
+    const { ClassSession, Treatment, User, Resource } = sequelize.models;
+    const { Op } = sequelize.Sequelize;
+    const { from, to, treatmentId, instructorId, status } = req.query;
+
+    const where = { storeId: req.params.storeId };
+    if (treatmentId) where.treatmentId = treatmentId;
+    if (instructorId) where.instructorId = instructorId;
+    if (status) where.status = status;
+    if (from || to) {
+      where.startTime = {
+        ...(from && { [Op.gte]: new Date(from) }),
+        ...(to && { [Op.lte]: new Date(to) })
+      };
+    }
+
+    const sessions = await ClassSession.findAll({
+      where,
+      include: [
+        { model: Treatment, as: 'treatment', attributes: ['id', 'name', 'duration', 'price'] },
+        { model: User, as: 'instructor', attributes: ['id', 'firstName', 'lastName'] },
+        { model: Resource, as: 'room', attributes: ['id', 'name'], required: false }
+      ],
+      order: [['startTime', 'ASC']]
+    });
+
+    const seats = await ClassSession.countSeats(sessions.map(session => session.id));
+
+    res.json({
+      success: true,
+      data: sessions.map(session => session.toListing(seats.get(session.id)))
+    });
+  });
+
+  /**
+   * Get a class session with seats taken and available
+   */
+  static getSessionById = catchAsync(async (req, res) => {
+    const { ClassSession } = sequelize.models;
+    const session = await ClassSessionController.findSession(req.params);
+
+    const seats = await ClassSession.countSeats([session.id]);
+
+    res.json({ success: true, data: session.toListing(seats.get(session.id)) });
+  });
+
+  /**
+   * Schedule a class session
+   */
+  static createSession = catchAsync(async (req, res) => {
+    const { treatmentId, instructorId, roomId, title, startTime, capacity, minAttendees, notes } = req.body;
+    const { storeId } = req.params;
+    const { Store, Treatment, User, Resource } = sequelize.models;
+
+    const store = await Store.findByPk(storeId);
+    if (!store || !store.isActive) {
+      throw new NotFoundError('Store');
+    }
+
+    const treatment = await Treatment.findByPk(treatmentId);
+    if (!treatment || !treatment.isActive) {
+      throw new NotFoundError('Treatment');
+    }
+
+    if (treatment.storeId !== storeId) {
+      throw new AppError('Treatment does not belong to the specified store', 400, 'TREATMENT_STORE_MISMATCH');
+    }
+
+    const instructor = await User.findByPk(instructorId);
+    if (!instructor || !instructor.isActive || instructor.storeId !== storeId || !['staff', 'store_admin'].includes(instructor.role)) {
+      throw new AppError('Invalid instructor', 400, 'INVALID_STAFF');
+    }
+    await StaffQualificationService.assertQualified(treatment, instructorId, new Date(startTime));
+
+    let room = null;
+    if (roomId) {
+      room = await Resource.findOne({ where: { id: roomId, storeId, isActive: true } });
+      if (!room) {
+        throw new NotFoundError('Resource');
+      }
+    }
+
+    const session = await ClassSessionService.scheduleSession({
+      store,
+      treatment,
+      instructor,
+      room,
+      title,
+      startTime,
+      capacity,
+      minAttendees,
+      notes
+    }, req.user.id);
+
+    res.status(201).json({ success: true, data: session.toListing(0) });
+  });
+
+  /**
+   * Cancel a class session and every seat in it
+   */
+  static cancelSession = catchAsync(async (req, res) => {
+    const { cancellationReason = 'Class cancelled by the store' } = req.body;
+    const session = await ClassSessionController.findSession(req.params);
+
+    const { session: cancelledSession, cancelled } = await ClassSessionService.cancelSession(session, {
+      reason: cancellationReason,
+      actor: req.user
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Class cancelled successfully',
+        classSession: cancelledSession.toListing(0),
+        cancelledBookings: cancelled.map(({ booking }) => booking.id)
+      }
+    });
+  });
+
+  /**
+   * Book a seat in a class session
+   */
+  static bookSeat = catchAsync(async (req, res) => {
+    const { customerId, notes } = req.body;
+    const { User } = sequelize.models;
+
+    const finalCustomerId = req.user.role === config.roles.CUSTOMER ? req.user.id : customerId;
+    if (!finalCustomerId) {
+      throw new AppError('Customer ID is required', 400, 'CUSTOMER_REQUIRED');
+    }
+
+    const session = await ClassSessionController.findSession(req.params);
+
+    const customer = await User.findByPk(finalCustomerId);
+    if (!customer || !customer.isActive) {
+      throw new NotFoundError('Customer');
+    }
+
+    const seat = await ClassSessionService.bookSeat(session, { customerId: finalCustomerId, notes }, req.user.id);
+
+    logger.logBookingEvent('booking_created', seat.id, req.user.id, {
+      customerId: finalCustomerId,
+      storeId: session.storeId,
+      treatmentId: session.treatmentId,
+      bookingDateTime: new Date(seat.bookingDateTime).toISOString(),
+      sessionId: session.id
+    });
+
+    WebhookEventService.emitBookingEvent(config.webhookEvents.BOOKING_CREATED, seat, {
+      actorId: req.user.id
+    });
+
+    res.status(201).json({ success: true, data: seat.toJSON() });
+  });
+
+  /**
+   * Give up a seat in a class session
+   */
+  static cancelSeat = catchAsync(async (req, res) => {
+    const { cancellationReason = 'Cancelled by user' } = req.body;
+    const session = await ClassSessionController.findSession(req.params);
+    const seat = await ClassSessionController.findSeat(session, req.params.bookingId, req.user);
+
+    const previousStatus = await ClassSessionService.cancelSeat(seat, {
+      reason: cancellationReason,
+      actor: req.user
+    });
+
+    logger.logBookingEvent('booking_cancelled', seat.id, req.user.id, { cancellationReason, sessionId: session.id });
+
+    WebhookEventService.emitBookingEvent(config.webhookEvents.BOOKING_CANCELLED, seat, {
+      actorId: req.user.id,
+      previousStatus,
+      changes: ['status', 'cancellationReason']
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Seat cancelled successfully',
+        booking: seat.toJSON()
+      }
+    });
+  });
+
+  /**
+   * Export the attendee roster as JSON or CSV
+   */
+  static getRoster = catchAsync(async (req, res) => {
+    const session = await ClassSessionController.findSession(req.params);
+    const attendees = await ClassSessionService.getRoster(session);
+
+    if (req.query.format === 'csv') {
+      const date = new Date(session.startTime).toISOString().split('T')[0];
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="class-${date}-${session.id}-roster.csv"`);
+      return res.send(ClassSessionService.formatRosterCsv(attendees));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        classSession: session.toListing(attendees.filter(attendee => attendee.status !== config.bookingStatus.NO_SHOW).length),
+        attendees
+      }
+    });
+  });
+
+  /**
+   * Load a class session belonging to the store in the route
+   */
+  static async findSession({ storeId, sessionId }) {
+    const { ClassSession } = sequelize.models;
+
+    const session = await ClassSession.findOne({ where: { id: sessionId, storeId } });
+    if (!session) {
+      throw new NotFoundError('Class session');
+    }
+
+    return session;
+  }
+
+  /**
+   * Load a seat in a session the user may act on
+   */
+  static async findSeat(session, bookingId, user) {
+    const { Booking } = sequelize.models;
+
+    const seat = await Booking.findOne({ where: { id: bookingId, sessionId: session.id } });
+    if (!seat) {
+      throw new NotFoundError('Booking');
+    }
+
+    if (user.role === config.roles.CUSTOMER && seat.customerId !== user.id) {
+      throw new AuthorizationError('You can only cancel your own seats');
+    }
+
+    return seat;
+  }
+}
+
+module.exports = ClassSessionController;
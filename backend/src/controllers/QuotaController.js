@@ -2,6 +2,7 @@ const { catchAsync, AppError, NotFoundError, AuthorizationError } = require('../
 const QuotaService = require('../services/QuotaService');
 const { sequelize } = require('../config/database');
 const logger = require('../utils/logger');
+const { parseDateParam, addDays } = require('../utils/timezone');
 const config = require('../config');
 
 class QuotaController {
@@ -39,7 +40,9 @@ class QuotaController {
       treatmentId,
       staffId,
       bookingStart,
-      finalDuration
+      finalDuration,
+      // Customers see time held for their own waitlist offer as bookable
+      { customerId: req.user.role === config.roles.CUSTOMER ? req.user.id : undefined }
     );
 
     res.json({
@@ -76,7 +79,12 @@ class QuotaController {
       throw new AuthorizationError('Insufficient permissions to view quota utilization');
     }
 
-    const requestedDate = new Date(date);
+    // Dates are calendar days in the store's timezone
+    const requestedDate = parseDateParam(date);
+    if (!requestedDate) {
+      throw new AppError('Dates must be calendar dates in YYYY-MM-DD format', 400, 'INVALID_DATE');
+    }
+
     const utilization = await QuotaService.getQuotaUtilization(storeId, requestedDate);
 
     res.json({
@@ -106,11 +114,14 @@ class QuotaController {
       throw new AuthorizationError('Insufficient permissions to view peak hours analysis');
     }
 
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    const start = parseDateParam(startDate);
+    const end = parseDateParam(endDate);
+    if (!start || !end) {
+      throw new AppError('Dates must be calendar dates in YYYY-MM-DD format', 400, 'INVALID_DATE');
+    }
 
     // Limit analysis to 90 days
-    const daysDiff = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
+    const daysDiff = Math.ceil((Date.parse(end) - Date.parse(start)) / (1000 * 60 * 60 * 24));
     if (daysDiff > 90) {
       throw new AppError('Date range cannot exceed 90 days', 400, 'DATE_RANGE_TOO_LARGE');
     }
@@ -227,20 +238,24 @@ class QuotaController {
       throw new AuthorizationError('Insufficient permissions to view capacity forecast');
     }
 
+    const store = await sequelize.models.Store.findByPk(storeId);
+    if (!store) {
+      throw new NotFoundError('Store');
+    }
+
     const forecastDays = Math.min(parseInt(days), 30); // Limit to 30 days
     const forecast = [];
-    const currentDate = new Date();
+    const today = store.getLocalDate(new Date());
 
     for (let i = 0; i < forecastDays; i++) {
-      const date = new Date(currentDate);
-      date.setDate(date.getDate() + i);
+      const date = addDays(today, i);
       
       try {
         const utilization = await QuotaService.getQuotaUtilization(storeId, date);
         forecast.push(utilization);
       } catch (error) {
         forecast.push({
-          date: date.toISOString().split('T')[0],
+          date,
           storeId,
           daily: { totalBookings: 0, maxBookings: 0, utilization: 0 },
           treatments: [],
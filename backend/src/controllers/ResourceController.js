@@ -0,0 +1,213 @@
+const { catchAsync, AppError, NotFoundError } = require('../middleware/errorHandler');
+const { sequelize } = require('../config/database');
+const logger = require('../utils/logger');
+const config = require('../config');
+const AvailabilityCacheService = require('../services/AvailabilityCacheService');
+
+class ResourceController {
+  /**
+   * Get a store's rooms and equipment, optionally filtered by type
+   */
+  static getResources = catchAsync(async (req, res) => {
+    const { storeId } = req.params;
+    const { type, includeInactive } = req.query;
+    const { Store, Resource } = sequelize.models;
+
+    const store = await Store.findByPk(storeId);
+    if (!store) {
+      throw new NotFoundError('Store');
+    }
+
+    let resources;
+    if (includeInactive && req.user.role !== config.roles.CUSTOMER) {
+      const where = { storeId };
+      if (type) where.type = type;
+
+      resources = await Resource.findAll({ where, order: [['type', 'ASC'], ['name', 'ASC']] });
+    } else if (type) {
+      resources = await Resource.findByType(storeId, type);
+    } else {
+      resources = await Resource.findActiveByStore(storeId);
+    }
+
+    res.json({ success: true, data: resources.map(resource => resource.toJSON()) });
+  });
+
+  /**
+   * Get a resource with the treatments that use it
+   */
+  static getResourceById = catchAsync(async (req, res) => {
+    const { Treatment } = sequelize.models;
+
+    const resource = await ResourceController.findResource(req.params, {
+      include: [{ model: Treatment, as: 'treatments', attributes: ['id', 'name', 'isActive'], through: { attributes: [] } }]
+    });
+
+    res.json({ success: true, data: resource.toJSON() });
+  });
+
+  /**
+   * Register a room or piece of equipment for a store
+   */
+  static createResource = catchAsync(async (req, res) => {
+    const { storeId } = req.params;
+    const { Store, Resource } = sequelize.models;
+
+    const store = await Store.findByPk(storeId);
+    if (!store) {
+      throw new NotFoundError('Store');
+    }
+
+    const resource = await Resource.create({ ...req.body, storeId, isActive: true });
+    await AvailabilityCacheService.invalidateStore(storeId, 'resource_created');
+
+    logger.logDatabaseOperation('create', 'resources', resource.id, { name: resource.name, storeId, createdBy: req.user.id });
+
+    res.status(201).json({ success: true, data: resource.toJSON() });
+  });
+
+  /**
+   * Update a resource
+   */
+  static updateResource = catchAsync(async (req, res) => {
+    const updates = req.body;
+
+    const resource = await ResourceController.findResource(req.params);
+
+    if (updates.isActive === false && resource.isActive) {
+      await ResourceController.assertNoUpcomingBookings(resource);
+    }
+
+    await resource.update(updates);
+    await AvailabilityCacheService.invalidateStore(resource.storeId, 'resource_updated');
+
+    logger.logDatabaseOperation('update', 'resources', resource.id, { updates, updatedBy: req.user.id });
+
+    res.json({ success: true, data: resource.toJSON() });
+  });
+
+  /**
+   * Deactivate a resource (soft delete)
+   */
+  static deactivateResource = catchAsync(async (req, res) => {
+    const resource = await ResourceController.findResource(req.params);
+
+    await ResourceController.assertNoUpcomingBookings(resource);
+
+    await resource.update({ isActive: false });
+    await AvailabilityCacheService.invalidateStore(resource.storeId, 'resource_deactivated');
+
+    logger.logDatabaseOperation('delete', 'resources', resource.id, { deletedBy: req.user.id });
+
+    res.json({ success: true, data: { message: 'Resource deactivated successfully' } });
+  });
+
+  /**
+   * Get bookings and downtime for a resource over a range of store-local dates
+   */
+  static getResourceSchedule = catchAsync(async (req, res) => {
+    const { startDate, endDate } = req.query;
+    const { Store, ResourceMaintenance } = sequelize.models;
+
+    if (endDate < startDate) {
+      throw new AppError('End date must not be before start date', 400, 'INVALID_DATE');
+    }
+
+    const daysDiff = Math.ceil((Date.parse(endDate) - Date.parse(startDate)) / (1000 * 60 * 60 * 24));
+    if (daysDiff > 90) {
+      throw new AppError('Date range cannot exceed 90 days', 400, 'DATE_RANGE_TOO_LARGE');
+    }
+
+    const resource = await ResourceController.findResource(req.params);
+    const store = await Store.findByPk(resource.storeId, { attributes: ['id', 'timezone'] });
+
+    // Dates are calendar days in the store's timezone
+    const rangeStart = store.getDayBounds(startDate).start;
+    const rangeEnd = store.getDayBounds(endDate).end;
+
+    const [bookings, maintenance] = await Promise.all([
+      resource.getSchedule(rangeStart, rangeEnd),
+      ResourceMaintenance.findForResource(resource.id, { from: rangeStart, to: rangeEnd })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        resourceId: resource.id,
+        startDate,
+        endDate,
+        bookings,
+        maintenance: maintenance.map(window => window.toJSON())
+      }
+    });
+  });
+
+  /**
+   * Get how much of a resource's capacity is in use right now
+   */
+  static getResourceUsage = catchAsync(async (req, res) => {
+    const resource = await ResourceController.findResource(req.params);
+
+    const now = new Date();
+    const [usage, underMaintenance] = await Promise.all([
+      resource.getCurrentUsage(),
+      resource.isUnderMaintenance(now, now)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        resourceId: resource.id,
+        ...usage,
+        underMaintenance
+      }
+    });
+  });
+
+  /**
+   * Load a resource belonging to the store in the route
+   */
+  static async findResource({ storeId, resourceId }, options = {}) {
+    const { Resource } = sequelize.models;
+
+    const resource = await Resource.findOne({ where: { id: resourceId, storeId }, ...options });
+    if (!resource) {
+      throw new NotFoundError('Resource');
+    }
+
+    return resource;
+  }
+
+  /**
+   * Refuse to take a resource out of service while upcoming bookings or classes hold it
+   */
+  static async assertNoUpcomingBookings(resource) {
+    const { Booking, ClassSession } = sequelize.models;
+
+    const activeBookings = await Booking.count({
+      where: {
+        status: { [sequelize.Sequelize.Op.in]: [config.bookingStatus.PENDING, config.bookingStatus.CONFIRMED] },
+        bookingDateTime: { [sequelize.Sequelize.Op.gte]: new Date() }
+      },
+      include: [resource.allocationInclude()]
+    });
+
+    if (activeBookings > 0) {
+      throw new AppError('Cannot deactivate resource with active bookings', 400, 'ACTIVE_BOOKINGS_EXIST');
+    }
+
+    const upcomingClasses = await ClassSession.count({
+      where: {
+        roomId: resource.id,
+        status: 'scheduled',
+        startTime: { [sequelize.Sequelize.Op.gte]: new Date() }
+      }
+    });
+
+    if (upcomingClasses > 0) {
+      throw new AppError('Cannot deactivate resource with scheduled classes', 400, 'ACTIVE_BOOKINGS_EXIST');
+    }
+  }
+}
+
+module.exports = ResourceController;
@@ -0,0 +1,95 @@
+const { catchAsync, NotFoundError } = require('../middleware/errorHandler');
+const { sequelize } = require('../config/database');
+const ResourceMaintenanceService = require('../services/ResourceMaintenanceService');
+const ResourceController = require('./ResourceController');
+
+class ResourceMaintenanceController {
+  /**
+   * Get maintenance and out-of-service windows for a resource
+   */
+  static getWindows = catchAsync(async (req, res) => {
+    const { from, to } = req.query;
+
+    const resource = await ResourceController.findResource(req.params);
+    const windows = await sequelize.models.ResourceMaintenance.findForResource(resource.id, { from, to });
+
+    res.json({ success: true, data: windows.map(window => window.toJSON()) });
+  });
+
+  /**
+   * Schedule downtime for a resource
+   */
+  static createWindow = catchAsync(async (req, res) => {
+    const resource = await ResourceController.findResource(req.params);
+
+    const { window, affectedBookings } = await ResourceMaintenanceService.createWindow(resource, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        maintenance: window.toJSON(),
+        affectedBookings
+      }
+    });
+  });
+
+  /**
+   * Update a maintenance window
+   */
+  static updateWindow = catchAsync(async (req, res) => {
+    const window = await ResourceMaintenanceController.findWindow(req.params);
+
+    const result = await ResourceMaintenanceService.updateWindow(window, req.body, req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        maintenance: result.window.toJSON(),
+        affectedBookings: result.affectedBookings
+      }
+    });
+  });
+
+  /**
+   * Remove a maintenance window
+   */
+  static deleteWindow = catchAsync(async (req, res) => {
+    const window = await ResourceMaintenanceController.findWindow(req.params);
+
+    await ResourceMaintenanceService.deleteWindow(window, req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Maintenance window deleted successfully'
+      }
+    });
+  });
+
+  /**
+   * Get bookings that collide with a maintenance window and need to be moved
+   */
+  static getAffectedBookings = catchAsync(async (req, res) => {
+    const window = await ResourceMaintenanceController.findWindow(req.params);
+
+    const affectedBookings = await ResourceMaintenanceService.findAffectedBookings(window);
+
+    res.json({ success: true, data: affectedBookings });
+  });
+
+  /**
+   * Load a maintenance window belonging to the resource in the route
+   */
+  static async findWindow({ storeId, resourceId, maintenanceId }) {
+    const { ResourceMaintenance } = sequelize.models;
+
+    const window = await ResourceMaintenance.findOne({ where: { id: maintenanceId, resourceId, storeId } });
+    if (!window) {
+      throw new NotFoundError('Maintenance window');
+    }
+
+    return window;
+  }
+}
+
+module.exports = ResourceMaintenanceController;
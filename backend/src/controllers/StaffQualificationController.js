@@ -0,0 +1,128 @@
+const { catchAsync, AppError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { sequelize } = require('../config/database');
+const StaffQualificationService = require('../services/StaffQualificationService');
+const StaffScheduleController = require('./StaffScheduleController');
+
+class StaffQualificationController {
+  /**
+   * List a staff member's treatment qualifications with their current validity
+   */
+  static getQualifications = catchAsync(async (req, res) => {
+    const staff = await StaffScheduleController.findStaff(req.params.userId, req.user);
+    const { StaffQualification, Treatment, Store } = sequelize.models;
+
+    const store = await Store.findByPk(staff.storeId, { attributes: ['id', 'timezone'] });
+    const today = store.getLocalDate(new Date());
+
+    const qualifications = await StaffQualification.findAll({
+      where: { staffId: staff.id },
+      include: [{
+        model: Treatment,
+        as: 'treatment',
+        attributes: ['id', 'name', 'requiredStaffLevel', 'isActive']
+      }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: qualifications.map(qualification => ({
+        ...qualification.toJSON(),
+        isExpired: qualification.isExpired(today),
+        canPerform: StaffQualificationService.evaluate(qualification.treatment, qualification, today).qualified
+      }))
+    });
+  });
+
+  /**
+   * Certify a staff member for a treatment
+   */
+  static createQualification = catchAsync(async (req, res) => {
+    const staff = await StaffScheduleController.findStaff(req.params.userId, req.user, { manage: true });
+    const { StaffQualification } = sequelize.models;
+
+    await StaffQualificationController.findTreatment(staff, req.body.treatmentId);
+
+    const existing = await StaffQualification.findOne({
+      where: { staffId: staff.id, treatmentId: req.body.treatmentId }
+    });
+    if (existing) {
+      throw new ConflictError('Staff member already has a qualification for this treatment', {
+        qualificationId: existing.id
+      });
+    }
+
+    const qualification = await StaffQualificationService.createQualification(staff, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: qualification
+    });
+  });
+
+  /**
+   * Update skill level, certification dates or status of a qualification
+   */
+  static updateQualification = catchAsync(async (req, res) => {
+    const staff = await StaffScheduleController.findStaff(req.params.userId, req.user, { manage: true });
+    const qualification = await StaffQualificationController.findQualification(staff.id, req.params.qualificationId);
+
+    const updated = await StaffQualificationService.updateQualification(qualification, req.body, req.user.id);
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  });
+
+  /**
+   * Remove a treatment qualification
+   */
+  static deleteQualification = catchAsync(async (req, res) => {
+    const staff = await StaffScheduleController.findStaff(req.params.userId, req.user, { manage: true });
+    const qualification = await StaffQualificationController.findQualification(staff.id, req.params.qualificationId);
+
+    await StaffQualificationService.deleteQualification(qualification, req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Qualification deleted successfully'
+      }
+    });
+  });
+
+  /**
+   * Load a treatment offered by the staff member's store
+   */
+  static async findTreatment(staff, treatmentId) {
+    const { Treatment } = sequelize.models;
+
+    const treatment = await Treatment.findByPk(treatmentId);
+    if (!treatment) {
+      throw new NotFoundError('Treatment');
+    }
+
+    if (treatment.storeId !== staff.storeId) {
+      throw new AppError('Treatment does not belong to the staff member\'s store', 400, 'TREATMENT_STORE_MISMATCH');
+    }
+
+    return treatment;
+  }
+
+  /**
+   * Load a qualification belonging to the staff member in the route
+   */
+  static async findQualification(staffId, qualificationId) {
+    const { StaffQualification } = sequelize.models;
+
+    const qualification = await StaffQualification.findOne({ where: { id: qualificationId, staffId } });
+    if (!qualification) {
+      throw new NotFoundError('Qualification');
+    }
+
+    return qualification;
+  }
+}
+
+module.exports = StaffQualificationController;
@@ -0,0 +1,191 @@
+const { catchAsync, AppError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { sequelize } = require('../config/database');
+const config = require('../config');
+const StaffScheduleService = require('../services/StaffScheduleService');
+
+class StaffScheduleController {
+  /**
+   * Get a staff member's weekly shifts and upcoming time off
+   */
+  static getSchedule = catchAsync(async (req, res) => {
+    const staff = await StaffScheduleController.findStaff(req.params.userId, req.user);
+    const { StaffShift, StaffTimeOff, Store } = sequelize.models;
+
+    const store = await Store.findByPk(staff.storeId, { attributes: ['id', 'timezone'] });
+    const today = store.getLocalDate(new Date());
+
+    const [shifts, timeOff] = await Promise.all([
+      StaffShift.findAll({
+        where: { staffId: staff.id },
+        order: [['dayOfWeek', 'ASC'], ['startTime', 'ASC']]
+      }),
+      StaffTimeOff.findAll({
+        where: {
+          staffId: staff.id,
+          status: ['pending', 'approved'],
+          endDate: { [sequelize.Sequelize.Op.gte]: today }
+        },
+        order: [['startDate', 'ASC']]
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        staffId: staff.id,
+        storeId: staff.storeId,
+        timezone: store.timezone,
+        shifts,
+        upcomingTimeOff: timeOff
+      }
+    });
+  });
+
+  /**
+   * Replace a staff member's weekly shifts
+   */
+  static replaceShifts = catchAsync(async (req, res) => {
+    const staff = await StaffScheduleController.findStaff(req.params.userId, req.user, { manage: true });
+
+    const shifts = await StaffScheduleService.replaceShifts(staff, req.body.shifts, req.user.id);
+
+    res.json({
+      success: true,
+      data: shifts
+    });
+  });
+
+  /**
+   * List a staff member's time-off entries
+   */
+  static getTimeOff = catchAsync(async (req, res) => {
+    const staff = await StaffScheduleController.findStaff(req.params.userId, req.user);
+    const { StaffTimeOff } = sequelize.models;
+    const { status, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    const { count, rows } = await StaffTimeOff.findForStaff(staff.id, {
+      status,
+      startDate,
+      endDate,
+      limit: parseInt(limit),
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      meta: {
+        page: parseInt(page),
+        pageSize: parseInt(limit),
+        totalCount: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  });
+
+  /**
+   * Request time off, or record an approved absence as an admin
+   */
+  static requestTimeOff = catchAsync(async (req, res) => {
+    const staff = await StaffScheduleController.findStaff(req.params.userId, req.user);
+
+    const { timeOff, affectedBookings } = await StaffScheduleService.requestTimeOff(staff, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        timeOff,
+        affectedBookings
+      }
+    });
+  });
+
+  /**
+   * Approve or reject a pending time-off request
+   */
+  static reviewTimeOff = catchAsync(async (req, res) => {
+    const staff = await StaffScheduleController.findStaff(req.params.userId, req.user, { manage: true });
+    const timeOff = await StaffScheduleController.findTimeOff(staff.id, req.params.timeOffId);
+
+    if (timeOff.status !== 'pending') {
+      throw new AppError(`Time off is already ${timeOff.status}`, 409, 'TIME_OFF_ALREADY_REVIEWED');
+    }
+
+    if (staff.id === req.user.id && req.user.role !== config.roles.SUPER_ADMIN) {
+      throw new AuthorizationError('You cannot review your own time-off request');
+    }
+
+    const result = await StaffScheduleService.reviewTimeOff(timeOff, req.body.status, req.user.id, req.body.notes);
+
+    res.json({
+      success: true,
+      data: {
+        timeOff: result.timeOff,
+        affectedBookings: result.affectedBookings
+      }
+    });
+  });
+
+  /**
+   * Withdraw a pending or approved time-off entry
+   */
+  static cancelTimeOff = catchAsync(async (req, res) => {
+    const staff = await StaffScheduleController.findStaff(req.params.userId, req.user);
+    const timeOff = await StaffScheduleController.findTimeOff(staff.id, req.params.timeOffId);
+
+    if (!['pending', 'approved'].includes(timeOff.status)) {
+      throw new AppError(`Time off is already ${timeOff.status}`, 409, 'TIME_OFF_NOT_CANCELLABLE');
+    }
+
+    await StaffScheduleService.cancelTimeOff(timeOff, req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Time off cancelled successfully',
+        timeOff
+      }
+    });
+  });
+
+  /**
+   * Load a staff member the requester may view, or manage when `manage` is set
+   */
+  static async findStaff(userId, requester, { manage = false } = {}) {
+    const { User } = sequelize.models;
+
+    const staff = await User.findByPk(userId, { attributes: { exclude: ['password'] } });
+    if (!staff) {
+      throw new NotFoundError('User');
+    }
+
+    if (![config.roles.STAFF, config.roles.STORE_ADMIN].includes(staff.role) || !staff.storeId) {
+      throw new AppError('User is not a staff member of a store', 400, 'NOT_STAFF_MEMBER');
+    }
+
+    const isStoreAdmin = requester.role === config.roles.SUPER_ADMIN ||
+      (requester.role === config.roles.STORE_ADMIN && requester.storeId === staff.storeId);
+
+    if (manage ? !isStoreAdmin : !isStoreAdmin && requester.id !== staff.id) {
+      throw new AuthorizationError('You can only manage schedules for staff in your store');
+    }
+
+    return staff;
+  }
+
+  /**
+   * Load a time-off entry belonging to the staff member in the route
+   */
+  static async findTimeOff(staffId, timeOffId) {
+    const { StaffTimeOff } = sequelize.models;
+
+    const timeOff = await StaffTimeOff.findOne({ where: { id: timeOffId, staffId } });
+    if (!timeOff) {
+      throw new NotFoundError('Time off');
+    }
+
+    return timeOff;
+  }
+}
+
+module.exports = StaffScheduleController;
@@ -1,7 +1,9 @@
 const { catchAsync, AppError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
 const { sequelize } = require('../config/database');
 const logger = require('../utils/logger');
+const { parseDateParam } = require('../utils/timezone');
 const config = require('../config');
+const AvailabilityCacheService = require('../services/AvailabilityCacheService');
 
 class StoreController {
   /**
@@ -149,6 +151,8 @@ class StoreController {
     }
 
     await store.update(updates);
+    await AvailabilityCacheService.invalidateStore(storeId, 'store_updated');
+
     res.json({ success: true, data: store.toJSON() });
   });
 
@@ -173,6 +177,7 @@ class StoreController {
     }
 
     await store.update({ operatingHours });
+    await AvailabilityCacheService.invalidateStore(storeId, 'operating_hours_updated');
 
     res.json({
       success: true,
@@ -195,12 +200,17 @@ class StoreController {
       throw new AppError('Date parameter is required', 400, 'DATE_REQUIRED');
     }
 
-    const store = await sequelize.models.Store.findByPk(storeId);
+    const store = await sequelize.models.Store.findWithExceptions(storeId);
     if (!store) {
       throw new NotFoundError('Store');
     }
 
-    const requestedDate = new Date(date);
+    // Dates are calendar days in the store's timezone
+    const requestedDate = parseDateParam(date);
+    if (!requestedDate) {
+      throw new AppError('Dates must be calendar dates in YYYY-MM-DD format', 400, 'INVALID_DATE');
+    }
+
     const isOpen = store.isOpenOnDate(requestedDate);
     const operatingHours = store.getOperatingHoursForDate(requestedDate);
 
@@ -212,7 +222,8 @@ class StoreController {
     res.json({
       success: true,
       data: {
-        date: requestedDate.toISOString().split('T')[0],
+        date: requestedDate,
+        timezone: store.timezone,
         isOpen,
         operatingHours,
         availableSlots
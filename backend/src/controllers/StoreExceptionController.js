@@ -0,0 +1,147 @@
+const { catchAsync, AppError, NotFoundError } = require('../middleware/errorHandler');
+const { sequelize } = require('../config/database');
+const StoreExceptionService = require('../services/StoreExceptionService');
+
+class StoreExceptionController {
+  /**
+   * Get closures and special hours for a store
+   */
+  static getExceptions = catchAsync(async (req, res) => {
+    const { storeId } = req.params;
+    const { startDate, endDate, type } = req.query;
+    const { Store, StoreException } = sequelize.models;
+
+    const store = await Store.findByPk(storeId);
+    if (!store) {
+      throw new NotFoundError('Store');
+    }
+
+    const exceptions = await StoreException.findForStore(storeId, { startDate, endDate, type });
+
+    res.json({ success: true, data: exceptions.map(exception => exception.toJSON()) });
+  });
+
+  /**
+   * Add a closure or special-hours exception
+   */
+  static createException = catchAsync(async (req, res) => {
+    const { storeId } = req.params;
+    const { Store } = sequelize.models;
+
+    const store = await Store.findByPk(storeId);
+    if (!store) {
+      throw new NotFoundError('Store');
+    }
+
+    const { exception, affectedBookings } = await StoreExceptionService.createException(storeId, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        exception: exception.toJSON(),
+        affectedBookings
+      }
+    });
+  });
+
+  /**
+   * Update a store exception
+   */
+  static updateException = catchAsync(async (req, res) => {
+    const exception = await StoreExceptionController.findException(req.params);
+
+    if (exception.source === 'holiday_import' && req.body.type === 'special_hours') {
+      throw new AppError('Imported holidays can only be closures', 400, 'INVALID_EXCEPTION_TYPE');
+    }
+
+    const result = await StoreExceptionService.updateException(exception, req.body, req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        exception: result.exception.toJSON(),
+        affectedBookings: result.affectedBookings
+      }
+    });
+  });
+
+  /**
+   * Remove a store exception
+   */
+  static deleteException = catchAsync(async (req, res) => {
+    const exception = await StoreExceptionController.findException(req.params);
+
+    const { clearedBookings } = await StoreExceptionService.deleteException(exception, req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Store exception deleted successfully',
+        clearedBookings
+      }
+    });
+  });
+
+  /**
+   * Import a public-holiday list as closures
+   */
+  static importHolidays = catchAsync(async (req, res) => {
+    const { storeId } = req.params;
+    const { holidays, countryCode, replaceExisting } = req.body;
+    const { Store } = sequelize.models;
+
+    const store = await Store.findByPk(storeId);
+    if (!store) {
+      throw new NotFoundError('Store');
+    }
+
+    const result = await StoreExceptionService.importHolidays(storeId, holidays, {
+      countryCode,
+      replaceExisting,
+      actorId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        imported: result.imported.map(exception => exception.toJSON()),
+        importedCount: result.imported.length,
+        skipped: result.skipped,
+        affectedBookings: result.affectedBookings
+      }
+    });
+  });
+
+  /**
+   * Get bookings flagged as conflicting with a closure or special hours
+   */
+  static getAffectedBookings = catchAsync(async (req, res) => {
+    const { storeId } = req.params;
+
+    const bookings = await StoreExceptionService.getFlaggedBookings(storeId);
+
+    res.json({
+      success: true,
+      data: bookings.map(booking => ({
+        ...booking.toJSON(),
+        endDateTime: booking.getEndDateTime()
+      }))
+    });
+  });
+
+  /**
+   * Load an exception belonging to the store in the route
+   */
+  static async findException({ storeId, exceptionId }) {
+    const { StoreException } = sequelize.models;
+
+    const exception = await StoreException.findOne({ where: { id: exceptionId, storeId } });
+    if (!exception) {
+      throw new NotFoundError('Store exception');
+    }
+
+    return exception;
+  }
+}
+
+module.exports = StoreExceptionController;
@@ -0,0 +1,111 @@
+const { catchAsync, AppError, NotFoundError } = require('../middleware/errorHandler');
+const { sequelize } = require('../config/database');
+const TimeslotService = require('../services/TimeslotService');
+
+class TimeslotController {
+  /**
+   * List a store's timeslots over a range of store-local dates
+   */
+  static getTimeslots = catchAsync(async (req, res) => {
+    const { storeId } = req.params;
+    const { startDate, endDate = startDate, includeBlocked } = req.query;
+    const { Store } = sequelize.models;
+
+    if (endDate < startDate) {
+      throw new AppError('End date must not be before start date', 400, 'INVALID_DATE');
+    }
+
+    const daysDiff = Math.ceil((Date.parse(endDate) - Date.parse(startDate)) / (1000 * 60 * 60 * 24));
+    if (daysDiff > 31) {
+      throw new AppError('Date range cannot exceed 31 days', 400, 'DATE_RANGE_TOO_LARGE');
+    }
+
+    const store = await Store.findByPk(storeId);
+    if (!store) {
+      throw new NotFoundError('Store');
+    }
+
+    const timeslots = await TimeslotService.findForDays(store, startDate, endDate, { includeBlocked });
+
+    res.json({
+      success: true,
+      data: timeslots.map(TimeslotController.serialize),
+      meta: {
+        startDate,
+        endDate,
+        totalCount: timeslots.length
+      }
+    });
+  });
+
+  /**
+   * Override a slot's capacity, staff or allowed treatments
+   */
+  static updateTimeslot = catchAsync(async (req, res) => {
+    const timeslot = await TimeslotController.findTimeslot(req.params);
+
+    await TimeslotService.updateSlot(timeslot, req.body, req.user.id);
+
+    res.json({ success: true, data: TimeslotController.serialize(timeslot) });
+  });
+
+  /**
+   * Block a slot against new bookings
+   */
+  static blockTimeslot = catchAsync(async (req, res) => {
+    const timeslot = await TimeslotController.findTimeslot(req.params);
+
+    const { affectedBookings } = await TimeslotService.setBlocked(timeslot, true, req.body, req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        timeslot: TimeslotController.serialize(timeslot),
+        affectedBookings: affectedBookings.map(booking => ({
+          ...booking.toJSON(),
+          endDateTime: booking.getEndDateTime()
+        }))
+      }
+    });
+  });
+
+  /**
+   * Reopen a blocked slot
+   */
+  static unblockTimeslot = catchAsync(async (req, res) => {
+    const timeslot = await TimeslotController.findTimeslot(req.params);
+
+    await TimeslotService.setBlocked(timeslot, false, {}, req.user.id);
+
+    res.json({ success: true, data: TimeslotController.serialize(timeslot) });
+  });
+
+  /**
+   * Load a timeslot belonging to the store in the route
+   */
+  static async findTimeslot({ storeId, timeslotId }) {
+    const { Timeslot } = sequelize.models;
+
+    const timeslot = await Timeslot.findOne({ where: { id: timeslotId, storeId } });
+    if (!timeslot) {
+      throw new NotFoundError('Timeslot');
+    }
+
+    return timeslot;
+  }
+
+  /**
+   * Timeslot JSON with the management fields spelled out
+   */
+  static serialize(timeslot) {
+    return {
+      ...timeslot.toJSON(),
+      isBlocked: !timeslot.isActive,
+      availableCapacity: timeslot.getAvailableCapacity(),
+      availableStaff: timeslot.staffIds || [],
+      restrictedTreatments: timeslot.treatmentTypes || []
+    };
+  }
+}
+
+module.exports = TimeslotController;
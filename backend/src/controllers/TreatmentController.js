@@ -2,6 +2,7 @@ const { catchAsync, AppError, NotFoundError, AuthorizationError } = require('../
 const { sequelize } = require('../config/database');
 const logger = require('../utils/logger');
 const config = require('../config');
+const AvailabilityCacheService = require('../services/AvailabilityCacheService');
 
 class TreatmentController {
   /**
@@ -120,7 +121,7 @@ class TreatmentController {
    * Create new treatment
    */
   static createTreatment = catchAsync(async (req, res) => {
-    const { name, description, category, duration, price, requiredStaffLevel, requiredResources, maxConcurrentBookings, tags, storeId, metadata } = req.body;
+    const { name, description, category, duration, price, requiredStaffLevel, requiredResources, resourceRequirements, maxConcurrentBookings, bufferBeforeMinutes, bufferAfterMinutes, tags, storeId, metadata } = req.body;
 
     // Authorization check
     if (req.user.role === config.roles.STORE_ADMIN && req.user.storeId !== storeId) {
@@ -137,29 +138,21 @@ class TreatmentController {
       throw new NotFoundError('Store');
     }
 
-    // Validate required resources exist
-    if (requiredResources && requiredResources.length > 0) {
-      const resources = await sequelize.models.Resource.findAll({
-        where: {
-          id: { [sequelize.Sequelize.Op.in]: requiredResources },
-          storeId
-        }
-      });
-      
-      if (resources.length !== requiredResources.length) {
-        throw new AppError('Some required resources do not exist or do not belong to this store', 400, 'INVALID_RESOURCES');
-      }
-    }
-
-    const treatment = await sequelize.models.Treatment.create({
+    const treatment = sequelize.models.Treatment.build({
       name, description, category, duration, price, requiredStaffLevel, 
-      requiredResources: requiredResources || [], maxConcurrentBookings, 
+      requiredResources: requiredResources || [], resourceRequirements: resourceRequirements || [],
+      maxConcurrentBookings, bufferBeforeMinutes, bufferAfterMinutes,
       tags: tags || [], storeId, metadata, isActive: true
     });
 
-    // Associate with resources if specified
-    if (requiredResources && requiredResources.length > 0) {
-      await treatment.setResources(requiredResources);
+    // Validate required resources exist
+    await TreatmentController.assertStoreResources(treatment.getResourceIds(), storeId);
+
+    await treatment.save();
+
+    // Associate with every resource any requirement can use
+    if (treatment.getResourceIds().length > 0) {
+      await treatment.setResources(treatment.getResourceIds());
     }
 
     logger.logDatabaseOperation('create', 'treatments', treatment.id, { name: treatment.name, storeId, createdBy: req.user.id });
@@ -188,29 +181,25 @@ class TreatmentController {
       throw new AuthorizationError('Insufficient permissions to update treatments');
     }
 
+    const resourcesChanged = Boolean(updates.requiredResources || updates.resourceRequirements);
+    treatment.set(updates);
+
     // Validate required resources if being updated
-    if (updates.requiredResources) {
-      const resources = await sequelize.models.Resource.findAll({
-        where: {
-          id: { [sequelize.Sequelize.Op.in]: updates.requiredResources },
-          storeId: treatment.storeId
-        }
-      });
-      
-      if (resources.length !== updates.requiredResources.length) {
-        throw new AppError('Some required resources do not exist or do not belong to this store', 400, 'INVALID_RESOURCES');
-      }
+    if (resourcesChanged) {
+      await TreatmentController.assertStoreResources(treatment.getResourceIds(), treatment.storeId);
     }
 
-    await treatment.update(updates);
+    await treatment.save();
 
     // Update resource associations if specified
-    if (updates.requiredResources) {
-      await treatment.setResources(updates.requiredResources);
+    if (resourcesChanged) {
+      await treatment.setResources(treatment.getResourceIds());
     }
 
     logger.logDatabaseOperation('update', 'treatments', treatmentId, { updates, updatedBy: req.user.id });
 
+    await AvailabilityCacheService.invalidateTreatment(treatmentId, 'treatment_updated');
+
     res.json({ success: true, data: treatment.toJSON() });
   });
 
@@ -252,6 +241,8 @@ class TreatmentController {
 
     logger.logDatabaseOperation('delete', 'treatments', treatmentId, { deletedBy: req.user.id });
 
+    await AvailabilityCacheService.invalidateTreatment(treatmentId, 'treatment_deleted');
+
     res.json({ success: true, data: { message: 'Treatment deactivated successfully' } });
   });
 
@@ -285,6 +276,26 @@ class TreatmentController {
       }))
     });
   });
+
+  /**
+   * Ensure every referenced resource exists and belongs to the store
+   */
+  static async assertStoreResources(resourceIds, storeId) {
+    if (resourceIds.length === 0) {
+      return;
+    }
+
+    const count = await sequelize.models.Resource.count({
+      where: {
+        id: { [sequelize.Sequelize.Op.in]: resourceIds },
+        storeId
+      }
+    });
+
+    if (count !== resourceIds.length) {
+      throw new AppError('Some required resources do not exist or do not belong to this store', 400, 'INVALID_RESOURCES');
+    }
+  }
 }
 
 module.exports = TreatmentController;
\ No newline at end of file
@@ -2,6 +2,7 @@ const { catchAsync, AppError, NotFoundError, AuthorizationError } = require('../
 const { sequelize } = require('../config/database');
 const logger = require('../utils/logger');
 const config = require('../config');
+const AvailabilityCacheService = require('../services/AvailabilityCacheService');
 
 class UserController {
   /**
@@ -239,7 +240,9 @@ class UserController {
     delete updates.password;
 
     // Update user
+    const previousStoreId = user.storeId;
     await user.update(updates);
+    await UserController.invalidateAvailability(user, previousStoreId);
 
     logger.logDatabaseOperation('update', 'users', userId, { 
       updates,
@@ -282,6 +285,7 @@ class UserController {
 
     // Soft delete by deactivating
     await user.update({ isActive: false });
+    await UserController.invalidateAvailability(user);
 
     logger.logDatabaseOperation('delete', 'users', userId, { 
       deletedBy: req.user.id 
@@ -323,6 +327,7 @@ class UserController {
     }
 
     await user.update({ isActive });
+    await UserController.invalidateAvailability(user);
 
     logger.logDatabaseOperation('update', 'users', userId, { 
       statusChange: { isActive },
@@ -405,6 +410,18 @@ class UserController {
       }
     });
   });
+
+  /**
+   * Staff changes alter who can take bookings, so drop cached availability
+   * for the stores the user worked at before and after the change
+   */
+  static async invalidateAvailability(user, previousStoreId = user.storeId) {
+    for (const storeId of new Set([previousStoreId, user.storeId])) {
+      if (storeId) {
+        await AvailabilityCacheService.invalidateStore(storeId, 'staff_updated');
+      }
+    }
+  }
 }
 
 module.exports = UserController;
\ No newline at end of file
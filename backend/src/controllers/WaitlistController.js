@@ -0,0 +1,200 @@
+const { catchAsync, AppError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { sequelize } = require('../config/database');
+const WaitlistService = require('../services/WaitlistService');
+const WebhookEventService = require('../services/WebhookEventService');
+const StaffQualificationService = require('../services/StaffQualificationService');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+class WaitlistController {
+  /**
+   * List waitlist entries; customers see their own, store staff their store's
+   */
+  static getEntries = catchAsync(async (req, res) => {
+    const { page, limit, storeId, treatmentId, customerId, status } = req.query;
+    const { WaitlistEntry, User, Treatment } = sequelize.models;
+
+    const where = {};
+
+    // Role-based filtering
+    if (req.user.role === config.roles.CUSTOMER) {
+      where.customerId = req.user.id;
+    } else if ([config.roles.STORE_ADMIN, config.roles.STAFF].includes(req.user.role)) {
+      where.storeId = req.user.storeId;
+    } else if (storeId) {
+      where.storeId = storeId;
+    }
+
+    if (treatmentId) where.treatmentId = treatmentId;
+    if (status) where.status = status;
+    if (customerId && req.user.role !== config.roles.CUSTOMER) where.customerId = customerId;
+
+    const { count, rows: entries } = await WaitlistEntry.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: 'customer', attributes: ['id', 'firstName', 'lastName', 'email'] },
+        { model: Treatment, as: 'treatment', attributes: ['id', 'name', 'duration'] }
+      ],
+      limit,
+      offset: (page - 1) * limit,
+      // Longest-waiting first, matching the order offers are made in
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: entries.map(entry => entry.toJSON()),
+      meta: {
+        page,
+        limit,
+        totalCount: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  });
+
+  /**
+   * Get a waitlist entry
+   */
+  static getEntryById = catchAsync(async (req, res) => {
+    const entry = await WaitlistController.findEntry(req.params.entryId, req.user);
+
+    res.json({ success: true, data: entry.toJSON() });
+  });
+
+  /**
+   * Join the waitlist for a treatment over one or more days
+   */
+  static joinWaitlist = catchAsync(async (req, res) => {
+    const { customerId, storeId, treatmentId, staffId, startDate, endDate = startDate, notes } = req.body;
+    const { Treatment, Store, User } = sequelize.models;
+
+    const finalCustomerId = req.user.role === config.roles.CUSTOMER ? req.user.id : customerId;
+    if (!finalCustomerId) {
+      throw new AppError('Customer ID is required', 400, 'CUSTOMER_REQUIRED');
+    }
+
+    if ([config.roles.STORE_ADMIN, config.roles.STAFF].includes(req.user.role) && req.user.storeId !== storeId) {
+      throw new AuthorizationError('You can only manage the waitlist for your store');
+    }
+
+    if (endDate < startDate) {
+      throw new AppError('End date must not be before start date', 400, 'INVALID_DATE');
+    }
+
+    const treatment = await Treatment.findByPk(treatmentId, { include: [{ model: Store, as: 'store' }] });
+    if (!treatment || !treatment.isActive) {
+      throw new NotFoundError('Treatment');
+    }
+
+    if (treatment.storeId !== storeId) {
+      throw new AppError('Treatment does not belong to the specified store', 400, 'TREATMENT_STORE_MISMATCH');
+    }
+
+    const customer = await User.findByPk(finalCustomerId);
+    if (!customer || !customer.isActive) {
+      throw new NotFoundError('Customer');
+    }
+
+    if (staffId) {
+      const staff = await User.findByPk(staffId);
+      if (!staff || staff.storeId !== storeId || !['staff', 'store_admin'].includes(staff.role)) {
+        throw new AppError('Invalid staff assignment', 400, 'INVALID_STAFF');
+      }
+      await StaffQualificationService.assertQualified(treatment, staffId, treatment.store.getDayBounds(startDate).start);
+    }
+
+    const entry = await WaitlistService.joinWaitlist({
+      store: treatment.store,
+      treatment,
+      customerId: finalCustomerId,
+      staffId,
+      startDate,
+      endDate,
+      notes
+    }, req.user.id);
+
+    res.status(201).json({ success: true, data: entry.toJSON() });
+  });
+
+  /**
+   * Accept an offer, creating a pending booking for the held time
+   */
+  static acceptOffer = catchAsync(async (req, res) => {
+    const entry = await WaitlistController.findEntry(req.params.entryId, req.user);
+
+    const booking = await WaitlistService.acceptOffer(entry, req.user.id);
+
+    logger.logBookingEvent('booking_created', booking.id, req.user.id, {
+      customerId: booking.customerId,
+      storeId: booking.storeId,
+      treatmentId: booking.treatmentId,
+      bookingDateTime: new Date(booking.bookingDateTime).toISOString(),
+      waitlistEntryId: entry.id
+    });
+
+    WebhookEventService.emitBookingEvent(config.webhookEvents.BOOKING_CREATED, booking, {
+      actorId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        waitlistEntry: entry.toJSON(),
+        booking: booking.toJSON()
+      }
+    });
+  });
+
+  /**
+   * Decline an offer; the time moves to the next customer
+   */
+  static declineOffer = catchAsync(async (req, res) => {
+    const entry = await WaitlistController.findEntry(req.params.entryId, req.user);
+
+    await WaitlistService.declineOffer(entry, req.user.id);
+
+    res.json({ success: true, data: entry.toJSON() });
+  });
+
+  /**
+   * Leave the waitlist, passing on any open offer
+   */
+  static leaveWaitlist = catchAsync(async (req, res) => {
+    const entry = await WaitlistController.findEntry(req.params.entryId, req.user);
+
+    await WaitlistService.cancelEntry(entry, req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Left the waitlist successfully',
+        waitlistEntry: entry.toJSON()
+      }
+    });
+  });
+
+  /**
+   * Load a waitlist entry the user may act on
+   */
+  static async findEntry(entryId, user) {
+    const { WaitlistEntry } = sequelize.models;
+
+    const entry = await WaitlistEntry.findByPk(entryId);
+    if (!entry) {
+      throw new NotFoundError('Waitlist entry');
+    }
+
+    if (user.role === config.roles.CUSTOMER && entry.customerId !== user.id) {
+      throw new AuthorizationError('You can only access your own waitlist entries');
+    }
+
+    if ([config.roles.STORE_ADMIN, config.roles.STAFF].includes(user.role) && entry.storeId !== user.storeId) {
+      throw new AuthorizationError('You can only access waitlist entries from your store');
+    }
+
+    return entry;
+  }
+}
+
+module.exports = WaitlistController;
@@ -2,8 +2,8 @@ const { catchAsync, AppError, NotFoundError, AuthorizationError } = require('../
 const { sequelize } = require('../config/database');
 const logger = require('../utils/logger');
 const config = require('../config');
-const axios = require('axios');
 const crypto = require('crypto');
+const WebhookDeliveryService = require('../services/WebhookDeliveryService');
 
 class WebhookController {
   /**
@@ -118,7 +118,9 @@ class WebhookController {
       throw new NotFoundError('Webhook subscription');
     }
 
-    await subscription.update(updates);
+    // Re-enabling a disabled webhook starts its dead-letter count afresh
+    const reactivating = updates.isActive === true && !subscription.isActive;
+    await subscription.update(reactivating ? { ...updates, retryCount: 0 } : updates);
 
     logger.logWebhookEvent('subscription_updated', subscriptionId, null, {
       updates,
@@ -217,49 +219,10 @@ class WebhookController {
   });
 
   /**
-   * Send webhook to a subscription
+   * Send webhook to a subscription and record the delivery attempt
    */
-  static async sendWebhook(subscription, payload) {
-    const startTime = Date.now();
-    
-    try {
-      const payloadString = JSON.stringify(payload);
-      const signature = subscription.generateSignature(payloadString);
-      
-      const response = await axios.post(subscription.url, payload, {
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Signature': signature,
-          'X-Timestamp': Math.floor(Date.now() / 1000).toString(),
-          'User-Agent': 'TreatmentBookingSystem-Webhook/1.0'
-        },
-        timeout: 30000 // 30 seconds timeout
-      });
-
-      const responseTime = Date.now() - startTime;
-
-      // Record success
-      await subscription.recordSuccess();
-
-      return {
-        success: true,
-        statusCode: response.status,
-        responseTime,
-        response: response.data
-      };
-    } catch (error) {
-      const responseTime = Date.now() - startTime;
-      
-      // Record failure
-      await subscription.recordFailure(error.message);
-
-      return {
-        success: false,
-        error: error.message,
-        responseTime,
-        statusCode: error.response?.status || null
-      };
-    }
+  static async sendWebhook(subscription, payload, options = {}) {
+    return WebhookDeliveryService.send(subscription, payload, options);
   }
 
   /**
@@ -267,47 +230,7 @@ class WebhookController {
    */
   static async triggerWebhooks(eventType, data) {
     try {
-      const subscriptions = await sequelize.models.WebhookSubscription.findActiveForEvent(eventType);
-      
-      if (subscriptions.length === 0) {
-        return { sent: 0, failed: 0 };
-      }
-
-      const payload = {
-        eventType,
-        timestamp: new Date().toISOString(),
-        data
-      };
-
-      let sent = 0;
-      let failed = 0;
-
-      const promises = subscriptions.map(async (subscription) => {
-        try {
-          const result = await WebhookController.sendWebhook(subscription, payload);
-          if (result.success) {
-            sent++;
-          } else {
-            failed++;
-          }
-          
-          logger.logWebhookEvent('webhook_triggered', subscription.id, eventType, {
-            success: result.success,
-            responseTime: result.responseTime
-          });
-        } catch (error) {
-          failed++;
-          logger.logError(error, {
-            context: 'webhook_trigger',
-            subscriptionId: subscription.id,
-            eventType
-          });
-        }
-      });
-
-      await Promise.all(promises);
-
-      return { sent, failed };
+      return await WebhookDeliveryService.dispatch(eventType, data);
     } catch (error) {
       logger.logError(error, {
         context: 'trigger_webhooks',
@@ -322,20 +245,36 @@ class WebhookController {
    */
   static getDeliveryLogs = catchAsync(async (req, res) => {
     const { subscriptionId } = req.params;
-    const { page = 1, limit = 50 } = req.query;
+    const { page = 1, limit = 50, status, eventType, startDate, endDate } = req.query;
 
     if (req.user.role !== config.roles.SUPER_ADMIN) {
       throw new AuthorizationError('Only super admins can view webhook logs');
     }
 
-    // This would typically query a webhook_deliveries table
-    // For now, we'll return a placeholder response
+    const subscription = await sequelize.models.WebhookSubscription.findByPk(subscriptionId);
+    if (!subscription) {
+      throw new NotFoundError('Webhook subscription');
+    }
+
+    const offset = (page - 1) * limit;
+
+    const { count, rows: deliveries } = await sequelize.models.WebhookDelivery.findForSubscription(subscriptionId, {
+      status,
+      eventType,
+      startDate: startDate ? new Date(startDate) : null,
+      endDate: endDate ? new Date(endDate) : null,
+      limit: parseInt(limit),
+      offset
+    });
+
     res.json({
       success: true,
-      data: {
-        message: 'Webhook delivery logs - Implementation pending',
-        subscriptionId,
-        note: 'This feature requires a separate webhook_deliveries table to track delivery attempts'
+      data: deliveries.map(delivery => delivery.toJSON()),
+      meta: {
+        page: parseInt(page),
+        pageSize: parseInt(limit),
+        totalCount: count,
+        totalPages: Math.ceil(count / limit)
       }
     });
   });
@@ -348,29 +287,94 @@ class WebhookController {
       throw new AuthorizationError('Only super admins can retry failed webhooks');
     }
 
-    const failedWebhooks = await sequelize.models.WebhookSubscription.findFailedWebhooks();
-    
-    let retried = 0;
-    let stillFailed = 0;
-
-    for (const webhook of failedWebhooks) {
-      if (webhook.shouldRetry()) {
-        // In a real implementation, you would re-send the failed webhook
-        // For now, we'll just reset the retry count
-        await webhook.resetRetries();
-        retried++;
-      } else {
-        stillFailed++;
+    // Re-deliver every queued event now instead of waiting for its backoff,
+    // leaving deliveries still in flight to their current attempt
+    const summary = await WebhookDeliveryService.processDueDeliveries({ force: true });
+
+    logger.logWebhookEvent('manual_retry', null, null, {
+      ...summary,
+      triggeredBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Retry operation completed',
+        retried: summary.processed,
+        delivered: summary.delivered,
+        stillFailed: summary.retrying,
+        deadLettered: summary.deadLettered,
+        totalProcessed: summary.processed
+      }
+    });
+  });
+
+  /**
+   * Get dead-lettered webhook deliveries
+   */
+  static getDeadLetters = catchAsync(async (req, res) => {
+    const { page = 1, limit = 50, subscriptionId, eventType } = req.query;
+
+    if (req.user.role !== config.roles.SUPER_ADMIN) {
+      throw new AuthorizationError('Only super admins can view dead-lettered webhooks');
+    }
+
+    const offset = (page - 1) * limit;
+
+    const { count, rows: items } = await sequelize.models.WebhookOutbox.findDeadLetters({
+      subscriptionId,
+      eventType,
+      limit: parseInt(limit),
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: items.map(item => item.toJSON()),
+      meta: {
+        page: parseInt(page),
+        pageSize: parseInt(limit),
+        totalCount: count,
+        totalPages: Math.ceil(count / limit)
       }
+    });
+  });
+
+  /**
+   * Replay a dead-lettered webhook delivery
+   */
+  static replayDeadLetter = catchAsync(async (req, res) => {
+    const { outboxId } = req.params;
+
+    if (req.user.role !== config.roles.SUPER_ADMIN) {
+      throw new AuthorizationError('Only super admins can replay webhooks');
+    }
+
+    const item = await sequelize.models.WebhookOutbox.findByPk(outboxId);
+    if (!item) {
+      throw new NotFoundError('Webhook delivery');
+    }
+
+    if (item.status !== 'dead_letter') {
+      throw new AppError('Only dead-lettered deliveries can be replayed', 409, 'DELIVERY_NOT_DEAD_LETTERED');
     }
 
+    const result = await WebhookDeliveryService.replay(item);
+
+    logger.logWebhookEvent('dead_letter_replayed', item.subscriptionId, item.eventType, {
+      outboxId,
+      success: result.success,
+      replayedBy: req.user.id
+    });
+
     res.json({
       success: true,
       data: {
-        message: 'Retry operation completed',
-        retried,
-        stillFailed,
-        totalProcessed: failedWebhooks.length
+        message: result.success
+          ? 'Webhook replayed successfully'
+          : `Webhook replay failed${result.deadLettered ? '' : ' and was re-queued for retry'}`,
+        delivery: item.toJSON(),
+        result
       }
     });
   });
@@ -38,8 +38,9 @@ class NotFoundError extends AppError {
 }
 
 class ConflictError extends AppError {
-  constructor(message) {
+  constructor(message, details = null) {
     super(message, 409, 'CONFLICT_ERROR');
+    this.details = details;
   }
 }
 
@@ -124,7 +125,8 @@ const sendErrorProd = (err, res) => {
       success: false,
       error: {
         code: err.code || 'OPERATIONAL_ERROR',
-        message: err.message
+        message: err.message,
+        details: err.details || null
       },
       data: null
     });
@@ -1,6 +1,7 @@
 const Joi = require('joi');
 const { ValidationError } = require('./errorHandler');
 const logger = require('../utils/logger');
+const config = require('../config');
 
 /**
  * Middleware factory for request validation
@@ -113,7 +114,16 @@ const schemas = {
         closed: Joi.boolean().default(false)
       })
     ).optional(),
-    settings: Joi.object().optional(),
+    settings: Joi.object({
+      staffAssignment: Joi.object({
+        strategy: Joi.string().valid('manual', 'round_robin', 'least_loaded', 'preferred_staff', 'skill_match').optional(),
+        assignOn: Joi.string().valid('create', 'confirm').optional()
+      }).optional(),
+      slots: Joi.object({
+        mode: Joi.string().valid('timeslots', 'dynamic', 'auto').optional(),
+        stepMinutes: Joi.number().integer().valid(5, 10, 15, 20, 30, 60).optional()
+      }).optional()
+    }).unknown(true).optional(),
     metadata: Joi.object().optional()
   }),
 
@@ -140,10 +150,133 @@ const schemas = {
       })
     ).optional(),
     isActive: Joi.boolean().optional(),
-    settings: Joi.object().optional(),
+    settings: Joi.object({
+      staffAssignment: Joi.object({
+        strategy: Joi.string().valid('manual', 'round_robin', 'least_loaded', 'preferred_staff', 'skill_match').optional(),
+        assignOn: Joi.string().valid('create', 'confirm').optional()
+      }).optional(),
+      slots: Joi.object({
+        mode: Joi.string().valid('timeslots', 'dynamic', 'auto').optional(),
+        stepMinutes: Joi.number().integer().valid(5, 10, 15, 20, 30, 60).optional()
+      }).optional()
+    }).unknown(true).optional(),
     metadata: Joi.object().optional()
   }),
 
+  // Store exception schemas (dates are calendar days in the store's timezone)
+  storeException: Joi.object({
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+    type: Joi.string().valid('closure', 'special_hours').default('closure'),
+    open: Joi.string().pattern(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).when('type', { is: 'special_hours', then: Joi.required(), otherwise: Joi.forbidden() }),
+    close: Joi.string().pattern(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).when('type', { is: 'special_hours', then: Joi.required(), otherwise: Joi.forbidden() }),
+    isRecurring: Joi.boolean().default(false),
+    name: Joi.string().max(255).optional(),
+    metadata: Joi.object().optional()
+  }),
+
+  storeExceptionUpdate: Joi.object({
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    type: Joi.string().valid('closure', 'special_hours').optional(),
+    open: Joi.string().pattern(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).allow(null).optional(),
+    close: Joi.string().pattern(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).allow(null).optional(),
+    isRecurring: Joi.boolean().optional(),
+    name: Joi.string().max(255).allow(null).optional(),
+    metadata: Joi.object().optional()
+  }).min(1),
+
+  storeExceptionQuery: Joi.object({
+    startDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    endDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    type: Joi.string().valid('closure', 'special_hours').optional()
+  }),
+
+  storeHolidayImport: Joi.object({
+    holidays: Joi.array().items(Joi.object({
+      date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+      name: Joi.string().max(255).required(),
+      isRecurring: Joi.boolean().default(false)
+    })).min(1).max(366).required(),
+    countryCode: Joi.string().length(2).uppercase().optional(),
+    replaceExisting: Joi.boolean().default(false)
+  }),
+
+  // Timeslot management schemas (dates are calendar days in the store's timezone)
+  timeslotQuery: Joi.object({
+    startDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+    endDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    includeBlocked: Joi.boolean().default(true)
+  }),
+
+  timeslotUpdate: Joi.object({
+    maxCapacity: Joi.number().integer().min(1).max(100).optional(),
+    availableStaff: Joi.array().items(Joi.string().uuid()).max(100).optional(),
+    restrictedTreatments: Joi.array().items(Joi.string().uuid()).max(100).optional()
+  }).min(1),
+
+  timeslotBlock: Joi.object({
+    reason: Joi.string().max(500).optional()
+  }),
+
+  // Staff schedule schemas (dates and times are in the store's timezone)
+  staffShifts: Joi.object({
+    shifts: Joi.array().items(Joi.object({
+      dayOfWeek: Joi.string().valid('monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday').required(),
+      startTime: Joi.string().pattern(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).required(),
+      endTime: Joi.string().pattern(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).required(),
+      breaks: Joi.array().items(Joi.object({
+        start: Joi.string().pattern(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).required(),
+        end: Joi.string().pattern(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).required(),
+        label: Joi.string().max(100).optional()
+      })).default([]),
+      effectiveFrom: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow(null).optional(),
+      effectiveTo: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow(null).optional(),
+      isActive: Joi.boolean().default(true)
+    })).max(50).required()
+  }),
+
+  staffTimeOff: Joi.object({
+    type: Joi.string().valid('vacation', 'personal', 'sick', 'training', 'other').default('vacation'),
+    startDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+    endDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+    startTime: Joi.string().pattern(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).optional(),
+    endTime: Joi.string().pattern(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).optional(),
+    reason: Joi.string().max(1000).optional(),
+    approve: Joi.boolean().default(false)
+  }),
+
+  staffTimeOffReview: Joi.object({
+    status: Joi.string().valid('approved', 'rejected').required(),
+    notes: Joi.string().max(1000).optional()
+  }),
+
+  staffTimeOffQuery: Joi.object({
+    status: Joi.string().valid('pending', 'approved', 'rejected', 'cancelled').optional(),
+    startDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    endDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  // Staff qualification schemas
+  staffQualification: Joi.object({
+    treatmentId: Joi.string().uuid().required(),
+    skillLevel: Joi.string().valid('junior', 'senior', 'expert').default('junior'),
+    certifiedAt: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    expiresAt: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    certificationReference: Joi.string().max(255).optional(),
+    notes: Joi.string().max(1000).optional(),
+    isActive: Joi.boolean().default(true)
+  }),
+
+  staffQualificationUpdate: Joi.object({
+    skillLevel: Joi.string().valid('junior', 'senior', 'expert').optional(),
+    certifiedAt: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow(null).optional(),
+    expiresAt: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow(null).optional(),
+    certificationReference: Joi.string().max(255).allow(null).optional(),
+    notes: Joi.string().max(1000).allow(null).optional(),
+    isActive: Joi.boolean().optional()
+  }).min(1),
+
   // Treatment schemas
   treatmentCreation: Joi.object({
     name: Joi.string().min(1).max(255).required(),
@@ -156,7 +289,13 @@ const schemas = {
     }).required(),
     requiredStaffLevel: Joi.string().valid('junior', 'senior', 'expert', 'any').default('any'),
     requiredResources: Joi.array().items(Joi.string().uuid()).default([]),
+    resourceRequirements: Joi.array().items(Joi.object({
+      resourceIds: Joi.array().items(Joi.string().uuid()).min(1).unique().required(),
+      label: Joi.string().max(100).optional()
+    })).default([]),
     maxConcurrentBookings: Joi.number().integer().min(1).max(100).default(1),
+    bufferBeforeMinutes: Joi.number().integer().min(0).max(240).allow(null).optional(),
+    bufferAfterMinutes: Joi.number().integer().min(0).max(240).allow(null).optional(),
     tags: Joi.array().items(Joi.string()).default([]),
     storeId: Joi.string().uuid().required(),
     metadata: Joi.object().optional()
@@ -173,7 +312,13 @@ const schemas = {
     }).optional(),
     requiredStaffLevel: Joi.string().valid('junior', 'senior', 'expert', 'any').optional(),
     requiredResources: Joi.array().items(Joi.string().uuid()).optional(),
+    resourceRequirements: Joi.array().items(Joi.object({
+      resourceIds: Joi.array().items(Joi.string().uuid()).min(1).unique().required(),
+      label: Joi.string().max(100).optional()
+    })).optional(),
     maxConcurrentBookings: Joi.number().integer().min(1).max(100).optional(),
+    bufferBeforeMinutes: Joi.number().integer().min(0).max(240).allow(null).optional(),
+    bufferAfterMinutes: Joi.number().integer().min(0).max(240).allow(null).optional(),
     isActive: Joi.boolean().optional(),
     tags: Joi.array().items(Joi.string()).optional(),
     metadata: Joi.object().optional()
@@ -198,13 +343,122 @@ const schemas = {
     metadata: Joi.object().optional()
   }),
 
+  bookingStatusUpdate: Joi.object({
+    status: Joi.string().valid('pending', 'confirmed', 'in_progress', 'completed', 'cancelled', 'no_show').required(),
+    reason: Joi.string().max(500).optional()
+  }),
+
+  bookingReschedule: Joi.object({
+    bookingDateTime: Joi.date().iso().min('now').required(),
+    staffId: Joi.string().uuid().allow(null).optional(),
+    reason: Joi.string().max(500).optional()
+  }),
+
+  // Recurring series schemas
+  bookingSeries: Joi.object({
+    customerId: Joi.string().uuid().optional(), // Optional because it can be taken from auth
+    storeId: Joi.string().uuid().required(),
+    treatmentId: Joi.string().uuid().required(),
+    staffId: Joi.string().uuid().optional(),
+    bookingDateTime: Joi.date().iso().min('now').required(), // First occurrence
+    recurrence: Joi.object({
+      frequency: Joi.string().valid('daily', 'weekly').required(),
+      interval: Joi.number().integer().min(1).max(52).default(1),
+      byWeekday: Joi.array()
+        .items(Joi.string().valid('monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'))
+        .min(1)
+        .unique()
+        .when('frequency', { is: 'weekly', otherwise: Joi.forbidden() }),
+      count: Joi.number().integer().min(1).max(config.booking.series.maxOccurrences),
+      until: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)
+    }).xor('count', 'until').required(),
+    notes: Joi.string().max(1000).optional()
+  }),
+
+  bookingSeriesQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    storeId: Joi.string().uuid().optional(),
+    customerId: Joi.string().uuid().optional(),
+    status: Joi.string().valid('active', 'cancelled').optional()
+  }),
+
+  bookingSeriesOccurrence: Joi.object({
+    bookingDateTime: Joi.date().iso().min('now').required(),
+    occurrence: Joi.number().integer().min(1).optional() // The failed occurrence this replaces
+  }),
+
+  bookingSeriesCancellation: Joi.object({
+    scope: Joi.string().valid('single', 'following', 'all').required(),
+    bookingId: Joi.string().uuid().when('scope', { is: 'all', then: Joi.optional(), otherwise: Joi.required() }),
+    reason: Joi.string().max(500).optional()
+  }),
+
+  bookingSeriesReschedule: Joi.object({
+    scope: Joi.string().valid('single', 'following', 'all').required(),
+    bookingId: Joi.string().uuid().when('scope', { is: 'all', then: Joi.optional(), otherwise: Joi.required() }),
+    bookingDateTime: Joi.date().iso().min('now').required(),
+    staffId: Joi.string().uuid().allow(null).optional(),
+    reason: Joi.string().max(500).optional()
+  }),
+
+  // Appointment group schemas
+  appointmentGroup: Joi.object({
+    customerId: Joi.string().uuid().optional(), // Optional because it can be taken from auth
+    storeId: Joi.string().uuid().required(),
+    bookingDateTime: Joi.date().iso().min('now').required(), // Start of the first segment
+    segments: Joi.array().items(Joi.object({
+      treatmentId: Joi.string().uuid().required(),
+      staffId: Joi.string().uuid().optional(),
+      timing: Joi.string().valid('sequential', 'parallel').default('sequential')
+    })).min(2).max(config.booking.groups.maxSegments).required(),
+    notes: Joi.string().max(1000).optional()
+  }),
+
+  appointmentGroupCancellation: Joi.object({
+    cancellationReason: Joi.string().max(500).optional()
+  }),
+
+  // Checkout hold schemas
+  bookingHold: Joi.object({
+    customerId: Joi.string().uuid().optional(), // Optional because it can be taken from auth
+    storeId: Joi.string().uuid().required(),
+    treatmentId: Joi.string().uuid().required(),
+    staffId: Joi.string().uuid().optional(),
+    bookingDateTime: Joi.date().iso().min('now').required(),
+    holdMinutes: Joi.number().integer().min(1).max(config.booking.holds.maxMinutes).optional()
+  }),
+
+  bookingHoldConfirmation: Joi.object({
+    notes: Joi.string().max(1000).optional()
+  }),
+
+  // Waitlist schemas
+  waitlistEntry: Joi.object({
+    customerId: Joi.string().uuid().optional(), // Optional because it can be taken from auth
+    storeId: Joi.string().uuid().required(),
+    treatmentId: Joi.string().uuid().required(),
+    staffId: Joi.string().uuid().optional(),
+    startDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+    endDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    notes: Joi.string().max(1000).optional()
+  }),
+
+  waitlistQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    storeId: Joi.string().uuid().optional(),
+    treatmentId: Joi.string().uuid().optional(),
+    customerId: Joi.string().uuid().optional(),
+    status: Joi.string().valid('waiting', 'offered', 'booked', 'declined', 'expired', 'cancelled').optional()
+  }),
+
   // Resource schemas
   resourceCreation: Joi.object({
     name: Joi.string().min(1).max(255).required(),
     description: Joi.string().optional(),
     type: Joi.string().valid('room', 'equipment', 'tool', 'other').required(),
     capacity: Joi.number().integer().min(1).max(100).default(1),
-    storeId: Joi.string().uuid().required(),
     specifications: Joi.object().optional(),
     metadata: Joi.object().optional()
   }),
@@ -219,6 +473,73 @@ const schemas = {
     metadata: Joi.object().optional()
   }),
 
+  resourceQuery: Joi.object({
+    type: Joi.string().valid('room', 'equipment', 'tool', 'other').optional(),
+    includeInactive: Joi.boolean().default(false)
+  }),
+
+  // Dates are calendar days in the store's timezone
+  resourceScheduleQuery: Joi.object({
+    startDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+    endDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required()
+  }),
+
+  resourceMaintenance: Joi.object({
+    type: Joi.string().valid('maintenance', 'repair', 'cleaning', 'out_of_service').default('maintenance'),
+    startTime: Joi.date().iso().required(),
+    endTime: Joi.date().iso().greater(Joi.ref('startTime')).required(),
+    reason: Joi.string().max(1000).optional()
+  }),
+
+  resourceMaintenanceUpdate: Joi.object({
+    type: Joi.string().valid('maintenance', 'repair', 'cleaning', 'out_of_service').optional(),
+    startTime: Joi.date().iso().optional(),
+    endTime: Joi.date().iso().when('startTime', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('startTime')) }).optional(),
+    reason: Joi.string().max(1000).allow(null).optional()
+  }).min(1),
+
+  resourceMaintenanceQuery: Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional()
+  }),
+
+  // Class session schemas
+  classSession: Joi.object({
+    treatmentId: Joi.string().uuid().required(),
+    instructorId: Joi.string().uuid().required(),
+    roomId: Joi.string().uuid().optional(),
+    title: Joi.string().max(255).optional(), // Defaults to the treatment name
+    startTime: Joi.date().iso().min('now').required(),
+    capacity: Joi.number().integer().min(1).max(config.booking.classes.maxSeats).required(),
+    minAttendees: Joi.number().integer().min(0).max(Joi.ref('capacity')).default(0),
+    notes: Joi.string().max(1000).optional()
+  }),
+
+  classSessionQuery: Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional(),
+    treatmentId: Joi.string().uuid().optional(),
+    instructorId: Joi.string().uuid().optional(),
+    status: Joi.string().valid('scheduled', 'cancelled').optional()
+  }),
+
+  classSessionCancellation: Joi.object({
+    cancellationReason: Joi.string().max(500).optional()
+  }),
+
+  classSeat: Joi.object({
+    customerId: Joi.string().uuid().optional(), // Optional because it can be taken from auth
+    notes: Joi.string().max(1000).optional()
+  }),
+
+  classSeatCancellation: Joi.object({
+    cancellationReason: Joi.string().max(500).optional()
+  }),
+
+  classRosterQuery: Joi.object({
+    format: Joi.string().valid('json', 'csv').default('json')
+  }),
+
   // Webhook schemas
   webhookSubscription: Joi.object({
     url: Joi.string().uri().required(),
@@ -228,7 +549,12 @@ const schemas = {
         'booking.updated', 
         'booking.cancelled',
         'booking.completed',
-        'availability.changed'
+        'availability.changed',
+        'waitlist.offered',
+        'waitlist.accepted',
+        'waitlist.declined',
+        'waitlist.expired',
+        'class.cancelled'
       )
     ).min(1).required(),
     maxRetries: Joi.number().integer().min(0).max(10).default(3),
@@ -243,12 +569,33 @@ const schemas = {
         'booking.updated',
         'booking.cancelled', 
         'booking.completed',
-        'availability.changed'
+        'availability.changed',
+        'waitlist.offered',
+        'waitlist.accepted',
+        'waitlist.declined',
+        'waitlist.expired',
+        'class.cancelled'
       )
     ).min(1).optional(),
     isActive: Joi.boolean().optional(),
     maxRetries: Joi.number().integer().min(0).max(10).optional(),
     metadata: Joi.object().optional()
+  }),
+
+  webhookDeliveryQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+    status: Joi.string().valid('success', 'failed').optional(),
+    eventType: Joi.string().optional(),
+    startDate: Joi.date().iso().optional(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).optional()
+  }),
+
+  webhookDeadLetterQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+    subscriptionId: Joi.string().uuid().optional(),
+    eventType: Joi.string().optional()
   })
 };
 
@@ -268,17 +615,65 @@ const validatePasswordChange = validate(schemas.passwordChange);
 const validateStoreCreation = validate(schemas.storeCreation);
 const validateStoreUpdate = validate(schemas.storeUpdate);
 
+const validateStoreException = validate(schemas.storeException);
+const validateStoreExceptionUpdate = validate(schemas.storeExceptionUpdate);
+const validateStoreExceptionQuery = validate(schemas.storeExceptionQuery, 'query');
+const validateStoreHolidayImport = validate(schemas.storeHolidayImport);
+
+const validateTimeslotQuery = validate(schemas.timeslotQuery, 'query');
+const validateTimeslotUpdate = validate(schemas.timeslotUpdate);
+const validateTimeslotBlock = validate(schemas.timeslotBlock);
+
+const validateStaffShifts = validate(schemas.staffShifts);
+const validateStaffTimeOff = validate(schemas.staffTimeOff);
+const validateStaffTimeOffReview = validate(schemas.staffTimeOffReview);
+const validateStaffTimeOffQuery = validate(schemas.staffTimeOffQuery, 'query');
+
+const validateStaffQualification = validate(schemas.staffQualification);
+const validateStaffQualificationUpdate = validate(schemas.staffQualificationUpdate);
+
 const validateTreatmentCreation = validate(schemas.treatmentCreation);
 const validateTreatmentUpdate = validate(schemas.treatmentUpdate);
 
 const validateBookingCreation = validate(schemas.bookingCreation);
 const validateBookingUpdate = validate(schemas.bookingUpdate);
+const validateBookingStatusUpdate = validate(schemas.bookingStatusUpdate);
+const validateBookingReschedule = validate(schemas.bookingReschedule);
+
+const validateBookingSeries = validate(schemas.bookingSeries);
+const validateBookingSeriesQuery = validate(schemas.bookingSeriesQuery, 'query');
+const validateBookingSeriesOccurrence = validate(schemas.bookingSeriesOccurrence);
+const validateBookingSeriesCancellation = validate(schemas.bookingSeriesCancellation);
+const validateBookingSeriesReschedule = validate(schemas.bookingSeriesReschedule);
+
+const validateAppointmentGroup = validate(schemas.appointmentGroup);
+const validateAppointmentGroupCancellation = validate(schemas.appointmentGroupCancellation);
+
+const validateBookingHold = validate(schemas.bookingHold);
+const validateBookingHoldConfirmation = validate(schemas.bookingHoldConfirmation);
+
+const validateWaitlistEntry = validate(schemas.waitlistEntry);
+const validateWaitlistQuery = validate(schemas.waitlistQuery, 'query');
 
 const validateResourceCreation = validate(schemas.resourceCreation);
 const validateResourceUpdate = validate(schemas.resourceUpdate);
+const validateResourceQuery = validate(schemas.resourceQuery, 'query');
+const validateResourceScheduleQuery = validate(schemas.resourceScheduleQuery, 'query');
+const validateResourceMaintenance = validate(schemas.resourceMaintenance);
+const validateResourceMaintenanceUpdate = validate(schemas.resourceMaintenanceUpdate);
+const validateResourceMaintenanceQuery = validate(schemas.resourceMaintenanceQuery, 'query');
+
+const validateClassSession = validate(schemas.classSession);
+const validateClassSessionQuery = validate(schemas.classSessionQuery, 'query');
+const validateClassSessionCancellation = validate(schemas.classSessionCancellation);
+const validateClassSeat = validate(schemas.classSeat);
+const validateClassSeatCancellation = validate(schemas.classSeatCancellation);
+const validateClassRosterQuery = validate(schemas.classRosterQuery, 'query');
 
 const validateWebhookSubscription = validate(schemas.webhookSubscription);
 const validateWebhookUpdate = validate(schemas.webhookUpdate);
+const validateWebhookDeliveryQuery = validate(schemas.webhookDeliveryQuery, 'query');
+const validateWebhookDeadLetterQuery = validate(schemas.webhookDeadLetterQuery, 'query');
 
 const validatePagination = validate(schemas.pagination, 'query');
 const validateDateRange = validate(schemas.dateRange, 'query');
@@ -293,14 +688,53 @@ module.exports = {
   validatePasswordChange,
   validateStoreCreation,
   validateStoreUpdate,
+  validateStoreException,
+  validateStoreExceptionUpdate,
+  validateStoreExceptionQuery,
+  validateStoreHolidayImport,
+  validateTimeslotQuery,
+  validateTimeslotUpdate,
+  validateTimeslotBlock,
+  validateStaffShifts,
+  validateStaffTimeOff,
+  validateStaffTimeOffReview,
+  validateStaffTimeOffQuery,
+  validateStaffQualification,
+  validateStaffQualificationUpdate,
   validateTreatmentCreation,
   validateTreatmentUpdate,
   validateBookingCreation,
   validateBookingUpdate,
+  validateBookingStatusUpdate,
+  validateBookingReschedule,
+  validateBookingSeries,
+  validateBookingSeriesQuery,
+  validateBookingSeriesOccurrence,
+  validateBookingSeriesCancellation,
+  validateBookingSeriesReschedule,
+  validateAppointmentGroup,
+  validateAppointmentGroupCancellation,
+  validateBookingHold,
+  validateBookingHoldConfirmation,
+  validateWaitlistEntry,
+  validateWaitlistQuery,
   validateResourceCreation,
   validateResourceUpdate,
+  validateResourceQuery,
+  validateResourceScheduleQuery,
+  validateResourceMaintenance,
+  validateResourceMaintenanceUpdate,
+  validateResourceMaintenanceQuery,
+  validateClassSession,
+  validateClassSessionQuery,
+  validateClassSessionCancellation,
+  validateClassSeat,
+  validateClassSeatCancellation,
+  validateClassRosterQuery,
   validateWebhookSubscription,
   validateWebhookUpdate,
+  validateWebhookDeliveryQuery,
+  validateWebhookDeadLetterQuery,
   validatePagination,
   validateDateRange
 };
\ No newline at end of file
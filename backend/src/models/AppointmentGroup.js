@@ -0,0 +1,175 @@
+const { DataTypes } = require('sequelize');
+const config = require('../config');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AppointmentGroup:
+ *       type: object
+ *       required:
+ *         - storeId
+ *         - customerId
+ *         - startTime
+ *         - endTime
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Unique identifier for the appointment group
+ *         storeId:
+ *           type: string
+ *           format: uuid
+ *           description: Store the visit is at
+ *         customerId:
+ *           type: string
+ *           format: uuid
+ *           description: Customer the visit is for
+ *         startTime:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the first segment
+ *         endTime:
+ *           type: string
+ *           format: date-time
+ *           description: End of the last segment
+ *         status:
+ *           type: string
+ *           enum: [active, cancelled]
+ *         totalPrice:
+ *           type: object
+ *           description: Combined price of all segments when booked
+ *           properties:
+ *             amount:
+ *               type: number
+ *             currency:
+ *               type: string
+ *         notes:
+ *           type: string
+ *           description: Notes carried onto every segment
+ *         metadata:
+ *           type: object
+ *           description: Additional group data
+ */
+
+module.exports = (sequelize) => {
+  const AppointmentGroup = sequelize.define('AppointmentGroup', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    storeId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    customerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    startTime: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    endTime: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    totalPrice: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {
+        amount: 0,
+        currency: 'USD'
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'appointment_groups',
+    indexes: [
+      {
+        fields: ['customer_id', 'start_time']
+      },
+      {
+        fields: ['store_id', 'start_time']
+      }
+    ]
+  });
+
+  // Instance methods
+  // The group as customers see it: one visit spanning its segments, priced from those still booked
+  AppointmentGroup.prototype.toVisit = function(segments) {
+    const active = segments.filter(segment =>
+      ![config.bookingStatus.CANCELLED, config.bookingStatus.NO_SHOW].includes(segment.status)
+    );
+
+    return {
+      ...this.toJSON(),
+      type: 'visit',
+      price: AppointmentGroup.combinePrices(active.map(segment => segment.price), this.totalPrice.currency),
+      segments: [...segments]
+        .sort((a, b) => a.groupPosition - b.groupPosition)
+        .map(segment => (segment.toJSON ? segment.toJSON() : segment))
+    };
+  };
+
+  // Class methods
+  AppointmentGroup.associate = (models) => {
+    AppointmentGroup.belongsTo(models.Store, {
+      foreignKey: 'storeId',
+      as: 'store'
+    });
+
+    AppointmentGroup.belongsTo(models.User, {
+      foreignKey: 'customerId',
+      as: 'customer'
+    });
+
+    // One booking per treatment in the visit
+    AppointmentGroup.hasMany(models.Booking, {
+      foreignKey: 'groupId',
+      as: 'segments'
+    });
+  };
+
+  // Sum segment prices; a visit is priced in a single currency
+  AppointmentGroup.combinePrices = function(prices, currency = prices[0]?.currency || 'USD') {
+    if (prices.some(price => price.currency !== currency)) {
+      throw new Error('Appointment group segments must share a currency');
+    }
+
+    const cents = prices.reduce((total, price) => total + Math.round(Number(price.amount) * 100), 0);
+    return { amount: cents / 100, currency };
+  };
+
+  return AppointmentGroup;
+};
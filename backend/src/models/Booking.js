@@ -41,10 +41,35 @@ const config = require('../config');
  *         duration:
  *           type: integer
  *           description: Booking duration in minutes
+ *         bufferBeforeMinutes:
+ *           type: integer
+ *           description: Preparation time kept free before the booking
+ *         bufferAfterMinutes:
+ *           type: integer
+ *           description: Cleanup and turnover time kept free after the booking
  *         status:
  *           type: string
- *           enum: [pending, confirmed, in_progress, completed, cancelled, no_show]
- *           description: Current booking status
+ *           enum: [pending, confirmed, in_progress, completed, cancelled, no_show, held]
+ *           description: Current booking status; 'held' marks a temporary checkout hold
+ *         holdExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When a held booking is released unless confirmed
+ *         seriesId:
+ *           type: string
+ *           format: uuid
+ *           description: Recurring series the booking is an occurrence of
+ *         groupId:
+ *           type: string
+ *           format: uuid
+ *           description: Appointment group (multi-treatment visit) the booking is a segment of
+ *         groupPosition:
+ *           type: integer
+ *           description: Order of the segment within its appointment group, starting at 0
+ *         sessionId:
+ *           type: string
+ *           format: uuid
+ *           description: Class session the booking holds a seat in
  *         price:
  *           type: object
  *           properties:
@@ -107,6 +132,35 @@ module.exports = (sequelize) => {
         key: 'id'
       }
     },
+    seriesId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'booking_series',
+        key: 'id'
+      }
+    },
+    groupId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'appointment_groups',
+        key: 'id'
+      }
+    },
+    groupPosition: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Order of the segment within its appointment group'
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'class_sessions',
+        key: 'id'
+      }
+    },
     bookingDateTime: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -124,6 +178,24 @@ module.exports = (sequelize) => {
       },
       comment: 'Duration in minutes'
     },
+    bufferBeforeMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      },
+      comment: 'Buffer kept free before the booking, resolved from treatment and store at booking time'
+    },
+    bufferAfterMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      },
+      comment: 'Buffer kept free after the booking, resolved from treatment and store at booking time'
+    },
     status: {
       type: DataTypes.ENUM(
         config.bookingStatus.PENDING,
@@ -131,11 +203,17 @@ module.exports = (sequelize) => {
         config.bookingStatus.IN_PROGRESS,
         config.bookingStatus.COMPLETED,
         config.bookingStatus.CANCELLED,
-        config.bookingStatus.NO_SHOW
+        config.bookingStatus.NO_SHOW,
+        config.bookingStatus.HELD
       ),
       allowNull: false,
       defaultValue: config.bookingStatus.PENDING
     },
+    holdExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Set while the booking is a checkout hold; the hold is released after this time'
+    },
     price: {
       type: DataTypes.JSONB,
       allowNull: false,
@@ -204,6 +282,18 @@ module.exports = (sequelize) => {
       {
         fields: ['status']
       },
+      {
+        fields: ['status', 'hold_expires_at']
+      },
+      {
+        fields: ['series_id', 'booking_date_time']
+      },
+      {
+        fields: ['group_id', 'group_position']
+      },
+      {
+        fields: ['session_id', 'status']
+      },
       {
         fields: ['booking_date_time', 'status']
       },
@@ -262,11 +352,39 @@ module.exports = (sequelize) => {
     
     // Can cancel if booking is not completed/cancelled and is more than cancellation deadline hours away
     return (
-      ![config.bookingStatus.COMPLETED, config.bookingStatus.CANCELLED, config.bookingStatus.NO_SHOW].includes(this.status) &&
+      ![config.bookingStatus.COMPLETED, config.bookingStatus.CANCELLED, config.bookingStatus.NO_SHOW, config.bookingStatus.HELD].includes(this.status) &&
       hoursUntilBooking >= (config.booking.cancellationDeadlineHours || 24)
     );
   };
 
+  Booking.prototype.canBeRescheduled = function(deadlineHours = config.booking.rescheduleDeadlineHours) {
+    const now = new Date();
+    const bookingTime = new Date(this.bookingDateTime);
+    const hoursUntilBooking = (bookingTime.getTime() - now.getTime()) / (1000 * 60 * 60);
+
+    // Only pending/confirmed bookings can move, and only before the reschedule deadline
+    return (
+      [config.bookingStatus.PENDING, config.bookingStatus.CONFIRMED].includes(this.status) &&
+      hoursUntilBooking >= deadlineHours
+    );
+  };
+
+  Booking.prototype.isHeld = function() {
+    return this.status === config.bookingStatus.HELD;
+  };
+
+  Booking.prototype.isHoldExpired = function(now = new Date()) {
+    return this.isHeld() && new Date(this.holdExpiresAt) <= now;
+  };
+
+  Booking.prototype.getRescheduleHistory = function() {
+    return (this.metadata && this.metadata.rescheduleHistory) || [];
+  };
+
+  Booking.prototype.getStatusHistory = function() {
+    return (this.metadata && this.metadata.statusHistory) || [];
+  };
+
   Booking.prototype.canBeModified = function() {
     const now = new Date();
     const bookingTime = new Date(this.bookingDateTime);
@@ -335,6 +453,30 @@ module.exports = (sequelize) => {
       foreignKey: 'treatmentId',
       as: 'treatment'
     });
+
+    // Booking holds concrete resource units
+    Booking.hasMany(models.BookingResource, {
+      foreignKey: 'bookingId',
+      as: 'resourceAllocations'
+    });
+
+    // Booking may be one occurrence of a recurring series
+    Booking.belongsTo(models.BookingSeries, {
+      foreignKey: 'seriesId',
+      as: 'series'
+    });
+
+    // Booking may be one segment of a multi-treatment visit
+    Booking.belongsTo(models.AppointmentGroup, {
+      foreignKey: 'groupId',
+      as: 'group'
+    });
+
+    // Booking may be a seat in a class session
+    Booking.belongsTo(models.ClassSession, {
+      foreignKey: 'sessionId',
+      as: 'session'
+    });
   };
 
   // Class methods for querying
@@ -370,7 +512,22 @@ module.exports = (sequelize) => {
     });
   };
 
-  Booking.findConflicting = function(staffId, startTime, endTime, excludeBookingId = null) {
+  /**
+   * Condition matching bookings that overlap a time window once buffers are
+   * applied. The gap required between two bookings is the larger of the
+   * earlier booking's after-buffer and the later booking's before-buffer.
+   */
+  Booking.overlapCondition = function(startTime, endTime, { before = 0, after = 0 } = {}) {
+    const bufferBefore = parseInt(before, 10) || 0;
+    const bufferAfter = parseInt(after, 10) || 0;
+
+    return sequelize.Sequelize.literal(
+      `("Booking"."booking_date_time" + INTERVAL '1 minute' * ("Booking"."duration" + GREATEST("Booking"."buffer_after_minutes", ${bufferBefore})) > '${startTime.toISOString()}'` +
+      ` AND "Booking"."booking_date_time" - INTERVAL '1 minute' * GREATEST("Booking"."buffer_before_minutes", ${bufferAfter}) < '${endTime.toISOString()}')`
+    );
+  };
+
+  Booking.findConflicting = function(staffId, startTime, endTime, excludeBookingId = null, { buffer, transaction } = {}) {
     const where = {
       staffId,
       status: {
@@ -379,22 +536,8 @@ module.exports = (sequelize) => {
           config.bookingStatus.NO_SHOW
         ]
       },
-      [sequelize.Sequelize.Op.or]: [
-        {
-          bookingDateTime: {
-            [sequelize.Sequelize.Op.between]: [startTime, endTime]
-          }
-        },
-        {
-          [sequelize.Sequelize.Op.and]: [
-            {
-              bookingDateTime: {
-                [sequelize.Sequelize.Op.lt]: startTime
-              }
-            },
-            sequelize.Sequelize.literal(`booking_date_time + INTERVAL '1 minute' * duration > '${startTime.toISOString()}'`)
-          ]
-        }
+      [sequelize.Sequelize.Op.and]: [
+        this.overlapCondition(startTime, endTime, buffer)
       ]
     };
 
@@ -404,7 +547,22 @@ module.exports = (sequelize) => {
       };
     }
 
-    return this.findAll({ where });
+    return this.findAll({ where, transaction });
+  };
+
+  Booking.findExpiredHolds = function({ storeId, now = new Date(), limit, transaction } = {}) {
+    return this.findAll({
+      where: {
+        ...(storeId && { storeId }),
+        status: config.bookingStatus.HELD,
+        holdExpiresAt: {
+          [sequelize.Sequelize.Op.lte]: now
+        }
+      },
+      order: [['holdExpiresAt', 'ASC']],
+      limit,
+      transaction
+    });
   };
 
   return Booking;
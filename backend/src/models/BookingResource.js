@@ -0,0 +1,97 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BookingResource:
+ *       type: object
+ *       required:
+ *         - bookingId
+ *         - resourceId
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Unique identifier for the allocation
+ *         bookingId:
+ *           type: string
+ *           format: uuid
+ *           description: Booking holding the resource
+ *         resourceId:
+ *           type: string
+ *           format: uuid
+ *           description: Concrete room or equipment unit allocated
+ *         groupIndex:
+ *           type: integer
+ *           description: Index of the treatment resource requirement this allocation satisfies
+ *         label:
+ *           type: string
+ *           description: Label of the requirement group (e.g. Massage room)
+ */
+
+module.exports = (sequelize) => {
+  const BookingResource = sequelize.define('BookingResource', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'bookings',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    resourceId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'resources',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    groupIndex: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    label: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    tableName: 'booking_resources',
+    indexes: [
+      {
+        unique: true,
+        fields: ['booking_id', 'resource_id']
+      },
+      {
+        fields: ['resource_id']
+      }
+    ]
+  });
+
+  // Class methods
+  BookingResource.associate = (models) => {
+    // Allocation belongs to Booking
+    BookingResource.belongsTo(models.Booking, {
+      foreignKey: 'bookingId',
+      as: 'booking'
+    });
+
+    // Allocation belongs to Resource
+    BookingResource.belongsTo(models.Resource, {
+      foreignKey: 'resourceId',
+      as: 'resource'
+    });
+  };
+
+  return BookingResource;
+};
@@ -0,0 +1,208 @@
+const { DataTypes } = require('sequelize');
+const { toRRule } = require('../utils/recurrence');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BookingSeries:
+ *       type: object
+ *       required:
+ *         - storeId
+ *         - treatmentId
+ *         - customerId
+ *         - firstStartTime
+ *         - recurrence
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Unique identifier for the series
+ *         storeId:
+ *           type: string
+ *           format: uuid
+ *           description: Store the series is booked at
+ *         treatmentId:
+ *           type: string
+ *           format: uuid
+ *           description: Treatment booked at every occurrence
+ *         customerId:
+ *           type: string
+ *           format: uuid
+ *           description: Customer the series is for
+ *         staffId:
+ *           type: string
+ *           format: uuid
+ *           description: Staff member requested for every occurrence
+ *         firstStartTime:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the first occurrence; later occurrences keep its time of day in the store timezone
+ *         recurrence:
+ *           type: object
+ *           description: RRULE-style rule
+ *           properties:
+ *             frequency:
+ *               type: string
+ *               enum: [daily, weekly]
+ *             interval:
+ *               type: integer
+ *               description: Every N days or weeks
+ *             byWeekday:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               description: Weekdays to repeat on (weekly only)
+ *             count:
+ *               type: integer
+ *             until:
+ *               type: string
+ *               format: date
+ *         status:
+ *           type: string
+ *           enum: [active, cancelled]
+ *         notes:
+ *           type: string
+ *           description: Notes carried onto every occurrence
+ *         metadata:
+ *           type: object
+ *           description: Additional data, including the history of series-wide changes
+ */
+
+module.exports = (sequelize) => {
+  const BookingSeries = sequelize.define('BookingSeries', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    storeId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    treatmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'treatments',
+        key: 'id'
+      }
+    },
+    customerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    staffId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    firstStartTime: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    recurrence: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      validate: {
+        isValidRule(value) {
+          if (!['daily', 'weekly'].includes(value.frequency)) {
+            throw new Error('Recurrence frequency must be daily or weekly');
+          }
+          if (!value.count && !value.until) {
+            throw new Error('Recurrence needs a count or an until date');
+          }
+        }
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'booking_series',
+    indexes: [
+      {
+        fields: ['customer_id', 'status']
+      },
+      {
+        fields: ['store_id', 'status']
+      }
+    ]
+  });
+
+  // Instance methods
+  BookingSeries.prototype.getRRule = function() {
+    return toRRule(this.recurrence);
+  };
+
+  BookingSeries.prototype.getHistory = function() {
+    return (this.metadata && this.metadata.history) || [];
+  };
+
+  BookingSeries.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    values.rrule = this.getRRule();
+    return values;
+  };
+
+  // Class methods
+  BookingSeries.associate = (models) => {
+    BookingSeries.belongsTo(models.Store, {
+      foreignKey: 'storeId',
+      as: 'store'
+    });
+
+    BookingSeries.belongsTo(models.Treatment, {
+      foreignKey: 'treatmentId',
+      as: 'treatment'
+    });
+
+    BookingSeries.belongsTo(models.User, {
+      foreignKey: 'customerId',
+      as: 'customer'
+    });
+
+    BookingSeries.belongsTo(models.User, {
+      foreignKey: 'staffId',
+      as: 'staff'
+    });
+
+    // Occurrences booked for the series
+    BookingSeries.hasMany(models.Booking, {
+      foreignKey: 'seriesId',
+      as: 'bookings'
+    });
+  };
+
+  return BookingSeries;
+};
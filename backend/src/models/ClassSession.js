@@ -0,0 +1,316 @@
+const { DataTypes } = require('sequelize');
+const config = require('../config');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ClassSession:
+ *       type: object
+ *       required:
+ *         - storeId
+ *         - treatmentId
+ *         - instructorId
+ *         - startTime
+ *         - endTime
+ *         - capacity
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Unique identifier for the class session
+ *         storeId:
+ *           type: string
+ *           format: uuid
+ *           description: Store the class runs at
+ *         treatmentId:
+ *           type: string
+ *           format: uuid
+ *           description: Treatment taught in the class
+ *         instructorId:
+ *           type: string
+ *           format: uuid
+ *           description: Staff member teaching the class
+ *         roomId:
+ *           type: string
+ *           format: uuid
+ *           description: Resource (usually a room) the class occupies
+ *         title:
+ *           type: string
+ *           description: Name shown to customers
+ *         startTime:
+ *           type: string
+ *           format: date-time
+ *         endTime:
+ *           type: string
+ *           format: date-time
+ *         capacity:
+ *           type: integer
+ *           description: Number of seats
+ *         minAttendees:
+ *           type: integer
+ *           description: Seats that must be taken by the attendance deadline or the class is cancelled
+ *         attendanceDeadline:
+ *           type: string
+ *           format: date-time
+ *           description: When minimum attendance is checked
+ *         status:
+ *           type: string
+ *           enum: [scheduled, cancelled]
+ *         cancellationReason:
+ *           type: string
+ *         notes:
+ *           type: string
+ *         metadata:
+ *           type: object
+ *           description: Additional session data
+ */
+
+module.exports = (sequelize) => {
+  const ClassSession = sequelize.define('ClassSession', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    storeId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    treatmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'treatments',
+        key: 'id'
+      }
+    },
+    instructorId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    roomId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'resources',
+        key: 'id'
+      }
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    startTime: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    endTime: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    capacity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1,
+        max: config.booking.classes.maxSeats
+      }
+    },
+    minAttendees: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    attendanceDeadline: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    attendanceCheckedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('scheduled', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'scheduled'
+    },
+    cancellationReason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    cancelledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'class_sessions',
+    indexes: [
+      {
+        fields: ['store_id', 'start_time']
+      },
+      {
+        fields: ['instructor_id', 'start_time']
+      },
+      {
+        fields: ['room_id', 'start_time']
+      },
+      {
+        fields: ['status', 'attendance_deadline']
+      }
+    ],
+    validate: {
+      endsAfterStart() {
+        if (new Date(this.startTime) >= new Date(this.endTime)) {
+          throw new Error('Class end time must be after start time');
+        }
+      },
+      minimumWithinCapacity() {
+        if (this.minAttendees > this.capacity) {
+          throw new Error('Minimum attendance cannot exceed the number of seats');
+        }
+      }
+    }
+  });
+
+  // Instance methods
+  ClassSession.prototype.overlaps = function(startTime, endTime) {
+    return new Date(this.startTime) < endTime && new Date(this.endTime) > startTime;
+  };
+
+  ClassSession.prototype.isBookable = function(now = new Date()) {
+    return this.status === 'scheduled' && new Date(this.startTime) > now;
+  };
+
+  // Seats customers see, given how many are taken
+  ClassSession.prototype.toListing = function(seatsTaken) {
+    return {
+      ...this.toJSON(),
+      seatsTaken,
+      seatsAvailable: Math.max(this.capacity - seatsTaken, 0)
+    };
+  };
+
+  // Class methods
+  ClassSession.associate = (models) => {
+    ClassSession.belongsTo(models.Store, {
+      foreignKey: 'storeId',
+      as: 'store'
+    });
+
+    ClassSession.belongsTo(models.Treatment, {
+      foreignKey: 'treatmentId',
+      as: 'treatment'
+    });
+
+    ClassSession.belongsTo(models.User, {
+      foreignKey: 'instructorId',
+      as: 'instructor'
+    });
+
+    ClassSession.belongsTo(models.Resource, {
+      foreignKey: 'roomId',
+      as: 'room'
+    });
+
+    // One booking per seat taken
+    ClassSession.hasMany(models.Booking, {
+      foreignKey: 'sessionId',
+      as: 'seats'
+    });
+  };
+
+  // Minimum attendance is checked this long before the class starts
+  ClassSession.attendanceDeadlineFor = function(startTime, minAttendees) {
+    if (!minAttendees) {
+      return null;
+    }
+
+    return new Date(new Date(startTime).getTime() - config.booking.classes.attendanceCutoffHours * 60 * 60000);
+  };
+
+  // Class methods for querying
+  ClassSession.findScheduledOverlapping = function(where, startTime, endTime, { transaction } = {}) {
+    return this.findAll({
+      where: {
+        ...where,
+        status: 'scheduled',
+        startTime: {
+          [sequelize.Sequelize.Op.lt]: endTime
+        },
+        endTime: {
+          [sequelize.Sequelize.Op.gt]: startTime
+        }
+      },
+      order: [['startTime', 'ASC']],
+      transaction
+    });
+  };
+
+  ClassSession.findDueForAttendanceCheck = function({ now = new Date(), limit } = {}) {
+    return this.findAll({
+      where: {
+        status: 'scheduled',
+        attendanceCheckedAt: null,
+        attendanceDeadline: {
+          [sequelize.Sequelize.Op.lte]: now
+        }
+      },
+      order: [['attendanceDeadline', 'ASC']],
+      limit
+    });
+  };
+
+  // Seats taken per session, keyed by session ID
+  ClassSession.countSeats = async function(sessionIds, { transaction } = {}) {
+    const { Booking } = sequelize.models;
+
+    const counts = sessionIds.length === 0 ? [] : await Booking.findAll({
+      attributes: ['sessionId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      where: {
+        sessionId: sessionIds,
+        status: {
+          [sequelize.Sequelize.Op.notIn]: [config.bookingStatus.CANCELLED, config.bookingStatus.NO_SHOW]
+        }
+      },
+      group: [sequelize.col('session_id')],
+      raw: true,
+      transaction
+    });
+
+    const seats = new Map(sessionIds.map(sessionId => [sessionId, 0]));
+    counts.forEach(row => seats.set(row.sessionId, parseInt(row.count)));
+
+    return seats;
+  };
+
+  return ClassSession;
+};
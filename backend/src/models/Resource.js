@@ -119,11 +119,57 @@ module.exports = (sequelize) => {
   });
 
   // Instance methods
-  Resource.prototype.isAvailable = async function(startTime, endTime, excludeBookingIds = []) {
+  Resource.prototype.allocationInclude = function() {
+    return {
+      model: sequelize.models.BookingResource,
+      as: 'resourceAllocations',
+      where: { resourceId: this.id },
+      attributes: []
+    };
+  };
+
+  Resource.prototype.isUnderMaintenance = async function(startTime, endTime, { transaction, buffer } = {}) {
+    const { ResourceMaintenance } = sequelize.models;
+
+    // The unit must be back in service for the preparation and cleanup around the booking too
+    const windows = await ResourceMaintenance.findOverlapping(
+      [this.id],
+      new Date(startTime.getTime() - (buffer?.before || 0) * 60000),
+      new Date(endTime.getTime() + (buffer?.after || 0) * 60000),
+      { transaction }
+    );
+
+    return windows.length > 0;
+  };
+
+  // A class session takes the whole unit, whatever its capacity
+  Resource.prototype.isHostingClass = async function(startTime, endTime, { transaction, buffer } = {}) {
+    const { ClassSession } = sequelize.models;
+
+    const sessions = await ClassSession.findScheduledOverlapping(
+      { roomId: this.id },
+      new Date(startTime.getTime() - (buffer?.before || 0) * 60000),
+      new Date(endTime.getTime() + (buffer?.after || 0) * 60000),
+      { transaction }
+    );
+
+    return sessions.length > 0;
+  };
+
+  Resource.prototype.isAvailable = async function(startTime, endTime, excludeBookingIds = [], { transaction, buffer } = {}) {
     const { Booking } = sequelize.models;
+
+    if (await this.isUnderMaintenance(startTime, endTime, { transaction, buffer })) {
+      return false;
+    }
+
+    if (await this.isHostingClass(startTime, endTime, { transaction, buffer })) {
+      return false;
+    }
     
-    // Count current bookings that require this resource during the specified time
-    const conflictingBookings = await Booking.findAll({
+    // Count active bookings holding this unit during the specified time,
+    // including the turnover buffers around them
+    const allocatedBookings = await Booking.count({
       where: {
         id: {
           [sequelize.Sequelize.Op.notIn]: excludeBookingIds
@@ -131,36 +177,15 @@ module.exports = (sequelize) => {
         status: {
           [sequelize.Sequelize.Op.notIn]: ['cancelled', 'no_show']
         },
-        [sequelize.Sequelize.Op.or]: [
-          {
-            bookingDateTime: {
-              [sequelize.Sequelize.Op.between]: [startTime, endTime]
-            }
-          },
-          {
-            [sequelize.Sequelize.Op.and]: [
-              {
-                bookingDateTime: {
-                  [sequelize.Sequelize.Op.lt]: startTime
-                }
-              },
-              sequelize.Sequelize.literal(`booking_date_time + INTERVAL '1 minute' * duration > '${startTime.toISOString()}'`)
-            ]
-          }
+        [sequelize.Sequelize.Op.and]: [
+          Booking.overlapCondition(startTime, endTime, buffer)
         ]
       },
-      include: [{
-        model: sequelize.models.Treatment,
-        as: 'treatment',
-        where: {
-          requiredResources: {
-            [sequelize.Sequelize.Op.contains]: [this.id]
-          }
-        }
-      }]
+      include: [this.allocationInclude()],
+      transaction
     });
 
-    return conflictingBookings.length < this.capacity;
+    return allocatedBookings < this.capacity;
   };
 
   Resource.prototype.getCurrentUsage = async function() {
@@ -176,23 +201,11 @@ module.exports = (sequelize) => {
           [sequelize.Sequelize.Op.in]: ['confirmed', 'in_progress']
         }
       },
-      include: [{
-        model: sequelize.models.Treatment,
-        as: 'treatment',
-        where: {
-          requiredResources: {
-            [sequelize.Sequelize.Op.contains]: [this.id]
-          }
-        }
-      }]
+      include: [this.allocationInclude()]
     });
 
     // Filter bookings that are actually ongoing (haven't ended yet)
-    const ongoingBookings = currentBookings.filter(booking => {
-      const endTime = new Date(booking.bookingDateTime);
-      endTime.setMinutes(endTime.getMinutes() + booking.duration);
-      return endTime > now;
-    });
+    const ongoingBookings = currentBookings.filter(booking => booking.getEndDateTime() > now);
 
     return {
       current: ongoingBookings.length,
@@ -214,14 +227,10 @@ module.exports = (sequelize) => {
           [sequelize.Sequelize.Op.notIn]: ['cancelled', 'no_show']
         }
       },
-      include: [{
+      include: [this.allocationInclude(), {
         model: sequelize.models.Treatment,
         as: 'treatment',
-        where: {
-          requiredResources: {
-            [sequelize.Sequelize.Op.contains]: [this.id]
-          }
-        }
+        attributes: ['id', 'name']
       }, {
         model: sequelize.models.User,
         as: 'customer',
@@ -255,6 +264,18 @@ module.exports = (sequelize) => {
       otherKey: 'treatmentId',
       as: 'treatments'
     });
+
+    // Resource is held by bookings through allocations
+    Resource.hasMany(models.BookingResource, {
+      foreignKey: 'resourceId',
+      as: 'allocations'
+    });
+
+    // Resource has scheduled downtime
+    Resource.hasMany(models.ResourceMaintenance, {
+      foreignKey: 'resourceId',
+      as: 'maintenanceWindows'
+    });
   };
 
   // Class methods for querying
@@ -279,12 +300,22 @@ module.exports = (sequelize) => {
     });
   };
 
-  Resource.findAvailableForTimeSlot = async function(storeId, startTime, endTime, excludeBookingIds = []) {
+  Resource.findAvailableForTimeSlot = async function(storeId, startTime, endTime, excludeBookingIds = [], { buffer } = {}) {
+    const { ResourceMaintenance } = sequelize.models;
+
     const resources = await this.findActiveByStore(storeId);
     const availableResources = [];
 
-    for (const resource of resources) {
-      const isAvailable = await resource.isAvailable(startTime, endTime, excludeBookingIds);
+    // Drop units in downtime with one query instead of one per resource
+    const windows = await ResourceMaintenance.findOverlapping(
+      resources.map(resource => resource.id),
+      new Date(startTime.getTime() - (buffer?.before || 0) * 60000),
+      new Date(endTime.getTime() + (buffer?.after || 0) * 60000)
+    );
+    const underMaintenance = new Set(windows.map(window => window.resourceId));
+
+    for (const resource of resources.filter(resource => !underMaintenance.has(resource.id))) {
+      const isAvailable = await resource.isAvailable(startTime, endTime, excludeBookingIds, { buffer });
       if (isAvailable) {
         availableResources.push(resource);
       }
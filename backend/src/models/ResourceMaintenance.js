@@ -0,0 +1,167 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ResourceMaintenance:
+ *       type: object
+ *       required:
+ *         - resourceId
+ *         - startTime
+ *         - endTime
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Unique identifier for the maintenance window
+ *         resourceId:
+ *           type: string
+ *           format: uuid
+ *           description: Resource taken out of service
+ *         storeId:
+ *           type: string
+ *           format: uuid
+ *           description: Store the resource belongs to
+ *         type:
+ *           type: string
+ *           enum: [maintenance, repair, cleaning, out_of_service]
+ *           description: Why the resource is unavailable
+ *         startTime:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the downtime
+ *         endTime:
+ *           type: string
+ *           format: date-time
+ *           description: End of the downtime
+ *         reason:
+ *           type: string
+ *           description: Notes about the work being done
+ *         createdBy:
+ *           type: string
+ *           format: uuid
+ *           description: User who scheduled the window
+ */
+
+module.exports = (sequelize) => {
+  const ResourceMaintenance = sequelize.define('ResourceMaintenance', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    resourceId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'resources',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    storeId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    type: {
+      type: DataTypes.ENUM('maintenance', 'repair', 'cleaning', 'out_of_service'),
+      allowNull: false,
+      defaultValue: 'maintenance'
+    },
+    startTime: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    endTime: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'resource_maintenance_windows',
+    indexes: [
+      {
+        fields: ['resource_id', 'start_time', 'end_time']
+      },
+      {
+        fields: ['store_id']
+      }
+    ],
+    validate: {
+      endsAfterStart() {
+        if (new Date(this.startTime) >= new Date(this.endTime)) {
+          throw new Error('Maintenance end time must be after start time');
+        }
+      }
+    }
+  });
+
+  // Instance methods
+  ResourceMaintenance.prototype.overlaps = function(startTime, endTime) {
+    return new Date(this.startTime) < endTime && new Date(this.endTime) > startTime;
+  };
+
+  // Class methods
+  ResourceMaintenance.associate = (models) => {
+    // Window belongs to Resource
+    ResourceMaintenance.belongsTo(models.Resource, {
+      foreignKey: 'resourceId',
+      as: 'resource'
+    });
+
+    // Window belongs to Store
+    ResourceMaintenance.belongsTo(models.Store, {
+      foreignKey: 'storeId',
+      as: 'store'
+    });
+  };
+
+  // Class methods for querying
+  ResourceMaintenance.findOverlapping = function(resourceIds, startTime, endTime, { transaction } = {}) {
+    return this.findAll({
+      where: {
+        resourceId: resourceIds,
+        startTime: {
+          [sequelize.Sequelize.Op.lt]: endTime
+        },
+        endTime: {
+          [sequelize.Sequelize.Op.gt]: startTime
+        }
+      },
+      order: [['startTime', 'ASC']],
+      transaction
+    });
+  };
+
+  ResourceMaintenance.findForResource = function(resourceId, { from, to } = {}) {
+    const where = { resourceId };
+
+    if (from) where.endTime = { [sequelize.Sequelize.Op.gt]: from };
+    if (to) where.startTime = { [sequelize.Sequelize.Op.lt]: to };
+
+    return this.findAll({
+      where,
+      order: [['startTime', 'ASC']]
+    });
+  };
+
+  return ResourceMaintenance;
+};
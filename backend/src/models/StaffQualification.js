@@ -0,0 +1,165 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StaffQualification:
+ *       type: object
+ *       required:
+ *         - staffId
+ *         - treatmentId
+ *         - skillLevel
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Unique identifier for the qualification
+ *         staffId:
+ *           type: string
+ *           format: uuid
+ *           description: Qualified staff member
+ *         treatmentId:
+ *           type: string
+ *           format: uuid
+ *           description: Treatment the staff member may perform
+ *         skillLevel:
+ *           type: string
+ *           enum: [junior, senior, expert]
+ *           description: Staff member's skill level for this treatment
+ *         certifiedAt:
+ *           type: string
+ *           format: date
+ *           description: Date the certification was issued
+ *         expiresAt:
+ *           type: string
+ *           format: date
+ *           description: Last date the certification is valid (inclusive); empty if it never expires
+ *         certificationReference:
+ *           type: string
+ *           description: Certificate number or issuing body reference
+ *         notes:
+ *           type: string
+ *           description: Internal notes
+ *         isActive:
+ *           type: boolean
+ *           description: Whether the qualification is in use
+ */
+
+module.exports = (sequelize) => {
+  const StaffQualification = sequelize.define('StaffQualification', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    staffId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    treatmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'treatments',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    skillLevel: {
+      type: DataTypes.ENUM('junior', 'senior', 'expert'),
+      allowNull: false,
+      defaultValue: 'junior'
+    },
+    certifiedAt: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    expiresAt: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    certificationReference: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        len: [0, 255]
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+      allowNull: false
+    }
+  }, {
+    tableName: 'staff_qualifications',
+    indexes: [
+      {
+        unique: true,
+        fields: ['staff_id', 'treatment_id']
+      },
+      {
+        fields: ['treatment_id']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ],
+    validate: {
+      expiresAfterCertified() {
+        if (this.certifiedAt && this.expiresAt && this.expiresAt < this.certifiedAt) {
+          throw new Error('Certification cannot expire before it was issued');
+        }
+      }
+    }
+  });
+
+  // Instance methods
+  StaffQualification.prototype.isValidOn = function(localDate) {
+    return this.isActive &&
+      (!this.certifiedAt || this.certifiedAt <= localDate) &&
+      (!this.expiresAt || this.expiresAt >= localDate);
+  };
+
+  StaffQualification.prototype.isExpired = function(localDate) {
+    return Boolean(this.expiresAt && this.expiresAt < localDate);
+  };
+
+  // Class methods
+  StaffQualification.associate = (models) => {
+    // Qualification belongs to a staff member
+    StaffQualification.belongsTo(models.User, {
+      foreignKey: 'staffId',
+      as: 'staff'
+    });
+
+    // Qualification belongs to Treatment
+    StaffQualification.belongsTo(models.Treatment, {
+      foreignKey: 'treatmentId',
+      as: 'treatment'
+    });
+  };
+
+  // Class methods for querying
+  StaffQualification.findForTreatment = function(treatmentId, staffIds, { transaction } = {}) {
+    return this.findAll({
+      where: {
+        treatmentId,
+        staffId: staffIds
+      },
+      transaction
+    });
+  };
+
+  return StaffQualification;
+};
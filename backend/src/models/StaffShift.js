@@ -0,0 +1,205 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StaffShift:
+ *       type: object
+ *       required:
+ *         - staffId
+ *         - storeId
+ *         - dayOfWeek
+ *         - startTime
+ *         - endTime
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Unique identifier for the shift
+ *         staffId:
+ *           type: string
+ *           format: uuid
+ *           description: Staff member working the shift
+ *         storeId:
+ *           type: string
+ *           format: uuid
+ *           description: Store the shift is worked at
+ *         dayOfWeek:
+ *           type: string
+ *           enum: [monday, tuesday, wednesday, thursday, friday, saturday, sunday]
+ *           description: Weekday the shift repeats on
+ *         startTime:
+ *           type: string
+ *           description: Shift start (HH:mm, store timezone)
+ *         endTime:
+ *           type: string
+ *           description: Shift end (HH:mm, store timezone)
+ *         breaks:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               start:
+ *                 type: string
+ *               end:
+ *                 type: string
+ *               label:
+ *                 type: string
+ *           description: Unbookable breaks within the shift
+ *         effectiveFrom:
+ *           type: string
+ *           format: date
+ *           description: First date the shift applies (inclusive)
+ *         effectiveTo:
+ *           type: string
+ *           format: date
+ *           description: Last date the shift applies (inclusive)
+ *         isActive:
+ *           type: boolean
+ *           description: Whether the shift is in use
+ */
+
+const TIME_PATTERN = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+module.exports = (sequelize) => {
+  const StaffShift = sequelize.define('StaffShift', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    staffId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    storeId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    dayOfWeek: {
+      type: DataTypes.ENUM('monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'),
+      allowNull: false
+    },
+    startTime: {
+      type: DataTypes.STRING(5),
+      allowNull: false,
+      validate: {
+        is: TIME_PATTERN
+      }
+    },
+    endTime: {
+      type: DataTypes.STRING(5),
+      allowNull: false,
+      validate: {
+        is: TIME_PATTERN
+      }
+    },
+    breaks: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      validate: {
+        isValidBreaks(value) {
+          if (!Array.isArray(value)) {
+            throw new Error('Breaks must be an array');
+          }
+          value.forEach(shiftBreak => {
+            if (!TIME_PATTERN.test(shiftBreak.start) || !TIME_PATTERN.test(shiftBreak.end) || shiftBreak.start >= shiftBreak.end) {
+              throw new Error('Each break needs a start before its end (HH:mm)');
+            }
+          });
+        }
+      }
+    },
+    effectiveFrom: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    effectiveTo: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+      allowNull: false
+    }
+  }, {
+    tableName: 'staff_shifts',
+    indexes: [
+      {
+        fields: ['staff_id']
+      },
+      {
+        fields: ['store_id']
+      },
+      {
+        fields: ['staff_id', 'day_of_week']
+      }
+    ],
+    validate: {
+      endsAfterStart() {
+        if (this.startTime >= this.endTime) {
+          throw new Error('Shift end time must be after start time');
+        }
+      }
+    }
+  });
+
+  // Instance methods
+  StaffShift.prototype.appliesTo = function(localDate, dayOfWeek) {
+    return this.isActive &&
+      this.dayOfWeek === dayOfWeek &&
+      (!this.effectiveFrom || this.effectiveFrom <= localDate) &&
+      (!this.effectiveTo || this.effectiveTo >= localDate);
+  };
+
+  StaffShift.prototype.covers = function(startTime, endTime) {
+    if (startTime < this.startTime || endTime > this.endTime) {
+      return false;
+    }
+
+    return !(this.breaks || []).some(shiftBreak => startTime < shiftBreak.end && endTime > shiftBreak.start);
+  };
+
+  // Class methods
+  StaffShift.associate = (models) => {
+    // Shift belongs to a staff member
+    StaffShift.belongsTo(models.User, {
+      foreignKey: 'staffId',
+      as: 'staff'
+    });
+
+    // Shift belongs to Store
+    StaffShift.belongsTo(models.Store, {
+      foreignKey: 'storeId',
+      as: 'store'
+    });
+  };
+
+  // Class methods for querying
+  StaffShift.findActiveForStaff = function(staffIds, { transaction } = {}) {
+    return this.findAll({
+      where: {
+        staffId: staffIds,
+        isActive: true
+      },
+      order: [['dayOfWeek', 'ASC'], ['startTime', 'ASC']],
+      transaction
+    });
+  };
+
+  return StaffShift;
+};
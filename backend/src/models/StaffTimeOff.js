@@ -0,0 +1,246 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StaffTimeOff:
+ *       type: object
+ *       required:
+ *         - staffId
+ *         - storeId
+ *         - type
+ *         - startDate
+ *         - endDate
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Unique identifier for the time-off entry
+ *         staffId:
+ *           type: string
+ *           format: uuid
+ *           description: Staff member who is off
+ *         storeId:
+ *           type: string
+ *           format: uuid
+ *           description: Store the staff member works at
+ *         type:
+ *           type: string
+ *           enum: [vacation, personal, sick, training, other]
+ *           description: Kind of leave
+ *         startDate:
+ *           type: string
+ *           format: date
+ *           description: First day off (store timezone)
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           description: Last day off (store timezone)
+ *         startTime:
+ *           type: string
+ *           description: For partial days, time the leave starts on the first day (HH:mm)
+ *         endTime:
+ *           type: string
+ *           description: For partial days, time the leave ends on the last day (HH:mm)
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *           description: Approval state; only approved leave blocks bookings
+ *         reason:
+ *           type: string
+ *           description: Reason given for the leave
+ *         reviewedBy:
+ *           type: string
+ *           format: uuid
+ *           description: Admin who approved or rejected the request
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the request was reviewed
+ *         reviewNotes:
+ *           type: string
+ *           description: Notes left by the reviewer
+ */
+
+const TIME_PATTERN = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+module.exports = (sequelize) => {
+  const StaffTimeOff = sequelize.define('StaffTimeOff', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    staffId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    storeId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    type: {
+      type: DataTypes.ENUM('vacation', 'personal', 'sick', 'training', 'other'),
+      allowNull: false,
+      defaultValue: 'vacation'
+    },
+    startDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    endDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    startTime: {
+      type: DataTypes.STRING(5),
+      allowNull: true,
+      validate: {
+        is: TIME_PATTERN
+      }
+    },
+    endTime: {
+      type: DataTypes.STRING(5),
+      allowNull: true,
+      validate: {
+        is: TIME_PATTERN
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    reviewedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    reviewedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    reviewNotes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'staff_time_off',
+    indexes: [
+      {
+        fields: ['staff_id']
+      },
+      {
+        fields: ['store_id', 'status']
+      },
+      {
+        fields: ['staff_id', 'start_date', 'end_date']
+      }
+    ],
+    validate: {
+      endsAfterStart() {
+        if (this.startDate > this.endDate) {
+          throw new Error('Time off end date must not be before its start date');
+        }
+        if (this.startDate === this.endDate && this.startTime && this.endTime && this.startTime >= this.endTime) {
+          throw new Error('Time off end time must be after its start time');
+        }
+      }
+    }
+  });
+
+  // Instance methods
+  StaffTimeOff.prototype.blocks = function(localDate, startTime, endTime) {
+    if (this.status !== 'approved' || localDate < this.startDate || localDate > this.endDate) {
+      return false;
+    }
+
+    // Partial first/last days only block from startTime / until endTime
+    const blockedFrom = localDate === this.startDate && this.startTime ? this.startTime : '00:00';
+    const blockedUntil = localDate === this.endDate && this.endTime ? this.endTime : '24:00';
+
+    return startTime < blockedUntil && endTime > blockedFrom;
+  };
+
+  StaffTimeOff.prototype.review = async function(status, reviewerId, notes = null) {
+    this.status = status;
+    this.reviewedBy = reviewerId;
+    this.reviewedAt = new Date();
+    this.reviewNotes = notes;
+    await this.save();
+  };
+
+  // Class methods
+  StaffTimeOff.associate = (models) => {
+    // Time off belongs to a staff member
+    StaffTimeOff.belongsTo(models.User, {
+      foreignKey: 'staffId',
+      as: 'staff'
+    });
+
+    // Time off was reviewed by an admin
+    StaffTimeOff.belongsTo(models.User, {
+      foreignKey: 'reviewedBy',
+      as: 'reviewer'
+    });
+
+    // Time off belongs to Store
+    StaffTimeOff.belongsTo(models.Store, {
+      foreignKey: 'storeId',
+      as: 'store'
+    });
+  };
+
+  // Class methods for querying
+  StaffTimeOff.findApprovedOverlapping = function(staffIds, startDate, endDate, { transaction } = {}) {
+    return this.findAll({
+      where: {
+        staffId: staffIds,
+        status: 'approved',
+        startDate: {
+          [sequelize.Sequelize.Op.lte]: endDate
+        },
+        endDate: {
+          [sequelize.Sequelize.Op.gte]: startDate
+        }
+      },
+      transaction
+    });
+  };
+
+  StaffTimeOff.findForStaff = function(staffId, { status, startDate, endDate, limit = 50, offset = 0 } = {}) {
+    const where = { staffId };
+
+    if (status) where.status = status;
+    if (startDate) where.endDate = { [sequelize.Sequelize.Op.gte]: startDate };
+    if (endDate) where.startDate = { [sequelize.Sequelize.Op.lte]: endDate };
+
+    return this.findAndCountAll({
+      where,
+      limit,
+      offset,
+      order: [['startDate', 'DESC']]
+    });
+  };
+
+  return StaffTimeOff;
+};
@@ -1,4 +1,6 @@
 const { DataTypes } = require('sequelize');
+const config = require('../config');
+const { toLocalDateString, toLocalTimeString, getWeekday, zonedTimeToUtc, getDayBounds } = require('../utils/timezone');
 
 /**
  * @swagger
@@ -55,7 +57,7 @@ const { DataTypes } = require('sequelize');
  *           description: Whether the store is active
  *         settings:
  *           type: object
- *           description: Store-specific settings
+ *           description: Store-specific settings, e.g. staffAssignment.strategy (manual, round_robin, least_loaded, preferred_staff, skill_match) and staffAssignment.assignOn (create, confirm)
  *         metadata:
  *           type: object
  *           description: Additional store metadata
@@ -171,6 +173,7 @@ module.exports = (sequelize) => {
       defaultValue: {
         maxAdvanceBookingDays: 90,
         cancellationDeadlineHours: 24,
+        rescheduleDeadlineHours: 24,
         bufferTimeMinutes: 15,
         allowOnlineBooking: true,
         requireApproval: false,
@@ -201,40 +204,114 @@ module.exports = (sequelize) => {
   // Instance methods
   Store.prototype.isOpenNow = function() {
     const now = new Date();
-    const dayName = now.toLocaleDateString('en-US', { 
-      weekday: 'long',
-      timeZone: this.timezone 
-    }).toLowerCase();
-    
-    const todayHours = this.operatingHours[dayName];
+    const todayHours = this.getOperatingHoursForDate(now);
     if (!todayHours || todayHours.closed) {
       return false;
     }
     
-    const currentTime = now.toLocaleTimeString('en-US', {
-      hour12: false,
-      timeZone: this.timezone,
-      hour: '2-digit',
-      minute: '2-digit'
-    });
+    const currentTime = toLocalTimeString(now, this.timezone);
     
     return currentTime >= todayHours.open && currentTime <= todayHours.close;
   };
 
+  /**
+   * Calendar date ('YYYY-MM-DD') of an instant in the store's timezone
+   */
+  Store.prototype.getLocalDate = function(date) {
+    return toLocalDateString(date, this.timezone);
+  };
+
+  /**
+   * First and last instant of a calendar day in the store's timezone
+   */
+  Store.prototype.getDayBounds = function(date) {
+    return getDayBounds(date, this.timezone);
+  };
+
+  /**
+   * Closure or special hours for a date. Dated exceptions win over recurring
+   * ones; exceptions are only considered when loaded with the store.
+   */
+  Store.prototype.getExceptionForDate = function(date) {
+    if (!this.exceptions || this.exceptions.length === 0) {
+      return null;
+    }
+
+    const localDate = this.getLocalDate(date);
+    const matching = this.exceptions.filter(exception => exception.appliesTo(localDate));
+
+    return matching.find(exception => !exception.isRecurring) || matching[0] || null;
+  };
+
   Store.prototype.getOperatingHoursForDate = function(date) {
-    const dayName = date.toLocaleDateString('en-US', { 
-      weekday: 'long',
-      timeZone: this.timezone 
-    }).toLowerCase();
+    const exception = this.getExceptionForDate(date);
+    if (exception) {
+      return exception.toOperatingHours();
+    }
+
+    const dayName = getWeekday(this.getLocalDate(date));
     
     return this.operatingHours[dayName] || null;
   };
 
+  /**
+   * Opening and closing instants for a calendar day, or null when closed
+   */
+  Store.prototype.getOperatingWindow = function(date) {
+    const hours = this.getOperatingHoursForDate(date);
+    if (!hours || hours.closed) {
+      return null;
+    }
+
+    const localDate = this.getLocalDate(date);
+
+    return {
+      date: localDate,
+      open: zonedTimeToUtc(localDate, hours.open, this.timezone),
+      close: zonedTimeToUtc(localDate, hours.close, this.timezone)
+    };
+  };
+
   Store.prototype.isOpenOnDate = function(date) {
     const hours = this.getOperatingHoursForDate(date);
     return hours && !hours.closed;
   };
 
+  Store.prototype.isOpenDuring = function(startTime, endTime) {
+    const hours = this.getOperatingHoursForDate(startTime);
+    if (!hours || hours.closed) {
+      return false;
+    }
+
+    // Operating hours never span midnight, so the booking must end on the day it starts
+    if (this.getLocalDate(startTime) !== this.getLocalDate(endTime)) {
+      return false;
+    }
+
+    return toLocalTimeString(startTime, this.timezone) >= hours.open &&
+      toLocalTimeString(endTime, this.timezone) <= hours.close;
+  };
+
+  Store.prototype.getBufferTimeMinutes = function() {
+    return this.settings?.bufferTimeMinutes ?? config.booking.bufferTimeMinutes;
+  };
+
+  Store.prototype.getStaffAssignmentSettings = function() {
+    const settings = this.settings?.staffAssignment || {};
+    return {
+      strategy: settings.strategy ?? config.booking.staffAssignment.strategy,
+      assignOn: settings.assignOn ?? config.booking.staffAssignment.assignOn
+    };
+  };
+
+  Store.prototype.getSlotSettings = function() {
+    const settings = this.settings?.slots || {};
+    return {
+      mode: settings.mode ?? config.booking.slots.mode,
+      stepMinutes: settings.stepMinutes ?? config.booking.slots.stepMinutes
+    };
+  };
+
   Store.prototype.getFormattedAddress = function() {
     if (!this.address || Object.keys(this.address).length === 0) {
       return '';
@@ -276,6 +353,20 @@ module.exports = (sequelize) => {
       foreignKey: 'storeId',
       as: 'timeslots'
     });
+
+    // Store has many calendar exceptions (closures and special hours)
+    Store.hasMany(models.StoreException, {
+      foreignKey: 'storeId',
+      as: 'exceptions'
+    });
+  };
+
+  // Class methods for querying
+  Store.findWithExceptions = function(storeId, { transaction } = {}) {
+    return this.findByPk(storeId, {
+      include: [{ model: sequelize.models.StoreException, as: 'exceptions', required: false }],
+      transaction
+    });
   };
 
   return Store;
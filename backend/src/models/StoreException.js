@@ -0,0 +1,193 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StoreException:
+ *       type: object
+ *       required:
+ *         - storeId
+ *         - date
+ *         - type
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Unique identifier for the exception
+ *         storeId:
+ *           type: string
+ *           format: uuid
+ *           description: Store the exception applies to
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Calendar date in the store's timezone
+ *         type:
+ *           type: string
+ *           enum: [closure, special_hours]
+ *           description: Whether the store is closed or open with different hours
+ *         open:
+ *           type: string
+ *           description: Opening time (HH:mm) for special hours
+ *         close:
+ *           type: string
+ *           description: Closing time (HH:mm) for special hours
+ *         isRecurring:
+ *           type: boolean
+ *           description: Repeat on the same month and day every year
+ *         name:
+ *           type: string
+ *           description: Display name (e.g. Christmas Day)
+ *         source:
+ *           type: string
+ *           enum: [manual, holiday_import]
+ *           description: How the exception was created
+ *         metadata:
+ *           type: object
+ *           description: Additional exception metadata
+ */
+
+const TIME_PATTERN = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+module.exports = (sequelize) => {
+  const StoreException = sequelize.define('StoreException', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    storeId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.ENUM('closure', 'special_hours'),
+      allowNull: false,
+      defaultValue: 'closure'
+    },
+    open: {
+      type: DataTypes.STRING(5),
+      allowNull: true,
+      validate: {
+        is: TIME_PATTERN
+      }
+    },
+    close: {
+      type: DataTypes.STRING(5),
+      allowNull: true,
+      validate: {
+        is: TIME_PATTERN
+      }
+    },
+    isRecurring: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        len: [0, 255]
+      }
+    },
+    source: {
+      type: DataTypes.ENUM('manual', 'holiday_import'),
+      allowNull: false,
+      defaultValue: 'manual'
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      defaultValue: {},
+      allowNull: true
+    }
+  }, {
+    tableName: 'store_exceptions',
+    indexes: [
+      {
+        fields: ['store_id']
+      },
+      {
+        fields: ['store_id', 'date']
+      },
+      {
+        fields: ['store_id', 'is_recurring']
+      }
+    ],
+    validate: {
+      hoursMatchType() {
+        if (this.type === 'special_hours') {
+          if (!this.open || !this.close) {
+            throw new Error('Special hours require open and close times');
+          }
+          if (this.open >= this.close) {
+            throw new Error('Closing time must be after opening time');
+          }
+        }
+      }
+    }
+  });
+
+  // Instance methods
+  StoreException.prototype.appliesTo = function(localDate) {
+    return this.isRecurring
+      ? this.date.slice(5) === localDate.slice(5)
+      : this.date === localDate;
+  };
+
+  StoreException.prototype.toOperatingHours = function() {
+    const exception = {
+      id: this.id,
+      name: this.name || null,
+      type: this.type,
+      isRecurring: this.isRecurring
+    };
+
+    return this.type === 'closure'
+      ? { closed: true, exception }
+      : { open: this.open, close: this.close, closed: false, exception };
+  };
+
+  // Class methods
+  StoreException.associate = (models) => {
+    // Exception belongs to Store
+    StoreException.belongsTo(models.Store, {
+      foreignKey: 'storeId',
+      as: 'store'
+    });
+  };
+
+  // Class methods for querying
+  StoreException.findForStore = function(storeId, { startDate, endDate, type } = {}) {
+    const { Op } = sequelize.Sequelize;
+    const where = { storeId };
+
+    if (type) where.type = type;
+
+    // Recurring exceptions apply every year, so only dated ones are range-filtered
+    if (startDate || endDate) {
+      const dateRange = {};
+      if (startDate) dateRange[Op.gte] = startDate;
+      if (endDate) dateRange[Op.lte] = endDate;
+      where[Op.or] = [{ isRecurring: true }, { date: dateRange }];
+    }
+
+    return this.findAll({
+      where,
+      order: [['date', 'ASC']]
+    });
+  };
+
+  return StoreException;
+};
@@ -219,14 +219,14 @@ module.exports = (sequelize) => {
     );
   };
 
-  Timeslot.prototype.incrementBookings = async function() {
+  Timeslot.prototype.incrementBookings = async function(options = {}) {
     this.currentBookings += 1;
-    await this.save();
+    await this.save(options);
   };
 
-  Timeslot.prototype.decrementBookings = async function() {
+  Timeslot.prototype.decrementBookings = async function(options = {}) {
     this.currentBookings = Math.max(0, this.currentBookings - 1);
-    await this.save();
+    await this.save(options);
   };
 
   // Class methods
@@ -280,19 +280,29 @@ module.exports = (sequelize) => {
     }
   };
 
-  Timeslot.findAvailableForDate = function(storeId, date) {
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-    
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
+  Timeslot.findAvailableForDate = async function(storeId, date) {
+    const { Store } = sequelize.models;
+
+    const store = await Store.findWithExceptions(storeId);
+    if (!store) {
+      throw new Error('Store not found');
+    }
+
+    // Closures and special hours override slots generated from the weekly pattern
+    const operatingWindow = store.getOperatingWindow(date);
+    if (!operatingWindow) {
+      return [];
+    }
 
     return this.findAll({
       where: {
         storeId,
         isActive: true,
         startTime: {
-          [sequelize.Sequelize.Op.between]: [startOfDay, endOfDay]
+          [sequelize.Sequelize.Op.gte]: operatingWindow.open
+        },
+        endTime: {
+          [sequelize.Sequelize.Op.lte]: operatingWindow.close
         },
         currentBookings: {
           [sequelize.Sequelize.Op.lt]: sequelize.col('max_capacity')
@@ -333,36 +343,26 @@ module.exports = (sequelize) => {
   Timeslot.generateDailySlots = async function(storeId, date, slotDuration = 60, capacity = 1) {
     const { Store } = sequelize.models;
     
-    const store = await Store.findByPk(storeId);
+    const store = await Store.findWithExceptions(storeId);
     if (!store) {
       throw new Error('Store not found');
     }
 
-    const dayName = date.toLocaleDateString('en-US', { 
-      weekday: 'long',
-      timeZone: store.timezone 
-    }).toLowerCase();
-
-    const operatingHours = store.operatingHours[dayName];
-    if (!operatingHours || operatingHours.closed) {
+    // Opening hours are wall-clock times in the store's timezone
+    const operatingWindow = store.getOperatingWindow(date);
+    if (!operatingWindow) {
       return []; // No slots for closed days
     }
 
     const slots = [];
-    const [openHour, openMinute] = operatingHours.open.split(':').map(Number);
-    const [closeHour, closeMinute] = operatingHours.close.split(':').map(Number);
-
-    const startTime = new Date(date);
-    startTime.setHours(openHour, openMinute, 0, 0);
-
-    const endTime = new Date(date);
-    endTime.setHours(closeHour, closeMinute, 0, 0);
+    const startTime = operatingWindow.open;
+    const endTime = operatingWindow.close;
 
+    // Step in absolute minutes so slots stay evenly sized across DST changes
     let currentTime = new Date(startTime);
 
     while (currentTime < endTime) {
-      const slotEndTime = new Date(currentTime);
-      slotEndTime.setMinutes(slotEndTime.getMinutes() + slotDuration);
+      const slotEndTime = new Date(currentTime.getTime() + slotDuration * 60000);
 
       if (slotEndTime <= endTime) {
         slots.push({
@@ -374,7 +374,7 @@ module.exports = (sequelize) => {
         });
       }
 
-      currentTime.setMinutes(currentTime.getMinutes() + slotDuration);
+      currentTime = slotEndTime;
     }
 
     return slots;
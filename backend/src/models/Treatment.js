@@ -1,4 +1,5 @@
 const { DataTypes } = require('sequelize');
+const config = require('../config');
 
 /**
  * @swagger
@@ -47,10 +48,29 @@ const { DataTypes } = require('sequelize');
  *           items:
  *             type: string
  *             format: uuid
- *           description: Required resource IDs
+ *           description: Resource IDs that are all required
+ *         resourceRequirements:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               resourceIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               label:
+ *                 type: string
+ *           description: Groups where any one of the listed resources is required (e.g. any massage room)
  *         maxConcurrentBookings:
  *           type: integer
  *           description: Maximum concurrent bookings allowed
+ *         bufferBeforeMinutes:
+ *           type: integer
+ *           description: Preparation time before each booking (defaults to the store buffer)
+ *         bufferAfterMinutes:
+ *           type: integer
+ *           description: Cleanup and turnover time after each booking (defaults to the store buffer)
  *         isActive:
  *           type: boolean
  *           description: Whether the treatment is active
@@ -138,6 +158,23 @@ module.exports = (sequelize) => {
       defaultValue: [],
       allowNull: true
     },
+    resourceRequirements: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      allowNull: false,
+      validate: {
+        isValidGroups(value) {
+          if (!Array.isArray(value)) {
+            throw new Error('Resource requirements must be an array');
+          }
+          value.forEach(group => {
+            if (!Array.isArray(group.resourceIds) || group.resourceIds.length === 0) {
+              throw new Error('Each resource requirement needs at least one resource');
+            }
+          });
+        }
+      }
+    },
     maxConcurrentBookings: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -147,6 +184,24 @@ module.exports = (sequelize) => {
         max: 100
       }
     },
+    bufferBeforeMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0,
+        max: 240
+      },
+      comment: 'Preparation buffer in minutes; null falls back to the store buffer'
+    },
+    bufferAfterMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0,
+        max: 240
+      },
+      comment: 'Cleanup buffer in minutes; null falls back to the store buffer'
+    },
     isActive: {
       type: DataTypes.BOOLEAN,
       defaultValue: true,
@@ -218,7 +273,28 @@ module.exports = (sequelize) => {
   };
 
   Treatment.prototype.isResourceRequired = function(resourceId) {
-    return this.requiredResources.includes(resourceId);
+    return this.getResourceIds().includes(resourceId);
+  };
+
+  // Each listed required resource is its own group; "any one of" groups follow
+  Treatment.prototype.getResourceRequirements = function() {
+    return [
+      ...(this.requiredResources || []).map(resourceId => ({ resourceIds: [resourceId], label: null })),
+      ...(this.resourceRequirements || []).map(group => ({ resourceIds: group.resourceIds, label: group.label || null }))
+    ];
+  };
+
+  Treatment.prototype.getResourceIds = function() {
+    return [...new Set(this.getResourceRequirements().flatMap(group => group.resourceIds))];
+  };
+
+  Treatment.prototype.getBufferTimes = function(store) {
+    const storeBuffer = store ? store.getBufferTimeMinutes() : config.booking.bufferTimeMinutes;
+
+    return {
+      before: this.bufferBeforeMinutes ?? storeBuffer,
+      after: this.bufferAfterMinutes ?? storeBuffer
+    };
   };
 
   Treatment.prototype.canBePerformedBy = function(staffLevel) {
@@ -271,6 +347,12 @@ module.exports = (sequelize) => {
       otherKey: 'resourceId',
       as: 'resources'
     });
+
+    // Treatment has many staff qualifications
+    Treatment.hasMany(models.StaffQualification, {
+      foreignKey: 'treatmentId',
+      as: 'qualifications'
+    });
   };
 
   // Class methods for querying
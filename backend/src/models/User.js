@@ -249,6 +249,24 @@ module.exports = (sequelize) => {
       foreignKey: 'staffId',
       as: 'staffBookings'
     });
+
+    // User has many weekly shifts (as staff)
+    User.hasMany(models.StaffShift, {
+      foreignKey: 'staffId',
+      as: 'shifts'
+    });
+
+    // User has many time-off entries (as staff)
+    User.hasMany(models.StaffTimeOff, {
+      foreignKey: 'staffId',
+      as: 'timeOff'
+    });
+
+    // User has many treatment qualifications (as staff)
+    User.hasMany(models.StaffQualification, {
+      foreignKey: 'staffId',
+      as: 'qualifications'
+    });
   };
 
   return User;
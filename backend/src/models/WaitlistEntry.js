@@ -0,0 +1,287 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WaitlistEntry:
+ *       type: object
+ *       required:
+ *         - storeId
+ *         - treatmentId
+ *         - customerId
+ *         - startDate
+ *         - endDate
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Unique identifier for the waitlist entry
+ *         storeId:
+ *           type: string
+ *           format: uuid
+ *           description: Store the customer wants to book at
+ *         treatmentId:
+ *           type: string
+ *           format: uuid
+ *           description: Treatment the customer is waiting for
+ *         customerId:
+ *           type: string
+ *           format: uuid
+ *           description: Waiting customer
+ *         staffId:
+ *           type: string
+ *           format: uuid
+ *           description: Preferred staff member; only their freed time is offered when set
+ *         startDate:
+ *           type: string
+ *           format: date
+ *           description: First acceptable day (store timezone)
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           description: Last acceptable day (store timezone)
+ *         status:
+ *           type: string
+ *           enum: [waiting, offered, booked, declined, expired, cancelled]
+ *           description: Waiting in line, holding an offer, or closed
+ *         offeredStartTime:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the time currently held for the customer
+ *         offeredEndTime:
+ *           type: string
+ *           format: date-time
+ *           description: End of the time currently held for the customer
+ *         offeredStaffId:
+ *           type: string
+ *           format: uuid
+ *           description: Staff member the held time is with
+ *         offeredAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the current offer was made
+ *         offerExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the held time passes to the next customer
+ *         bookingId:
+ *           type: string
+ *           format: uuid
+ *           description: Booking created when the offer was accepted
+ *         notes:
+ *           type: string
+ *           description: Notes carried onto the booking
+ *         metadata:
+ *           type: object
+ *           description: Additional data, including the history of offers made
+ */
+
+module.exports = (sequelize) => {
+  const WaitlistEntry = sequelize.define('WaitlistEntry', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    storeId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    treatmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'treatments',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    customerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    staffId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    startDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    endDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('waiting', 'offered', 'booked', 'declined', 'expired', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'waiting'
+    },
+    offeredStartTime: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    offeredEndTime: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    offeredStaffId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    offeredAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    offerExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'bookings',
+        key: 'id'
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'waitlist_entries',
+    indexes: [
+      {
+        fields: ['store_id', 'treatment_id', 'status', 'created_at']
+      },
+      {
+        fields: ['customer_id', 'status']
+      },
+      {
+        fields: ['status', 'offer_expires_at']
+      }
+    ],
+    validate: {
+      endsAfterStart() {
+        if (this.startDate > this.endDate) {
+          throw new Error('Waitlist end date must not be before its start date');
+        }
+      }
+    }
+  });
+
+  // Instance methods
+  WaitlistEntry.prototype.hasLiveOffer = function(now = new Date()) {
+    return this.status === 'offered' && new Date(this.offerExpiresAt) > now;
+  };
+
+  WaitlistEntry.prototype.coversDate = function(localDate) {
+    return localDate >= this.startDate && localDate <= this.endDate;
+  };
+
+  WaitlistEntry.prototype.getOfferHistory = function() {
+    return (this.metadata && this.metadata.offerHistory) || [];
+  };
+
+  // Class methods
+  WaitlistEntry.associate = (models) => {
+    WaitlistEntry.belongsTo(models.Store, {
+      foreignKey: 'storeId',
+      as: 'store'
+    });
+
+    WaitlistEntry.belongsTo(models.Treatment, {
+      foreignKey: 'treatmentId',
+      as: 'treatment'
+    });
+
+    WaitlistEntry.belongsTo(models.User, {
+      foreignKey: 'customerId',
+      as: 'customer'
+    });
+
+    // Preferred staff member, if any
+    WaitlistEntry.belongsTo(models.User, {
+      foreignKey: 'staffId',
+      as: 'staff'
+    });
+
+    // Booking made from an accepted offer
+    WaitlistEntry.belongsTo(models.Booking, {
+      foreignKey: 'bookingId',
+      as: 'booking'
+    });
+  };
+
+  // Class methods for querying
+  WaitlistEntry.findWaiting = function(storeId, treatmentId, localDate, { staffId = null, transaction } = {}) {
+    const { Op } = sequelize.Sequelize;
+
+    return this.findAll({
+      where: {
+        storeId,
+        treatmentId,
+        status: 'waiting',
+        startDate: { [Op.lte]: localDate },
+        endDate: { [Op.gte]: localDate },
+        // Entries waiting for someone else's time can't take this one
+        staffId: staffId ? { [Op.or]: [null, staffId] } : null
+      },
+      order: [['createdAt', 'ASC']],
+      transaction
+    });
+  };
+
+  WaitlistEntry.findLiveOffers = function(storeId, startTime, endTime, { transaction } = {}) {
+    const { Op } = sequelize.Sequelize;
+
+    return this.findAll({
+      where: {
+        storeId,
+        status: 'offered',
+        offerExpiresAt: { [Op.gt]: new Date() },
+        offeredStartTime: { [Op.lt]: endTime },
+        offeredEndTime: { [Op.gt]: startTime }
+      },
+      transaction
+    });
+  };
+
+  WaitlistEntry.findExpiredOffers = function({ now = new Date(), limit = 50 } = {}) {
+    return this.findAll({
+      where: {
+        status: 'offered',
+        offerExpiresAt: { [sequelize.Sequelize.Op.lte]: now }
+      },
+      order: [['offerExpiresAt', 'ASC']],
+      limit
+    });
+  };
+
+  return WaitlistEntry;
+};
@@ -0,0 +1,185 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookDelivery:
+ *       type: object
+ *       required:
+ *         - subscriptionId
+ *         - eventType
+ *         - payload
+ *         - status
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Unique identifier for the delivery attempt
+ *         subscriptionId:
+ *           type: string
+ *           format: uuid
+ *           description: Webhook subscription the attempt was made for
+ *         eventId:
+ *           type: string
+ *           description: Identifier of the delivered event (shared by all attempts of one event)
+ *         eventType:
+ *           type: string
+ *           description: Event type that was delivered
+ *         payload:
+ *           type: object
+ *           description: Payload sent to the receiver
+ *         status:
+ *           type: string
+ *           enum: [success, failed]
+ *           description: Outcome of the attempt
+ *         statusCode:
+ *           type: integer
+ *           description: HTTP status code returned by the receiver
+ *         responseBody:
+ *           type: string
+ *           description: Excerpt of the receiver's response body
+ *         latencyMs:
+ *           type: integer
+ *           description: Time taken by the attempt in milliseconds
+ *         attemptNumber:
+ *           type: integer
+ *           description: Attempt number for this event (1 = first delivery)
+ *         error:
+ *           type: string
+ *           description: Error message when the attempt failed
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the attempt was made
+ */
+
+const RESPONSE_EXCERPT_LENGTH = 2000;
+
+module.exports = (sequelize) => {
+  const WebhookDelivery = sequelize.define('WebhookDelivery', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    subscriptionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'webhook_subscriptions',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    eventId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    eventType: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    status: {
+      type: DataTypes.ENUM('success', 'failed'),
+      allowNull: false
+    },
+    statusCode: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    responseBody: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: `Response body truncated to ${RESPONSE_EXCERPT_LENGTH} characters`
+    },
+    latencyMs: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    attemptNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 1
+      }
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'webhook_deliveries',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['subscription_id']
+      },
+      {
+        fields: ['event_id']
+      },
+      {
+        fields: ['event_type']
+      },
+      {
+        fields: ['status']
+      },
+      {
+        fields: ['subscription_id', 'created_at']
+      }
+    ]
+  });
+
+  // Class methods
+  WebhookDelivery.associate = (models) => {
+    // Delivery belongs to WebhookSubscription
+    WebhookDelivery.belongsTo(models.WebhookSubscription, {
+      foreignKey: 'subscriptionId',
+      as: 'subscription'
+    });
+  };
+
+  WebhookDelivery.toResponseExcerpt = function(data) {
+    if (data === undefined || data === null) {
+      return null;
+    }
+
+    const text = typeof data === 'string' ? data : JSON.stringify(data);
+    return text.length > RESPONSE_EXCERPT_LENGTH
+      ? `${text.slice(0, RESPONSE_EXCERPT_LENGTH)}…`
+      : text;
+  };
+
+  // Class methods for querying
+  WebhookDelivery.findForSubscription = function(subscriptionId, { status, eventType, startDate, endDate, limit = 50, offset = 0 } = {}) {
+    const where = { subscriptionId };
+
+    if (status) where.status = status;
+    if (eventType) where.eventType = eventType;
+
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt[sequelize.Sequelize.Op.gte] = startDate;
+      if (endDate) where.createdAt[sequelize.Sequelize.Op.lte] = endDate;
+    }
+
+    return this.findAndCountAll({
+      where,
+      limit,
+      offset,
+      order: [['createdAt', 'DESC']]
+    });
+  };
+
+  return WebhookDelivery;
+};
@@ -0,0 +1,224 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookOutbox:
+ *       type: object
+ *       required:
+ *         - subscriptionId
+ *         - eventType
+ *         - payload
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Unique identifier for the queued delivery
+ *         subscriptionId:
+ *           type: string
+ *           format: uuid
+ *           description: Webhook subscription the event is queued for
+ *         eventId:
+ *           type: string
+ *           description: Identifier of the queued event
+ *         eventType:
+ *           type: string
+ *           description: Event type to deliver
+ *         payload:
+ *           type: object
+ *           description: Payload to send to the receiver
+ *         status:
+ *           type: string
+ *           enum: [pending, delivered, dead_letter]
+ *           description: Queue state of the delivery
+ *         attempts:
+ *           type: integer
+ *           description: Number of delivery attempts made so far
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the worker should next attempt delivery
+ *         lastAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           description: When delivery was last attempted
+ *         leasedUntil:
+ *           type: string
+ *           format: date-time
+ *           description: Until when a delivery in flight is hidden from the retry worker
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the event was successfully delivered
+ *         deadLetteredAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the event was moved to the dead-letter state
+ *         lastError:
+ *           type: string
+ *           description: Error from the most recent failed attempt
+ */
+
+module.exports = (sequelize) => {
+  const WebhookOutbox = sequelize.define('WebhookOutbox', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    subscriptionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'webhook_subscriptions',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    eventId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    eventType: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'delivered', 'dead_letter'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    leasedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    deliveredAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    deadLetteredAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'webhook_outbox',
+    indexes: [
+      {
+        fields: ['subscription_id']
+      },
+      {
+        fields: ['status']
+      },
+      {
+        fields: ['status', 'next_attempt_at']
+      }
+    ]
+  });
+
+  // Instance methods
+  WebhookOutbox.prototype.markDelivered = async function() {
+    this.status = 'delivered';
+    this.deliveredAt = new Date();
+    this.nextAttemptAt = null;
+    this.leasedUntil = null;
+    this.lastError = null;
+    await this.save();
+  };
+
+  WebhookOutbox.prototype.markFailed = async function(reason, nextAttemptAt) {
+    this.lastError = reason;
+    this.nextAttemptAt = nextAttemptAt;
+    this.leasedUntil = null;
+    await this.save();
+  };
+
+  WebhookOutbox.prototype.markDeadLetter = async function(reason) {
+    this.status = 'dead_letter';
+    this.deadLetteredAt = new Date();
+    this.nextAttemptAt = null;
+    this.leasedUntil = null;
+    this.lastError = reason;
+    await this.save();
+  };
+
+  // Class methods
+  WebhookOutbox.associate = (models) => {
+    // Queued delivery belongs to WebhookSubscription
+    WebhookOutbox.belongsTo(models.WebhookSubscription, {
+      foreignKey: 'subscriptionId',
+      as: 'subscription'
+    });
+  };
+
+  // Class methods for querying
+  // Pending rows whose retry time has come (any time when forced), never
+  // rows another delivery still holds a lease on
+  WebhookOutbox.findDue = function(limit, { transaction, force = false } = {}) {
+    const now = new Date();
+    const where = {
+      status: 'pending',
+      [sequelize.Sequelize.Op.or]: [
+        { leasedUntil: null },
+        { leasedUntil: { [sequelize.Sequelize.Op.lte]: now } }
+      ]
+    };
+
+    if (!force) {
+      where.nextAttemptAt = {
+        [sequelize.Sequelize.Op.lte]: now
+      };
+    }
+
+    return this.findAll({
+      where,
+      order: [['nextAttemptAt', 'ASC']],
+      limit,
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined,
+      skipLocked: Boolean(transaction)
+    });
+  };
+
+  WebhookOutbox.findDeadLetters = function({ subscriptionId, eventType, limit = 50, offset = 0 } = {}) {
+    const where = { status: 'dead_letter' };
+
+    if (subscriptionId) where.subscriptionId = subscriptionId;
+    if (eventType) where.eventType = eventType;
+
+    return this.findAndCountAll({
+      where,
+      limit,
+      offset,
+      order: [['deadLetteredAt', 'DESC']]
+    });
+  };
+
+  return WebhookOutbox;
+};
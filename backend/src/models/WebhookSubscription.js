@@ -24,7 +24,7 @@ const config = require('../config');
  *           type: array
  *           items:
  *             type: string
- *             enum: [booking.created, booking.updated, booking.cancelled, booking.completed, availability.changed]
+ *             enum: [booking.created, booking.updated, booking.cancelled, booking.completed, availability.changed, waitlist.offered, waitlist.accepted, waitlist.declined, waitlist.expired, class.cancelled]
  *           description: List of events to subscribe to
  *         isActive:
  *           type: boolean
@@ -34,10 +34,10 @@ const config = require('../config');
  *           description: Secret key for webhook signature verification
  *         retryCount:
  *           type: integer
- *           description: Number of retry attempts on failure
+ *           description: Consecutive events dead-lettered after using up their retries
  *         maxRetries:
  *           type: integer
- *           description: Maximum number of retry attempts
+ *           description: Retry attempts per event, and consecutive dead-lettered events before the webhook is disabled
  *         lastSuccessAt:
  *           type: string
  *           format: date-time
@@ -171,16 +171,23 @@ module.exports = (sequelize) => {
     await this.save();
   };
 
+  // A failed attempt; the queued event retries on its own backoff schedule
   WebhookSubscription.prototype.recordFailure = async function(reason) {
     this.lastFailureAt = new Date();
+    this.lastFailureReason = reason;
+    await this.save();
+  };
+
+  // An event that used up its own retries. Only when maxRetries events in a
+  // row have done so is the webhook disabled.
+  WebhookSubscription.prototype.recordDeadLetter = async function(reason) {
     this.lastFailureReason = reason;
     this.retryCount += 1;
-    
-    // Disable webhook if max retries exceeded
+
     if (this.retryCount >= this.maxRetries) {
       this.isActive = false;
     }
-    
+
     await this.save();
   };
 
@@ -197,9 +204,9 @@ module.exports = (sequelize) => {
     return this.isActive && this.retryCount < this.maxRetries;
   };
 
-  WebhookSubscription.prototype.getNextRetryDelay = function() {
+  WebhookSubscription.prototype.getNextRetryDelay = function(retryCount = this.retryCount) {
     // Exponential backoff: 1s, 2s, 4s, 8s, etc. (max 60s)
-    const delay = Math.min(Math.pow(2, this.retryCount) * 1000, 60000);
+    const delay = Math.min(Math.pow(2, retryCount) * 1000, 60000);
     return delay;
   };
 
@@ -215,7 +222,7 @@ module.exports = (sequelize) => {
       message = 'Webhook is disabled';
     } else if (this.retryCount > 0) {
       status = 'retrying';
-      message = `Webhook is retrying (attempt ${this.retryCount}/${this.maxRetries})`;
+      message = `Webhook has dead-lettered ${this.retryCount} event(s) in a row (disabled at ${this.maxRetries})`;
     } else if (this.lastFailureAt && this.lastFailureAt > dayAgo) {
       status = 'warning';
       message = 'Recent failures detected';
@@ -236,8 +243,17 @@ module.exports = (sequelize) => {
 
   // Class methods
   WebhookSubscription.associate = (models) => {
-    // WebhookSubscription can be associated with specific stores if needed
-    // For now, we'll keep it simple without associations
+    // WebhookSubscription has many delivery attempts
+    WebhookSubscription.hasMany(models.WebhookDelivery, {
+      foreignKey: 'subscriptionId',
+      as: 'deliveries'
+    });
+
+    // WebhookSubscription has many queued events
+    WebhookSubscription.hasMany(models.WebhookOutbox, {
+      foreignKey: 'subscriptionId',
+      as: 'outbox'
+    });
   };
 
   // Class methods for querying
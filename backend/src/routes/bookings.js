@@ -1,7 +1,28 @@
 const express = require('express');
 const BookingController = require('../controllers/BookingController');
+const WaitlistController = require('../controllers/WaitlistController');
+const BookingHoldController = require('../controllers/BookingHoldController');
+const BookingSeriesController = require('../controllers/BookingSeriesController');
+const AppointmentGroupController = require('../controllers/AppointmentGroupController');
 const { authenticate, authorize } = require('../middleware/auth');
-const { validateBookingCreation, validateBookingUpdate, validatePagination } = require('../middleware/validation');
+const {
+  validateBookingCreation,
+  validateBookingUpdate,
+  validateBookingStatusUpdate,
+  validateBookingReschedule,
+  validateBookingSeries,
+  validateBookingSeriesQuery,
+  validateBookingSeriesOccurrence,
+  validateBookingSeriesCancellation,
+  validateBookingSeriesReschedule,
+  validateAppointmentGroup,
+  validateAppointmentGroupCancellation,
+  validateBookingHold,
+  validateBookingHoldConfirmation,
+  validateWaitlistEntry,
+  validateWaitlistQuery,
+  validatePagination
+} = require('../middleware/validation');
 const config = require('../config');
 
 const router = express.Router();
@@ -75,9 +96,685 @@ router.get('/', authenticate, validatePagination, BookingController.getAllBookin
  *     responses:
  *       201:
  *         description: Booking created successfully
+ *       409:
+ *         description: Requested time is not available; error.details lists the failing quota checks
  */
 router.post('/', authenticate, validateBookingCreation, BookingController.createBooking);
 
+/**
+ * @swagger
+ * /api/v1/bookings/series:
+ *   get:
+ *     summary: List recurring booking series
+ *     description: Customers see their own series, store admins and staff their store's.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, cancelled]
+ *     responses:
+ *       200:
+ *         description: Series retrieved successfully
+ *   post:
+ *     summary: Create a recurring booking series
+ *     description: Books every occurrence that is available. Occurrences that can't be booked are listed under failed, each with the reason and suggested alternative times.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - storeId
+ *               - treatmentId
+ *               - bookingDateTime
+ *               - recurrence
+ *             properties:
+ *               customerId:
+ *                 type: string
+ *                 format: uuid
+ *               storeId:
+ *                 type: string
+ *                 format: uuid
+ *               treatmentId:
+ *                 type: string
+ *                 format: uuid
+ *               staffId:
+ *                 type: string
+ *                 format: uuid
+ *               bookingDateTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start of the first occurrence
+ *               recurrence:
+ *                 type: object
+ *                 required:
+ *                   - frequency
+ *                 description: RRULE-style rule; exactly one of count or until
+ *                 properties:
+ *                   frequency:
+ *                     type: string
+ *                     enum: [daily, weekly]
+ *                   interval:
+ *                     type: integer
+ *                     description: Every N days or weeks (default 1)
+ *                   byWeekday:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       enum: [monday, tuesday, wednesday, thursday, friday, saturday, sunday]
+ *                   count:
+ *                     type: integer
+ *                   until:
+ *                     type: string
+ *                     format: date
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Series created; booked and failed list the outcome of each occurrence
+ *       409:
+ *         description: None of the occurrences are available
+ */
+router.get('/series', authenticate, validateBookingSeriesQuery, BookingSeriesController.getSeries);
+router.post('/series', authenticate, validateBookingSeries, BookingSeriesController.createSeries);
+
+/**
+ * @swagger
+ * /api/v1/bookings/series/preview:
+ *   post:
+ *     summary: Check a recurring series without booking it
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - storeId
+ *               - treatmentId
+ *               - bookingDateTime
+ *               - recurrence
+ *             properties:
+ *               customerId:
+ *                 type: string
+ *                 format: uuid
+ *               storeId:
+ *                 type: string
+ *                 format: uuid
+ *               treatmentId:
+ *                 type: string
+ *                 format: uuid
+ *               staffId:
+ *                 type: string
+ *                 format: uuid
+ *               bookingDateTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start of the first occurrence
+ *               recurrence:
+ *                 type: object
+ *                 required:
+ *                   - frequency
+ *                 description: RRULE-style rule; exactly one of count or until
+ *                 properties:
+ *                   frequency:
+ *                     type: string
+ *                     enum: [daily, weekly]
+ *                   interval:
+ *                     type: integer
+ *                     description: Every N days or weeks (default 1)
+ *                   byWeekday:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       enum: [monday, tuesday, wednesday, thursday, friday, saturday, sunday]
+ *                   count:
+ *                     type: integer
+ *                   until:
+ *                     type: string
+ *                     format: date
+ *     responses:
+ *       200:
+ *         description: Availability of each occurrence, with alternatives for those that are unavailable
+ */
+router.post('/series/preview', authenticate, validateBookingSeries, BookingSeriesController.previewSeries);
+
+/**
+ * @swagger
+ * /api/v1/bookings/series/{seriesId}:
+ *   get:
+ *     summary: Get a recurring series with its occurrences
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Series retrieved successfully
+ */
+router.get('/series/:seriesId', authenticate, BookingSeriesController.getSeriesById);
+
+/**
+ * @swagger
+ * /api/v1/bookings/series/{seriesId}/occurrences:
+ *   post:
+ *     summary: Book an additional occurrence into a series
+ *     description: Typically one of the alternatives suggested for an occurrence that couldn't be booked.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bookingDateTime
+ *             properties:
+ *               bookingDateTime:
+ *                 type: string
+ *                 format: date-time
+ *               occurrence:
+ *                 type: integer
+ *                 description: Number of the failed occurrence this replaces
+ *     responses:
+ *       201:
+ *         description: Occurrence booked
+ *       409:
+ *         description: Requested time is not available
+ */
+router.post('/series/:seriesId/occurrences', authenticate, validateBookingSeriesOccurrence, BookingSeriesController.addOccurrence);
+
+/**
+ * @swagger
+ * /api/v1/bookings/series/{seriesId}/cancel:
+ *   patch:
+ *     summary: Cancel occurrences of a series
+ *     description: Cancels a single occurrence, an occurrence and all following ones, or every upcoming occurrence. Occurrences past their cancellation deadline are skipped and reported.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scope
+ *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [single, following, all]
+ *               bookingId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: The occurrence to start from; required unless scope is all
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Occurrences cancelled
+ */
+router.patch('/series/:seriesId/cancel', authenticate, validateBookingSeriesCancellation, BookingSeriesController.cancelSeries);
+
+/**
+ * @swagger
+ * /api/v1/bookings/series/{seriesId}/reschedule:
+ *   patch:
+ *     summary: Reschedule occurrences of a series
+ *     description: The named occurrence moves to bookingDateTime; with scope following or all, the other occurrences move by the same number of days to the same new time of day. Occurrences that can't move are reported with suggested alternatives.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scope
+ *               - bookingDateTime
+ *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [single, following, all]
+ *               bookingId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: The occurrence to move; required unless scope is all, which defaults to the next upcoming one
+ *               bookingDateTime:
+ *                 type: string
+ *                 format: date-time
+ *               staffId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Occurrences rescheduled; failed and skipped list those that weren't
+ */
+router.patch('/series/:seriesId/reschedule', authenticate, validateBookingSeriesReschedule, BookingSeriesController.rescheduleSeries);
+
+/**
+ * @swagger
+ * /api/v1/bookings/groups:
+ *   post:
+ *     summary: Book several treatments as one visit
+ *     description: Segments run back-to-back by default; a segment with timing parallel starts together with the one before it. Staff and resources are resolved for each segment and the whole visit is booked atomically.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - storeId
+ *               - bookingDateTime
+ *               - segments
+ *             properties:
+ *               customerId:
+ *                 type: string
+ *                 format: uuid
+ *               storeId:
+ *                 type: string
+ *                 format: uuid
+ *               bookingDateTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start of the first segment
+ *               segments:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - treatmentId
+ *                   properties:
+ *                     treatmentId:
+ *                       type: string
+ *                       format: uuid
+ *                     staffId:
+ *                       type: string
+ *                       format: uuid
+ *                     timing:
+ *                       type: string
+ *                       enum: [sequential, parallel]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Visit booked; the response lists its segments and combined price
+ *       409:
+ *         description: A segment is not available; error.details names the segment
+ */
+router.post('/groups', authenticate, validateAppointmentGroup, AppointmentGroupController.createGroup);
+
+/**
+ * @swagger
+ * /api/v1/bookings/groups/{groupId}:
+ *   get:
+ *     summary: Get a multi-treatment visit
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Visit retrieved successfully
+ */
+router.get('/groups/:groupId', authenticate, AppointmentGroupController.getGroupById);
+
+/**
+ * @swagger
+ * /api/v1/bookings/groups/{groupId}/cancel:
+ *   patch:
+ *     summary: Cancel a multi-treatment visit
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Visit cancelled
+ */
+router.patch('/groups/:groupId/cancel', authenticate, validateAppointmentGroupCancellation, AppointmentGroupController.cancelGroup);
+
+/**
+ * @swagger
+ * /api/v1/bookings/holds:
+ *   post:
+ *     summary: Hold a time during checkout
+ *     description: Reserves capacity, staff and resources for a few minutes, exactly as a booking would. The hold becomes a pending booking when confirmed and is released automatically when it expires.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - storeId
+ *               - treatmentId
+ *               - bookingDateTime
+ *             properties:
+ *               customerId:
+ *                 type: string
+ *                 format: uuid
+ *               storeId:
+ *                 type: string
+ *                 format: uuid
+ *               treatmentId:
+ *                 type: string
+ *                 format: uuid
+ *               staffId:
+ *                 type: string
+ *                 format: uuid
+ *               bookingDateTime:
+ *                 type: string
+ *                 format: date-time
+ *               holdMinutes:
+ *                 type: integer
+ *                 description: How long to hold the time; defaults to 10 minutes
+ *     responses:
+ *       201:
+ *         description: Time held; the response carries holdExpiresAt and expiresInSeconds
+ *       409:
+ *         description: Requested time is not available, or the customer already holds the maximum number of times
+ */
+router.post('/holds', authenticate, validateBookingHold, BookingHoldController.createHold);
+
+/**
+ * @swagger
+ * /api/v1/bookings/holds/{holdId}:
+ *   get:
+ *     summary: Get a checkout hold
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: holdId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Hold retrieved successfully
+ *       404:
+ *         description: Hold not found, released or already confirmed
+ *   delete:
+ *     summary: Release a checkout hold
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: holdId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Hold released
+ */
+router.get('/holds/:holdId', authenticate, BookingHoldController.getHoldById);
+router.delete('/holds/:holdId', authenticate, BookingHoldController.releaseHold);
+
+/**
+ * @swagger
+ * /api/v1/bookings/holds/{holdId}/confirm:
+ *   post:
+ *     summary: Confirm a checkout hold
+ *     description: Turns the hold into a pending booking for the held time.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: holdId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Booking created from the hold
+ *       409:
+ *         description: The hold has expired
+ */
+router.post('/holds/:holdId/confirm', authenticate, validateBookingHoldConfirmation, BookingHoldController.confirmHold);
+
+/**
+ * @swagger
+ * /api/v1/bookings/waitlist:
+ *   get:
+ *     summary: List waitlist entries
+ *     description: Customers see their own entries, store admins and staff their store's. Entries are listed longest-waiting first.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: storeId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: treatmentId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, offered, booked, declined, expired, cancelled]
+ *     responses:
+ *       200:
+ *         description: Waitlist entries retrieved successfully
+ *   post:
+ *     summary: Join the waitlist for a treatment
+ *     description: When a matching booking is cancelled, the longest-waiting customer is offered its time, held for them for a limited period.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - storeId
+ *               - treatmentId
+ *               - startDate
+ *             properties:
+ *               customerId:
+ *                 type: string
+ *                 format: uuid
+ *               storeId:
+ *                 type: string
+ *                 format: uuid
+ *               treatmentId:
+ *                 type: string
+ *                 format: uuid
+ *               staffId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Only wait for this staff member's time
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to startDate
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Added to the waitlist
+ *       409:
+ *         description: Customer is already waiting for this treatment on overlapping dates
+ */
+router.get('/waitlist', authenticate, validateWaitlistQuery, WaitlistController.getEntries);
+router.post('/waitlist', authenticate, validateWaitlistEntry, WaitlistController.joinWaitlist);
+
+/**
+ * @swagger
+ * /api/v1/bookings/waitlist/{entryId}:
+ *   get:
+ *     summary: Get a waitlist entry
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Waitlist entry retrieved successfully
+ *   delete:
+ *     summary: Leave the waitlist
+ *     description: An open offer is withdrawn and passed to the next customer.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Left the waitlist
+ */
+router.get('/waitlist/:entryId', authenticate, WaitlistController.getEntryById);
+router.delete('/waitlist/:entryId', authenticate, WaitlistController.leaveWaitlist);
+
+/**
+ * @swagger
+ * /api/v1/bookings/waitlist/{entryId}/accept:
+ *   post:
+ *     summary: Accept a waitlist offer
+ *     description: Creates a pending booking for the held time.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       201:
+ *         description: Offer accepted and booking created
+ *       409:
+ *         description: No open offer, the offer expired, or the time is no longer available
+ */
+router.post('/waitlist/:entryId/accept', authenticate, WaitlistController.acceptOffer);
+
+/**
+ * @swagger
+ * /api/v1/bookings/waitlist/{entryId}/decline:
+ *   post:
+ *     summary: Decline a waitlist offer
+ *     description: The held time is offered to the next customer.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Offer declined
+ *       409:
+ *         description: No open offer
+ */
+router.post('/waitlist/:entryId/decline', authenticate, WaitlistController.declineOffer);
+
 /**
  * @swagger
  * /api/v1/bookings/{bookingId}:
@@ -123,9 +820,54 @@ router.get('/:bookingId', authenticate, BookingController.getBookingById);
  *     responses:
  *       200:
  *         description: Booking updated successfully
+ *       409:
+ *         description: New time or staff is not available; error.details lists the failing quota checks
  */
 router.put('/:bookingId', authenticate, validateBookingUpdate, BookingController.updateBooking);
 
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/reschedule:
+ *   patch:
+ *     summary: Reschedule booking to a new time
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bookingDateTime
+ *             properties:
+ *               bookingDateTime:
+ *                 type: string
+ *                 format: date-time
+ *               staffId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Booking rescheduled successfully
+ *       400:
+ *         description: Booking is past its reschedule deadline or nothing changed
+ *       409:
+ *         description: New time is not available; error.details lists the failing quota checks
+ */
+router.patch('/:bookingId/reschedule', authenticate, validateBookingReschedule, BookingController.rescheduleBooking);
+
 /**
  * @swagger
  * /api/v1/bookings/{bookingId}/cancel:
@@ -160,6 +902,7 @@ router.patch('/:bookingId/cancel', authenticate, BookingController.cancelBooking
  * /api/v1/bookings/{bookingId}/status:
  *   patch:
  *     summary: Update booking status
+ *     description: Confirming an unassigned booking assigns a free, qualified staff member using the store's assignment strategy.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -182,13 +925,19 @@ router.patch('/:bookingId/cancel', authenticate, BookingController.cancelBooking
  *               status:
  *                 type: string
  *                 enum: [pending, confirmed, in_progress, completed, cancelled, no_show]
+ *               reason:
+ *                 type: string
+ *                 description: Reason recorded in the status history
  *     responses:
  *       200:
  *         description: Booking status updated successfully
+ *       409:
+ *         description: Transition not allowed from the current status; details list the allowed next states
  */
 router.patch('/:bookingId/status', 
   authenticate, 
   authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN, config.roles.STAFF), 
+  validateBookingStatusUpdate,
   BookingController.updateBookingStatus
 );
 
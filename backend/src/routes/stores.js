@@ -2,8 +2,37 @@ const express = require('express');
 const StoreController = require('../controllers/StoreController');
 const AvailabilityController = require('../controllers/AvailabilityController');
 const QuotaController = require('../controllers/QuotaController');
+const StoreExceptionController = require('../controllers/StoreExceptionController');
+const TimeslotController = require('../controllers/TimeslotController');
+const ResourceController = require('../controllers/ResourceController');
+const ResourceMaintenanceController = require('../controllers/ResourceMaintenanceController');
+const ClassSessionController = require('../controllers/ClassSessionController');
 const { authenticate, authorize, authorizeStore } = require('../middleware/auth');
-const { validateStoreCreation, validateStoreUpdate, validatePagination } = require('../middleware/validation');
+const {
+  validateStoreCreation,
+  validateStoreUpdate,
+  validatePagination,
+  validateStoreException,
+  validateStoreExceptionUpdate,
+  validateStoreExceptionQuery,
+  validateStoreHolidayImport,
+  validateTimeslotQuery,
+  validateTimeslotUpdate,
+  validateTimeslotBlock,
+  validateResourceCreation,
+  validateResourceUpdate,
+  validateResourceQuery,
+  validateResourceScheduleQuery,
+  validateResourceMaintenance,
+  validateResourceMaintenanceUpdate,
+  validateResourceMaintenanceQuery,
+  validateClassSession,
+  validateClassSessionQuery,
+  validateClassSessionCancellation,
+  validateClassSeat,
+  validateClassSeatCancellation,
+  validateClassRosterQuery
+} = require('../middleware/validation');
 const config = require('../config');
 
 const router = express.Router();
@@ -23,6 +52,39 @@ router.put('/:storeId', authenticate, validateStoreUpdate, StoreController.updat
 router.put('/:storeId/hours', authenticate, StoreController.updateOperatingHours);
 router.get('/:storeId/availability', authenticate, StoreController.getStoreAvailability);
 
+// Holiday and special-hours calendar routes
+router.get('/:storeId/exceptions', authenticate, validateStoreExceptionQuery, StoreExceptionController.getExceptions);
+router.post('/:storeId/exceptions', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN), authorizeStore(), validateStoreException, StoreExceptionController.createException);
+router.post('/:storeId/exceptions/import', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN), authorizeStore(), validateStoreHolidayImport, StoreExceptionController.importHolidays);
+router.get('/:storeId/exceptions/affected-bookings', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN, config.roles.STAFF), authorizeStore(), StoreExceptionController.getAffectedBookings);
+router.put('/:storeId/exceptions/:exceptionId', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN), authorizeStore(), validateStoreExceptionUpdate, StoreExceptionController.updateException);
+router.delete('/:storeId/exceptions/:exceptionId', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN), authorizeStore(), StoreExceptionController.deleteException);
+
+// Room and equipment routes
+router.get('/:storeId/resources', authenticate, authorizeStore(), validateResourceQuery, ResourceController.getResources);
+router.post('/:storeId/resources', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN), authorizeStore(), validateResourceCreation, ResourceController.createResource);
+router.get('/:storeId/resources/:resourceId', authenticate, authorizeStore(), ResourceController.getResourceById);
+router.put('/:storeId/resources/:resourceId', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN), authorizeStore(), validateResourceUpdate, ResourceController.updateResource);
+router.delete('/:storeId/resources/:resourceId', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN), authorizeStore(), ResourceController.deactivateResource);
+router.get('/:storeId/resources/:resourceId/schedule', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN, config.roles.STAFF), authorizeStore(), validateResourceScheduleQuery, ResourceController.getResourceSchedule);
+router.get('/:storeId/resources/:resourceId/usage', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN, config.roles.STAFF), authorizeStore(), ResourceController.getResourceUsage);
+
+// Resource maintenance and out-of-service routes
+router.get('/:storeId/resources/:resourceId/maintenance', authenticate, validateResourceMaintenanceQuery, ResourceMaintenanceController.getWindows);
+router.post('/:storeId/resources/:resourceId/maintenance', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN), authorizeStore(), validateResourceMaintenance, ResourceMaintenanceController.createWindow);
+router.get('/:storeId/resources/:resourceId/maintenance/:maintenanceId/affected-bookings', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN, config.roles.STAFF), authorizeStore(), ResourceMaintenanceController.getAffectedBookings);
+router.put('/:storeId/resources/:resourceId/maintenance/:maintenanceId', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN), authorizeStore(), validateResourceMaintenanceUpdate, ResourceMaintenanceController.updateWindow);
+router.delete('/:storeId/resources/:resourceId/maintenance/:maintenanceId', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN), authorizeStore(), ResourceMaintenanceController.deleteWindow);
+
+// Class sessions and their seats
+router.get('/:storeId/classes', authenticate, validateClassSessionQuery, ClassSessionController.getSessions);
+router.post('/:storeId/classes', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN), authorizeStore(), validateClassSession, ClassSessionController.createSession);
+router.get('/:storeId/classes/:sessionId', authenticate, ClassSessionController.getSessionById);
+router.patch('/:storeId/classes/:sessionId/cancel', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN), authorizeStore(), validateClassSessionCancellation, ClassSessionController.cancelSession);
+router.get('/:storeId/classes/:sessionId/roster', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN, config.roles.STAFF), authorizeStore(), validateClassRosterQuery, ClassSessionController.getRoster);
+router.post('/:storeId/classes/:sessionId/seats', authenticate, authorizeStore(), validateClassSeat, ClassSessionController.bookSeat);
+router.patch('/:storeId/classes/:sessionId/seats/:bookingId/cancel', authenticate, authorizeStore(), validateClassSeatCancellation, ClassSessionController.cancelSeat);
+
 // Availability management routes
 router.get('/availability/check', authenticate, AvailabilityController.checkAvailability);
 router.get('/availability/slots', authenticate, AvailabilityController.getAvailableSlots);
@@ -31,6 +93,12 @@ router.get('/availability/staff', authenticate, AvailabilityController.getAvaila
 router.post('/:storeId/timeslots/generate', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN), AvailabilityController.generateTimeslots);
 router.post('/:storeId/timeslots/bulk-generate', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN), AvailabilityController.bulkGenerateTimeslots);
 
+// Timeslot management routes
+router.get('/:storeId/timeslots', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN, config.roles.STAFF), authorizeStore(), validateTimeslotQuery, TimeslotController.getTimeslots);
+router.patch('/:storeId/timeslots/:timeslotId', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN), authorizeStore(), validateTimeslotUpdate, TimeslotController.updateTimeslot);
+router.post('/:storeId/timeslots/:timeslotId/block', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN), authorizeStore(), validateTimeslotBlock, TimeslotController.blockTimeslot);
+router.post('/:storeId/timeslots/:timeslotId/unblock', authenticate, authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN), authorizeStore(), TimeslotController.unblockTimeslot);
+
 // Quota management routes
 router.get('/quota/check', authenticate, QuotaController.checkBookingQuota);
 router.get('/quota/utilization', authenticate, QuotaController.getQuotaUtilization);
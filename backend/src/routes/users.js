@@ -1,10 +1,18 @@
 const express = require('express');
 const UserController = require('../controllers/UserController');
+const StaffScheduleController = require('../controllers/StaffScheduleController');
+const StaffQualificationController = require('../controllers/StaffQualificationController');
 const { authenticate, authorize, authorizeOwner } = require('../middleware/auth');
 const { 
   validateUserRegistration, 
   validateUserUpdate, 
-  validatePagination 
+  validatePagination,
+  validateStaffShifts,
+  validateStaffTimeOff,
+  validateStaffTimeOffReview,
+  validateStaffTimeOffQuery,
+  validateStaffQualification,
+  validateStaffQualificationUpdate
 } = require('../middleware/validation');
 const config = require('../config');
 
@@ -415,4 +423,447 @@ router.delete('/:userId',
   UserController.deleteUser
 );
 
+/**
+ * @swagger
+ * /api/v1/users/{userId}/schedule:
+ *   get:
+ *     summary: Get a staff member's weekly shifts and upcoming time off
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Schedule retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     timezone:
+ *                       type: string
+ *                     shifts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/StaffShift'
+ *                     upcomingTimeOff:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/StaffTimeOff'
+ *       400:
+ *         description: User is not a staff member
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.get('/:userId/schedule',
+  authenticate,
+  StaffScheduleController.getSchedule
+);
+
+/**
+ * @swagger
+ * /api/v1/users/{userId}/schedule/shifts:
+ *   put:
+ *     summary: Replace a staff member's weekly shifts
+ *     description: Staff with no shifts are bookable whenever the store is open.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - shifts
+ *             properties:
+ *               shifts:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/StaffShift'
+ *     responses:
+ *       200:
+ *         description: Shifts replaced successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.put('/:userId/schedule/shifts',
+  authenticate,
+  authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN),
+  validateStaffShifts,
+  StaffScheduleController.replaceShifts
+);
+
+/**
+ * @swagger
+ * /api/v1/users/{userId}/time-off:
+ *   get:
+ *     summary: List a staff member's time off
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Time off retrieved successfully
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ *   post:
+ *     summary: Request time off
+ *     description: Staff requests start as pending. Admins may approve on creation, and sick days they record are approved immediately.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [vacation, personal, sick, training, other]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               startTime:
+ *                 type: string
+ *               endTime:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *               approve:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Time off recorded; includes bookings it affects when approved
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/:userId/time-off',
+  authenticate,
+  validateStaffTimeOffQuery,
+  StaffScheduleController.getTimeOff
+);
+
+router.post('/:userId/time-off',
+  authenticate,
+  validateStaffTimeOff,
+  StaffScheduleController.requestTimeOff
+);
+
+/**
+ * @swagger
+ * /api/v1/users/{userId}/time-off/{timeOffId}/review:
+ *   patch:
+ *     summary: Approve or reject a pending time-off request
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: timeOffId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request reviewed; includes bookings it affects when approved
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Time off not found
+ *       409:
+ *         description: Request has already been reviewed
+ */
+router.patch('/:userId/time-off/:timeOffId/review',
+  authenticate,
+  authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN),
+  validateStaffTimeOffReview,
+  StaffScheduleController.reviewTimeOff
+);
+
+/**
+ * @swagger
+ * /api/v1/users/{userId}/time-off/{timeOffId}/cancel:
+ *   patch:
+ *     summary: Cancel a pending or approved time-off entry
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: timeOffId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Time off cancelled successfully
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Time off not found
+ *       409:
+ *         description: Time off can no longer be cancelled
+ */
+router.patch('/:userId/time-off/:timeOffId/cancel',
+  authenticate,
+  StaffScheduleController.cancelTimeOff
+);
+
+/**
+ * @swagger
+ * /api/v1/users/{userId}/qualifications:
+ *   get:
+ *     summary: List a staff member's treatment qualifications
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Qualifications retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StaffQualification'
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ *   post:
+ *     summary: Certify a staff member for a treatment
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StaffQualification'
+ *     responses:
+ *       201:
+ *         description: Qualification created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden
+ *       409:
+ *         description: Staff member already has a qualification for this treatment
+ */
+router.get('/:userId/qualifications',
+  authenticate,
+  StaffQualificationController.getQualifications
+);
+
+router.post('/:userId/qualifications',
+  authenticate,
+  authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN),
+  validateStaffQualification,
+  StaffQualificationController.createQualification
+);
+
+/**
+ * @swagger
+ * /api/v1/users/{userId}/qualifications/{qualificationId}:
+ *   put:
+ *     summary: Update a treatment qualification
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: qualificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               skillLevel:
+ *                 type: string
+ *                 enum: [junior, senior, expert]
+ *               certifiedAt:
+ *                 type: string
+ *                 format: date
+ *               expiresAt:
+ *                 type: string
+ *                 format: date
+ *               certificationReference:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Qualification updated successfully
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Qualification not found
+ *   delete:
+ *     summary: Remove a treatment qualification
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: qualificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Qualification deleted successfully
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Qualification not found
+ */
+router.put('/:userId/qualifications/:qualificationId',
+  authenticate,
+  authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN),
+  validateStaffQualificationUpdate,
+  StaffQualificationController.updateQualification
+);
+
+router.delete('/:userId/qualifications/:qualificationId',
+  authenticate,
+  authorize(config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN),
+  StaffQualificationController.deleteQualification
+);
+
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,7 @@
 const express = require('express');
 const WebhookController = require('../controllers/WebhookController');
 const { authenticate, authorize } = require('../middleware/auth');
-const { validateWebhookSubscription, validateWebhookUpdate } = require('../middleware/validation');
+const { validateWebhookSubscription, validateWebhookUpdate, validateWebhookDeliveryQuery, validateWebhookDeadLetterQuery } = require('../middleware/validation');
 const config = require('../config');
 
 const router = express.Router();
@@ -27,6 +27,63 @@ router.post('/',
   WebhookController.createSubscription
 );
 
+// Dead-letter queue (declared before /:subscriptionId so the path is not captured)
+/**
+ * @swagger
+ * /api/v1/webhooks/dead-letters:
+ *   get:
+ *     summary: List webhook deliveries that exhausted their retries
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: subscriptionId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: eventType
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dead-lettered deliveries retrieved successfully
+ */
+router.get('/dead-letters', 
+  authenticate, 
+  authorize(config.roles.SUPER_ADMIN), 
+  validateWebhookDeadLetterQuery,
+  WebhookController.getDeadLetters
+);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/dead-letters/{outboxId}/replay:
+ *   post:
+ *     summary: Replay a dead-lettered webhook delivery
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: outboxId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Delivery replayed
+ *       409:
+ *         description: Delivery is not in the dead-letter state
+ */
+router.post('/dead-letters/:outboxId/replay', 
+  authenticate, 
+  authorize(config.roles.SUPER_ADMIN), 
+  WebhookController.replayDeadLetter
+);
+
 router.get('/:subscriptionId', 
   authenticate, 
   authorize(config.roles.SUPER_ADMIN), 
@@ -53,9 +110,69 @@ router.post('/:subscriptionId/test',
   WebhookController.testSubscription
 );
 
+/**
+ * @swagger
+ * /api/v1/webhooks/{subscriptionId}/logs:
+ *   get:
+ *     summary: Get delivery attempts for a webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [success, failed]
+ *       - in: query
+ *         name: eventType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Delivery attempts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ */
 router.get('/:subscriptionId/logs', 
   authenticate, 
   authorize(config.roles.SUPER_ADMIN), 
+  validateWebhookDeliveryQuery,
   WebhookController.getDeliveryLogs
 );
 
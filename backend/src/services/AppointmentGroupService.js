@@ -0,0 +1,171 @@
+const { sequelize } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const BookingService = require('./BookingService');
+const AvailabilityCacheService = require('./AvailabilityCacheService');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+class AppointmentGroupService {
+  /**
+   * Lay out a visit's segments in time. A sequential segment starts once every
+   * earlier segment has ended; a parallel one starts with the segment before it.
+   * Back-to-back segments are flagged so the turnover buffer between them is dropped.
+   */
+  static planSegments(startTime, segments) {
+    const plan = [];
+
+    segments.forEach((segment, position) => {
+      const previous = plan[plan.length - 1];
+      const parallel = previous && segment.timing === 'parallel';
+      const segmentStart = !previous
+        ? new Date(startTime)
+        : parallel
+          ? previous.startTime
+          : new Date(Math.max(...plan.map(planned => planned.endTime.getTime())));
+
+      plan.push({
+        ...segment,
+        position,
+        startTime: segmentStart,
+        endTime: new Date(segmentStart.getTime() + segment.treatment.duration * 60000),
+        trimBefore: Boolean(previous) && !parallel,
+        trimAfter: false
+      });
+    });
+
+    plan.forEach(planned => {
+      planned.trimAfter = plan.some(later => later.trimBefore && later.startTime.getTime() === planned.endTime.getTime());
+    });
+
+    return plan;
+  }
+
+  /**
+   * Book a multi-treatment visit atomically: every segment is checked, staffed
+   * and given its resources in one transaction under the store lock, so either
+   * the whole visit is booked or nothing is
+   */
+  static async createGroup({ store, customerId, bookingDateTime, segments, notes = null }, actorId) {
+    const { AppointmentGroup, Booking } = sequelize.models;
+
+    const currency = segments[0].treatment.price.currency;
+    if (segments.some(segment => segment.treatment.price.currency !== currency)) {
+      throw new AppError('All treatments in a visit must be priced in the same currency', 400, 'MIXED_CURRENCIES');
+    }
+
+    const plan = this.planSegments(bookingDateTime, segments);
+    let releasedHolds = [];
+
+    const { group, bookings } = await BookingService.withRaceProtection(() => sequelize.transaction(async (transaction) => {
+      await BookingService.lockStore(store.id, transaction);
+      releasedHolds = await BookingService.releaseHolds(await Booking.findExpiredHolds({ storeId: store.id, transaction }), { transaction });
+
+      const group = await AppointmentGroup.create({
+        storeId: store.id,
+        customerId,
+        startTime: plan[0].startTime,
+        endTime: new Date(Math.max(...plan.map(segment => segment.endTime.getTime()))),
+        totalPrice: AppointmentGroup.combinePrices(plan.map(segment => segment.treatment.price)),
+        notes,
+        createdBy: actorId
+      }, { transaction });
+
+      const bookings = [];
+      for (const segment of plan) {
+        // Staff already working an overlapping segment of this visit can't take this one
+        const busyStaffIds = bookings
+          .filter((booking, index) => plan[index].startTime < segment.endTime && plan[index].endTime > segment.startTime)
+          .map(booking => booking.staffId)
+          .filter(Boolean);
+
+        try {
+          bookings.push(await BookingService.insertBooking({
+            customerId,
+            storeId: store.id,
+            treatment: segment.treatment,
+            staffId: segment.staffId || null,
+            bookingDateTime: segment.startTime,
+            notes,
+            groupId: group.id,
+            groupPosition: segment.position
+          }, {
+            transaction,
+            alwaysAssignStaff: true,
+            excludeStaffIds: busyStaffIds,
+            trimBuffer: { before: segment.trimBefore, after: segment.trimAfter }
+          }));
+        } catch (error) {
+          // Point the client at the segment that couldn't be booked
+          if (Array.isArray(error.details)) {
+            error.details = error.details.map(conflict => ({ ...conflict, segment: segment.position, treatmentId: segment.treatment.id }));
+          }
+          throw error;
+        }
+      }
+
+      return { group, bookings };
+    }), { customerId, storeId: store.id });
+
+    for (const booking of bookings) {
+      await AvailabilityCacheService.invalidateBooking(booking, null, 'booking_created');
+    }
+    await BookingService.invalidateReleasedHolds(releasedHolds);
+
+    logger.logDatabaseOperation('create', 'appointment_groups', group.id, {
+      storeId: store.id,
+      customerId,
+      segments: bookings.map(booking => booking.id),
+      createdBy: actorId
+    });
+
+    return { group, bookings };
+  }
+
+  /**
+   * Cancel every segment of a visit that can still be cancelled, in one
+   * transaction under the store lock so the visit is never left partly cancelled
+   */
+  static async cancelGroup(group, { reason, actor }) {
+    const { Booking } = sequelize.models;
+
+    const { segments, cancelled, skipped } = await sequelize.transaction(async (transaction) => {
+      await BookingService.lockStore(group.storeId, transaction);
+
+      const segments = await Booking.findAll({
+        where: { groupId: group.id },
+        order: [['groupPosition', 'ASC']],
+        transaction
+      });
+
+      const cancelled = [];
+      const skipped = [];
+
+      for (const booking of segments) {
+        if (!booking.canBeCancelled()) {
+          if ([config.bookingStatus.PENDING, config.bookingStatus.CONFIRMED].includes(booking.status)) {
+            skipped.push({ bookingId: booking.id, reason: 'Booking cannot be cancelled at this time' });
+          }
+          continue;
+        }
+
+        const previousStatus = booking.status;
+        await BookingService.cancelInTransaction(booking, { actor, reason, transaction });
+        cancelled.push({ booking, previousStatus });
+      }
+
+      if (skipped.length === 0) {
+        await group.update({ status: 'cancelled' }, { transaction });
+      }
+
+      return { segments, cancelled, skipped };
+    });
+
+    for (const { booking } of cancelled) {
+      await AvailabilityCacheService.invalidateBooking(booking, null, 'booking_cancelled');
+    }
+
+    return { segments, cancelled, skipped };
+  }
+}
+
+module.exports = AppointmentGroupService;
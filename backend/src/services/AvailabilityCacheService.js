@@ -0,0 +1,190 @@
+const { sequelize } = require('../config/database');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getCache } = require('../utils/cache');
+const { addDays } = require('../utils/timezone');
+
+/**
+ * Caches computed availability per store, treatment and store-local date.
+ * Entries are tagged with their store, treatment and every date they cover,
+ * so a change invalidates only the results it can affect. Cache failures are
+ * logged and treated as misses; availability is always computable without it.
+ */
+class AvailabilityCacheService {
+  static storeTag(storeId) {
+    return `availability:store:${storeId}`;
+  }
+
+  static dateTag(storeId, date) {
+    return `availability:date:${storeId}:${date}`;
+  }
+
+  static treatmentTag(treatmentId) {
+    return `availability:treatment:${treatmentId}`;
+  }
+
+  /**
+   * Key and tags for one day's slots of a treatment
+   */
+  static slotsEntry(storeId, treatmentId, date, { mode, stepMinutes }) {
+    return {
+      key: `availability:slots:${storeId}:${treatmentId}:${date}:${mode}:${stepMinutes}`,
+      tags: [this.storeTag(storeId), this.treatmentTag(treatmentId), this.dateTag(storeId, date)]
+    };
+  }
+
+  /**
+   * Key and tags for a summary over a range of dates, with or without a treatment
+   */
+  static summaryEntry(storeId, treatmentId, startDate, endDate) {
+    const tags = [this.storeTag(storeId)];
+    if (treatmentId) {
+      tags.push(this.treatmentTag(treatmentId));
+    }
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+      tags.push(this.dateTag(storeId, date));
+    }
+
+    return {
+      key: `availability:summary:${storeId}:${treatmentId || 'all'}:${startDate}:${endDate}`,
+      tags
+    };
+  }
+
+  /**
+   * Return the cached value for an entry, or compute and cache it.
+   * `revive` rebuilds values JSON can't carry (such as dates) on a hit.
+   */
+  static async wrap({ key, tags }, compute, { revive = value => value } = {}) {
+    if (!config.cache.availability.enabled) {
+      return compute();
+    }
+
+    const cache = await getCache();
+
+    try {
+      const cached = await cache.get(key);
+      if (cached !== null) {
+        return revive(JSON.parse(cached));
+      }
+    } catch (error) {
+      logger.logError(error, { context: 'availability_cache_read', key });
+    }
+
+    const value = await compute();
+
+    try {
+      await cache.set(key, JSON.stringify(value), config.cache.availability.ttlSeconds, tags);
+    } catch (error) {
+      logger.logError(error, { context: 'availability_cache_write', key });
+    }
+
+    return value;
+  }
+
+  /**
+   * Drop cached availability for specific store-local dates
+   */
+  static invalidateDates(storeId, dates, reason = null) {
+    return this.invalidate([...new Set(dates)].map(date => this.dateTag(storeId, date)), { storeId, dates, reason });
+  }
+
+  /**
+   * Drop cached availability for an inclusive range of store-local dates
+   */
+  static invalidateDateRange(storeId, startDate, endDate, reason = null) {
+    const dates = [];
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+      dates.push(date);
+    }
+
+    return this.invalidateDates(storeId, dates, reason);
+  }
+
+  /**
+   * Drop cached availability for every date a booking window touches, buffers
+   * included. Windows are instants; the store's timezone maps them to dates.
+   */
+  static async invalidateWindows(storeId, windows, reason = null) {
+    const { Store } = sequelize.models;
+
+    let store;
+    try {
+      store = await Store.findByPk(storeId, { attributes: ['id', 'timezone'] });
+    } catch (error) {
+      logger.logError(error, { context: 'availability_cache_invalidate', storeId, reason });
+      return this.invalidateStore(storeId, reason);
+    }
+    if (!store) {
+      return 0;
+    }
+
+    const dates = windows.flatMap(({ start, end }) => {
+      const covered = [];
+      for (let date = store.getLocalDate(start); date <= store.getLocalDate(end); date = addDays(date, 1)) {
+        covered.push(date);
+      }
+      return covered;
+    });
+
+    return this.invalidateDates(storeId, dates, reason);
+  }
+
+  /**
+   * Drop cached availability for the days a booking occupies
+   */
+  static invalidateBooking(booking, previousWindow = null, reason = null) {
+    const windows = [this.bookingWindow(booking)];
+    if (previousWindow) {
+      windows.push(previousWindow);
+    }
+
+    return this.invalidateWindows(booking.storeId, windows, reason);
+  }
+
+  /**
+   * A booking's time including its preparation and cleanup buffers
+   */
+  static bookingWindow(booking) {
+    const start = new Date(booking.bookingDateTime);
+
+    return {
+      start: new Date(start.getTime() - (booking.bufferBeforeMinutes || 0) * 60000),
+      end: new Date(start.getTime() + (booking.duration + (booking.bufferAfterMinutes || 0)) * 60000)
+    };
+  }
+
+  /**
+   * Drop cached availability involving one treatment
+   */
+  static invalidateTreatment(treatmentId, reason = null) {
+    return this.invalidate([this.treatmentTag(treatmentId)], { treatmentId, reason });
+  }
+
+  /**
+   * Drop all cached availability for a store
+   */
+  static invalidateStore(storeId, reason = null) {
+    return this.invalidate([this.storeTag(storeId)], { storeId, reason });
+  }
+
+  static async invalidate(tags, details) {
+    if (!config.cache.availability.enabled) {
+      return 0;
+    }
+
+    try {
+      const cache = await getCache();
+      const removed = await cache.invalidateTags(tags);
+
+      logger.logDatabaseOperation('invalidate', 'availability_cache', null, { ...details, removed });
+
+      return removed;
+    } catch (error) {
+      logger.logError(error, { context: 'availability_cache_invalidate', ...details });
+      return 0;
+    }
+  }
+}
+
+module.exports = AvailabilityCacheService;
@@ -1,62 +1,65 @@
 const { sequelize } = require('../config/database');
 const logger = require('../utils/logger');
 const config = require('../config');
+const WebhookEventService = require('./WebhookEventService');
+const QuotaService = require('./QuotaService');
+const StaffScheduleService = require('./StaffScheduleService');
+const StaffQualificationService = require('./StaffQualificationService');
+const ResourceAllocationService = require('./ResourceAllocationService');
+const TimeslotService = require('./TimeslotService');
+const SlotComputationService = require('./SlotComputationService');
+const AvailabilityCacheService = require('./AvailabilityCacheService');
+const { addDays } = require('../utils/timezone');
 
 class AvailabilityService {
   /**
-   * Generate timeslots for a store on a specific date
+   * Generate timeslots for a store on a specific date.
+   * Dates are calendar days in the store's timezone ('YYYY-MM-DD' or an instant on that day).
+   * Slots already holding bookings are kept; see TimeslotService.regenerateDay.
    */
-  static async generateTimeslots(storeId, date, slotDuration = 60, maxCapacity = 1) {
-    const { Store, Timeslot } = sequelize.models;
+  static async generateTimeslots(storeId, date, slotDuration = 60, maxCapacity = 1, { dryRun = false } = {}) {
+    const { Store } = sequelize.models;
     
     const store = await Store.findByPk(storeId);
     if (!store) {
       throw new Error('Store not found');
     }
 
-    // Clear existing timeslots for the date
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
+    const localDate = store.getLocalDate(date);
+    const plan = await TimeslotService.regenerateDay(store, date, slotDuration, maxCapacity, { dryRun });
 
-    await Timeslot.destroy({
-      where: {
-        storeId,
-        startTime: {
-          [sequelize.Sequelize.Op.between]: [startOfDay, endOfDay]
-        }
-      }
-    });
-
-    // Generate new timeslots
-    const slotsData = await Timeslot.generateDailySlots(storeId, date, slotDuration, maxCapacity);
-    
-    if (slotsData.length > 0) {
-      await Timeslot.bulkCreate(slotsData);
+    if (dryRun) {
+      return plan;
     }
 
     logger.logDatabaseOperation('generate', 'timeslots', null, {
       storeId,
-      date: date.toISOString().split('T')[0],
-      slotsGenerated: slotsData.length
+      date: localDate,
+      slotsGenerated: plan.create.length,
+      slotsRemoved: plan.remove.length,
+      slotsRetained: plan.retain.length
     });
 
-    return slotsData.length;
+    WebhookEventService.emitAvailabilityChanged(storeId, localDate, {
+      reason: 'timeslots_regenerated',
+      slotsGenerated: plan.create.length,
+      slotDuration,
+      maxCapacity
+    });
+
+    return plan;
   }
 
   /**
    * Check real-time availability for a treatment at a specific time
    */
-  static async checkAvailability(storeId, treatmentId, startTime, duration) {
-    const { Treatment, Booking, Resource, User, Timeslot } = sequelize.models;
+  static async checkAvailability(storeId, treatmentId, startTime, duration, { buffer } = {}) {
+    const { Treatment, Booking, User, Timeslot, WaitlistEntry } = sequelize.models;
     
     const endTime = new Date(startTime.getTime() + duration * 60000);
     
     // Get treatment details
-    const treatment = await Treatment.findByPk(treatmentId, {
-      include: [{ model: Resource, as: 'resources' }]
-    });
+    const treatment = await Treatment.findByPk(treatmentId);
     
     if (!treatment || !treatment.isActive) {
       return {
@@ -65,8 +68,8 @@ class AvailabilityService {
       };
     }
 
-    // Check if store is open
-    const store = await sequelize.models.Store.findByPk(storeId);
+    // Check if store is open, honouring closures and special hours
+    const store = await sequelize.models.Store.findWithExceptions(storeId);
     if (!store.isOpenOnDate(startTime)) {
       return {
         available: false,
@@ -74,43 +77,57 @@ class AvailabilityService {
       };
     }
 
-    // Check timeslot availability
-    const availableSlots = await Timeslot.findAll({
-      where: {
-        storeId,
-        startTime: {
-          [sequelize.Sequelize.Op.lte]: startTime
-        },
-        endTime: {
-          [sequelize.Sequelize.Op.gte]: endTime
+    if (!store.isOpenDuring(startTime, endTime)) {
+      return {
+        available: false,
+        reason: 'Requested time is outside store operating hours'
+      };
+    }
+
+    const bufferTimes = buffer || treatment.getBufferTimes(store);
+
+    // Timeslots are required in 'timeslots' mode; otherwise they only
+    // constrain days that have them. A window may span several slots.
+    const slotMode = store.getSlotSettings().mode;
+    let coveringSlots = [];
+    let timeslotCapacity = null;
+
+    if (slotMode !== 'dynamic') {
+      const { start: startOfDay, end: endOfDay } = store.getDayBounds(startTime);
+      const dayTimeslots = await Timeslot.findAll({
+        where: {
+          storeId,
+          startTime: {
+            [sequelize.Sequelize.Op.between]: [startOfDay, endOfDay]
+          }
         },
-        isActive: true,
-        currentBookings: {
-          [sequelize.Sequelize.Op.lt]: sequelize.col('max_capacity')
+        order: [['startTime', 'ASC']]
+      });
+
+      if (dayTimeslots.length > 0 || slotMode === 'timeslots') {
+        timeslotCapacity = SlotComputationService.timeslotCapacity(dayTimeslots, treatmentId, startTime, endTime);
+        if (timeslotCapacity === null) {
+          return {
+            available: false,
+            reason: 'No available timeslots',
+            canJoinWaitlist: true
+          };
         }
+
+        coveringSlots = dayTimeslots.filter(slot => slot.overlaps(startTime, endTime));
       }
-    });
+    }
 
-    if (availableSlots.length === 0) {
+    // Check that every resource requirement has a free unit
+    const resourceCheck = await ResourceAllocationService.findAllocation(treatment, startTime, endTime, { buffer: bufferTimes });
+    if (!resourceCheck.available) {
       return {
         available: false,
-        reason: 'No available timeslots'
+        reason: resourceCheck.reason
       };
     }
 
-    // Check resource availability
-    const requiredResources = treatment.resources || [];
-    for (const resource of requiredResources) {
-      const isResourceAvailable = await resource.isAvailable(startTime, endTime);
-      if (!isResourceAvailable) {
-        return {
-          available: false,
-          reason: `Resource ${resource.name} is not available`
-        };
-      }
-    }
-
-    // Check concurrent booking limits
+    // Check concurrent booking limits (a booking starting as this one ends does not overlap)
     const existingBookings = await Booking.count({
       where: {
         treatmentId,
@@ -121,7 +138,8 @@ class AvailabilityService {
         [sequelize.Sequelize.Op.or]: [
           {
             bookingDateTime: {
-              [sequelize.Sequelize.Op.between]: [startTime, endTime]
+              [sequelize.Sequelize.Op.gte]: startTime,
+              [sequelize.Sequelize.Op.lt]: endTime
             }
           },
           {
@@ -141,31 +159,48 @@ class AvailabilityService {
     if (existingBookings >= treatment.maxConcurrentBookings) {
       return {
         available: false,
-        reason: 'Maximum concurrent bookings reached for this treatment'
+        reason: 'Maximum concurrent bookings reached for this treatment',
+        canJoinWaitlist: true
+      };
+    }
+
+    // Each live waitlist offer holds one of the remaining units
+    const heldSeats = (await WaitlistEntry.findLiveOffers(storeId, startTime, endTime))
+      .filter(offer => offer.treatmentId === treatmentId).length;
+    if (existingBookings + heldSeats >= treatment.maxConcurrentBookings) {
+      return {
+        available: false,
+        reason: 'Time is held for a waitlisted customer',
+        canJoinWaitlist: true
       };
     }
 
+    const treatmentCapacity = treatment.maxConcurrentBookings - existingBookings - heldSeats;
+
     return {
       available: true,
-      timeslot: availableSlots[0],
-      availableCapacity: availableSlots[0].maxCapacity - availableSlots[0].currentBookings
+      timeslot: coveringSlots[0] || null,
+      availableCapacity: timeslotCapacity === null ? treatmentCapacity : Math.min(timeslotCapacity, treatmentCapacity)
     };
   }
 
   /**
-   * Get available staff for a treatment at a specific time
+   * Get available staff for a treatment at a specific time. Staff held by
+   * another customer's live waitlist offer are left out.
    */
-  static async getAvailableStaff(storeId, treatmentId, startTime, duration) {
-    const { User, Booking, Treatment } = sequelize.models;
+  static async getAvailableStaff(storeId, treatmentId, startTime, duration, { buffer, transaction, customerId } = {}) {
+    const { User, Booking, Treatment, Store, Timeslot, WaitlistEntry } = sequelize.models;
     
     const endTime = new Date(startTime.getTime() + duration * 60000);
     
     // Get treatment to check required staff level
-    const treatment = await Treatment.findByPk(treatmentId);
+    const treatment = await Treatment.findByPk(treatmentId, { transaction });
     if (!treatment) {
       throw new Error('Treatment not found');
     }
 
+    const bufferTimes = buffer || await QuotaService.getBufferTimes(storeId, treatmentId, { transaction });
+
     // Get all staff members for the store
     const allStaff = await User.findAll({
       where: {
@@ -174,25 +209,59 @@ class AvailabilityService {
           [sequelize.Sequelize.Op.in]: [config.roles.STAFF, config.roles.STORE_ADMIN]
         },
         isActive: true
-      }
+      },
+      transaction
     });
 
-    // Filter staff by qualification level
-    const qualifiedStaff = allStaff.filter(staff => {
-      return treatment.canBePerformedBy(staff.metadata?.skillLevel || 'junior');
+    const store = await Store.findByPk(storeId, { attributes: ['id', 'timezone', 'settings'], transaction });
+    if (!store) {
+      throw new Error('Store not found');
+    }
+
+    // Filter staff by treatment qualification and certification expiry
+    const qualified = await StaffQualificationService.filterQualified(treatment, allStaff, store.getLocalDate(startTime), { transaction });
+    const skillLevels = new Map(qualified.map(({ staff, skillLevel }) => [staff.id, skillLevel]));
+
+    // Timeslots naming their staff only offer those staff members
+    const coveringSlots = store.getSlotSettings().mode === 'dynamic' ? [] : await Timeslot.findAll({
+      where: {
+        storeId,
+        startTime: {
+          [sequelize.Sequelize.Op.lt]: endTime
+        },
+        endTime: {
+          [sequelize.Sequelize.Op.gt]: startTime
+        }
+      },
+      transaction
     });
 
-    // Check availability for each qualified staff member
+    const heldStaffIds = (await WaitlistEntry.findLiveOffers(storeId, startTime, endTime, { transaction }))
+      .filter(offer => offer.customerId !== customerId)
+      .map(offer => offer.offeredStaffId);
+
+    // Drop staff who are off shift, on a break or on approved leave
+    const scheduledStaff = await StaffScheduleService.filterScheduled(
+      qualified
+        .map(({ staff }) => staff)
+        .filter(staff => coveringSlots.every(slot => slot.hasAvailableStaff(staff.id)) && !heldStaffIds.includes(staff.id)),
+      startTime,
+      endTime,
+      store.timezone,
+      { transaction }
+    );
+
+    // Check availability for each scheduled staff member
     const availableStaff = [];
     
-    for (const staff of qualifiedStaff) {
-      const conflictingBookings = await Booking.findConflicting(staff.id, startTime, endTime);
+    for (const staff of scheduledStaff) {
+      const conflictingBookings = await Booking.findConflicting(staff.id, startTime, endTime, null, { buffer: bufferTimes, transaction });
       
       if (conflictingBookings.length === 0) {
         availableStaff.push({
           id: staff.id,
           name: staff.getFullName(),
-          skillLevel: staff.metadata?.skillLevel || 'junior'
+          skillLevel: skillLevels.get(staff.id)
         });
       }
     }
@@ -201,171 +270,195 @@ class AvailabilityService {
   }
 
   /**
-   * Get available time slots for a treatment on a specific date
+   * Get available time slots for a treatment on a specific date, using the
+   * store's slot mode and step unless overridden; see SlotComputationService
    */
-  static async getAvailableSlots(storeId, treatmentId, date) {
-    const { Treatment, Timeslot } = sequelize.models;
+  static async getAvailableSlots(storeId, treatmentId, date, { mode, stepMinutes } = {}) {
+    const { Store, Treatment } = sequelize.models;
     
     const treatment = await Treatment.findByPk(treatmentId);
     if (!treatment) {
       throw new Error('Treatment not found');
     }
 
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
+    const store = await Store.findWithExceptions(storeId);
+    if (!store) {
+      throw new Error('Store not found');
+    }
 
-    // Get all timeslots for the date
-    const timeslots = await Timeslot.findAll({
-      where: {
-        storeId,
-        startTime: {
-          [sequelize.Sequelize.Op.between]: [startOfDay, endOfDay]
-        },
-        isActive: true
-      },
-      order: [['startTime', 'ASC']]
-    });
+    if (!store.isOpenOnDate(date)) {
+      return [];
+    }
 
-    const availableSlots = [];
-
-    for (const slot of timeslots) {
-      // Check if the slot can accommodate the treatment duration
-      const slotDuration = slot.getDurationMinutes();
-      if (slotDuration >= treatment.duration) {
-        const availability = await this.checkAvailability(
-          storeId, 
-          treatmentId, 
-          slot.startTime, 
-          treatment.duration
-        );
-
-        if (availability.available) {
-          const staff = await this.getAvailableStaff(
-            storeId, 
-            treatmentId, 
-            slot.startTime, 
-            treatment.duration
-          );
-
-          availableSlots.push({
-            startTime: slot.startTime,
-            endTime: new Date(slot.startTime.getTime() + treatment.duration * 60000),
-            availableCapacity: availability.availableCapacity,
-            availableStaff: staff.length,
-            staff: staff
-          });
-        }
+    const slotSettings = store.getSlotSettings();
+    const options = {
+      mode: mode || slotSettings.mode,
+      stepMinutes: stepMinutes || slotSettings.stepMinutes
+    };
+    const now = new Date();
+
+    const slots = await AvailabilityCacheService.wrap(
+      AvailabilityCacheService.slotsEntry(storeId, treatmentId, store.getLocalDate(date), options),
+      () => SlotComputationService.computeSlots(store, treatment, date, { ...options, now }),
+      {
+        revive: cached => cached.map(slot => ({
+          ...slot,
+          startTime: new Date(slot.startTime),
+          endTime: new Date(slot.endTime)
+        }))
       }
+    );
+
+    // Cached results may be older than a few start times
+    return slots.filter(slot => slot.startTime >= now);
+  }
+
+  /**
+   * Reserve capacity in every timeslot a booking window overlaps
+   * (increment booking counts). Bookings may span several slots when start
+   * times are computed dynamically.
+   */
+  static async reserveTimeslots(storeId, startTime, endTime, { transaction } = {}) {
+    const timeslots = await this.findOverlappingTimeslots(storeId, startTime, endTime, { transaction });
+
+    for (const timeslot of timeslots) {
+      await timeslot.incrementBookings({ transaction });
     }
 
-    return availableSlots;
+    return timeslots;
   }
 
   /**
-   * Reserve a timeslot (increment booking count)
+   * Release capacity in every timeslot a booking window overlaps (decrement booking counts)
    */
-  static async reserveTimeslot(storeId, startTime, endTime) {
-    const { Timeslot } = sequelize.models;
-    
-    const timeslot = await Timeslot.findOne({
-      where: {
-        storeId,
-        startTime: {
-          [sequelize.Sequelize.Op.lte]: startTime
-        },
-        endTime: {
-          [sequelize.Sequelize.Op.gte]: endTime
-        },
-        isActive: true
-      }
-    });
+  static async releaseTimeslots(storeId, startTime, endTime, { transaction } = {}) {
+    const timeslots = await this.findOverlappingTimeslots(storeId, startTime, endTime, { transaction });
 
-    if (timeslot) {
-      await timeslot.incrementBookings();
-      return timeslot;
+    for (const timeslot of timeslots) {
+      await timeslot.decrementBookings({ transaction });
     }
 
-    return null;
+    return timeslots;
   }
 
   /**
-   * Release a timeslot (decrement booking count)
+   * Timeslots overlapping a window, locked for update inside a transaction
    */
-  static async releaseTimeslot(storeId, startTime, endTime) {
+  static async findOverlappingTimeslots(storeId, startTime, endTime, { transaction } = {}) {
     const { Timeslot } = sequelize.models;
-    
-    const timeslot = await Timeslot.findOne({
+
+    return Timeslot.findAll({
       where: {
         storeId,
         startTime: {
-          [sequelize.Sequelize.Op.lte]: startTime
+          [sequelize.Sequelize.Op.lt]: endTime
         },
         endTime: {
-          [sequelize.Sequelize.Op.gte]: endTime
+          [sequelize.Sequelize.Op.gt]: startTime
         }
-      }
+      },
+      order: [['startTime', 'ASC']],
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
     });
-
-    if (timeslot) {
-      await timeslot.decrementBookings();
-      return timeslot;
-    }
-
-    return null;
   }
 
   /**
-   * Get availability summary for multiple days
+   * Get availability summary for multiple days. Data for the whole range is
+   * loaded up front and evaluated in memory rather than queried day by day.
    */
   static async getAvailabilitySummary(storeId, startDate, endDate, treatmentId = null) {
-    const { Store, Treatment } = sequelize.models;
+    const { Store } = sequelize.models;
     
-    const store = await Store.findByPk(storeId);
+    const store = await Store.findWithExceptions(storeId);
     if (!store) {
       throw new Error('Store not found');
     }
 
+    const firstDate = store.getLocalDate(startDate);
+    const lastDate = store.getLocalDate(endDate);
+
+    return AvailabilityCacheService.wrap(
+      AvailabilityCacheService.summaryEntry(storeId, treatmentId, firstDate, lastDate),
+      () => this.computeAvailabilitySummary(store, firstDate, lastDate, treatmentId)
+    );
+  }
+
+  /**
+   * Build the per-day summary for a range of store-local dates
+   */
+  static async computeAvailabilitySummary(store, firstDate, lastDate, treatmentId = null) {
+    const { Treatment, Timeslot } = sequelize.models;
+    const storeId = store.id;
+    const slotSettings = store.getSlotSettings();
+
+    let treatment = null;
+    let slotsByDate = new Map();
+    let openTimeslots = [];
+
+    if (treatmentId) {
+      treatment = await Treatment.findByPk(treatmentId);
+      if (!treatment) {
+        throw new Error('Treatment not found');
+      }
+
+      slotsByDate = await SlotComputationService.computeRange(store, treatment, firstDate, lastDate, slotSettings);
+    } else {
+      // General availability - every timeslot with capacity left in the range
+      openTimeslots = await Timeslot.findAll({
+        where: {
+          storeId,
+          isActive: true,
+          startTime: {
+            [sequelize.Sequelize.Op.between]: [store.getDayBounds(firstDate).start, store.getDayBounds(lastDate).end]
+          },
+          currentBookings: {
+            [sequelize.Sequelize.Op.lt]: sequelize.col('max_capacity')
+          }
+        },
+        order: [['startTime', 'ASC']]
+      });
+    }
+
     const summary = [];
-    const currentDate = new Date(startDate);
     
-    while (currentDate <= endDate) {
-      const dateStr = currentDate.toISOString().split('T')[0];
+    for (let currentDate = firstDate; currentDate <= lastDate; currentDate = addDays(currentDate, 1)) {
       const isOpen = store.isOpenOnDate(currentDate);
       
       let availableSlots = 0;
       let totalSlots = 0;
       
       if (isOpen) {
-        if (treatmentId) {
-          const slots = await this.getAvailableSlots(storeId, treatmentId, currentDate);
-          availableSlots = slots.length;
-          
+        const operatingWindow = store.getOperatingWindow(currentDate);
+
+        if (treatment) {
+          availableSlots = (slotsByDate.get(currentDate) || []).length;
+
           // Get total possible slots for this treatment
-          const treatment = await Treatment.findByPk(treatmentId);
-          const operatingHours = store.getOperatingHoursForDate(currentDate);
-          if (operatingHours && !operatingHours.closed) {
-            const openMinutes = this.calculateOperatingMinutes(operatingHours);
+          if (slotSettings.mode !== 'timeslots') {
+            totalSlots = SlotComputationService.candidateStarts(operatingWindow, treatment.duration, slotSettings.stepMinutes).length;
+          } else {
+            // Measured in real minutes, so DST days get their true length
+            const openMinutes = (operatingWindow.close - operatingWindow.open) / 60000;
             totalSlots = Math.floor(openMinutes / treatment.duration);
           }
         } else {
-          // General availability - count all available timeslots
-          const timeslots = await sequelize.models.Timeslot.findAvailableForDate(storeId, currentDate);
-          availableSlots = timeslots.length;
-          totalSlots = timeslots.length;
+          // Closures and special hours override slots generated from the weekly pattern
+          availableSlots = openTimeslots.filter(slot =>
+            new Date(slot.startTime) >= operatingWindow.open && new Date(slot.endTime) <= operatingWindow.close
+          ).length;
+          totalSlots = availableSlots;
         }
       }
 
       summary.push({
-        date: dateStr,
+        date: currentDate,
         isOpen,
+        exception: store.getOperatingHoursForDate(currentDate)?.exception || null,
         availableSlots,
         totalSlots,
         utilizationRate: totalSlots > 0 ? Math.round((1 - availableSlots / totalSlots) * 100) : 0
       });
-
-      currentDate.setDate(currentDate.getDate() + 1);
     }
 
     return summary;
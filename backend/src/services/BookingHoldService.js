@@ -0,0 +1,174 @@
+const { sequelize } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const BookingService = require('./BookingService');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+class BookingHoldService {
+  static timer = null;
+  static isProcessing = false;
+
+  /**
+   * Hold time for a customer during checkout. The hold is a booking in status
+   * 'held', so it takes capacity, staff and resources like any other booking
+   * until it is confirmed or released. The per-customer limit is checked with
+   * the other booking checks, under the store lock.
+   */
+  static async createHold({ customerId, storeId, treatment, staffId = null, bookingDateTime, minutes = config.booking.holds.defaultMinutes }, actorId) {
+    const holdMinutes = Math.min(minutes, config.booking.holds.maxMinutes);
+    const hold = await BookingService.createBooking({
+      customerId,
+      storeId,
+      treatment,
+      staffId,
+      bookingDateTime,
+      status: config.bookingStatus.HELD,
+      holdExpiresAt: new Date(Date.now() + holdMinutes * 60000),
+      metadata: { heldBy: actorId }
+    });
+
+    logger.logBookingEvent('hold_created', hold.id, actorId, {
+      customerId,
+      storeId,
+      bookingDateTime: new Date(hold.bookingDateTime).toISOString(),
+      expiresAt: hold.holdExpiresAt.toISOString()
+    });
+
+    return hold;
+  }
+
+  /**
+   * Turn a live hold into a pending booking. The hold already owns its
+   * capacity, so nothing is re-checked; a lapsed hold is released instead.
+   */
+  static async confirmHold(hold, { notes, actorId }) {
+    const { Booking } = sequelize.models;
+
+    const confirmed = await sequelize.transaction(async (transaction) => {
+      // Under the booking lock so the expiry sweep can't release it meanwhile
+      await BookingService.lockStore(hold.storeId, transaction);
+
+      const current = await Booking.findByPk(hold.id, { transaction });
+      if (!current || !current.isHeld()) {
+        throw new AppError('Hold is no longer active', 409, 'HOLD_NOT_ACTIVE');
+      }
+
+      if (current.isHoldExpired()) {
+        return null;
+      }
+
+      return current.update({
+        status: config.bookingStatus.PENDING,
+        holdExpiresAt: null,
+        ...(notes !== undefined && { notes })
+      }, { transaction });
+    });
+
+    if (!confirmed) {
+      await this.releaseHold(hold, actorId);
+      throw new AppError('Hold has expired', 409, 'HOLD_EXPIRED');
+    }
+
+    logger.logBookingEvent('hold_confirmed', confirmed.id, actorId, { storeId: confirmed.storeId });
+
+    return confirmed;
+  }
+
+  /**
+   * Give up a hold before it expires
+   */
+  static async releaseHold(hold, actorId) {
+    const { Booking } = sequelize.models;
+
+    const released = await sequelize.transaction(async (transaction) => {
+      await BookingService.lockStore(hold.storeId, transaction);
+
+      const current = await Booking.findByPk(hold.id, { transaction });
+      if (!current || !current.isHeld()) {
+        return [];
+      }
+
+      return BookingService.releaseHolds([current], { transaction });
+    });
+
+    await BookingService.invalidateReleasedHolds(released);
+
+    if (released.length > 0) {
+      logger.logDatabaseOperation('delete', 'bookings', hold.id, { releasedBy: actorId, reason: 'hold_released' });
+    }
+
+    return released.length > 0;
+  }
+
+  /**
+   * Release every lapsed hold, store by store under each store's booking lock
+   */
+  static async processExpiredHolds() {
+    const { Booking } = sequelize.models;
+
+    const expired = await Booking.findExpiredHolds({ limit: 100 });
+    const storeIds = [...new Set(expired.map(hold => hold.storeId))];
+    const summary = { stores: storeIds.length, released: 0, failed: 0 };
+
+    for (const storeId of storeIds) {
+      try {
+        const released = await sequelize.transaction(async (transaction) => {
+          await BookingService.lockStore(storeId, transaction);
+          return BookingService.releaseHolds(await Booking.findExpiredHolds({ storeId, transaction }), { transaction });
+        });
+
+        await BookingService.invalidateReleasedHolds(released);
+        summary.released += released.length;
+      } catch (error) {
+        summary.failed++;
+        logger.logError(error, { context: 'booking_hold_expiry', storeId });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Start the background hold expiry worker
+   */
+  static start() {
+    if (this.timer) {
+      return;
+    }
+
+    const { intervalMs } = config.booking.holds.worker;
+
+    this.timer = setInterval(async () => {
+      if (this.isProcessing) {
+        return;
+      }
+
+      this.isProcessing = true;
+      try {
+        const summary = await this.processExpiredHolds();
+        if (summary.released > 0 || summary.failed > 0) {
+          logger.logBookingEvent('holds_expired', null, null, summary);
+        }
+      } catch (error) {
+        logger.logError(error, { context: 'booking_hold_worker' });
+      } finally {
+        this.isProcessing = false;
+      }
+    }, intervalMs);
+
+    this.timer.unref();
+    logger.info(`Booking hold expiry worker started (interval ${intervalMs}ms)`);
+  }
+
+  /**
+   * Stop the background hold expiry worker
+   */
+  static stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = BookingHoldService;
@@ -0,0 +1,350 @@
+const { sequelize } = require('../config/database');
+const { ConflictError } = require('../middleware/errorHandler');
+const BookingService = require('./BookingService');
+const AvailabilityService = require('./AvailabilityService');
+const QuotaService = require('./QuotaService');
+const StaffQualificationService = require('./StaffQualificationService');
+const { expandOccurrences, shiftOccurrence } = require('../utils/recurrence');
+const { addDays } = require('../utils/timezone');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+class BookingSeriesService {
+  /**
+   * Start times of every occurrence of a rule, in the store's timezone
+   */
+  static getOccurrences(store, firstStart, recurrence) {
+    return expandOccurrences(recurrence, firstStart, store.timezone, {
+      maxOccurrences: config.booking.series.maxOccurrences
+    });
+  }
+
+  /**
+   * Check every occurrence of a prospective series against availability
+   * without booking anything
+   */
+  static async previewSeries({ store, treatment, customerId, staffId = null, firstStart, recurrence }) {
+    const buffer = await QuotaService.getBufferTimes(store.id, treatment.id);
+    const series = { storeId: store.id, treatmentId: treatment.id, customerId, staffId };
+    const results = [];
+
+    for (const [index, startTime] of this.getOccurrences(store, firstStart, recurrence).entries()) {
+      results.push(await this.attemptOccurrence(series, index + 1, startTime, async () => {
+        if (staffId) {
+          await StaffQualificationService.assertQualified(treatment, staffId, startTime);
+        }
+        await BookingService.assertAvailable(store.id, treatment.id, staffId, startTime, treatment.duration, { buffer, customerId });
+        return null;
+      }));
+    }
+
+    return this.summarize(results);
+  }
+
+  /**
+   * Create a series and book each of its occurrences. Occurrences that can't
+   * be booked are reported with suggested alternatives instead of failing the
+   * series; it fails only if none can be booked.
+   */
+  static async createSeries({ store, treatment, customerId, staffId = null, firstStart, recurrence, notes = null }, actorId) {
+    const { BookingSeries } = sequelize.models;
+
+    const occurrences = this.getOccurrences(store, firstStart, recurrence);
+
+    const series = await BookingSeries.create({
+      storeId: store.id,
+      treatmentId: treatment.id,
+      customerId,
+      staffId,
+      firstStartTime: firstStart,
+      recurrence,
+      notes,
+      createdBy: actorId
+    });
+
+    const results = [];
+    for (const [index, startTime] of occurrences.entries()) {
+      results.push(await this.attemptOccurrence(series, index + 1, startTime, () =>
+        this.bookOccurrence(series, treatment, startTime, index + 1)
+      ));
+    }
+
+    const summary = this.summarize(results);
+    if (summary.bookedCount === 0) {
+      await series.destroy();
+      throw new ConflictError('None of the series occurrences are available', summary.failed);
+    }
+
+    logger.logDatabaseOperation('create', 'booking_series', series.id, {
+      storeId: store.id,
+      customerId,
+      occurrences: occurrences.length,
+      booked: summary.bookedCount,
+      createdBy: actorId
+    });
+
+    return { series, ...summary };
+  }
+
+  /**
+   * Book one occurrence of a series, e.g. a suggested alternative for an
+   * occurrence that couldn't be booked
+   */
+  static async bookOccurrence(series, treatment, startTime, occurrence = null) {
+    if (series.staffId) {
+      await StaffQualificationService.assertQualified(treatment, series.staffId, startTime);
+    }
+
+    return BookingService.createBooking({
+      customerId: series.customerId,
+      storeId: series.storeId,
+      treatment,
+      staffId: series.staffId,
+      bookingDateTime: startTime,
+      notes: series.notes,
+      seriesId: series.id,
+      metadata: { seriesOccurrence: occurrence }
+    });
+  }
+
+  /**
+   * Cancel one occurrence, it and every later one, or the whole series.
+   * Occurrences past their cancellation deadline are skipped and reported.
+   */
+  static async cancelOccurrences(series, { scope, anchor = null, reason, actor }) {
+    const bookings = await this.findScopeBookings(series, scope, anchor);
+    const cancelled = [];
+    const skipped = [];
+
+    for (const booking of bookings) {
+      if (!booking.canBeCancelled()) {
+        skipped.push(this.describeSkipped(booking, 'Booking cannot be cancelled at this time'));
+        continue;
+      }
+
+      const previousStatus = booking.status;
+      try {
+        await BookingService.transitionStatus(booking, config.bookingStatus.CANCELLED, {
+          actor,
+          reason,
+          updates: {
+            cancellationReason: reason,
+            cancelledAt: new Date()
+          }
+        });
+        cancelled.push({ booking, previousStatus });
+      } catch (error) {
+        if (!error.isOperational) {
+          throw error;
+        }
+        skipped.push(this.describeSkipped(booking, error.message));
+      }
+    }
+
+    const remaining = scope === 'all' ? 0 : (await this.findScopeBookings(series, 'all')).length;
+    await this.recordChange(series, {
+      action: 'cancelled',
+      scope,
+      fromBookingId: anchor ? anchor.id : null,
+      cancelled: cancelled.length,
+      skipped: skipped.length,
+      reason
+    }, actor.id, remaining === 0 ? { status: 'cancelled' } : {});
+
+    return { cancelled, skipped };
+  }
+
+  /**
+   * Move one occurrence, it and every later one, or the whole series. The
+   * anchor occurrence goes to the requested time; the others move by the same
+   * number of days to the same new time of day. Occurrences that can't move
+   * are reported with suggested alternatives.
+   */
+  static async rescheduleOccurrences(series, { scope, anchor, bookingDateTime, staffId, reason = null, actor }) {
+    const { Store, Treatment } = sequelize.models;
+
+    const store = await Store.findByPk(series.storeId, { attributes: ['id', 'timezone', 'settings'] });
+    const treatment = await Treatment.findByPk(series.treatmentId);
+    const deadlineHours = store.settings?.rescheduleDeadlineHours ?? config.booking.rescheduleDeadlineHours;
+    const move = { fromStart: new Date(anchor.bookingDateTime), toStart: new Date(bookingDateTime) };
+
+    const bookings = await this.findScopeBookings(series, scope, anchor);
+    // Move the furthest occurrence first so a series shifting later doesn't collide with itself
+    if (move.toStart > move.fromStart) {
+      bookings.reverse();
+    }
+
+    const rescheduled = [];
+    const failed = [];
+    const skipped = [];
+
+    for (const booking of bookings) {
+      const newStart = booking.id === anchor.id ? move.toStart : shiftOccurrence(booking.bookingDateTime, move, store.timezone);
+      const assignedStaffId = staffId !== undefined ? staffId : booking.staffId;
+
+      if (newStart.getTime() === new Date(booking.bookingDateTime).getTime() && assignedStaffId === booking.staffId) {
+        skipped.push(this.describeSkipped(booking, 'New time and staff are the same as the current booking'));
+        continue;
+      }
+
+      if (!booking.canBeRescheduled(deadlineHours)) {
+        skipped.push(this.describeSkipped(booking, `Booking cannot be rescheduled less than ${deadlineHours} hours before it starts`));
+        continue;
+      }
+
+      const result = await this.attemptOccurrence({ ...series.get(), staffId: assignedStaffId }, booking.metadata?.seriesOccurrence ?? null, newStart, async () => {
+        if (assignedStaffId) {
+          await StaffQualificationService.assertQualified(treatment, assignedStaffId, newStart);
+        }
+        await BookingService.rescheduleBooking(booking, { bookingDateTime: newStart, staffId, actorId: actor.id, reason });
+        return booking;
+      });
+
+      if (result.available) {
+        rescheduled.push({ booking, reschedule: booking.getRescheduleHistory().slice(-1)[0] });
+      } else {
+        failed.push({ bookingId: booking.id, ...result });
+      }
+    }
+
+    const seriesUpdates = {};
+    if (scope !== 'single' && staffId !== undefined) {
+      seriesUpdates.staffId = staffId;
+    }
+    if (scope === 'all') {
+      seriesUpdates.firstStartTime = shiftOccurrence(series.firstStartTime, move, store.timezone);
+    }
+
+    await this.recordChange(series, {
+      action: 'rescheduled',
+      scope,
+      fromBookingId: anchor.id,
+      from: move.fromStart.toISOString(),
+      to: move.toStart.toISOString(),
+      rescheduled: rescheduled.length,
+      failed: failed.length,
+      skipped: skipped.length,
+      reason
+    }, actor.id, seriesUpdates);
+
+    return { rescheduled, failed, skipped };
+  }
+
+  /**
+   * Upcoming active occurrences a series-level change applies to
+   */
+  static async findScopeBookings(series, scope, anchor = null) {
+    const { Booking } = sequelize.models;
+    const { Op } = sequelize.Sequelize;
+
+    if (scope === 'single') {
+      return [anchor];
+    }
+
+    return Booking.findAll({
+      where: {
+        seriesId: series.id,
+        status: { [Op.in]: [config.bookingStatus.PENDING, config.bookingStatus.CONFIRMED] },
+        bookingDateTime: { [Op.gte]: scope === 'following' ? anchor.bookingDateTime : new Date() }
+      },
+      order: [['bookingDateTime', 'ASC']]
+    });
+  }
+
+  /**
+   * Run one occurrence's check or booking, turning a rejection into a report
+   * entry with alternatives
+   */
+  static async attemptOccurrence(series, occurrence, startTime, attempt) {
+    try {
+      const booking = await attempt();
+      return { occurrence, startTime, available: true, ...(booking && { booking }) };
+    } catch (error) {
+      if (!error.isOperational) {
+        throw error;
+      }
+
+      return {
+        occurrence,
+        startTime,
+        available: false,
+        reason: error.message,
+        code: error.code,
+        conflicts: error.details || null,
+        alternatives: await this.suggestAlternatives(series, startTime)
+      };
+    }
+  }
+
+  /**
+   * Bookable times closest to an unavailable occurrence, on its day or the
+   * day after, with the series' staff member when one is requested
+   */
+  static async suggestAlternatives(series, startTime, { limit = config.booking.series.alternatives } = {}) {
+    const { Store } = sequelize.models;
+
+    const store = await Store.findByPk(series.storeId, { attributes: ['id', 'timezone'] });
+    const firstDate = store.getLocalDate(startTime);
+    const candidates = [];
+
+    for (const date of [firstDate, addDays(firstDate, 1)]) {
+      const slots = await AvailabilityService.getAvailableSlots(series.storeId, series.treatmentId, date);
+      candidates.push(...slots.filter(slot => !series.staffId || slot.staff.some(member => member.id === series.staffId)));
+      if (candidates.length >= limit) {
+        break;
+      }
+    }
+
+    return candidates
+      .sort((a, b) => Math.abs(a.startTime - startTime) - Math.abs(b.startTime - startTime))
+      .slice(0, limit)
+      .map(slot => ({
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        availableStaff: slot.availableStaff
+      }));
+  }
+
+  /**
+   * Split occurrence results into what was booked and what failed
+   */
+  static summarize(results) {
+    const booked = results.filter(result => result.available);
+    const failed = results.filter(result => !result.available);
+
+    return {
+      occurrences: results.length,
+      bookedCount: booked.length,
+      failedCount: failed.length,
+      booked,
+      failed
+    };
+  }
+
+  /**
+   * Report entry for an occurrence a series-level change left alone
+   */
+  static describeSkipped(booking, reason) {
+    return {
+      bookingId: booking.id,
+      occurrence: booking.metadata?.seriesOccurrence ?? null,
+      bookingDateTime: booking.bookingDateTime,
+      reason
+    };
+  }
+
+  /**
+   * Append a series-wide change to the series history
+   */
+  static async recordChange(series, entry, actorId, updates = {}) {
+    await series.update({
+      ...updates,
+      metadata: {
+        ...series.metadata,
+        history: [...series.getHistory(), { ...entry, actorId, at: new Date().toISOString() }]
+      }
+    });
+  }
+}
+
+module.exports = BookingSeriesService;
@@ -0,0 +1,405 @@
+const { sequelize } = require('../config/database');
+const { AppError, ConflictError } = require('../middleware/errorHandler');
+const QuotaService = require('./QuotaService');
+const AvailabilityService = require('./AvailabilityService');
+const AvailabilityCacheService = require('./AvailabilityCacheService');
+const BookingStateMachine = require('./BookingStateMachine');
+const StaffAssignmentService = require('./StaffAssignmentService');
+const ResourceAllocationService = require('./ResourceAllocationService');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+class BookingService {
+  /**
+   * Serialize booking writes for a store within the current transaction.
+   * The lock is released automatically on commit or rollback.
+   */
+  static async lockStore(storeId, transaction) {
+    await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:lockKey))', {
+      replacements: { lockKey: `booking:store:${storeId}` },
+      transaction
+    });
+  }
+
+  /**
+   * Run the full quota suite and throw a 409 carrying the failing checks
+   */
+  static async assertAvailable(storeId, treatmentId, staffId, startTime, duration, options = {}) {
+    const quota = await QuotaService.checkBookingQuota(storeId, treatmentId, staffId, startTime, duration, options);
+
+    if (!quota.available) {
+      throw new ConflictError('Requested time is not available', quota.conflicts);
+    }
+
+    return quota;
+  }
+
+  /**
+   * Reserve timeslot capacity for a booking window, failing if any slot it spans is blocked or full
+   */
+  static async reserveTimeslots(storeId, startTime, endTime, { transaction }) {
+    // Over-reservation is detected after the increment; throwing rolls it back
+    const timeslots = await AvailabilityService.reserveTimeslots(storeId, startTime, endTime, { transaction });
+    if (timeslots.some(timeslot => !timeslot.isActive)) {
+      throw new ConflictError('Requested time is not available', [
+        { type: 'timeslots', reason: 'Timeslot is blocked' }
+      ]);
+    }
+    if (timeslots.some(timeslot => timeslot.currentBookings > timeslot.maxCapacity)) {
+      throw new ConflictError('Requested time is not available', [
+        { type: 'timeslotCapacity', reason: 'Timeslot is fully booked' }
+      ]);
+    }
+    return timeslots;
+  }
+
+  /**
+   * Create a booking atomically: quota checks, timeslot reservation, insert and
+   * resource allocation all happen under the store lock, so concurrent requests
+   * cannot both pass. Checkout holds are created the same way with status
+   * 'held' and a holdExpiresAt.
+   */
+  static async createBooking(data) {
+    const { Booking } = sequelize.models;
+    const { customerId, storeId, staffId = null } = data;
+    let releasedHolds = [];
+
+    const created = await this.withRaceProtection(() => sequelize.transaction(async (transaction) => {
+      await this.lockStore(storeId, transaction);
+
+      // Lapsed holds give their capacity back before the checks run, even if the sweeper hasn't yet
+      releasedHolds = await this.releaseHolds(await Booking.findExpiredHolds({ storeId, transaction }), { transaction });
+
+      return this.insertBooking(data, { transaction });
+    }), { customerId, storeId, staffId });
+
+    await AvailabilityCacheService.invalidateBooking(created, null, 'booking_created');
+    await this.invalidateReleasedHolds(releasedHolds);
+
+    return created;
+  }
+
+  /**
+   * Check, reserve and insert one booking inside a transaction that already
+   * holds the store lock. Appointment groups use the options to always pick
+   * staff, keep parallel segments on different staff and drop the turnover
+   * buffer between back-to-back segments.
+   */
+  static async insertBooking({
+    customerId, storeId, treatment, staffId = null, bookingDateTime, notes, metadata,
+    status = config.bookingStatus.PENDING, holdExpiresAt = null, seriesId = null, groupId = null, groupPosition = null
+  }, { transaction, alwaysAssignStaff = false, excludeStaffIds = [], trimBuffer = {} }) {
+    const { Booking, Store } = sequelize.models;
+    const bookingStart = new Date(bookingDateTime);
+    const bookingEnd = new Date(bookingStart.getTime() + treatment.duration * 60000);
+
+    if (status === config.bookingStatus.HELD) {
+      await this.assertHoldLimit(customerId, { transaction });
+    }
+
+    const resolvedBuffer = await QuotaService.getBufferTimes(storeId, treatment.id, { transaction });
+    const buffer = {
+      before: trimBuffer.before ? 0 : resolvedBuffer.before,
+      after: trimBuffer.after ? 0 : resolvedBuffer.after
+    };
+
+    // Stores assigning on create pick staff under the lock, before the quota checks
+    let assignedStaffId = staffId;
+    if (!assignedStaffId) {
+      const store = await Store.findByPk(storeId, { transaction });
+      if (alwaysAssignStaff || store.getStaffAssignmentSettings().assignOn === 'create') {
+        assignedStaffId = await StaffAssignmentService.assignStaff({
+          storeId,
+          treatmentId: treatment.id,
+          customerId,
+          bookingDateTime: bookingStart,
+          duration: treatment.duration
+        }, { transaction, excludeStaffIds, buffer });
+      }
+    }
+    await this.assertAvailable(storeId, treatment.id, assignedStaffId, bookingStart, treatment.duration, { transaction, buffer, customerId });
+
+    const [timeslot] = await this.reserveTimeslots(storeId, bookingStart, bookingEnd, { transaction });
+
+    const booking = await Booking.create({
+      customerId,
+      storeId,
+      treatmentId: treatment.id,
+      staffId: assignedStaffId,
+      seriesId,
+      groupId,
+      groupPosition,
+      bookingDateTime: bookingStart,
+      duration: treatment.duration,
+      bufferBeforeMinutes: buffer.before,
+      bufferAfterMinutes: buffer.after,
+      status,
+      holdExpiresAt,
+      price: treatment.price,
+      notes,
+      metadata: {
+        ...metadata,
+        ...(timeslot && { timeslotId: timeslot.id })
+      }
+    }, { transaction });
+
+    await ResourceAllocationService.allocate(booking, treatment, { transaction, buffer });
+
+    return booking;
+  }
+
+  /**
+   * Release checkout holds inside the caller's transaction: timeslot capacity
+   * is given back and the hold rows removed (resource allocations cascade)
+   */
+  static async releaseHolds(holds, { transaction } = {}) {
+    for (const hold of holds) {
+      await this.releaseBooking(hold, { transaction });
+      await hold.destroy({ transaction });
+
+      logger.logBookingEvent('hold_released', hold.id, null, {
+        storeId: hold.storeId,
+        expired: hold.isHoldExpired()
+      });
+    }
+
+    return holds;
+  }
+
+  /**
+   * Refuse another checkout hold once the customer holds the maximum. Counted
+   * under the store lock so parallel requests can't both pass.
+   */
+  static async assertHoldLimit(customerId, { transaction } = {}) {
+    const { Booking } = sequelize.models;
+
+    const liveHolds = await Booking.count({
+      where: {
+        customerId,
+        status: config.bookingStatus.HELD,
+        holdExpiresAt: { [sequelize.Sequelize.Op.gt]: new Date() }
+      },
+      transaction
+    });
+    if (liveHolds >= config.booking.holds.maxPerCustomer) {
+      throw new AppError(`Customers can hold at most ${config.booking.holds.maxPerCustomer} times at once`, 409, 'HOLD_LIMIT_REACHED');
+    }
+  }
+
+  /**
+   * Drop cached availability for the days released holds covered
+   */
+  static async invalidateReleasedHolds(holds) {
+    for (const hold of holds) {
+      await AvailabilityCacheService.invalidateBooking(hold, null, 'hold_released');
+    }
+  }
+
+  /**
+   * Update a booking. Time or staff changes are re-validated against the full
+   * quota suite (excluding the booking itself) and move the timeslot reservation
+   * and resource allocation;
+   * status changes that cancel the booking or mark a no-show release it.
+   * With `assignStaffFor` (the audit entry of a confirmation) an unassigned
+   * booking is given a staff member under the store lock, using its own buffers.
+   */
+  static async updateBooking(booking, updates, { assignStaffFor = null } = {}) {
+    const wasActive = this.isActiveStatus(booking.status);
+    const oldStart = new Date(booking.bookingDateTime);
+    const newStart = updates.bookingDateTime ? new Date(updates.bookingDateTime) : oldStart;
+    const timeChanged = newStart.getTime() !== oldStart.getTime();
+    let staffChanged = updates.staffId !== undefined && updates.staffId !== booking.staffId;
+    const previousWindow = AvailabilityCacheService.bookingWindow(booking);
+
+    const updated = await this.withRaceProtection(() => sequelize.transaction(async (transaction) => {
+      if (assignStaffFor) {
+        await this.lockStore(booking.storeId, transaction);
+        const staffId = await StaffAssignmentService.assignStaff({
+          storeId: booking.storeId,
+          treatmentId: booking.treatmentId,
+          customerId: booking.customerId,
+          bookingDateTime: newStart,
+          duration: booking.duration,
+          bookingId: booking.id
+        }, {
+          transaction,
+          buffer: { before: booking.bufferBeforeMinutes, after: booking.bufferAfterMinutes }
+        });
+        if (staffId) {
+          // The entry is already in updates.metadata; it is saved with the pick below
+          assignStaffFor.assignedStaffId = staffId;
+          updates = { ...updates, staffId };
+          staffChanged = true;
+        }
+      }
+
+      if (wasActive && (timeChanged || staffChanged)) {
+        await this.lockStore(booking.storeId, transaction);
+        await this.assertAvailable(
+          booking.storeId,
+          booking.treatmentId,
+          staffChanged ? updates.staffId : booking.staffId,
+          newStart,
+          booking.duration,
+          {
+            transaction,
+            excludeBookingId: booking.id,
+            customerId: booking.customerId,
+            buffer: { before: booking.bufferBeforeMinutes, after: booking.bufferAfterMinutes }
+          }
+        );
+      }
+
+      if (wasActive && timeChanged) {
+        await this.releaseBooking(booking, { transaction });
+      }
+
+      await booking.update(updates, { transaction });
+
+      const isActive = this.isActiveStatus(booking.status);
+
+      if (timeChanged && isActive) {
+        const [timeslot] = await this.reserveTimeslots(booking.storeId, newStart, booking.getEndDateTime(), { transaction });
+        await booking.update({
+          metadata: { ...booking.metadata, timeslotId: timeslot ? timeslot.id : null }
+        }, { transaction });
+        await ResourceAllocationService.reallocate(booking, { transaction });
+      } else if (wasActive && !isActive && !timeChanged) {
+        await this.releaseBooking(booking, { transaction });
+      }
+
+      return booking;
+    }), { bookingId: booking.id, storeId: booking.storeId });
+
+    // Notes and metadata edits leave availability as it was
+    if (timeChanged || staffChanged || this.isActiveStatus(updated.status) !== wasActive) {
+      await AvailabilityCacheService.invalidateBooking(updated, previousWindow, 'booking_updated');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Move a booking to a new start time and/or staff member, recording the move
+   * in the booking's reschedule history
+   */
+  static async rescheduleBooking(booking, { bookingDateTime, staffId, actorId, reason = null }) {
+    const newStart = new Date(bookingDateTime);
+    const entry = {
+      from: new Date(booking.bookingDateTime).toISOString(),
+      to: newStart.toISOString(),
+      fromStaffId: booking.staffId || null,
+      toStaffId: staffId !== undefined ? staffId : (booking.staffId || null),
+      rescheduledBy: actorId,
+      rescheduledAt: new Date().toISOString(),
+      reason
+    };
+
+    const updates = {
+      bookingDateTime: newStart,
+      metadata: {
+        ...booking.metadata,
+        rescheduleHistory: [...booking.getRescheduleHistory(), entry]
+      }
+    };
+    if (staffId !== undefined) {
+      updates.staffId = staffId;
+    }
+
+    await this.updateBooking(booking, updates);
+
+    return entry;
+  }
+
+  /**
+   * Move a booking to a new status through the transition graph, recording an
+   * audit entry in the booking's status history
+   */
+  static async transitionStatus(booking, status, { actor, reason = null, updates = {} }) {
+    BookingStateMachine.assertTransition(booking, status, actor.role);
+
+    const entry = BookingStateMachine.buildAuditEntry(booking, status, actor, reason);
+
+    // Confirmed bookings always carry a staff member unless the store assigns manually;
+    // class seats are taught by the session's instructor instead
+    const assignStaff = status === config.bookingStatus.CONFIRMED && !booking.staffId && !booking.sessionId && !updates.staffId;
+
+    await this.updateBooking(booking, {
+      ...updates,
+      status,
+      metadata: {
+        ...booking.metadata,
+        ...updates.metadata,
+        statusHistory: [...booking.getStatusHistory(), entry]
+      }
+    }, { assignStaffFor: assignStaff ? entry : null });
+
+    return entry;
+  }
+
+  /**
+   * Cancel a booking inside a transaction the caller holds (usually with the
+   * store lock), giving its timeslot capacity back. Used where several
+   * bookings must be cancelled together or not at all; callers invalidate
+   * cached availability once the transaction commits.
+   */
+  static async cancelInTransaction(booking, { actor, reason = null, transaction, checkTransition = true }) {
+    if (checkTransition) {
+      BookingStateMachine.assertTransition(booking, config.bookingStatus.CANCELLED, actor.role);
+    }
+
+    const entry = BookingStateMachine.buildAuditEntry(booking, config.bookingStatus.CANCELLED, actor, reason);
+
+    await booking.update({
+      status: config.bookingStatus.CANCELLED,
+      cancellationReason: reason,
+      cancelledAt: new Date(),
+      metadata: {
+        ...booking.metadata,
+        statusHistory: [...booking.getStatusHistory(), entry]
+      }
+    }, { transaction });
+    await this.releaseBooking(booking, { transaction });
+
+    return entry;
+  }
+
+  /**
+   * Whether a booking in this status still occupies capacity
+   */
+  static isActiveStatus(status) {
+    return ![config.bookingStatus.CANCELLED, config.bookingStatus.NO_SHOW].includes(status);
+  }
+
+  /**
+   * Give a booking's timeslot capacity back when it stops occupying the slot
+   */
+  static async releaseBooking(booking, { transaction } = {}) {
+    return AvailabilityService.releaseTimeslots(
+      booking.storeId,
+      new Date(booking.bookingDateTime),
+      booking.getEndDateTime(),
+      { transaction }
+    );
+  }
+
+  /**
+   * Translate a lost race on the staff/time unique index into a 409
+   */
+  static async withRaceProtection(operation, context = {}) {
+    try {
+      return await operation();
+    } catch (error) {
+      // The partial unique index on (staff_id, booking_date_time) is the last line of defence
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        logger.logBookingEvent('booking_race_lost', context.bookingId || null, null, context);
+        throw new ConflictError('Requested time is not available', [
+          { type: 'staffAvailability', reason: 'Staff member has conflicting bookings' }
+        ]);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = BookingService;
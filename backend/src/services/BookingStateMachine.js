@@ -0,0 +1,120 @@
+const { AppError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+const { PENDING, CONFIRMED, IN_PROGRESS, COMPLETED, CANCELLED, NO_SHOW, HELD } = config.bookingStatus;
+const { SUPER_ADMIN, STORE_ADMIN, STAFF, CUSTOMER } = config.roles;
+
+const STORE_ROLES = [SUPER_ADMIN, STORE_ADMIN, STAFF];
+
+const hasStarted = (booking, now) => now >= new Date(booking.bookingDateTime);
+
+// Customers may only cancel up to the cancellation deadline; the store may cancel any time
+const cancelGuard = (booking, now, role) => {
+  const deadlineHours = config.booking.cancellationDeadlineHours || 24;
+  const hoursUntilBooking = (new Date(booking.bookingDateTime).getTime() - now.getTime()) / (60 * 60 * 1000);
+
+  return role === CUSTOMER && hoursUntilBooking < deadlineHours
+    ? `Bookings can only be cancelled at least ${deadlineHours} hours in advance`
+    : null;
+};
+
+/**
+ * Allowed transitions per status. Each transition lists the roles that may
+ * perform it and an optional time guard, given the booking, the current time
+ * and the acting role, returning a reason when it fails.
+ */
+const TRANSITIONS = {
+  [PENDING]: {
+    [CONFIRMED]: { roles: STORE_ROLES },
+    [CANCELLED]: { roles: [...STORE_ROLES, CUSTOMER], guard: cancelGuard }
+  },
+  [CONFIRMED]: {
+    [IN_PROGRESS]: {
+      roles: STORE_ROLES,
+      guard: (booking, now) => (hasStarted(booking, now) ? null : 'Booking cannot start before its scheduled time')
+    },
+    [NO_SHOW]: {
+      roles: STORE_ROLES,
+      guard: (booking, now) => (hasStarted(booking, now) ? null : 'Booking cannot be marked as no-show before its scheduled time')
+    },
+    [CANCELLED]: { roles: [...STORE_ROLES, CUSTOMER], guard: cancelGuard }
+  },
+  [IN_PROGRESS]: {
+    [COMPLETED]: { roles: STORE_ROLES }
+  },
+  [COMPLETED]: {},
+  [CANCELLED]: {},
+  [NO_SHOW]: {},
+  // Checkout holds are confirmed or released through the hold endpoints only
+  [HELD]: {}
+};
+
+class BookingStateMachine {
+  static TRANSITIONS = TRANSITIONS;
+
+  /**
+   * Whether no further transitions are possible from a status
+   */
+  static isTerminal(status) {
+    return Object.keys(TRANSITIONS[status] || {}).length === 0;
+  }
+
+  /**
+   * Next statuses the given role may move the booking to right now
+   */
+  static getAllowedTransitions(booking, role, now = new Date()) {
+    const transitions = TRANSITIONS[booking.status] || {};
+
+    return Object.entries(transitions)
+      .filter(([, rule]) => rule.roles.includes(role) && !(rule.guard && rule.guard(booking, now, role)))
+      .map(([status]) => status);
+  }
+
+  /**
+   * Check a transition, returning null when allowed or the reason it is not
+   */
+  static checkTransition(booking, toStatus, role, now = new Date()) {
+    const rule = (TRANSITIONS[booking.status] || {})[toStatus];
+
+    if (!rule) {
+      return `Cannot change booking status from ${booking.status} to ${toStatus}`;
+    }
+    if (!rule.roles.includes(role)) {
+      return `Role ${role} cannot change booking status from ${booking.status} to ${toStatus}`;
+    }
+    return rule.guard ? rule.guard(booking, now, role) : null;
+  }
+
+  /**
+   * Throw a 409 listing the allowed next states when a transition is not permitted
+   */
+  static assertTransition(booking, toStatus, role, now = new Date()) {
+    const reason = this.checkTransition(booking, toStatus, role, now);
+
+    if (reason) {
+      const error = new AppError(reason, 409, 'INVALID_STATUS_TRANSITION');
+      error.details = {
+        currentStatus: booking.status,
+        requestedStatus: toStatus,
+        allowedTransitions: this.getAllowedTransitions(booking, role, now)
+      };
+      throw error;
+    }
+  }
+
+  /**
+   * Build the audit entry recorded for a transition
+   */
+  static buildAuditEntry(booking, toStatus, actor, reason = null, now = new Date()) {
+    return {
+      from: booking.status,
+      to: toStatus,
+      changedBy: actor.id,
+      role: actor.role,
+      changedAt: now.toISOString(),
+      reason
+    };
+  }
+}
+
+module.exports = BookingStateMachine;
@@ -0,0 +1,392 @@
+const { sequelize } = require('../config/database');
+const { AppError, ConflictError } = require('../middleware/errorHandler');
+const BookingService = require('./BookingService');
+const QuotaService = require('./QuotaService');
+const AvailabilityCacheService = require('./AvailabilityCacheService');
+const WebhookEventService = require('./WebhookEventService');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const ROSTER_COLUMNS = ['seat', 'bookingId', 'firstName', 'lastName', 'email', 'phone', 'status', 'bookedAt', 'notes'];
+
+class ClassSessionService {
+  static timer = null;
+  static isProcessing = false;
+
+  /**
+   * Schedule a class. The instructor is checked like a staff member taking a
+   * booking and the room must be free of bookings, maintenance and other
+   * classes for the whole session; both are then blocked for regular
+   * bookings until the session is cancelled.
+   */
+  static async scheduleSession({ store, treatment, instructor, room = null, title, startTime, capacity, minAttendees = 0, notes = null }, actorId) {
+    const { ClassSession } = sequelize.models;
+
+    const start = new Date(startTime);
+    const end = new Date(start.getTime() + treatment.duration * 60000);
+
+    const session = await sequelize.transaction(async (transaction) => {
+      await BookingService.lockStore(store.id, transaction);
+
+      const checks = {
+        operatingHours: await QuotaService.checkOperatingHours(store.id, start, end, { transaction }),
+        staffAvailability: await QuotaService.checkStaffAvailability(instructor.id, start, end, { transaction }),
+        resourceAvailability: room && !(await room.isAvailable(start, end, [], { transaction }))
+          ? { available: false, reason: `Resource ${room.name} is not available` }
+          : { available: true }
+      };
+
+      const conflicts = Object.entries(checks)
+        .filter(([, check]) => !check.available)
+        .map(([type, check]) => ({ type, reason: check.reason }));
+      if (conflicts.length > 0) {
+        throw new ConflictError('Requested time is not available', conflicts);
+      }
+
+      return ClassSession.create({
+        storeId: store.id,
+        treatmentId: treatment.id,
+        instructorId: instructor.id,
+        roomId: room ? room.id : null,
+        title: title || treatment.name,
+        startTime: start,
+        endTime: end,
+        capacity,
+        minAttendees,
+        attendanceDeadline: ClassSession.attendanceDeadlineFor(start, minAttendees),
+        notes,
+        createdBy: actorId
+      }, { transaction });
+    });
+
+    await AvailabilityCacheService.invalidateWindows(store.id, [{ start, end }], 'class_scheduled');
+
+    logger.logDatabaseOperation('create', 'class_sessions', session.id, {
+      storeId: store.id,
+      instructorId: instructor.id,
+      roomId: session.roomId,
+      capacity,
+      createdBy: actorId
+    });
+
+    return session;
+  }
+
+  /**
+   * Book one seat for a customer. Seats are counted under the store lock so
+   * the last seat can't be sold twice.
+   */
+  static async bookSeat(session, { customerId, notes = null }, actorId) {
+    const { ClassSession, Booking, Treatment } = sequelize.models;
+    const { Op } = sequelize.Sequelize;
+
+    const seat = await sequelize.transaction(async (transaction) => {
+      await BookingService.lockStore(session.storeId, transaction);
+
+      const current = await ClassSession.findByPk(session.id, { transaction });
+      if (!current.isBookable()) {
+        throw new AppError('Class is no longer open for booking', 400, 'CLASS_NOT_BOOKABLE');
+      }
+
+      const existing = await Booking.count({
+        where: {
+          sessionId: current.id,
+          customerId,
+          status: { [Op.notIn]: [config.bookingStatus.CANCELLED, config.bookingStatus.NO_SHOW] }
+        },
+        transaction
+      });
+      if (existing > 0) {
+        throw new AppError('Customer already has a seat in this class', 409, 'CLASS_ALREADY_BOOKED');
+      }
+
+      const seatsTaken = (await ClassSession.countSeats([current.id], { transaction })).get(current.id);
+      if (seatsTaken >= current.capacity) {
+        throw new ConflictError('Class is fully booked', [
+          { type: 'classCapacity', reason: `All ${current.capacity} seats are taken` }
+        ]);
+      }
+
+      const treatment = await Treatment.findByPk(current.treatmentId, { transaction });
+      const startTime = new Date(current.startTime);
+      const endTime = new Date(current.endTime);
+      const [timeslot] = await BookingService.reserveTimeslots(current.storeId, startTime, endTime, { transaction });
+
+      // Seats carry no staff member; the instructor is on the session
+      return Booking.create({
+        customerId,
+        storeId: current.storeId,
+        treatmentId: current.treatmentId,
+        staffId: null,
+        sessionId: current.id,
+        bookingDateTime: startTime,
+        duration: Math.round((endTime - startTime) / 60000),
+        bufferBeforeMinutes: 0,
+        bufferAfterMinutes: 0,
+        status: config.bookingStatus.CONFIRMED,
+        price: treatment.price,
+        notes,
+        metadata: {
+          bookedBy: actorId,
+          ...(timeslot && { timeslotId: timeslot.id })
+        }
+      }, { transaction });
+    });
+
+    await AvailabilityCacheService.invalidateBooking(seat, null, 'booking_created');
+
+    return seat;
+  }
+
+  /**
+   * Give up one seat
+   */
+  static async cancelSeat(seat, { reason, actor }) {
+    if (!seat.canBeCancelled()) {
+      throw new AppError('Seat cannot be cancelled at this time', 400, 'BOOKING_NOT_CANCELLABLE');
+    }
+
+    const previousStatus = seat.status;
+    await BookingService.transitionStatus(seat, config.bookingStatus.CANCELLED, {
+      actor,
+      reason,
+      updates: {
+        cancellationReason: reason,
+        cancelledAt: new Date()
+      }
+    });
+
+    return previousStatus;
+  }
+
+  /**
+   * Cancel a class and every seat in it, all in one transaction under the
+   * store lock so no seat can be booked meanwhile. The session decides for
+   * its seats, so they are cancelled whatever the booking cancellation
+   * deadline; a missing actor means the attendance sweep cancelled it, so
+   * the seats are counted again under the lock and a class that filled up
+   * meanwhile is kept. Resolves to the cancelled session and its seats, or
+   * null when the sweep kept the class.
+   */
+  static async cancelSession(session, { reason, actor = null }) {
+    const { ClassSession, Booking } = sequelize.models;
+    const auditActor = actor || { id: null, role: 'system' };
+
+    const result = await sequelize.transaction(async (transaction) => {
+      await BookingService.lockStore(session.storeId, transaction);
+
+      const current = await ClassSession.findByPk(session.id, { transaction });
+      if (current.status === 'cancelled') {
+        throw new AppError('Class is already cancelled', 409, 'CLASS_ALREADY_CANCELLED');
+      }
+      if (new Date(current.startTime) <= new Date()) {
+        throw new AppError('Class has already started', 400, 'CLASS_ALREADY_STARTED');
+      }
+
+      if (!actor) {
+        const seatsTaken = (await ClassSession.countSeats([current.id], { transaction })).get(current.id);
+        if (seatsTaken >= current.minAttendees) {
+          await current.update({ attendanceCheckedAt: new Date() }, { transaction });
+          return null;
+        }
+      }
+
+      const seats = await Booking.findAll({
+        where: {
+          sessionId: session.id,
+          status: [config.bookingStatus.PENDING, config.bookingStatus.CONFIRMED]
+        },
+        transaction
+      });
+
+      const cancelledSeats = [];
+      for (const seat of seats) {
+        const previousStatus = seat.status;
+        await BookingService.cancelInTransaction(seat, { actor: auditActor, reason, transaction, checkTransition: false });
+        cancelledSeats.push({ booking: seat, previousStatus });
+      }
+
+      await current.update({
+        status: 'cancelled',
+        cancellationReason: reason,
+        cancelledAt: new Date(),
+        attendanceCheckedAt: current.attendanceCheckedAt || new Date()
+      }, { transaction });
+
+      return { session: current, cancelled: cancelledSeats };
+    });
+
+    if (!result) {
+      return null;
+    }
+
+    const { session: cancelledSession, cancelled } = result;
+
+    await AvailabilityCacheService.invalidateWindows(cancelledSession.storeId, [{ start: cancelledSession.startTime, end: cancelledSession.endTime }], 'class_cancelled');
+
+    logger.logDatabaseOperation('cancel', 'class_sessions', cancelledSession.id, {
+      cancelledBy: auditActor.id,
+      reason,
+      seats: cancelled.map(({ booking }) => booking.id)
+    });
+
+    this.emitCancelled(cancelledSession, cancelled, auditActor.id);
+
+    return result;
+  }
+
+  /**
+   * Tell subscribers about a cancelled class and each seat it cancelled
+   */
+  static emitCancelled(session, cancelled, actorId) {
+    for (const { booking, previousStatus } of cancelled) {
+      logger.logBookingEvent('booking_cancelled', booking.id, actorId, {
+        cancellationReason: booking.cancellationReason,
+        sessionId: session.id
+      });
+
+      WebhookEventService.emitBookingEvent(config.webhookEvents.BOOKING_CANCELLED, booking, {
+        actorId,
+        previousStatus,
+        changes: ['status', 'cancellationReason']
+      });
+    }
+
+    WebhookEventService.emitClassEvent(config.webhookEvents.CLASS_CANCELLED, session, {
+      actorId,
+      bookingIds: cancelled.map(({ booking }) => booking.id)
+    });
+  }
+
+  /**
+   * Check minimum attendance for every class past its attendance deadline,
+   * cancelling those that haven't filled enough seats
+   */
+  static async processAttendanceDeadlines(now = new Date()) {
+    const { ClassSession } = sequelize.models;
+
+    const due = await ClassSession.findDueForAttendanceCheck({ now, limit: 100 });
+    const seats = await ClassSession.countSeats(due.map(session => session.id));
+    const summary = { checked: due.length, cancelled: 0, failed: 0 };
+
+    for (const session of due) {
+      try {
+        const seatsTaken = seats.get(session.id);
+        if (seatsTaken >= session.minAttendees || new Date(session.startTime) <= now) {
+          await session.update({ attendanceCheckedAt: now });
+          continue;
+        }
+
+        // Seats booked since the count above keep the class; cancelSession re-checks under the lock
+        const result = await this.cancelSession(session, {
+          reason: `Minimum attendance of ${session.minAttendees} not reached (${seatsTaken} booked)`
+        });
+        if (result) {
+          summary.cancelled++;
+        }
+      } catch (error) {
+        summary.failed++;
+        logger.logError(error, { context: 'class_attendance_check', sessionId: session.id });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Everyone holding a seat, in booking order
+   */
+  static async getRoster(session) {
+    const { Booking, User } = sequelize.models;
+
+    const seats = await Booking.findAll({
+      where: {
+        sessionId: session.id,
+        status: { [sequelize.Sequelize.Op.ne]: config.bookingStatus.CANCELLED }
+      },
+      include: [{ model: User, as: 'customer', attributes: ['id', 'firstName', 'lastName', 'email', 'phone'] }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    return seats.map((seat, index) => ({
+      seat: index + 1,
+      bookingId: seat.id,
+      customerId: seat.customerId,
+      firstName: seat.customer?.firstName || null,
+      lastName: seat.customer?.lastName || null,
+      email: seat.customer?.email || null,
+      phone: seat.customer?.phone || null,
+      status: seat.status,
+      bookedAt: seat.createdAt,
+      notes: seat.notes || null
+    }));
+  }
+
+  /**
+   * Render a roster as CSV with a header row
+   */
+  static formatRosterCsv(attendees) {
+    const escape = (value) => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+
+      let text = value instanceof Date ? value.toISOString() : String(value);
+      // Keep spreadsheet apps from evaluating customer-entered text as a formula
+      if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+      }
+
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      ROSTER_COLUMNS.join(','),
+      ...attendees.map(attendee => ROSTER_COLUMNS.map(column => escape(attendee[column])).join(','))
+    ].join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Start the background minimum-attendance worker
+   */
+  static start() {
+    if (this.timer) {
+      return;
+    }
+
+    const { intervalMs } = config.booking.classes.worker;
+
+    this.timer = setInterval(async () => {
+      if (this.isProcessing) {
+        return;
+      }
+
+      this.isProcessing = true;
+      try {
+        const summary = await this.processAttendanceDeadlines();
+        if (summary.cancelled > 0 || summary.failed > 0) {
+          logger.logBookingEvent('classes_attendance_checked', null, null, summary);
+        }
+      } catch (error) {
+        logger.logError(error, { context: 'class_attendance_worker' });
+      } finally {
+        this.isProcessing = false;
+      }
+    }, intervalMs);
+
+    this.timer.unref();
+    logger.info(`Class attendance worker started (interval ${intervalMs}ms)`);
+  }
+
+  /**
+   * Stop the background minimum-attendance worker
+   */
+  static stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = ClassSessionService;
@@ -1,20 +1,33 @@
 const { sequelize } = require('../config/database');
 const logger = require('../utils/logger');
 const config = require('../config');
+const StaffScheduleService = require('./StaffScheduleService');
+const ResourceAllocationService = require('./ResourceAllocationService');
+const SlotComputationService = require('./SlotComputationService');
+const { getZonedParts, getWeekday, toLocalDateString } = require('../utils/timezone');
 
 class QuotaService {
   /**
    * Check if a booking can be created based on various quota constraints
    */
-  static async checkBookingQuota(storeId, treatmentId, staffId, startTime, duration) {
+  static async checkBookingQuota(storeId, treatmentId, staffId, startTime, duration, options = {}) {
     const endTime = new Date(startTime.getTime() + duration * 60000);
+
+    // Staff and resources need turnover time around each booking
+    if (!options.buffer) {
+      options = { ...options, buffer: await this.getBufferTimes(storeId, treatmentId, options) };
+    }
     
     const quotaChecks = {
-      treatmentConcurrency: await this.checkTreatmentConcurrency(treatmentId, startTime, endTime),
-      staffAvailability: staffId ? await this.checkStaffAvailability(staffId, startTime, endTime) : { available: true },
-      resourceAvailability: await this.checkResourceAvailability(treatmentId, startTime, endTime),
-      dailyLimit: await this.checkDailyBookingLimit(storeId, startTime),
-      storeCapacity: await this.checkStoreCapacity(storeId, startTime, endTime)
+      operatingHours: await this.checkOperatingHours(storeId, startTime, endTime, options),
+      bookingWindow: await this.checkBookingWindow(storeId, startTime, options),
+      timeslots: await this.checkTimeslots(storeId, treatmentId, staffId, startTime, endTime, options),
+      treatmentConcurrency: await this.checkTreatmentConcurrency(treatmentId, startTime, endTime, options),
+      staffAvailability: staffId ? await this.checkStaffAvailability(staffId, startTime, endTime, options) : { available: true },
+      resourceAvailability: await this.checkResourceAvailability(treatmentId, startTime, endTime, options),
+      dailyLimit: await this.checkDailyBookingLimit(storeId, startTime, options),
+      storeCapacity: await this.checkStoreCapacity(storeId, startTime, endTime, options),
+      waitlistHold: await this.checkWaitlistHolds(storeId, treatmentId, staffId, startTime, endTime, options)
     };
 
     const isAvailable = Object.values(quotaChecks).every(check => check.available);
@@ -28,19 +41,146 @@ class QuotaService {
     };
   }
 
+  /**
+   * Resolve the before/after buffer for a treatment, falling back to the store buffer
+   */
+  static async getBufferTimes(storeId, treatmentId, { transaction } = {}) {
+    const { Store, Treatment } = sequelize.models;
+
+    const [store, treatment] = await Promise.all([
+      Store.findByPk(storeId, { transaction }),
+      Treatment.findByPk(treatmentId, { transaction })
+    ]);
+
+    if (treatment) {
+      return treatment.getBufferTimes(store);
+    }
+
+    const storeBuffer = store ? store.getBufferTimeMinutes() : config.booking.bufferTimeMinutes;
+    return { before: storeBuffer, after: storeBuffer };
+  }
+
+  /**
+   * Check that the booking falls entirely within the store's operating hours
+   */
+  static async checkOperatingHours(storeId, startTime, endTime, { transaction } = {}) {
+    const { Store } = sequelize.models;
+
+    const store = await Store.findWithExceptions(storeId, { transaction });
+    if (!store) {
+      return { available: false, reason: 'Store not found' };
+    }
+
+    if (!store.isOpenOnDate(startTime)) {
+      const exception = store.getExceptionForDate(startTime);
+      return {
+        available: false,
+        reason: exception && exception.name ? `Store is closed on this date (${exception.name})` : 'Store is closed on this date'
+      };
+    }
+
+    const available = store.isOpenDuring(startTime, endTime);
+
+    return {
+      available,
+      operatingHours: store.getOperatingHoursForDate(startTime),
+      reason: available ? null : 'Booking falls outside store operating hours'
+    };
+  }
+
+  /**
+   * Check that the booking is within the store's advance booking window
+   */
+  static async checkBookingWindow(storeId, startTime, { transaction } = {}) {
+    const { Store } = sequelize.models;
+
+    const store = await Store.findByPk(storeId, { transaction });
+    if (!store) {
+      return { available: false, reason: 'Store not found' };
+    }
+
+    const maxAdvanceDays = store.settings?.maxAdvanceBookingDays || config.booking.maxAdvanceBookingDays;
+
+    if (startTime <= new Date()) {
+      return { available: false, maximumDays: maxAdvanceDays, reason: 'Booking time must be in the future' };
+    }
+
+    const latestStart = new Date(Date.now() + maxAdvanceDays * 24 * 60 * 60 * 1000);
+    const available = startTime <= latestStart;
+
+    return {
+      available,
+      maximumDays: maxAdvanceDays,
+      reason: available ? null : `Bookings can only be made up to ${maxAdvanceDays} days in advance`
+    };
+  }
+
+  /**
+   * Check the timeslots a booking falls in. Unless the store books dynamically,
+   * a day with timeslots (every day in 'timeslots' mode) only takes bookings
+   * fully covered by slots that are not blocked and allow the treatment and
+   * staff member. Slot capacity is checked when the slots are reserved.
+   */
+  static async checkTimeslots(storeId, treatmentId, staffId, startTime, endTime, { transaction } = {}) {
+    const { Store, Timeslot } = sequelize.models;
+
+    const store = await Store.findByPk(storeId, { transaction });
+    if (!store) {
+      return { available: false, reason: 'Store not found' };
+    }
+
+    const { mode } = store.getSlotSettings();
+    if (mode === 'dynamic') {
+      return { available: true };
+    }
+
+    const { start: startOfDay, end: endOfDay } = store.getDayBounds(store.getLocalDate(startTime));
+    const dayTimeslots = await Timeslot.findAll({
+      where: {
+        storeId,
+        startTime: {
+          [sequelize.Sequelize.Op.between]: [startOfDay, endOfDay]
+        }
+      },
+      order: [['startTime', 'ASC']],
+      transaction
+    });
+
+    if (dayTimeslots.length === 0 && mode !== 'timeslots') {
+      return { available: true };
+    }
+
+    const covering = SlotComputationService.coveringTimeslots(dayTimeslots, startTime, endTime);
+    if (!covering) {
+      return { available: false, reason: 'Booking is not covered by timeslots' };
+    }
+    if (covering.some(slot => !slot.isActive)) {
+      return { available: false, reason: 'Timeslot is blocked' };
+    }
+    if (covering.some(slot => !slot.canAccommodateTreatment(treatmentId))) {
+      return { available: false, reason: 'Timeslot does not allow this treatment' };
+    }
+    if (staffId && covering.some(slot => !slot.hasAvailableStaff(staffId))) {
+      return { available: false, reason: 'Staff member is not available in this timeslot' };
+    }
+
+    return { available: true };
+  }
+
   /**
    * Check treatment concurrent booking limits
    */
-  static async checkTreatmentConcurrency(treatmentId, startTime, endTime) {
+  static async checkTreatmentConcurrency(treatmentId, startTime, endTime, { transaction, excludeBookingId } = {}) {
     const { Treatment, Booking } = sequelize.models;
     
-    const treatment = await Treatment.findByPk(treatmentId);
+    const treatment = await Treatment.findByPk(treatmentId, { transaction });
     if (!treatment) {
       return { available: false, reason: 'Treatment not found' };
     }
 
     const concurrentBookings = await Booking.count({
       where: {
+        ...(excludeBookingId && { id: { [sequelize.Sequelize.Op.ne]: excludeBookingId } }),
         treatmentId,
         status: {
           [sequelize.Sequelize.Op.notIn]: [config.bookingStatus.CANCELLED, config.bookingStatus.NO_SHOW]
@@ -48,7 +188,8 @@ class QuotaService {
         [sequelize.Sequelize.Op.or]: [
           {
             bookingDateTime: {
-              [sequelize.Sequelize.Op.between]: [startTime, endTime]
+              [sequelize.Sequelize.Op.gte]: startTime,
+              [sequelize.Sequelize.Op.lt]: endTime
             }
           },
           {
@@ -62,7 +203,8 @@ class QuotaService {
             ]
           }
         ]
-      }
+      },
+      transaction
     });
 
     const available = concurrentBookings < treatment.maxConcurrentBookings;
@@ -78,82 +220,103 @@ class QuotaService {
   /**
    * Check staff availability for the time slot
    */
-  static async checkStaffAvailability(staffId, startTime, endTime) {
+  static async checkStaffAvailability(staffId, startTime, endTime, { transaction, excludeBookingId, buffer } = {}) {
     const { Booking, User } = sequelize.models;
     
-    const staff = await User.findByPk(staffId);
+    const staff = await User.findByPk(staffId, { transaction });
     if (!staff || !staff.isActive) {
       return { available: false, reason: 'Staff member not found or inactive' };
     }
 
     const conflictingBookings = await Booking.count({
       where: {
+        ...(excludeBookingId && { id: { [sequelize.Sequelize.Op.ne]: excludeBookingId } }),
         staffId,
         status: {
           [sequelize.Sequelize.Op.notIn]: [config.bookingStatus.CANCELLED, config.bookingStatus.NO_SHOW]
         },
-        [sequelize.Sequelize.Op.or]: [
-          {
-            bookingDateTime: {
-              [sequelize.Sequelize.Op.between]: [startTime, endTime]
-            }
-          },
-          {
-            [sequelize.Sequelize.Op.and]: [
-              {
-                bookingDateTime: {
-                  [sequelize.Sequelize.Op.lt]: startTime
-                }
-              },
-              sequelize.Sequelize.literal(`booking_date_time + INTERVAL '1 minute' * duration > '${startTime.toISOString()}'`)
-            ]
-          }
+        [sequelize.Sequelize.Op.and]: [
+          Booking.overlapCondition(startTime, endTime, buffer)
         ]
-      }
+      },
+      transaction
     });
 
+    if (conflictingBookings > 0) {
+      return {
+        available: false,
+        conflicts: conflictingBookings,
+        reason: 'Staff member has conflicting bookings'
+      };
+    }
+
+    if (staff.storeId) {
+      const schedule = await StaffScheduleService.checkStaffSchedule(staffId, staff.storeId, startTime, endTime, { transaction });
+      if (!schedule.available) {
+        return { available: false, conflicts: 0, reason: schedule.reason };
+      }
+    }
+
+    return { available: true, conflicts: 0, reason: null };
+  }
+
+  /**
+   * Check the time isn't held for a waitlisted customer. Each offer holds the
+   * one unit of treatment capacity that was freed, and its staff member; the
+   * customer it was made to (options.customerId) can still book it.
+   */
+  static async checkWaitlistHolds(storeId, treatmentId, staffId, startTime, endTime, { transaction, customerId, excludeBookingId } = {}) {
+    const { WaitlistEntry } = sequelize.models;
+
+    const offers = (await WaitlistEntry.findLiveOffers(storeId, startTime, endTime, { transaction }))
+      .filter(offer => offer.customerId !== customerId);
+
+    let held = Boolean(staffId) && offers.some(offer => offer.offeredStaffId === staffId);
+
+    const heldSeats = offers.filter(offer => offer.treatmentId === treatmentId).length;
+    if (!held && heldSeats > 0) {
+      const concurrency = await this.checkTreatmentConcurrency(treatmentId, startTime, endTime, { transaction, excludeBookingId });
+      // A missing treatment is reported by the concurrency check itself
+      held = concurrency.maximum !== undefined && concurrency.current + heldSeats >= concurrency.maximum;
+    }
+
     return {
-      available: conflictingBookings === 0,
-      conflicts: conflictingBookings,
-      reason: conflictingBookings > 0 ? 'Staff member has conflicting bookings' : null
+      available: !held,
+      reason: held ? 'Time is held for a waitlisted customer' : null
     };
   }
 
   /**
    * Check resource availability for the treatment
    */
-  static async checkResourceAvailability(treatmentId, startTime, endTime) {
-    const { Treatment, Resource } = sequelize.models;
+  static async checkResourceAvailability(treatmentId, startTime, endTime, { transaction, excludeBookingId, buffer } = {}) {
+    const { Treatment } = sequelize.models;
     
-    const treatment = await Treatment.findByPk(treatmentId, {
-      include: [{ model: Resource, as: 'resources' }]
-    });
-
-    if (!treatment || !treatment.resources || treatment.resources.length === 0) {
+    const treatment = await Treatment.findByPk(treatmentId, { transaction });
+    if (!treatment) {
       return { available: true, reason: null };
     }
 
-    for (const resource of treatment.resources) {
-      const isAvailable = await resource.isAvailable(startTime, endTime);
-      if (!isAvailable) {
-        return {
-          available: false,
-          resource: resource.name,
-          reason: `Resource ${resource.name} is not available`
-        };
-      }
+    const result = await ResourceAllocationService.findAllocation(treatment, startTime, endTime, {
+      transaction,
+      buffer,
+      excludeBookingIds: excludeBookingId ? [excludeBookingId] : []
+    });
+
+    if (!result.available) {
+      return { available: false, reason: result.reason };
     }
 
-    return { available: true, resources: treatment.resources.length };
+    return { available: true, resources: result.allocations.length };
   }
 
   /**
    * Check daily booking limits for the store
    */
-  static async checkDailyBookingLimit(storeId, startTime) {
+  static async checkDailyBookingLimit(storeId, startTime, { transaction, excludeBookingId } = {}) {
     const { Store, Booking } = sequelize.models;
     
-    const store = await Store.findByPk(storeId);
+    const store = await Store.findByPk(storeId, { transaction });
     if (!store) {
       return { available: false, reason: 'Store not found' };
     }
@@ -163,13 +326,12 @@ class QuotaService {
       return { available: true, reason: 'No daily limit set' };
     }
 
-    const startOfDay = new Date(startTime);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(startTime);
-    endOfDay.setHours(23, 59, 59, 999);
+    // The day is the store-local calendar day the booking starts on
+    const { start: startOfDay, end: endOfDay } = store.getDayBounds(startTime);
 
     const dailyBookings = await Booking.count({
       where: {
+        ...(excludeBookingId && { id: { [sequelize.Sequelize.Op.ne]: excludeBookingId } }),
         storeId,
         bookingDateTime: {
           [sequelize.Sequelize.Op.between]: [startOfDay, endOfDay]
@@ -177,7 +339,8 @@ class QuotaService {
         status: {
           [sequelize.Sequelize.Op.notIn]: [config.bookingStatus.CANCELLED, config.bookingStatus.NO_SHOW]
         }
-      }
+      },
+      transaction
     });
 
     return {
@@ -191,10 +354,10 @@ class QuotaService {
   /**
    * Check overall store capacity for the time slot
    */
-  static async checkStoreCapacity(storeId, startTime, endTime) {
+  static async checkStoreCapacity(storeId, startTime, endTime, { transaction, excludeBookingId } = {}) {
     const { Store, Booking } = sequelize.models;
     
-    const store = await Store.findByPk(storeId);
+    const store = await Store.findByPk(storeId, { transaction });
     if (!store) {
       return { available: false, reason: 'Store not found' };
     }
@@ -206,6 +369,7 @@ class QuotaService {
 
     const concurrentBookings = await Booking.count({
       where: {
+        ...(excludeBookingId && { id: { [sequelize.Sequelize.Op.ne]: excludeBookingId } }),
         storeId,
         status: {
           [sequelize.Sequelize.Op.notIn]: [config.bookingStatus.CANCELLED, config.bookingStatus.NO_SHOW]
@@ -213,7 +377,8 @@ class QuotaService {
         [sequelize.Sequelize.Op.or]: [
           {
             bookingDateTime: {
-              [sequelize.Sequelize.Op.between]: [startTime, endTime]
+              [sequelize.Sequelize.Op.gte]: startTime,
+              [sequelize.Sequelize.Op.lt]: endTime
             }
           },
           {
@@ -227,7 +392,8 @@ class QuotaService {
             ]
           }
         ]
-      }
+      },
+      transaction
     });
 
     return {
@@ -249,10 +415,7 @@ class QuotaService {
       throw new Error('Store not found');
     }
 
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
+    const { date: localDate, start: startOfDay, end: endOfDay } = store.getDayBounds(date);
 
     // Get daily bookings
     const dailyBookings = await Booking.findAll({
@@ -295,7 +458,7 @@ class QuotaService {
     });
 
     return {
-      date: date.toISOString().split('T')[0],
+      date: localDate,
       storeId,
       daily: {
         totalBookings,
@@ -310,13 +473,22 @@ class QuotaService {
    * Get peak hours analysis for a store
    */
   static async getPeakHoursAnalysis(storeId, startDate, endDate) {
-    const { Booking } = sequelize.models;
+    const { Store, Booking } = sequelize.models;
+
+    const store = await Store.findByPk(storeId);
+    if (!store) {
+      throw new Error('Store not found');
+    }
+
+    // Whole store-local days, with hours and weekdays reported in the store's timezone
+    const rangeStart = store.getDayBounds(startDate).start;
+    const rangeEnd = store.getDayBounds(endDate).end;
     
     const bookings = await Booking.findAll({
       where: {
         storeId,
         bookingDateTime: {
-          [sequelize.Sequelize.Op.between]: [startDate, endDate]
+          [sequelize.Sequelize.Op.between]: [rangeStart, rangeEnd]
         },
         status: {
           [sequelize.Sequelize.Op.notIn]: [config.bookingStatus.CANCELLED, config.bookingStatus.NO_SHOW]
@@ -331,8 +503,9 @@ class QuotaService {
 
     bookings.forEach(booking => {
       const bookingTime = new Date(booking.bookingDateTime);
-      const hour = bookingTime.getHours();
-      const dayOfWeek = bookingTime.toLocaleDateString('en-US', { weekday: 'long' });
+      const { hour } = getZonedParts(bookingTime, store.timezone);
+      const weekday = getWeekday(toLocalDateString(bookingTime, store.timezone));
+      const dayOfWeek = weekday.charAt(0).toUpperCase() + weekday.slice(1);
 
       // Hourly distribution
       if (!hourlyDistribution[hour]) {
@@ -356,8 +529,8 @@ class QuotaService {
 
     return {
       dateRange: {
-        start: startDate.toISOString().split('T')[0],
-        end: endDate.toISOString().split('T')[0]
+        start: store.getLocalDate(startDate),
+        end: store.getLocalDate(endDate)
       },
       totalBookings: bookings.length,
       peakHour: peakHour ? { hour: parseInt(peakHour[0]), bookings: peakHour[1] } : null,
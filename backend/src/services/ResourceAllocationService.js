@@ -0,0 +1,159 @@
+const { sequelize } = require('../config/database');
+const { ConflictError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+class ResourceAllocationService {
+  /**
+   * Pick one free, active unit for every resource requirement of a treatment
+   */
+  static async findAllocation(treatment, startTime, endTime, { transaction, buffer, excludeBookingIds = [], preferredResourceIds = [] } = {}) {
+    const { Resource } = sequelize.models;
+
+    const requirements = treatment.getResourceRequirements();
+    if (requirements.length === 0) {
+      return { available: true, allocations: [] };
+    }
+
+    const resources = await Resource.findAll({
+      where: { id: treatment.getResourceIds(), isActive: true },
+      transaction
+    });
+
+    return this.selectUnits(
+      requirements,
+      new Map(resources.map(resource => [resource.id, resource])),
+      resource => resource.isAvailable(startTime, endTime, excludeBookingIds, { transaction, buffer }),
+      preferredResourceIds
+    );
+  }
+
+  /**
+   * Greedy unit selection shared by database and in-memory availability
+   * checks. Groups with fewer options are filled first so a flexible group
+   * does not take the only unit a stricter group could use; units in
+   * `preferredResourceIds` are tried first to keep rescheduled bookings in place.
+   */
+  static async selectUnits(requirements, resourcesById, isFree, preferredResourceIds = []) {
+    const ordered = requirements
+      .map((group, groupIndex) => ({ ...group, groupIndex }))
+      .sort((a, b) => a.resourceIds.length - b.resourceIds.length);
+
+    const taken = new Set();
+    const allocations = [];
+
+    for (const group of ordered) {
+      const candidates = group.resourceIds
+        .map(resourceId => resourcesById.get(resourceId))
+        .filter(resource => resource && !taken.has(resource.id))
+        .sort((a, b) => Number(preferredResourceIds.includes(b.id)) - Number(preferredResourceIds.includes(a.id)));
+
+      let allocated = null;
+      for (const resource of candidates) {
+        if (await isFree(resource)) {
+          allocated = resource;
+          break;
+        }
+      }
+
+      if (!allocated) {
+        return {
+          available: false,
+          groupIndex: group.groupIndex,
+          reason: this.describeUnavailable(group, resourcesById)
+        };
+      }
+
+      taken.add(allocated.id);
+      allocations.push({ groupIndex: group.groupIndex, label: group.label, resource: allocated });
+    }
+
+    return {
+      available: true,
+      allocations: allocations.sort((a, b) => a.groupIndex - b.groupIndex)
+    };
+  }
+
+  /**
+   * Record the units a booking holds, failing with a 409 if a group has none free
+   */
+  static async allocate(booking, treatment, { transaction, buffer } = {}) {
+    const { BookingResource } = sequelize.models;
+
+    const result = await this.findAllocation(treatment, new Date(booking.bookingDateTime), booking.getEndDateTime(), {
+      transaction,
+      buffer,
+      excludeBookingIds: [booking.id]
+    });
+
+    if (!result.available) {
+      throw new ConflictError('Requested time is not available', [
+        { type: 'resourceAvailability', reason: result.reason }
+      ]);
+    }
+
+    return BookingResource.bulkCreate(this.toRows(booking.id, result.allocations), { transaction });
+  }
+
+  /**
+   * Re-run allocation after a booking moves, keeping its current units where
+   * they are still free at the new time
+   */
+  static async reallocate(booking, { transaction } = {}) {
+    const { BookingResource, Treatment } = sequelize.models;
+
+    const [treatment, current] = await Promise.all([
+      Treatment.findByPk(booking.treatmentId, { transaction }),
+      BookingResource.findAll({ where: { bookingId: booking.id }, transaction })
+    ]);
+
+    const result = await this.findAllocation(treatment, new Date(booking.bookingDateTime), booking.getEndDateTime(), {
+      transaction,
+      buffer: { before: booking.bufferBeforeMinutes, after: booking.bufferAfterMinutes },
+      excludeBookingIds: [booking.id],
+      preferredResourceIds: current.map(allocation => allocation.resourceId)
+    });
+
+    if (!result.available) {
+      throw new ConflictError('Requested time is not available', [
+        { type: 'resourceAvailability', reason: result.reason }
+      ]);
+    }
+
+    await BookingResource.destroy({ where: { bookingId: booking.id }, transaction });
+    const allocations = await BookingResource.bulkCreate(this.toRows(booking.id, result.allocations), { transaction });
+
+    const previous = current.map(allocation => allocation.resourceId).sort();
+    const next = allocations.map(allocation => allocation.resourceId).sort();
+    if (previous.join() !== next.join()) {
+      logger.logBookingEvent('resources_reallocated', booking.id, null, { from: previous, to: next });
+    }
+
+    return allocations;
+  }
+
+  /**
+   * Map chosen units to booking_resources rows
+   */
+  static toRows(bookingId, allocations) {
+    return allocations.map(allocation => ({
+      bookingId,
+      resourceId: allocation.resource.id,
+      groupIndex: allocation.groupIndex,
+      label: allocation.label
+    }));
+  }
+
+  /**
+   * Human-readable reason for a requirement group with no free unit
+   */
+  static describeUnavailable(group, resourcesById) {
+    if (group.resourceIds.length === 1) {
+      const resource = resourcesById.get(group.resourceIds[0]);
+      return resource ? `Resource ${resource.name} is not available` : 'Required resource is inactive or missing';
+    }
+
+    return `No ${group.label || 'resource from the required group'} is available`;
+  }
+}
+
+module.exports = ResourceAllocationService;
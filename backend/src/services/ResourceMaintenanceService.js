@@ -0,0 +1,142 @@
+const { sequelize } = require('../config/database');
+const WebhookEventService = require('./WebhookEventService');
+const ResourceAllocationService = require('./ResourceAllocationService');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { addDays } = require('../utils/timezone');
+
+class ResourceMaintenanceService {
+  /**
+   * Schedule downtime for a resource and report the bookings it collides with
+   */
+  static async createWindow(resource, data, actorId) {
+    const { ResourceMaintenance } = sequelize.models;
+
+    const window = await ResourceMaintenance.create({
+      ...data,
+      resourceId: resource.id,
+      storeId: resource.storeId,
+      createdBy: actorId
+    });
+
+    logger.logDatabaseOperation('create', 'resource_maintenance_windows', window.id, {
+      resourceId: resource.id,
+      startTime: window.startTime,
+      endTime: window.endTime,
+      createdBy: actorId
+    });
+
+    await this.emitAvailabilityChanged(window, 'resource_maintenance_scheduled');
+
+    return { window, affectedBookings: await this.findAffectedBookings(window) };
+  }
+
+  /**
+   * Move or edit a maintenance window and report the bookings it now collides with
+   */
+  static async updateWindow(window, updates, actorId) {
+    const previous = { startTime: window.startTime, endTime: window.endTime };
+
+    await window.update(updates);
+
+    logger.logDatabaseOperation('update', 'resource_maintenance_windows', window.id, { updates, updatedBy: actorId });
+
+    await this.emitAvailabilityChanged(window, 'resource_maintenance_changed', previous);
+
+    return { window, affectedBookings: await this.findAffectedBookings(window) };
+  }
+
+  /**
+   * Cancel a maintenance window, returning the resource to service
+   */
+  static async deleteWindow(window, actorId) {
+    await window.destroy();
+
+    logger.logDatabaseOperation('delete', 'resource_maintenance_windows', window.id, {
+      resourceId: window.resourceId,
+      deletedBy: actorId
+    });
+
+    await this.emitAvailabilityChanged(window, 'resource_maintenance_removed');
+  }
+
+  /**
+   * Active bookings holding the resource during the window, with whether
+   * another unit of the same requirement group could take them over
+   */
+  static async findAffectedBookings(window) {
+    const { Booking, BookingResource, Treatment } = sequelize.models;
+
+    const bookings = await Booking.findAll({
+      where: {
+        status: {
+          [sequelize.Sequelize.Op.in]: [config.bookingStatus.PENDING, config.bookingStatus.CONFIRMED]
+        },
+        [sequelize.Sequelize.Op.and]: [
+          Booking.overlapCondition(new Date(window.startTime), new Date(window.endTime))
+        ]
+      },
+      include: [{
+        model: BookingResource,
+        as: 'resourceAllocations',
+        where: { resourceId: window.resourceId },
+        attributes: []
+      }, {
+        model: Treatment,
+        as: 'treatment'
+      }],
+      order: [['bookingDateTime', 'ASC']]
+    });
+
+    const affected = [];
+    for (const booking of bookings) {
+      const alternative = await ResourceAllocationService.findAllocation(
+        booking.treatment,
+        new Date(booking.bookingDateTime),
+        booking.getEndDateTime(),
+        {
+          buffer: { before: booking.bufferBeforeMinutes, after: booking.bufferAfterMinutes },
+          excludeBookingIds: [booking.id]
+        }
+      );
+
+      affected.push({
+        bookingId: booking.id,
+        customerId: booking.customerId,
+        staffId: booking.staffId,
+        bookingDateTime: booking.bookingDateTime,
+        endDateTime: booking.getEndDateTime(),
+        status: booking.status,
+        canReallocate: alternative.available
+      });
+    }
+
+    return affected;
+  }
+
+  /**
+   * Notify availability subscribers for every store-local day the window
+   * touches, including the days it covered before a move
+   */
+  static async emitAvailabilityChanged(window, reason, previousRange = null) {
+    const { Store } = sequelize.models;
+
+    const store = await Store.findByPk(window.storeId, { attributes: ['id', 'timezone'] });
+    const dates = new Set();
+
+    [window, previousRange].filter(Boolean).forEach(({ startTime, endTime }) => {
+      const lastDate = store.getLocalDate(new Date(endTime));
+      for (let date = store.getLocalDate(new Date(startTime)); date <= lastDate; date = addDays(date, 1)) {
+        dates.add(date);
+      }
+    });
+
+    dates.forEach(date => WebhookEventService.emitAvailabilityChanged(window.storeId, date, {
+      reason,
+      resourceId: window.resourceId,
+      maintenanceId: window.id
+    }));
+  }
+}
+
+module.exports = ResourceMaintenanceService;
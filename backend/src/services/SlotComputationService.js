@@ -0,0 +1,323 @@
+const { sequelize } = require('../config/database');
+const config = require('../config');
+const StaffScheduleService = require('./StaffScheduleService');
+const StaffQualificationService = require('./StaffQualificationService');
+const ResourceAllocationService = require('./ResourceAllocationService');
+const { addDays } = require('../utils/timezone');
+
+class SlotComputationService {
+  /**
+   * Compute bookable start times for a treatment over a range of store-local
+   * days, as a Map keyed by date. Everything candidates are checked against is
+   * loaded once for the whole range (see loadRange), so the number of queries
+   * does not grow with the number of days, candidates or staff.
+   *
+   * In 'dynamic' mode candidates are taken every `stepMinutes` from opening
+   * time. 'auto' does the same, but days that have timeslots only offer times
+   * covered by active slots with capacity, possibly spanning several.
+   * 'timeslots' only offers the start of each slot long enough for the treatment.
+   */
+  static async computeRange(store, treatment, startDate, endDate, { mode = 'auto', stepMinutes, now = new Date() } = {}) {
+    const context = await this.loadRange(store, treatment, startDate, endDate, { useTimeslots: mode !== 'dynamic' });
+
+    const results = new Map();
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+      results.set(date, await this.computeDay(context, date, { mode, stepMinutes, now }));
+    }
+
+    return results;
+  }
+
+  /**
+   * Compute bookable start times for a single store-local day
+   */
+  static async computeSlots(store, treatment, date, options = {}) {
+    const localDate = store.getLocalDate(date);
+    const results = await this.computeRange(store, treatment, localDate, localDate, options);
+
+    return results.get(localDate);
+  }
+
+  /**
+   * Load staff, qualifications, schedules, bookings, live waitlist offers,
+   * timeslots, resources, maintenance windows and classes held in those
+   * resources for a range of store-local days in a fixed number of queries
+   */
+  static async loadRange(store, treatment, startDate, endDate, { useTimeslots = true } = {}) {
+    const { User, Booking, BookingResource, Timeslot, Resource, ResourceMaintenance, ClassSession, StaffQualification, WaitlistEntry } = sequelize.models;
+
+    const rangeStart = store.getDayBounds(startDate).start;
+    const rangeEnd = store.getDayBounds(endDate).end;
+    const resourceIds = treatment.getResourceIds();
+
+    const staff = await User.findAll({
+      where: {
+        storeId: store.id,
+        role: {
+          [sequelize.Sequelize.Op.in]: [config.roles.STAFF, config.roles.STORE_ADMIN]
+        },
+        isActive: true
+      }
+    });
+    const staffIds = staff.map(member => member.id);
+
+    const [qualifications, schedules, bookings, offers, timeslots, resources, maintenance, classes] = await Promise.all([
+      staffIds.length > 0 ? StaffQualification.findForTreatment(treatment.id, staffIds) : [],
+      StaffScheduleService.loadSchedules(staffIds, startDate, endDate),
+      // Widened by a day so bookings whose buffers reach into the range are seen
+      Booking.findAll({
+        where: {
+          storeId: store.id,
+          status: {
+            [sequelize.Sequelize.Op.notIn]: [config.bookingStatus.CANCELLED, config.bookingStatus.NO_SHOW]
+          },
+          bookingDateTime: {
+            [sequelize.Sequelize.Op.between]: [new Date(rangeStart.getTime() - 24 * 60 * 60000), rangeEnd]
+          }
+        },
+        include: [{
+          model: BookingResource,
+          as: 'resourceAllocations',
+          attributes: ['resourceId'],
+          required: false
+        }]
+      }),
+      WaitlistEntry.findLiveOffers(store.id, rangeStart, rangeEnd),
+      useTimeslots
+        ? Timeslot.findAll({
+          where: {
+            storeId: store.id,
+            startTime: {
+              [sequelize.Sequelize.Op.between]: [rangeStart, rangeEnd]
+            }
+          },
+          order: [['startTime', 'ASC']]
+        })
+        : [],
+      resourceIds.length > 0 ? Resource.findAll({ where: { id: resourceIds, isActive: true } }) : [],
+      resourceIds.length > 0 ? ResourceMaintenance.findOverlapping(resourceIds, rangeStart, rangeEnd) : [],
+      resourceIds.length > 0 ? ClassSession.findScheduledOverlapping({ roomId: resourceIds }, rangeStart, rangeEnd) : []
+    ]);
+
+    return {
+      store,
+      treatment,
+      buffer: treatment.getBufferTimes(store),
+      staff,
+      qualifications: new Map(qualifications.map(qualification => [qualification.staffId, qualification])),
+      schedules,
+      bookings,
+      offers,
+      timeslots,
+      resources: new Map(resources.map(resource => [resource.id, resource])),
+      maintenance,
+      classes
+    };
+  }
+
+  /**
+   * Compute one day's slots from a loaded range
+   */
+  static async computeDay(context, date, { mode = 'auto', stepMinutes, now } = {}) {
+    const { store, treatment } = context;
+
+    const operatingWindow = store.getOperatingWindow(date);
+    if (!operatingWindow) {
+      return [];
+    }
+
+    const { start: startOfDay, end: endOfDay } = store.getDayBounds(date);
+    const dayTimeslots = context.timeslots.filter(slot =>
+      new Date(slot.startTime) >= startOfDay && new Date(slot.startTime) <= endOfDay
+    );
+
+    const candidates = mode === 'timeslots'
+      ? dayTimeslots
+        .filter(slot => slot.isActive && slot.getDurationMinutes() >= treatment.duration && (!now || new Date(slot.startTime) >= now))
+        .map(slot => new Date(slot.startTime))
+      : this.candidateStarts(operatingWindow, treatment.duration, stepMinutes, { notBefore: now });
+
+    const day = {
+      qualified: StaffQualificationService.selectQualified(treatment, context.staff, context.qualifications, operatingWindow.date),
+      timeslots: mode === 'timeslots' || (mode === 'auto' && dayTimeslots.length > 0) ? dayTimeslots : null
+    };
+
+    const slots = [];
+    for (const startTime of candidates) {
+      const slot = await this.evaluateCandidate(context, day, startTime);
+      if (slot) {
+        slots.push(slot);
+      }
+    }
+
+    return slots;
+  }
+
+  /**
+   * Check one candidate start against a loaded range, returning the slot or null
+   */
+  static async evaluateCandidate(context, day, startTime) {
+    const { store, treatment, buffer, staff: allStaff, schedules, bookings, offers = [] } = context;
+    const endTime = new Date(startTime.getTime() + treatment.duration * 60000);
+
+    if (!store.isOpenDuring(startTime, endTime)) {
+      return null;
+    }
+
+    let timeslotCapacity = null;
+    let coveringSlots = [];
+    if (day.timeslots) {
+      timeslotCapacity = this.timeslotCapacity(day.timeslots, treatment.id, startTime, endTime);
+      if (timeslotCapacity === null) {
+        return null;
+      }
+      coveringSlots = this.coveringTimeslots(day.timeslots, startTime, endTime);
+    }
+
+    // Each live waitlist offer holds one unit of capacity and its staff member
+    const heldOffers = offers.filter(offer =>
+      new Date(offer.offeredStartTime) < endTime && new Date(offer.offeredEndTime) > startTime
+    );
+
+    const concurrent = bookings.filter(booking =>
+      booking.treatmentId === treatment.id &&
+      new Date(booking.bookingDateTime) < endTime &&
+      booking.getEndDateTime() > startTime
+    ).length + heldOffers.filter(offer => offer.treatmentId === treatment.id).length;
+    if (concurrent >= treatment.maxConcurrentBookings) {
+      return null;
+    }
+
+    const staff = day.qualified
+      .filter(({ staff: member }) =>
+        coveringSlots.every(slot => slot.hasAvailableStaff(member.id)) &&
+        !heldOffers.some(offer => offer.offeredStaffId === member.id) &&
+        StaffScheduleService.evaluate(schedules.get(member.id), startTime, endTime, store.timezone).available &&
+        !bookings.some(booking => booking.staffId === member.id && this.conflicts(booking, startTime, endTime, buffer))
+      )
+      .map(({ staff: member, skillLevel }) => ({
+        id: member.id,
+        name: member.getFullName(),
+        skillLevel
+      }));
+
+    // Skip times where every staff member is busy, in turnover, off shift or not on the slot
+    if (allStaff.length > 0 && staff.length === 0) {
+      return null;
+    }
+
+    const requirements = treatment.getResourceRequirements();
+    if (requirements.length > 0) {
+      const resourceCheck = await ResourceAllocationService.selectUnits(
+        requirements,
+        context.resources,
+        resource => this.isResourceFree(context, resource, startTime, endTime)
+      );
+      if (!resourceCheck.available) {
+        return null;
+      }
+    }
+
+    const treatmentCapacity = treatment.maxConcurrentBookings - concurrent;
+
+    return {
+      startTime,
+      endTime,
+      availableCapacity: timeslotCapacity === null ? treatmentCapacity : Math.min(timeslotCapacity, treatmentCapacity),
+      availableStaff: staff.length,
+      staff
+    };
+  }
+
+  /**
+   * In-memory equivalent of Resource.isAvailable over a loaded range
+   */
+  static isResourceFree(context, resource, startTime, endTime) {
+    const { buffer, maintenance, classes = [], bookings } = context;
+
+    // The unit must be back in service for the preparation and cleanup around the booking too
+    const paddedStart = new Date(startTime.getTime() - (buffer.before || 0) * 60000);
+    const paddedEnd = new Date(endTime.getTime() + (buffer.after || 0) * 60000);
+    if (maintenance.some(window => window.resourceId === resource.id && window.overlaps(paddedStart, paddedEnd))) {
+      return false;
+    }
+
+    if (classes.some(session => session.roomId === resource.id && session.overlaps(paddedStart, paddedEnd))) {
+      return false;
+    }
+
+    const holding = bookings.filter(booking =>
+      (booking.resourceAllocations || []).some(allocation => allocation.resourceId === resource.id) &&
+      this.conflicts(booking, startTime, endTime, buffer)
+    ).length;
+
+    return holding < resource.capacity;
+  }
+
+  /**
+   * Start times every `stepMinutes` from opening that still finish by closing
+   */
+  static candidateStarts(operatingWindow, duration, stepMinutes, { notBefore } = {}) {
+    const starts = [];
+    const closeTime = operatingWindow.close.getTime();
+
+    // Step in absolute minutes so candidates stay evenly spaced across DST changes
+    for (let time = operatingWindow.open.getTime(); time + duration * 60000 <= closeTime; time += stepMinutes * 60000) {
+      if (!notBefore || time >= notBefore.getTime()) {
+        starts.push(new Date(time));
+      }
+    }
+
+    return starts;
+  }
+
+  /**
+   * Smallest free capacity across the timeslots covering a window, or null
+   * when the window has a gap or touches a blocked, full or restricted slot
+   */
+  static timeslotCapacity(timeslots, treatmentId, startTime, endTime) {
+    const covering = this.coveringTimeslots(timeslots, startTime, endTime);
+    if (!covering || covering.some(slot => !slot.isAvailable() || !slot.canAccommodateTreatment(treatmentId))) {
+      return null;
+    }
+
+    return covering.reduce((capacity, slot) => Math.min(capacity, slot.getAvailableCapacity()), Infinity);
+  }
+
+  /**
+   * The timeslots covering a window back to back, or null when it has a gap
+   */
+  static coveringTimeslots(timeslots, startTime, endTime) {
+    const covering = [];
+    let cursor = startTime.getTime();
+
+    while (cursor < endTime.getTime()) {
+      const slot = timeslots.find(timeslot =>
+        new Date(timeslot.startTime).getTime() <= cursor && new Date(timeslot.endTime).getTime() > cursor
+      );
+      if (!slot) {
+        return null;
+      }
+
+      covering.push(slot);
+      cursor = new Date(slot.endTime).getTime();
+    }
+
+    return covering;
+  }
+
+  /**
+   * In-memory equivalent of Booking.overlapCondition: an existing booking's
+   * own buffers and the new booking's buffers are both kept clear
+   */
+  static conflicts(booking, startTime, endTime, buffer = {}) {
+    const bookingStart = new Date(booking.bookingDateTime).getTime();
+    const bookingEnd = bookingStart + booking.duration * 60000;
+    const gapBefore = Math.max(booking.bufferAfterMinutes || 0, buffer.before || 0) * 60000;
+    const gapAfter = Math.max(booking.bufferBeforeMinutes || 0, buffer.after || 0) * 60000;
+
+    return bookingEnd + gapBefore > startTime.getTime() && bookingStart - gapAfter < endTime.getTime();
+  }
+}
+
+module.exports = SlotComputationService;
@@ -0,0 +1,151 @@
+const { sequelize } = require('../config/database');
+const { ConflictError } = require('../middleware/errorHandler');
+const AvailabilityService = require('./AvailabilityService');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const SKILL_RANK = { expert: 3, senior: 2, junior: 1 };
+
+class StaffAssignmentService {
+  /**
+   * Order available staff for a strategy. Every strategy falls back to the
+   * next one on ties: preferred/skill -> least loaded -> round robin -> ID.
+   */
+  static rankCandidates(strategy, candidates, stats) {
+    const lastAssigned = (staff) => stats.lastAssignedAt.get(staff.id)?.getTime() ?? 0;
+    const load = (staff) => stats.dailyLoad.get(staff.id) ?? 0;
+    const preference = (staff) => {
+      const index = stats.preferredStaffIds.indexOf(staff.id);
+      return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+    };
+    const skill = (staff) => SKILL_RANK[staff.skillLevel] || 0;
+
+    const comparators = {
+      round_robin: [lastAssigned],
+      least_loaded: [load, lastAssigned],
+      preferred_staff: [preference, load, lastAssigned],
+      skill_match: [(staff) => -skill(staff), load, lastAssigned]
+    };
+    const keys = comparators[strategy] || comparators.least_loaded;
+
+    return [...candidates].sort((a, b) => {
+      for (const key of keys) {
+        const difference = key(a) - key(b);
+        if (difference !== 0) return difference;
+      }
+      return a.id.localeCompare(b.id);
+    });
+  }
+
+  /**
+   * Pick a qualified, free staff member for an unassigned booking using the
+   * store's strategy. Returns null when the store runs without staff or uses
+   * manual assignment, and throws a 409 when nobody is free. Staff in
+   * excludeStaffIds (busy in a parallel segment of the same visit) are passed
+   * over. Inside a booking transaction, pass it and the booking's buffer so the
+   * lookups see earlier inserts and reuse the held connection.
+   */
+  static async assignStaff({ storeId, treatmentId, customerId, bookingDateTime, duration, bookingId = null }, { transaction, excludeStaffIds = [], buffer } = {}) {
+    const { Store, User } = sequelize.models;
+
+    const store = await Store.findByPk(storeId, { transaction });
+    const { strategy } = store.getStaffAssignmentSettings();
+    if (strategy === 'manual') {
+      return null;
+    }
+
+    const startTime = new Date(bookingDateTime);
+    const candidates = (await AvailabilityService.getAvailableStaff(storeId, treatmentId, startTime, duration, { transaction, buffer, customerId }))
+      .filter(staff => !excludeStaffIds.includes(staff.id));
+
+    if (candidates.length === 0) {
+      const storeHasStaff = await User.count({
+        where: {
+          storeId,
+          role: { [sequelize.Sequelize.Op.in]: [config.roles.STAFF, config.roles.STORE_ADMIN] },
+          isActive: true
+        },
+        transaction
+      });
+      if (!storeHasStaff) {
+        return null;
+      }
+
+      throw new ConflictError('Requested time is not available', [
+        { type: 'staffAssignment', reason: 'No qualified staff member is free at this time' }
+      ]);
+    }
+
+    const stats = await this.loadStats(store, candidates.map(staff => staff.id), customerId, startTime, { transaction });
+    const [selected] = this.rankCandidates(strategy, candidates, stats);
+
+    logger.logBookingEvent('staff_auto_assigned', bookingId, null, {
+      storeId,
+      staffId: selected.id,
+      strategy,
+      candidates: candidates.length
+    });
+
+    return selected.id;
+  }
+
+  /**
+   * Load the booking history each strategy ranks by
+   */
+  static async loadStats(store, staffIds, customerId, startTime, { transaction } = {}) {
+    const { Booking, User } = sequelize.models;
+    const { Op } = sequelize.Sequelize;
+    const activeStatuses = [config.bookingStatus.PENDING, config.bookingStatus.CONFIRMED, config.bookingStatus.IN_PROGRESS, config.bookingStatus.HELD];
+    const { start: dayStart, end: dayEnd } = store.getDayBounds(store.getLocalDate(startTime));
+
+    const [lastAssigned, dailyLoad, customer, history] = await Promise.all([
+      Booking.findAll({
+        attributes: ['staffId', [sequelize.fn('MAX', sequelize.col('created_at')), 'lastAssignedAt']],
+        where: { storeId: store.id, staffId: staffIds },
+        group: [sequelize.col('staff_id')],
+        raw: true,
+        transaction
+      }),
+      Booking.findAll({
+        attributes: ['staffId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+        where: {
+          storeId: store.id,
+          staffId: staffIds,
+          status: { [Op.in]: activeStatuses },
+          bookingDateTime: { [Op.between]: [dayStart, dayEnd] }
+        },
+        group: [sequelize.col('staff_id')],
+        raw: true,
+        transaction
+      }),
+      User.findByPk(customerId, { attributes: ['id', 'metadata'], transaction }),
+      Booking.findAll({
+        attributes: ['staffId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+        where: {
+          storeId: store.id,
+          customerId,
+          staffId: staffIds,
+          status: config.bookingStatus.COMPLETED
+        },
+        group: [sequelize.col('staff_id')],
+        order: [[sequelize.literal('count'), 'DESC']],
+        raw: true,
+        transaction
+      })
+    ]);
+
+    // An explicit preference wins, then staff the customer has been seen by most
+    const preferredStaffIds = [
+      customer?.metadata?.preferredStaffId,
+      ...history.map(row => row.staffId)
+    ].filter(Boolean);
+
+    return {
+      lastAssignedAt: new Map(lastAssigned.map(row => [row.staffId, new Date(row.lastAssignedAt)])),
+      dailyLoad: new Map(dailyLoad.map(row => [row.staffId, parseInt(row.count)])),
+      preferredStaffIds
+    };
+  }
+}
+
+module.exports = StaffAssignmentService;
@@ -0,0 +1,172 @@
+const { sequelize } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const AvailabilityCacheService = require('./AvailabilityCacheService');
+const { toLocalDateString } = require('../utils/timezone');
+
+class StaffQualificationService {
+  /**
+   * Check a staff member's qualification against a treatment on a store-local
+   * date. Treatments open to any level need no certification; otherwise the
+   * staff member needs an active, unexpired qualification at the required level.
+   */
+  static evaluate(treatment, qualification, localDate) {
+    if (treatment.requiredStaffLevel === 'any') {
+      return {
+        qualified: !qualification || qualification.isActive,
+        skillLevel: qualification?.skillLevel || null,
+        reason: qualification && !qualification.isActive ? 'Staff member\'s qualification for this treatment is suspended' : null
+      };
+    }
+
+    if (!qualification || !qualification.isActive) {
+      return { qualified: false, skillLevel: null, reason: 'Staff member is not qualified for this treatment' };
+    }
+
+    if (qualification.isExpired(localDate)) {
+      return {
+        qualified: false,
+        skillLevel: qualification.skillLevel,
+        reason: `Staff member's certification for this treatment expired on ${qualification.expiresAt}`
+      };
+    }
+
+    if (!qualification.isValidOn(localDate)) {
+      return {
+        qualified: false,
+        skillLevel: qualification.skillLevel,
+        reason: `Staff member's certification for this treatment starts on ${qualification.certifiedAt}`
+      };
+    }
+
+    if (!treatment.canBePerformedBy(qualification.skillLevel)) {
+      return {
+        qualified: false,
+        skillLevel: qualification.skillLevel,
+        reason: `Treatment requires ${treatment.requiredStaffLevel} level or above`
+      };
+    }
+
+    return { qualified: true, skillLevel: qualification.skillLevel, reason: null };
+  }
+
+  /**
+   * Keep only the staff members qualified for the treatment on the given date,
+   * paired with their skill level for that treatment
+   */
+  static async filterQualified(treatment, staffMembers, localDate, { transaction } = {}) {
+    const { StaffQualification } = sequelize.models;
+
+    if (staffMembers.length === 0) {
+      return [];
+    }
+
+    const qualifications = await StaffQualification.findForTreatment(
+      treatment.id,
+      staffMembers.map(staff => staff.id),
+      { transaction }
+    );
+    const byStaff = new Map(qualifications.map(qualification => [qualification.staffId, qualification]));
+
+    return this.selectQualified(treatment, staffMembers, byStaff, localDate);
+  }
+
+  /**
+   * In-memory part of filterQualified, for qualifications already loaded and
+   * keyed by staff ID
+   */
+  static selectQualified(treatment, staffMembers, qualificationsByStaff, localDate) {
+    return staffMembers.reduce((qualified, staff) => {
+      const result = this.evaluate(treatment, qualificationsByStaff.get(staff.id), localDate);
+      if (result.qualified) {
+        qualified.push({ staff, skillLevel: result.skillLevel });
+      }
+      return qualified;
+    }, []);
+  }
+
+  /**
+   * Throw a 400 if the staff member may not perform the treatment at the booking time
+   */
+  static async assertQualified(treatment, staffId, startTime, { transaction } = {}) {
+    const { StaffQualification, Store } = sequelize.models;
+
+    const store = treatment.store || await Store.findByPk(treatment.storeId, { attributes: ['id', 'timezone'], transaction });
+    const localDate = toLocalDateString(startTime, store.timezone);
+
+    const qualification = await StaffQualification.findOne({
+      where: { staffId, treatmentId: treatment.id },
+      transaction
+    });
+
+    const result = this.evaluate(treatment, qualification, localDate);
+    if (!result.qualified) {
+      const error = new AppError(result.reason, 400, 'STAFF_NOT_QUALIFIED');
+      error.details = {
+        staffId,
+        treatmentId: treatment.id,
+        requiredStaffLevel: treatment.requiredStaffLevel,
+        skillLevel: result.skillLevel
+      };
+      throw error;
+    }
+
+    return result;
+  }
+
+  /**
+   * Add a treatment qualification for a staff member
+   */
+  static async createQualification(staff, data, actorId) {
+    const { StaffQualification } = sequelize.models;
+
+    const qualification = await StaffQualification.create({
+      ...data,
+      staffId: staff.id
+    });
+
+    logger.logDatabaseOperation('create', 'staff_qualifications', qualification.id, {
+      staffId: staff.id,
+      treatmentId: qualification.treatmentId,
+      skillLevel: qualification.skillLevel,
+      createdBy: actorId
+    });
+
+    await AvailabilityCacheService.invalidateTreatment(qualification.treatmentId, 'staff_qualification_created');
+
+    return qualification;
+  }
+
+  /**
+   * Update a staff member's treatment qualification
+   */
+  static async updateQualification(qualification, updates, actorId) {
+    await qualification.update(updates);
+
+    logger.logDatabaseOperation('update', 'staff_qualifications', qualification.id, {
+      updates: Object.keys(updates),
+      updatedBy: actorId
+    });
+
+    await AvailabilityCacheService.invalidateTreatment(qualification.treatmentId, 'staff_qualification_updated');
+
+    return qualification;
+  }
+
+  /**
+   * Remove a staff member's treatment qualification
+   */
+  static async deleteQualification(qualification, actorId) {
+    await qualification.destroy();
+
+    logger.logDatabaseOperation('delete', 'staff_qualifications', qualification.id, {
+      staffId: qualification.staffId,
+      treatmentId: qualification.treatmentId,
+      deletedBy: actorId
+    });
+
+    await AvailabilityCacheService.invalidateTreatment(qualification.treatmentId, 'staff_qualification_deleted');
+  }
+}
+
+module.exports = StaffQualificationService;
@@ -0,0 +1,251 @@
+const { sequelize } = require('../config/database');
+const logger = require('../utils/logger');
+const config = require('../config');
+const AvailabilityCacheService = require('./AvailabilityCacheService');
+const { toLocalDateString, toLocalTimeString, getWeekday, addDays } = require('../utils/timezone');
+
+class StaffScheduleService {
+  /**
+   * Load weekly shifts, approved time off and classes taught for a set of
+   * staff members in one pass, keyed by staff ID, so availability checks can
+   * run in memory
+   */
+  static async loadSchedules(staffIds, startDate, endDate, { transaction } = {}) {
+    const { StaffShift, StaffTimeOff, ClassSession } = sequelize.models;
+
+    // The dates are store-local; a day either side covers any timezone
+    const [shifts, timeOff, classes] = await Promise.all([
+      StaffShift.findActiveForStaff(staffIds, { transaction }),
+      StaffTimeOff.findApprovedOverlapping(staffIds, startDate, endDate, { transaction }),
+      ClassSession.findScheduledOverlapping(
+        { instructorId: staffIds },
+        new Date(`${addDays(startDate, -1)}T00:00:00Z`),
+        new Date(`${addDays(endDate, 2)}T00:00:00Z`),
+        { transaction }
+      )
+    ]);
+
+    const schedules = new Map(staffIds.map(staffId => [staffId, { shifts: [], timeOff: [], classes: [] }]));
+    shifts.forEach(shift => schedules.get(shift.staffId)?.shifts.push(shift));
+    timeOff.forEach(entry => schedules.get(entry.staffId)?.timeOff.push(entry));
+    classes.forEach(session => schedules.get(session.instructorId)?.classes.push(session));
+
+    return schedules;
+  }
+
+  /**
+   * Check a loaded schedule against a booking window. Approved leave and
+   * classes the staff member teaches always block; staff without any shifts
+   * configured are treated as available whenever the store is open.
+   */
+  static evaluate(schedule, startTime, endTime, timeZone) {
+    const localDate = toLocalDateString(startTime, timeZone);
+    const localStart = toLocalTimeString(startTime, timeZone);
+    const localEnd = toLocalDateString(endTime, timeZone) === localDate
+      ? toLocalTimeString(endTime, timeZone)
+      : '24:00';
+
+    const leave = schedule.timeOff.find(entry => entry.blocks(localDate, localStart, localEnd));
+    if (leave) {
+      return {
+        available: false,
+        reason: leave.type === 'sick' ? 'Staff member is off sick' : 'Staff member is on approved leave'
+      };
+    }
+
+    if ((schedule.classes || []).some(session => session.overlaps(startTime, endTime))) {
+      return { available: false, reason: 'Staff member is teaching a class' };
+    }
+
+    if (schedule.shifts.length === 0) {
+      return { available: true, reason: null };
+    }
+
+    const dayShifts = schedule.shifts.filter(shift => shift.appliesTo(localDate, getWeekday(localDate)));
+    if (dayShifts.length === 0) {
+      return { available: false, reason: 'Staff member is not working on this day' };
+    }
+
+    if (!dayShifts.some(shift => shift.covers(localStart, localEnd))) {
+      return { available: false, reason: 'Time is outside the staff member\'s shift or during a break' };
+    }
+
+    return { available: true, reason: null };
+  }
+
+  /**
+   * Keep only the staff members whose schedule allows the booking window
+   */
+  static async filterScheduled(staffMembers, startTime, endTime, timeZone, { transaction } = {}) {
+    if (staffMembers.length === 0) {
+      return [];
+    }
+
+    const schedules = await this.loadSchedules(
+      staffMembers.map(staff => staff.id),
+      toLocalDateString(startTime, timeZone),
+      toLocalDateString(endTime, timeZone),
+      { transaction }
+    );
+
+    return staffMembers.filter(staff => this.evaluate(schedules.get(staff.id), startTime, endTime, timeZone).available);
+  }
+
+  /**
+   * Check whether a single staff member is scheduled to work a booking window
+   */
+  static async checkStaffSchedule(staffId, storeId, startTime, endTime, { transaction } = {}) {
+    const { Store } = sequelize.models;
+
+    const store = await Store.findByPk(storeId, { attributes: ['id', 'timezone'], transaction });
+    if (!store) {
+      return { available: false, reason: 'Store not found' };
+    }
+
+    const schedules = await this.loadSchedules(
+      [staffId],
+      store.getLocalDate(startTime),
+      store.getLocalDate(endTime),
+      { transaction }
+    );
+
+    return this.evaluate(schedules.get(staffId), startTime, endTime, store.timezone);
+  }
+
+  /**
+   * Replace a staff member's weekly shift pattern
+   */
+  static async replaceShifts(staff, shifts, actorId) {
+    const { StaffShift } = sequelize.models;
+
+    const created = await sequelize.transaction(async (transaction) => {
+      await StaffShift.destroy({ where: { staffId: staff.id }, transaction });
+
+      return StaffShift.bulkCreate(shifts.map(shift => ({
+        ...shift,
+        staffId: staff.id,
+        storeId: staff.storeId
+      })), { validate: true, transaction });
+    });
+
+    logger.logDatabaseOperation('replace', 'staff_shifts', staff.id, { shifts: created.length, updatedBy: actorId });
+
+    await AvailabilityCacheService.invalidateStore(staff.storeId, 'staff_shifts_replaced');
+
+    return created;
+  }
+
+  /**
+   * Record a leave request. Admins may approve on creation, and sick days
+   * entered by an admin take effect immediately as an override.
+   */
+  static async requestTimeOff(staff, data, actor) {
+    const { StaffTimeOff } = sequelize.models;
+
+    const isAdmin = [config.roles.SUPER_ADMIN, config.roles.STORE_ADMIN].includes(actor.role);
+    const autoApprove = isAdmin && (data.approve || data.type === 'sick');
+    const { approve, ...fields } = data;
+
+    const timeOff = await StaffTimeOff.create({
+      ...fields,
+      staffId: staff.id,
+      storeId: staff.storeId,
+      status: autoApprove ? 'approved' : 'pending',
+      reviewedBy: autoApprove ? actor.id : null,
+      reviewedAt: autoApprove ? new Date() : null
+    });
+
+    logger.logDatabaseOperation('create', 'staff_time_off', timeOff.id, {
+      staffId: staff.id,
+      type: timeOff.type,
+      status: timeOff.status,
+      createdBy: actor.id
+    });
+
+    let affectedBookings = [];
+    if (timeOff.status === 'approved') {
+      await this.invalidateAvailability(timeOff, 'staff_time_off_approved');
+      affectedBookings = await this.findAffectedBookings(timeOff);
+    }
+
+    return { timeOff, affectedBookings };
+  }
+
+  /**
+   * Approve or reject a pending leave request
+   */
+  static async reviewTimeOff(timeOff, status, reviewerId, notes = null) {
+    await timeOff.review(status, reviewerId, notes);
+
+    logger.logDatabaseOperation('review', 'staff_time_off', timeOff.id, { status, reviewedBy: reviewerId });
+
+    let affectedBookings = [];
+    if (status === 'approved') {
+      await this.invalidateAvailability(timeOff, 'staff_time_off_approved');
+      affectedBookings = await this.findAffectedBookings(timeOff);
+    }
+
+    return { timeOff, affectedBookings };
+  }
+
+  /**
+   * Withdraw a pending or approved leave entry
+   */
+  static async cancelTimeOff(timeOff, actorId) {
+    const wasApproved = timeOff.status === 'approved';
+
+    await timeOff.update({ status: 'cancelled' });
+
+    logger.logDatabaseOperation('cancel', 'staff_time_off', timeOff.id, { cancelledBy: actorId });
+
+    if (wasApproved) {
+      await this.invalidateAvailability(timeOff, 'staff_time_off_cancelled');
+    }
+
+    return timeOff;
+  }
+
+  /**
+   * Drop cached availability for the days a leave entry covers
+   */
+  static invalidateAvailability(timeOff, reason) {
+    return AvailabilityCacheService.invalidateDateRange(timeOff.storeId, timeOff.startDate, timeOff.endDate, reason);
+  }
+
+  /**
+   * Active bookings assigned to the staff member that fall inside approved leave
+   */
+  static async findAffectedBookings(timeOff) {
+    const { Store, Booking } = sequelize.models;
+
+    const store = await Store.findByPk(timeOff.storeId, { attributes: ['id', 'timezone'] });
+    const rangeStart = store.getDayBounds(timeOff.startDate).start;
+    const rangeEnd = store.getDayBounds(timeOff.endDate).end;
+
+    const bookings = await Booking.findAll({
+      where: {
+        staffId: timeOff.staffId,
+        status: {
+          [sequelize.Sequelize.Op.in]: [config.bookingStatus.PENDING, config.bookingStatus.CONFIRMED]
+        },
+        bookingDateTime: {
+          [sequelize.Sequelize.Op.between]: [rangeStart, rangeEnd]
+        }
+      },
+      order: [['bookingDateTime', 'ASC']]
+    });
+
+    const schedule = { shifts: [], timeOff: [timeOff] };
+
+    return bookings
+      .filter(booking => !this.evaluate(schedule, new Date(booking.bookingDateTime), booking.getEndDateTime(), store.timezone).available)
+      .map(booking => ({
+        bookingId: booking.id,
+        customerId: booking.customerId,
+        bookingDateTime: booking.bookingDateTime,
+        status: booking.status
+      }));
+  }
+}
+
+module.exports = StaffScheduleService;
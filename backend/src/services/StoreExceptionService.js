@@ -0,0 +1,268 @@
+const { sequelize } = require('../config/database');
+const WebhookEventService = require('./WebhookEventService');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { addDays } = require('../utils/timezone');
+
+class StoreExceptionService {
+  /**
+   * Create a closure or special-hours exception and flag bookings it displaces
+   */
+  static async createException(storeId, data, actorId) {
+    const { StoreException } = sequelize.models;
+
+    const exception = await StoreException.create({ ...data, storeId, source: data.source || 'manual' });
+
+    logger.logDatabaseOperation('create', 'store_exceptions', exception.id, { storeId, date: exception.date, type: exception.type, createdBy: actorId });
+
+    const affectedBookings = await this.flagAffectedBookings(storeId, exception);
+
+    return { exception, affectedBookings };
+  }
+
+  /**
+   * Update an exception, clearing its old flags and re-flagging under the new hours
+   */
+  static async updateException(exception, updates, actorId) {
+    await exception.update(updates);
+    await this.clearFlags(exception);
+
+    logger.logDatabaseOperation('update', 'store_exceptions', exception.id, { updates, updatedBy: actorId });
+
+    const affectedBookings = await this.flagAffectedBookings(exception.storeId, exception);
+
+    return { exception, affectedBookings };
+  }
+
+  /**
+   * Delete an exception and clear the flags it placed on bookings
+   */
+  static async deleteException(exception, actorId) {
+    const clearedBookings = await this.clearFlags(exception);
+    const dates = this.getUpcomingOccurrences(exception, await this.getToday(exception.storeId));
+
+    await exception.destroy();
+
+    logger.logDatabaseOperation('delete', 'store_exceptions', exception.id, { storeId: exception.storeId, deletedBy: actorId });
+
+    dates.forEach(date => WebhookEventService.emitAvailabilityChanged(exception.storeId, date, {
+      reason: 'store_exception_removed',
+      exceptionId: exception.id
+    }));
+
+    return { clearedBookings };
+  }
+
+  /**
+   * Import a public-holiday list as closures. Dates already covered by a dated
+   * exception are skipped; replaceExisting removes earlier imports first.
+   */
+  static async importHolidays(storeId, holidays, { countryCode = null, replaceExisting = false, actorId } = {}) {
+    const { StoreException } = sequelize.models;
+
+    const created = await sequelize.transaction(async (transaction) => {
+      if (replaceExisting) {
+        await StoreException.destroy({ where: { storeId, source: 'holiday_import' }, transaction });
+      }
+
+      const existing = await StoreException.findAll({
+        where: { storeId, isRecurring: false },
+        attributes: ['date'],
+        transaction
+      });
+      const takenDates = new Set(existing.map(exception => exception.date));
+
+      const rows = holidays
+        .filter(holiday => !takenDates.has(holiday.date))
+        .map(holiday => ({
+          storeId,
+          date: holiday.date,
+          type: 'closure',
+          isRecurring: Boolean(holiday.isRecurring),
+          name: holiday.name,
+          source: 'holiday_import',
+          metadata: countryCode ? { countryCode } : {}
+        }));
+
+      return rows.length > 0 ? StoreException.bulkCreate(rows, { transaction }) : [];
+    });
+
+    logger.logDatabaseOperation('import', 'store_exceptions', null, {
+      storeId,
+      countryCode,
+      imported: created.length,
+      skipped: holidays.length - created.length,
+      importedBy: actorId
+    });
+
+    const affectedBookings = [];
+    for (const exception of created) {
+      affectedBookings.push(...await this.flagAffectedBookings(storeId, exception));
+    }
+
+    return {
+      imported: created,
+      skipped: holidays.length - created.length,
+      affectedBookings
+    };
+  }
+
+  /**
+   * Flag upcoming active bookings that no longer fit the store's hours because
+   * of this exception, recording the conflict in the booking's metadata
+   */
+  static async flagAffectedBookings(storeId, exception) {
+    const { Store, Booking } = sequelize.models;
+
+    // Reload so the new exception takes part in resolving each day's hours
+    const store = await Store.findWithExceptions(storeId);
+    const dates = this.getUpcomingOccurrences(exception, store.getLocalDate(new Date()));
+    const affected = [];
+
+    for (const date of dates) {
+      WebhookEventService.emitAvailabilityChanged(storeId, date, {
+        reason: 'store_exception_changed',
+        exceptionId: exception.id,
+        type: exception.type
+      });
+
+      // A dated exception on the same day takes precedence over a recurring one
+      const governing = store.getExceptionForDate(date);
+      if (!governing || governing.id !== exception.id) {
+        continue;
+      }
+
+      const { start, end } = store.getDayBounds(date);
+      const bookings = await Booking.findAll({
+        where: {
+          storeId,
+          status: {
+            [sequelize.Sequelize.Op.in]: [config.bookingStatus.PENDING, config.bookingStatus.CONFIRMED]
+          },
+          bookingDateTime: {
+            [sequelize.Sequelize.Op.between]: [start, end]
+          }
+        }
+      });
+
+      for (const booking of bookings) {
+        const bookingStart = new Date(booking.bookingDateTime);
+        if (store.isOpenDuring(bookingStart, booking.getEndDateTime())) {
+          continue;
+        }
+
+        const reason = exception.type === 'closure'
+          ? 'Store is closed on this date'
+          : `Booking falls outside special hours ${exception.open}-${exception.close}`;
+
+        await booking.update({
+          metadata: {
+            ...booking.metadata,
+            exceptionConflict: {
+              exceptionId: exception.id,
+              exceptionName: exception.name || null,
+              reason,
+              flaggedAt: new Date().toISOString()
+            }
+          }
+        });
+
+        logger.logBookingEvent('booking_flagged_store_exception', booking.id, null, {
+          storeId,
+          exceptionId: exception.id,
+          date
+        });
+
+        affected.push({
+          bookingId: booking.id,
+          customerId: booking.customerId,
+          staffId: booking.staffId,
+          bookingDateTime: booking.bookingDateTime,
+          status: booking.status,
+          reason
+        });
+      }
+    }
+
+    return affected;
+  }
+
+  /**
+   * Remove the conflict flag this exception placed on bookings
+   */
+  static async clearFlags(exception) {
+    const { Booking } = sequelize.models;
+
+    const flagged = await Booking.findAll({
+      where: {
+        storeId: exception.storeId,
+        metadata: {
+          exceptionConflict: {
+            exceptionId: exception.id
+          }
+        }
+      }
+    });
+
+    for (const booking of flagged) {
+      const { exceptionConflict, ...metadata } = booking.metadata;
+      await booking.update({ metadata });
+    }
+
+    return flagged.map(booking => booking.id);
+  }
+
+  /**
+   * Bookings currently flagged as conflicting with a store exception
+   */
+  static async getFlaggedBookings(storeId) {
+    const { Booking } = sequelize.models;
+
+    return Booking.findAll({
+      where: {
+        storeId,
+        status: {
+          [sequelize.Sequelize.Op.in]: [config.bookingStatus.PENDING, config.bookingStatus.CONFIRMED]
+        },
+        metadata: {
+          exceptionConflict: {
+            [sequelize.Sequelize.Op.ne]: null
+          }
+        }
+      },
+      order: [['bookingDateTime', 'ASC']]
+    });
+  }
+
+  /**
+   * Calendar dates from today on where an exception applies. Recurring
+   * exceptions are expanded over the next year.
+   */
+  static getUpcomingOccurrences(exception, today) {
+    if (!exception.isRecurring) {
+      return exception.date >= today ? [exception.date] : [];
+    }
+
+    const monthDay = exception.date.slice(5);
+    const year = parseInt(today.slice(0, 4), 10);
+    const horizon = addDays(today, 366);
+
+    return [year, year + 1]
+      .map(candidateYear => `${candidateYear}-${monthDay}`)
+      // Skips 29 February outside leap years
+      .filter(date => addDays(date, 0) === date)
+      .filter(date => date >= today && date <= horizon);
+  }
+
+  /**
+   * Today's calendar date in the store's timezone
+   */
+  static async getToday(storeId) {
+    const { Store } = sequelize.models;
+
+    const store = await Store.findByPk(storeId, { attributes: ['id', 'timezone'] });
+    return store.getLocalDate(new Date());
+  }
+}
+
+module.exports = StoreExceptionService;
@@ -0,0 +1,279 @@
+const { sequelize } = require('../config/database');
+const { AppError, ConflictError } = require('../middleware/errorHandler');
+const WebhookEventService = require('./WebhookEventService');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+class TimeslotService {
+  /**
+   * Timeslots for a range of store-local days, including blocked ones
+   */
+  static async findForDays(store, startDate, endDate, { includeBlocked = true, transaction } = {}) {
+    const { Timeslot } = sequelize.models;
+
+    const where = {
+      storeId: store.id,
+      startTime: {
+        [sequelize.Sequelize.Op.between]: [store.getDayBounds(startDate).start, store.getDayBounds(endDate).end]
+      }
+    };
+    if (!includeBlocked) where.isActive = true;
+
+    return Timeslot.findAll({ where, order: [['startTime', 'ASC']], transaction });
+  }
+
+  /**
+   * Override capacity and the staff or treatments a slot is limited to.
+   * `availableStaff` and `restrictedTreatments` map to the slot's
+   * `staffIds` and `treatmentTypes`; an empty list lifts the restriction.
+   */
+  static async updateSlot(timeslot, { maxCapacity, availableStaff, restrictedTreatments }, actorId) {
+    const changes = {};
+
+    if (maxCapacity !== undefined) {
+      if (maxCapacity < timeslot.currentBookings) {
+        throw new ConflictError('Capacity cannot be lower than the bookings the slot already holds', [
+          { type: 'timeslotCapacity', currentBookings: timeslot.currentBookings, maxCapacity }
+        ]);
+      }
+
+      changes.maxCapacity = maxCapacity;
+      // Regeneration leaves manually set capacity alone
+      changes.metadata = { ...timeslot.metadata, capacityOverride: true };
+    }
+
+    if (availableStaff !== undefined) {
+      await this.assertStoreStaff(availableStaff, timeslot.storeId);
+      changes.staffIds = availableStaff;
+    }
+
+    if (restrictedTreatments !== undefined) {
+      await this.assertStoreTreatments(restrictedTreatments, timeslot.storeId);
+      changes.treatmentTypes = restrictedTreatments;
+    }
+
+    await timeslot.update(changes);
+
+    logger.logDatabaseOperation('update', 'timeslots', timeslot.id, { changes, updatedBy: actorId });
+
+    await this.emitAvailabilityChanged(timeslot, 'timeslot_updated');
+
+    return timeslot;
+  }
+
+  /**
+   * Block a slot against new bookings, or reopen it. Bookings already in a
+   * blocked slot are kept and returned so they can be moved if needed.
+   */
+  static async setBlocked(timeslot, blocked, { reason } = {}, actorId) {
+    const { Booking } = sequelize.models;
+
+    const metadata = { ...timeslot.metadata };
+    if (blocked) {
+      metadata.block = { reason: reason || null, blockedBy: actorId, blockedAt: new Date().toISOString() };
+    } else {
+      delete metadata.block;
+    }
+
+    await timeslot.update({ isActive: !blocked, metadata });
+
+    logger.logDatabaseOperation(blocked ? 'block' : 'unblock', 'timeslots', timeslot.id, { reason, updatedBy: actorId });
+
+    await this.emitAvailabilityChanged(timeslot, blocked ? 'timeslot_blocked' : 'timeslot_unblocked');
+
+    if (!blocked || timeslot.currentBookings === 0) {
+      return { timeslot, affectedBookings: [] };
+    }
+
+    const affectedBookings = await Booking.findAll({
+      where: {
+        storeId: timeslot.storeId,
+        status: {
+          [sequelize.Sequelize.Op.in]: [config.bookingStatus.PENDING, config.bookingStatus.CONFIRMED]
+        },
+        bookingDateTime: {
+          [sequelize.Sequelize.Op.gte]: timeslot.startTime,
+          [sequelize.Sequelize.Op.lt]: timeslot.endTime
+        }
+      },
+      order: [['bookingDateTime', 'ASC']]
+    });
+
+    return { timeslot, affectedBookings };
+  }
+
+  /**
+   * Regenerate a store-local day's slots from its opening hours. Slots that
+   * match the new layout are kept with their bookings, unmatched empty slots
+   * are removed and unmatched slots holding bookings, blocks or restrictions
+   * are retained. The plan is made under the store's booking lock so a slot
+   * booked meanwhile is never removed. With `dryRun` the plan is returned
+   * without touching the database.
+   */
+  static async regenerateDay(store, date, slotDuration, maxCapacity, { dryRun = false } = {}) {
+    const { Timeslot } = sequelize.models;
+    // Required here: BookingService depends on this module through AvailabilityService
+    const BookingService = require('./BookingService');
+
+    const desired = await Timeslot.generateDailySlots(store.id, date, slotDuration, maxCapacity);
+
+    if (dryRun) {
+      return this.planRegeneration(await this.findForDays(store, date, date), desired, maxCapacity);
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      await BookingService.lockStore(store.id, transaction);
+
+      const existing = await this.findForDays(store, date, date, { transaction });
+      const plan = this.planRegeneration(existing, desired, maxCapacity);
+
+      if (plan.remove.length > 0) {
+        await Timeslot.destroy({ where: { id: plan.remove.map(slot => slot.id), currentBookings: 0 }, transaction });
+      }
+
+      for (const { slot, changes } of plan.update) {
+        await slot.update(changes, { transaction });
+      }
+
+      if (plan.create.length > 0) {
+        await Timeslot.bulkCreate(plan.create, { transaction });
+      }
+
+      return plan;
+    });
+  }
+
+  /**
+   * Diff the existing slots of a day against a freshly generated layout
+   */
+  static planRegeneration(existing, desired, maxCapacity) {
+    const key = slot => `${new Date(slot.startTime).getTime()}-${new Date(slot.endTime).getTime()}`;
+    const desiredKeys = new Set(desired.map(key));
+    const existingKeys = new Set(existing.map(key));
+
+    const plan = { create: [], update: [], unchanged: [], remove: [], retain: [], skip: [] };
+
+    for (const slot of existing) {
+      if (desiredKeys.has(key(slot))) {
+        const capacity = slot.metadata?.capacityOverride
+          ? slot.maxCapacity
+          : Math.max(maxCapacity, slot.currentBookings);
+
+        if (capacity !== slot.maxCapacity) {
+          plan.update.push({ slot, changes: { maxCapacity: capacity } });
+        } else {
+          plan.unchanged.push(slot);
+        }
+      } else if (slot.currentBookings > 0 || this.isCustomised(slot)) {
+        plan.retain.push(slot);
+      } else {
+        plan.remove.push(slot);
+      }
+    }
+
+    for (const slot of desired) {
+      if (existingKeys.has(key(slot))) {
+        continue;
+      }
+
+      // New slots may not overlap a retained slot that still holds bookings or a block
+      const blockedBy = plan.retain.find(retained =>
+        new Date(retained.startTime) < slot.endTime && new Date(retained.endTime) > slot.startTime
+      );
+
+      if (blockedBy) {
+        plan.skip.push({ ...slot, conflictsWith: blockedBy.id });
+      } else {
+        plan.create.push(slot);
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Whether an admin has blocked a slot or limited its staff or treatments,
+   * which a regenerated slot would silently undo
+   */
+  static isCustomised(slot) {
+    return slot.isActive === false || (slot.treatmentTypes || []).length > 0 || (slot.staffIds || []).length > 0;
+  }
+
+  /**
+   * Serialise a regeneration plan as a diff for API responses
+   */
+  static describePlan(plan) {
+    const summary = slot => ({
+      id: slot.id,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      maxCapacity: slot.maxCapacity,
+      currentBookings: slot.currentBookings
+    });
+
+    return {
+      create: plan.create.map(slot => ({ startTime: slot.startTime, endTime: slot.endTime, maxCapacity: slot.maxCapacity })),
+      update: plan.update.map(({ slot, changes }) => ({ ...summary(slot), changes })),
+      remove: plan.remove.map(summary),
+      retain: plan.retain.map(summary),
+      skip: plan.skip.map(slot => ({ startTime: slot.startTime, endTime: slot.endTime, conflictsWith: slot.conflictsWith })),
+      unchangedCount: plan.unchanged.length
+    };
+  }
+
+  /**
+   * Ensure every listed user is active staff of the store
+   */
+  static async assertStoreStaff(staffIds, storeId) {
+    if (staffIds.length === 0) {
+      return;
+    }
+
+    const count = await sequelize.models.User.count({
+      where: {
+        id: { [sequelize.Sequelize.Op.in]: staffIds },
+        storeId,
+        role: { [sequelize.Sequelize.Op.in]: [config.roles.STAFF, config.roles.STORE_ADMIN] },
+        isActive: true
+      }
+    });
+
+    if (count !== new Set(staffIds).size) {
+      throw new AppError('Some staff members do not exist or do not work at this store', 400, 'INVALID_STAFF');
+    }
+  }
+
+  /**
+   * Ensure every listed treatment belongs to the store
+   */
+  static async assertStoreTreatments(treatmentIds, storeId) {
+    if (treatmentIds.length === 0) {
+      return;
+    }
+
+    const count = await sequelize.models.Treatment.count({
+      where: {
+        id: { [sequelize.Sequelize.Op.in]: treatmentIds },
+        storeId
+      }
+    });
+
+    if (count !== new Set(treatmentIds).size) {
+      throw new AppError('Some treatments do not exist or do not belong to this store', 400, 'INVALID_TREATMENTS');
+    }
+  }
+
+  /**
+   * Notify availability subscribers for the slot's store-local day
+   */
+  static async emitAvailabilityChanged(timeslot, reason) {
+    const store = await sequelize.models.Store.findByPk(timeslot.storeId, { attributes: ['id', 'timezone'] });
+
+    WebhookEventService.emitAvailabilityChanged(timeslot.storeId, store.getLocalDate(new Date(timeslot.startTime)), {
+      reason,
+      timeslotId: timeslot.id
+    });
+  }
+}
+
+module.exports = TimeslotService;
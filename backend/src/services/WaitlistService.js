@@ -0,0 +1,390 @@
+const { sequelize } = require('../config/database');
+const { AppError, NotFoundError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const config = require('../config');
+const BookingService = require('./BookingService');
+const QuotaService = require('./QuotaService');
+const AvailabilityCacheService = require('./AvailabilityCacheService');
+const WebhookEventService = require('./WebhookEventService');
+
+class WaitlistService {
+  static timer = null;
+  static isProcessing = false;
+
+  /**
+   * Put a customer on the waitlist for a treatment over a range of store-local dates
+   */
+  static async joinWaitlist({ store, treatment, customerId, staffId = null, startDate, endDate = startDate, notes = null }, actorId) {
+    const { WaitlistEntry } = sequelize.models;
+    const { Op } = sequelize.Sequelize;
+
+    if (endDate < store.getLocalDate(new Date())) {
+      throw new AppError('Waitlist dates must not be in the past', 400, 'INVALID_DATE');
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      where: {
+        customerId,
+        treatmentId: treatment.id,
+        status: { [Op.in]: ['waiting', 'offered'] },
+        startDate: { [Op.lte]: endDate },
+        endDate: { [Op.gte]: startDate }
+      }
+    });
+    if (existing) {
+      throw new AppError('Customer is already on the waitlist for these dates', 409, 'ALREADY_WAITLISTED');
+    }
+
+    const entry = await WaitlistEntry.create({
+      storeId: store.id,
+      treatmentId: treatment.id,
+      customerId,
+      staffId,
+      startDate,
+      endDate,
+      notes
+    });
+
+    logger.logDatabaseOperation('create', 'waitlist_entries', entry.id, {
+      storeId: store.id,
+      treatmentId: treatment.id,
+      customerId,
+      startDate,
+      endDate,
+      createdBy: actorId
+    });
+
+    return entry;
+  }
+
+  /**
+   * Offer a cancelled booking's time to the waitlist. Class seats are not
+   * offered: the freed seat is simply bookable again on the session.
+   */
+  static async offerFreedBooking(booking) {
+    if (booking.sessionId) {
+      return null;
+    }
+
+    return this.offerSlot({
+      storeId: booking.storeId,
+      treatmentId: booking.treatmentId,
+      staffId: booking.staffId || null,
+      startTime: new Date(booking.bookingDateTime),
+      endTime: booking.getEndDateTime(),
+      sourceBookingId: booking.id
+    });
+  }
+
+  /**
+   * Hold freed time for the longest-waiting customer whose dates and staff
+   * preference cover it and who isn't booked elsewhere then. Nothing is
+   * offered if the time has passed or can't be booked anyway (outside
+   * opening hours, held by another offer, ...). Returns the offered entry or null.
+   */
+  static async offerSlot(slot) {
+    const { Store, Booking, WaitlistEntry } = sequelize.models;
+    const { Op } = sequelize.Sequelize;
+
+    const now = new Date();
+    if (slot.startTime <= now) {
+      return null;
+    }
+
+    const entry = await sequelize.transaction(async (transaction) => {
+      // Under the booking lock so the held time can't be booked or offered twice meanwhile
+      await BookingService.lockStore(slot.storeId, transaction);
+
+      const store = await Store.findByPk(slot.storeId, { transaction });
+      const candidates = await WaitlistEntry.findWaiting(slot.storeId, slot.treatmentId, store.getLocalDate(slot.startTime), {
+        staffId: slot.staffId,
+        transaction
+      });
+      if (candidates.length === 0) {
+        return null;
+      }
+
+      const duration = (slot.endTime - slot.startTime) / 60000;
+      const quota = await QuotaService.checkBookingQuota(slot.storeId, slot.treatmentId, slot.staffId, slot.startTime, duration, { transaction });
+      if (!quota.available) {
+        return null;
+      }
+
+      const customerBookings = await Booking.findAll({
+        where: {
+          customerId: candidates.map(candidate => candidate.customerId),
+          status: { [Op.notIn]: [config.bookingStatus.CANCELLED, config.bookingStatus.NO_SHOW] },
+          bookingDateTime: {
+            [Op.gt]: new Date(slot.startTime.getTime() - 24 * 60 * 60000),
+            [Op.lt]: slot.endTime
+          }
+        },
+        transaction
+      });
+
+      const candidate = candidates.find(waiting => !customerBookings.some(booking =>
+        booking.customerId === waiting.customerId && booking.isOverlapping(slot.startTime, slot.endTime)
+      ));
+      if (!candidate) {
+        return null;
+      }
+
+      // Offers never outlive the time they hold
+      const offerExpiresAt = new Date(Math.min(now.getTime() + config.waitlist.offerMinutes * 60000, slot.startTime.getTime()));
+
+      await candidate.update({
+        status: 'offered',
+        offeredStartTime: slot.startTime,
+        offeredEndTime: slot.endTime,
+        offeredStaffId: slot.staffId,
+        offeredAt: now,
+        offerExpiresAt,
+        metadata: {
+          ...candidate.metadata,
+          offerHistory: [...candidate.getOfferHistory(), {
+            sourceBookingId: slot.sourceBookingId || null,
+            startTime: slot.startTime.toISOString(),
+            endTime: slot.endTime.toISOString(),
+            staffId: slot.staffId,
+            offeredAt: now.toISOString(),
+            expiresAt: offerExpiresAt.toISOString()
+          }]
+        }
+      }, { transaction });
+
+      return candidate;
+    });
+
+    if (entry) {
+      // Offered time is held, so cached slots no longer show it
+      await AvailabilityCacheService.invalidateWindows(slot.storeId, [{ start: slot.startTime, end: slot.endTime }], 'waitlist_offered');
+
+      logger.logBookingEvent('waitlist_offered', slot.sourceBookingId || null, entry.customerId, {
+        waitlistEntryId: entry.id,
+        storeId: slot.storeId,
+        startTime: slot.startTime.toISOString(),
+        expiresAt: entry.offerExpiresAt.toISOString()
+      });
+
+      WebhookEventService.emitWaitlistEvent(config.webhookEvents.WAITLIST_OFFERED, entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Turn a live offer into a pending booking for the waiting customer
+   */
+  static async acceptOffer(entry, actorId) {
+    const { Treatment } = sequelize.models;
+
+    if (entry.status === 'offered' && !entry.hasLiveOffer()) {
+      await this.expireOffer(entry);
+      throw new AppError('The offer has expired', 409, 'OFFER_EXPIRED');
+    }
+
+    const treatment = await Treatment.findByPk(entry.treatmentId);
+    if (!treatment || !treatment.isActive) {
+      throw new NotFoundError('Treatment');
+    }
+
+    // Claim the offer first so a second accept or the expiry sweep can't act on it too
+    const offerMetadata = entry.metadata;
+    if (!await this.closeOffer(entry, 'booked')) {
+      throw new AppError(`Waitlist entry has no open offer (status: ${entry.status})`, 409, 'NO_ACTIVE_OFFER');
+    }
+
+    let booking;
+    try {
+      booking = await BookingService.createBooking({
+        customerId: entry.customerId,
+        storeId: entry.storeId,
+        treatment,
+        staffId: entry.offeredStaffId,
+        bookingDateTime: entry.offeredStartTime,
+        notes: entry.notes,
+        metadata: { waitlistEntryId: entry.id }
+      });
+    } catch (error) {
+      // The offer stands until it expires
+      await entry.update({ status: 'offered', metadata: offerMetadata });
+      throw error;
+    }
+
+    await entry.update({ bookingId: booking.id });
+
+    logger.logBookingEvent('waitlist_accepted', booking.id, actorId, { waitlistEntryId: entry.id });
+
+    WebhookEventService.emitWaitlistEvent(config.webhookEvents.WAITLIST_ACCEPTED, entry, { actorId, bookingId: booking.id });
+
+    return booking;
+  }
+
+  /**
+   * Turn down a live offer; the time is offered to the next customer
+   */
+  static async declineOffer(entry, actorId) {
+    const slot = this.getOfferedSlot(entry);
+
+    if (!await this.closeOffer(entry, 'declined')) {
+      throw new AppError(`Waitlist entry has no open offer (status: ${entry.status})`, 409, 'NO_ACTIVE_OFFER');
+    }
+
+    logger.logBookingEvent('waitlist_declined', null, actorId, { waitlistEntryId: entry.id });
+
+    WebhookEventService.emitWaitlistEvent(config.webhookEvents.WAITLIST_DECLINED, entry, { actorId });
+
+    const next = await this.offerSlot(slot);
+
+    return { entry, next };
+  }
+
+  /**
+   * Leave the waitlist. An open offer is withdrawn and passed on.
+   */
+  static async cancelEntry(entry, actorId) {
+    if (entry.status === 'offered') {
+      return this.declineOffer(entry, actorId);
+    }
+
+    if (entry.status !== 'waiting') {
+      throw new AppError(`Waitlist entry is already ${entry.status}`, 409, 'WAITLIST_ENTRY_CLOSED');
+    }
+
+    await entry.update({ status: 'cancelled' });
+
+    logger.logDatabaseOperation('cancel', 'waitlist_entries', entry.id, { cancelledBy: actorId });
+
+    return { entry, next: null };
+  }
+
+  /**
+   * Close a lapsed offer and pass the time on
+   */
+  static async expireOffer(entry) {
+    const slot = this.getOfferedSlot(entry);
+
+    if (!await this.closeOffer(entry, 'expired')) {
+      return null;
+    }
+
+    logger.logBookingEvent('waitlist_expired', null, entry.customerId, { waitlistEntryId: entry.id });
+
+    WebhookEventService.emitWaitlistEvent(config.webhookEvents.WAITLIST_EXPIRED, entry);
+
+    return this.offerSlot(slot);
+  }
+
+  /**
+   * Expire every lapsed offer, moving each held time down the line
+   */
+  static async processExpiredOffers() {
+    const { WaitlistEntry } = sequelize.models;
+
+    const entries = await WaitlistEntry.findExpiredOffers();
+    const summary = { processed: entries.length, reoffered: 0, failed: 0 };
+
+    for (const entry of entries) {
+      try {
+        if (await this.expireOffer(entry)) {
+          summary.reoffered++;
+        }
+      } catch (error) {
+        summary.failed++;
+        logger.logError(error, { context: 'waitlist_offer_expiry', waitlistEntryId: entry.id });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Record how an open offer ended. Only applies while the entry is still
+   * 'offered', so concurrent accepts, declines and expiries can't both win.
+   */
+  static async closeOffer(entry, status) {
+    const { WaitlistEntry } = sequelize.models;
+
+    const history = entry.getOfferHistory();
+    const closedAt = new Date().toISOString();
+
+    const [updated] = await WaitlistEntry.update({
+      status,
+      metadata: {
+        ...entry.metadata,
+        offerHistory: history.map((offer, index) => (index === history.length - 1 ? { ...offer, outcome: status, closedAt } : offer))
+      }
+    }, {
+      where: { id: entry.id, status: 'offered' }
+    });
+
+    await entry.reload();
+
+    if (updated > 0) {
+      await AvailabilityCacheService.invalidateWindows(entry.storeId, [{ start: entry.offeredStartTime, end: entry.offeredEndTime }], `waitlist_${status}`);
+    }
+
+    return updated > 0;
+  }
+
+  /**
+   * The time an entry's current offer holds
+   */
+  static getOfferedSlot(entry) {
+    const history = entry.getOfferHistory();
+    const lastOffer = history[history.length - 1] || {};
+
+    return {
+      storeId: entry.storeId,
+      treatmentId: entry.treatmentId,
+      staffId: entry.offeredStaffId || null,
+      startTime: new Date(entry.offeredStartTime),
+      endTime: new Date(entry.offeredEndTime),
+      sourceBookingId: lastOffer.sourceBookingId || null
+    };
+  }
+
+  /**
+   * Start the background offer expiry worker
+   */
+  static start() {
+    if (this.timer) {
+      return;
+    }
+
+    const { intervalMs } = config.waitlist.worker;
+
+    this.timer = setInterval(async () => {
+      if (this.isProcessing) {
+        return;
+      }
+
+      this.isProcessing = true;
+      try {
+        const summary = await this.processExpiredOffers();
+        if (summary.processed > 0) {
+          logger.logBookingEvent('waitlist_offers_expired', null, null, summary);
+        }
+      } catch (error) {
+        logger.logError(error, { context: 'waitlist_expiry_worker' });
+      } finally {
+        this.isProcessing = false;
+      }
+    }, intervalMs);
+
+    this.timer.unref();
+    logger.info(`Waitlist expiry worker started (interval ${intervalMs}ms)`);
+  }
+
+  /**
+   * Stop the background offer expiry worker
+   */
+  static stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = WaitlistService;
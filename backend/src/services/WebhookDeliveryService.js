@@ -0,0 +1,302 @@
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { sequelize } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+class WebhookDeliveryService {
+  static timer = null;
+  static isProcessing = false;
+
+  /**
+   * Send webhook to a subscription and record the delivery attempt
+   */
+  static async send(subscription, payload, { attemptNumber = 1 } = {}) {
+    const startTime = Date.now();
+    let result;
+
+    try {
+      const payloadString = JSON.stringify(payload);
+      const signature = subscription.generateSignature(payloadString);
+
+      const response = await axios.post(subscription.url, payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Signature': signature,
+          'X-Timestamp': Math.floor(Date.now() / 1000).toString(),
+          'User-Agent': 'TreatmentBookingSystem-Webhook/1.0'
+        },
+        timeout: 30000 // 30 seconds timeout
+      });
+
+      const responseTime = Date.now() - startTime;
+
+      // Record success
+      await subscription.recordSuccess();
+
+      result = {
+        success: true,
+        statusCode: response.status,
+        responseTime,
+        response: response.data
+      };
+    } catch (error) {
+      const responseTime = Date.now() - startTime;
+
+      // Record failure
+      await subscription.recordFailure(error.message);
+
+      result = {
+        success: false,
+        error: error.message,
+        responseTime,
+        statusCode: error.response?.status || null,
+        response: error.response?.data
+      };
+    }
+
+    result.deliveryId = await this.recordDelivery(subscription, payload, result, attemptNumber);
+
+    return result;
+  }
+
+  /**
+   * Persist a delivery attempt to the webhook_deliveries table
+   */
+  static async recordDelivery(subscription, payload, result, attemptNumber) {
+    const { WebhookDelivery } = sequelize.models;
+
+    try {
+      const delivery = await WebhookDelivery.create({
+        subscriptionId: subscription.id,
+        eventId: payload.id || null,
+        eventType: payload.eventType,
+        payload,
+        status: result.success ? 'success' : 'failed',
+        statusCode: result.statusCode,
+        responseBody: WebhookDelivery.toResponseExcerpt(result.response),
+        latencyMs: result.responseTime,
+        attemptNumber,
+        error: result.error || null
+      });
+
+      return delivery.id;
+    } catch (error) {
+      // A logging failure must never break delivery itself
+      logger.logError(error, {
+        context: 'record_webhook_delivery',
+        subscriptionId: subscription.id,
+        eventType: payload.eventType
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Queue an event for every active subscriber and attempt the first delivery
+   */
+  static async dispatch(eventType, data) {
+    const { WebhookSubscription, WebhookOutbox } = sequelize.models;
+
+    const subscriptions = await WebhookSubscription.findActiveForEvent(eventType);
+    if (subscriptions.length === 0) {
+      return { sent: 0, failed: 0 };
+    }
+
+    const payload = {
+      id: uuidv4(),
+      eventType,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    // Rows start out leased to this dispatch so the retry worker leaves them
+    // alone while the first attempt is in flight
+    const now = new Date();
+    const items = await WebhookOutbox.bulkCreate(subscriptions.map(subscription => ({
+      subscriptionId: subscription.id,
+      eventId: payload.id,
+      eventType,
+      payload,
+      status: 'pending',
+      nextAttemptAt: now,
+      leasedUntil: new Date(now.getTime() + config.webhook.worker.leaseMs)
+    })));
+
+    const subscriptionsById = new Map(subscriptions.map(subscription => [subscription.id, subscription]));
+
+    let sent = 0;
+    let failed = 0;
+
+    await Promise.all(items.map(async (item) => {
+      const result = await this.deliver(item, subscriptionsById.get(item.subscriptionId));
+      if (result.success) {
+        sent++;
+      } else {
+        failed++;
+      }
+    }));
+
+    return { sent, failed };
+  }
+
+  /**
+   * Attempt delivery of a queued event and advance its queue state
+   */
+  static async deliver(item, subscription = null) {
+    const { WebhookSubscription } = sequelize.models;
+
+    const target = subscription || await WebhookSubscription.findByPk(item.subscriptionId);
+    if (!target || !target.isActive) {
+      await item.markDeadLetter('Webhook subscription is inactive or no longer exists');
+      logger.logWebhookEvent('webhook_dead_lettered', item.subscriptionId, item.eventType, {
+        outboxId: item.id,
+        reason: 'subscription_inactive'
+      });
+      return { success: false, deadLettered: true };
+    }
+
+    item.attempts += 1;
+    item.lastAttemptAt = new Date();
+
+    const result = await this.send(target, item.payload, { attemptNumber: item.attempts });
+
+    if (result.success) {
+      await item.markDelivered();
+    } else if (item.attempts > target.maxRetries) {
+      await item.markDeadLetter(result.error);
+      await target.recordDeadLetter(result.error);
+      result.deadLettered = true;
+    } else {
+      const delay = target.getNextRetryDelay(item.attempts - 1);
+      await item.markFailed(result.error, new Date(Date.now() + delay));
+    }
+
+    logger.logWebhookEvent('webhook_triggered', target.id, item.eventType, {
+      outboxId: item.id,
+      attempt: item.attempts,
+      success: result.success,
+      deadLettered: Boolean(result.deadLettered),
+      responseTime: result.responseTime
+    });
+
+    return result;
+  }
+
+  /**
+   * Claim queued events whose retry time has come and re-deliver them
+   */
+  static async processDueDeliveries({ force = false } = {}) {
+    const { WebhookOutbox } = sequelize.models;
+    const { batchSize, leaseMs } = config.webhook.worker;
+
+    // Claim a batch under row locks and lease it, so a concurrent worker or
+    // forced retry will not pick up the same rows
+    const claimed = await sequelize.transaction(async (transaction) => {
+      const due = await WebhookOutbox.findDue(batchSize, { transaction, force });
+      if (due.length > 0) {
+        await WebhookOutbox.update(
+          { leasedUntil: new Date(Date.now() + leaseMs) },
+          { where: { id: due.map(item => item.id) }, transaction }
+        );
+      }
+      return due;
+    });
+
+    const summary = { processed: claimed.length, delivered: 0, retrying: 0, deadLettered: 0 };
+
+    for (const item of claimed) {
+      try {
+        const result = await this.deliver(item);
+        if (result.success) {
+          summary.delivered++;
+        } else if (result.deadLettered) {
+          summary.deadLettered++;
+        } else {
+          summary.retrying++;
+        }
+      } catch (error) {
+        summary.retrying++;
+        logger.logError(error, {
+          context: 'webhook_retry_delivery',
+          outboxId: item.id
+        });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Put a dead-lettered event back on the queue and deliver it immediately.
+   * Only the event is re-queued; a disabled subscription has to be
+   * re-enabled explicitly first.
+   */
+  static async replay(item) {
+    const { WebhookSubscription } = sequelize.models;
+
+    const subscription = await WebhookSubscription.findByPk(item.subscriptionId);
+    if (!subscription) {
+      throw new Error('Webhook subscription not found');
+    }
+
+    if (!subscription.isActive) {
+      throw new AppError('Webhook subscription is disabled; re-enable it before replaying', 409, 'SUBSCRIPTION_INACTIVE');
+    }
+
+    const now = new Date();
+    item.status = 'pending';
+    item.attempts = 0;
+    item.deadLetteredAt = null;
+    item.nextAttemptAt = now;
+    item.leasedUntil = new Date(now.getTime() + config.webhook.worker.leaseMs);
+    await item.save();
+
+    return this.deliver(item, subscription);
+  }
+
+  /**
+   * Start the background retry worker
+   */
+  static start() {
+    if (this.timer) {
+      return;
+    }
+
+    const { intervalMs } = config.webhook.worker;
+
+    this.timer = setInterval(async () => {
+      if (this.isProcessing) {
+        return;
+      }
+
+      this.isProcessing = true;
+      try {
+        const summary = await this.processDueDeliveries();
+        if (summary.processed > 0) {
+          logger.logWebhookEvent('retry_batch_processed', null, null, summary);
+        }
+      } catch (error) {
+        logger.logError(error, { context: 'webhook_retry_worker' });
+      } finally {
+        this.isProcessing = false;
+      }
+    }, intervalMs);
+
+    this.timer.unref();
+    logger.info(`Webhook retry worker started (interval ${intervalMs}ms)`);
+  }
+
+  /**
+   * Stop the background retry worker
+   */
+  static stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = WebhookDeliveryService;
@@ -0,0 +1,143 @@
+const WebhookController = require('../controllers/WebhookController');
+const config = require('../config');
+const AvailabilityCacheService = require('./AvailabilityCacheService');
+
+class WebhookEventService {
+  /**
+   * Serialize a booking into the stable webhook payload shape
+   */
+  static serializeBooking(booking) {
+    return {
+      id: booking.id,
+      customerId: booking.customerId,
+      storeId: booking.storeId,
+      treatmentId: booking.treatmentId,
+      staffId: booking.staffId || null,
+      status: booking.status,
+      bookingDateTime: new Date(booking.bookingDateTime).toISOString(),
+      endDateTime: booking.getEndDateTime().toISOString(),
+      duration: booking.duration,
+      price: booking.price,
+      notes: booking.notes || null,
+      cancellationReason: booking.cancellationReason || null,
+      cancelledAt: booking.cancelledAt ? new Date(booking.cancelledAt).toISOString() : null,
+      completedAt: booking.completedAt ? new Date(booking.completedAt).toISOString() : null,
+      createdAt: booking.createdAt ? new Date(booking.createdAt).toISOString() : null,
+      updatedAt: booking.updatedAt ? new Date(booking.updatedAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Serialize a waitlist entry into the stable webhook payload shape
+   */
+  static serializeWaitlistEntry(entry) {
+    const toISOString = value => (value ? new Date(value).toISOString() : null);
+
+    return {
+      id: entry.id,
+      storeId: entry.storeId,
+      treatmentId: entry.treatmentId,
+      customerId: entry.customerId,
+      staffId: entry.staffId || null,
+      startDate: entry.startDate,
+      endDate: entry.endDate,
+      status: entry.status,
+      offeredStartTime: toISOString(entry.offeredStartTime),
+      offeredEndTime: toISOString(entry.offeredEndTime),
+      offeredStaffId: entry.offeredStaffId || null,
+      offeredAt: toISOString(entry.offeredAt),
+      offerExpiresAt: toISOString(entry.offerExpiresAt),
+      bookingId: entry.bookingId || null
+    };
+  }
+
+  /**
+   * Serialize a class session into the stable webhook payload shape
+   */
+  static serializeClassSession(session) {
+    const toISOString = value => (value ? new Date(value).toISOString() : null);
+
+    return {
+      id: session.id,
+      storeId: session.storeId,
+      treatmentId: session.treatmentId,
+      instructorId: session.instructorId,
+      roomId: session.roomId || null,
+      title: session.title || null,
+      startTime: toISOString(session.startTime),
+      endTime: toISOString(session.endTime),
+      capacity: session.capacity,
+      minAttendees: session.minAttendees,
+      status: session.status,
+      cancellationReason: session.cancellationReason || null,
+      cancelledAt: toISOString(session.cancelledAt)
+    };
+  }
+
+  /**
+   * Resolve the webhook event for a booking status change
+   */
+  static getEventForStatus(status) {
+    if (status === config.bookingStatus.CANCELLED) {
+      return config.webhookEvents.BOOKING_CANCELLED;
+    }
+    if (status === config.bookingStatus.COMPLETED) {
+      return config.webhookEvents.BOOKING_COMPLETED;
+    }
+    return config.webhookEvents.BOOKING_UPDATED;
+  }
+
+  /**
+   * Emit a booking lifecycle event to all subscribed webhooks
+   */
+  static emitBookingEvent(eventType, booking, { actorId = null, previousStatus = null, changes = [] } = {}) {
+    return WebhookController.triggerWebhooks(eventType, {
+      booking: this.serializeBooking(booking),
+      previousStatus,
+      changes,
+      actorId
+    });
+  }
+
+  /**
+   * Emit a waitlist offer lifecycle event (offered, accepted, declined, expired)
+   */
+  static emitWaitlistEvent(eventType, entry, { actorId = null, bookingId = null } = {}) {
+    return WebhookController.triggerWebhooks(eventType, {
+      waitlistEntry: this.serializeWaitlistEntry(entry),
+      bookingId: bookingId || entry.bookingId || null,
+      actorId
+    });
+  }
+
+  /**
+   * Emit a class session lifecycle event with the seats it affected
+   */
+  static emitClassEvent(eventType, session, { actorId = null, bookingIds = [] } = {}) {
+    return WebhookController.triggerWebhooks(eventType, {
+      classSession: this.serializeClassSession(session),
+      bookingIds,
+      actorId
+    });
+  }
+
+  /**
+   * Emit an availability change for a store and date (a 'YYYY-MM-DD' store-local date or an instant).
+   * Cached availability for that date is dropped first.
+   */
+  static emitAvailabilityChanged(storeId, date, details = {}) {
+    if (typeof date === 'string') {
+      AvailabilityCacheService.invalidateDates(storeId, [date], details.reason);
+    } else {
+      AvailabilityCacheService.invalidateWindows(storeId, [{ start: date, end: date }], details.reason);
+    }
+
+    return WebhookController.triggerWebhooks(config.webhookEvents.AVAILABILITY_CHANGED, {
+      storeId,
+      date: typeof date === 'string' ? date : new Date(date).toISOString().split('T')[0],
+      ...details
+    });
+  }
+}
+
+module.exports = WebhookEventService;
@@ -0,0 +1,191 @@
+const { createClient } = require('redis');
+const config = require('../config');
+const logger = require('./logger');
+
+/**
+ * Process-local cache used when Redis isn't configured or can't be reached.
+ * Entries expire after their TTL and the oldest are evicted past maxEntries.
+ */
+class MemoryCache {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.tags = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds, tags = []) {
+    this.remove(key);
+    this.entries.set(key, { value, tags, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    for (const tag of tags) {
+      if (!this.tags.has(tag)) {
+        this.tags.set(tag, new Set());
+      }
+      this.tags.get(tag).add(key);
+    }
+
+    while (this.entries.size > this.maxEntries) {
+      this.remove(this.entries.keys().next().value);
+    }
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+
+    this.entries.delete(key);
+    for (const tag of entry.tags) {
+      const keys = this.tags.get(tag);
+      keys.delete(key);
+      if (keys.size === 0) {
+        this.tags.delete(tag);
+      }
+    }
+
+    return true;
+  }
+
+  async invalidateTags(tags) {
+    let removed = 0;
+
+    for (const tag of tags) {
+      for (const key of [...(this.tags.get(tag) || [])]) {
+        if (this.remove(key)) {
+          removed++;
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.tags.clear();
+  }
+}
+
+/**
+ * Redis-backed cache. Each tag is a set of the keys stored under it, so
+ * invalidating a tag deletes exactly those keys.
+ */
+class RedisCache {
+  constructor(client, { prefix = 'cache:' } = {}) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async get(key) {
+    return this.client.get(this.prefix + key);
+  }
+
+  async set(key, value, ttlSeconds, tags = []) {
+    const multi = this.client.multi().set(this.prefix + key, value, { EX: ttlSeconds });
+
+    for (const tag of tags) {
+      const tagKey = `${this.prefix}tag:${tag}`;
+      // Tag sets live as long as the newest key in them
+      multi.sAdd(tagKey, this.prefix + key).expire(tagKey, ttlSeconds);
+    }
+
+    await multi.exec();
+  }
+
+  async invalidateTags(tags) {
+    let removed = 0;
+
+    for (const tag of tags) {
+      const tagKey = `${this.prefix}tag:${tag}`;
+      const keys = await this.client.sMembers(tagKey);
+      if (keys.length > 0) {
+        removed += await this.client.del(keys);
+      }
+      await this.client.del(tagKey);
+    }
+
+    return removed;
+  }
+
+  async clear() {
+    for await (const key of this.client.scanIterator({ MATCH: `${this.prefix}*` })) {
+      await this.client.del(key);
+    }
+  }
+}
+
+let cachePromise = null;
+
+/**
+ * Connect to Redis, falling back to the in-memory cache when it isn't
+ * configured or the connection fails
+ */
+const connect = async () => {
+  const memoryCache = new MemoryCache({ maxEntries: config.cache.maxEntries });
+
+  if (!config.redis.enabled) {
+    return memoryCache;
+  }
+
+  let connected = false;
+  const client = createClient({
+    url: config.redis.url,
+    socket: {
+      host: config.redis.host,
+      port: Number(config.redis.port),
+      // Give up on a server that never answers, but keep reconnecting once it has
+      reconnectStrategy: (retries) => (!connected && retries >= 3
+        ? new Error('Redis unreachable')
+        : Math.min(retries * 200, 5000))
+    },
+    // Fail commands while disconnected rather than holding requests until Redis returns
+    disableOfflineQueue: true
+  });
+
+  client.on('error', (error) => {
+    logger.logError(error, { context: 'redis_cache' });
+  });
+
+  try {
+    await client.connect();
+    connected = true;
+    logger.info('Redis cache connected');
+    return new RedisCache(client, { prefix: config.cache.prefix });
+  } catch (error) {
+    logger.logError(error, { context: 'redis_cache_connect' });
+    logger.warn('Redis unavailable, falling back to in-memory cache');
+    client.disconnect().catch(() => {});
+    return memoryCache;
+  }
+};
+
+/**
+ * The shared cache, connected on first use
+ */
+const getCache = () => {
+  if (!cachePromise) {
+    cachePromise = connect();
+  }
+  return cachePromise;
+};
+
+module.exports = {
+  MemoryCache,
+  RedisCache,
+  getCache
+};
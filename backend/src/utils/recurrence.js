@@ -0,0 +1,117 @@
+/**
+ * RRULE-style recurrence for booking series. A rule is a plain object:
+ *
+ *   { frequency: 'daily' | 'weekly', interval, byWeekday, count, until }
+ *
+ * mirroring FREQ, INTERVAL, BYDAY, COUNT and UNTIL. Occurrences keep the
+ * first occurrence's wall-clock time in the store's timezone, so a weekly
+ * 10:00 appointment stays at 10:00 across DST changes.
+ */
+
+const { toLocalDateString, toLocalTimeString, getWeekday, addDays, zonedTimeToUtc } = require('./timezone');
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Whole days from one calendar date to another
+ */
+const daysBetween = (fromDate, toDate) => {
+  const toUtc = (dateString) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUtc(toDate) - toUtc(fromDate)) / 86400000);
+};
+
+/**
+ * Calendar dates a rule produces, starting from (and including) the first date.
+ * Weekly rules with byWeekday repeat those days in every interval-th week,
+ * weeks starting on Monday as in RRULE's default WKST. As with DTSTART in
+ * RFC 5545, the first date is always an occurrence, even on a day outside
+ * byWeekday, and counts towards the rule's count.
+ */
+const expandDates = (rule, firstDate, { maxOccurrences }) => {
+  const { frequency, interval = 1, byWeekday, count, until } = rule;
+  const limit = Math.min(count || Infinity, maxOccurrences);
+  const dates = [];
+
+  const accept = (date) => {
+    if (until && date > until) {
+      return false;
+    }
+    dates.push(date);
+    return dates.length < limit;
+  };
+
+  if (frequency === 'weekly' && byWeekday && byWeekday.length > 0) {
+    const weekStart = addDays(firstDate, -WEEKDAYS.indexOf(getWeekday(firstDate)));
+    const days = WEEKDAYS.filter(day => byWeekday.includes(day));
+
+    if (!days.includes(getWeekday(firstDate)) && !accept(firstDate)) {
+      return dates;
+    }
+
+    for (let week = 0; ; week += interval) {
+      for (const day of days) {
+        const date = addDays(weekStart, week * 7 + WEEKDAYS.indexOf(day));
+        if (date >= firstDate && !accept(date)) {
+          return dates;
+        }
+      }
+    }
+  }
+
+  const step = frequency === 'weekly' ? 7 * interval : interval;
+  for (let date = firstDate; accept(date); date = addDays(date, step));
+
+  return dates;
+};
+
+/**
+ * Start instants of every occurrence of a rule, the first at firstStart
+ */
+const expandOccurrences = (rule, firstStart, timeZone, { maxOccurrences = 52 } = {}) => {
+  const firstDate = toLocalDateString(firstStart, timeZone);
+  const time = toLocalTimeString(firstStart, timeZone);
+
+  return expandDates(rule, firstDate, { maxOccurrences })
+    .map(date => zonedTimeToUtc(date, time, timeZone));
+};
+
+/**
+ * Apply the move of one occurrence to another: the same number of days and
+ * the new wall-clock time, in the store's timezone
+ */
+const shiftOccurrence = (start, { fromStart, toStart }, timeZone) => {
+  const dayShift = daysBetween(toLocalDateString(fromStart, timeZone), toLocalDateString(toStart, timeZone));
+
+  return zonedTimeToUtc(
+    addDays(toLocalDateString(start, timeZone), dayShift),
+    toLocalTimeString(toStart, timeZone),
+    timeZone
+  );
+};
+
+/**
+ * RRULE string for a rule, for calendar exports and display
+ */
+const toRRule = (rule) => {
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`, `INTERVAL=${rule.interval || 1}`];
+  if (rule.byWeekday && rule.byWeekday.length > 0) {
+    parts.push(`BYDAY=${rule.byWeekday.map(day => day.slice(0, 2).toUpperCase()).join(',')}`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+  if (rule.until) {
+    parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  }
+  return parts.join(';');
+};
+
+module.exports = {
+  daysBetween,
+  expandOccurrences,
+  shiftOccurrence,
+  toRRule
+};
@@ -0,0 +1,171 @@
+/**
+ * Timezone helpers built on Intl. Calendar dates are passed around as
+ * 'YYYY-MM-DD' strings and times of day as 'HH:mm' strings, both interpreted
+ * in a store's IANA timezone; instants are plain Date objects.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Check that a string is a timezone Intl understands
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock components of an instant in a timezone
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value, 10);
+    }
+  });
+  return parts;
+};
+
+/**
+ * Offset of a timezone from UTC at an instant, in minutes (e.g. -300 for EST)
+ */
+const getOffsetMinutes = (date, timeZone) => {
+  const instant = new Date(date);
+  const { year, month, day, hour, minute, second } = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((asUtc - (instant.getTime() - instant.getMilliseconds())) / 60000);
+};
+
+/**
+ * Calendar date of an instant in a timezone. Date-only strings pass through unchanged.
+ */
+const toLocalDateString = (date, timeZone) => {
+  if (typeof date === 'string' && DATE_PATTERN.test(date)) {
+    return date;
+  }
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * Wall-clock time ('HH:mm') of an instant in a timezone
+ */
+const toLocalTimeString = (date, timeZone) => {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return `${pad(hour)}:${pad(minute)}`;
+};
+
+/**
+ * Lower-case weekday name of a calendar date
+ */
+const getWeekday = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+};
+
+/**
+ * Shift a calendar date by a number of days
+ */
+const addDays = (dateString, days) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+};
+
+/**
+ * Instant at which a wall-clock time occurs on a calendar date in a timezone.
+ * Times skipped by a DST jump resolve to the same wall time after the jump;
+ * repeated times resolve to their first occurrence.
+ */
+const zonedTimeToUtc = (dateString, timeString, timeZone) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hour, minute] = timeString.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  const firstOffset = getOffsetMinutes(wallClock, timeZone);
+  const candidate = wallClock - firstOffset * 60000;
+  const secondOffset = getOffsetMinutes(candidate, timeZone);
+  if (secondOffset === firstOffset) {
+    return new Date(candidate);
+  }
+
+  const adjusted = wallClock - secondOffset * 60000;
+  return getOffsetMinutes(adjusted, timeZone) === secondOffset
+    ? new Date(adjusted)
+    : new Date(candidate);
+};
+
+/**
+ * First and last instant of a calendar day in a timezone. DST days are 23 or 25 hours long.
+ */
+const getDayBounds = (date, timeZone) => {
+  const dateString = toLocalDateString(date, timeZone);
+  const start = zonedTimeToUtc(dateString, '00:00', timeZone);
+  const nextStart = zonedTimeToUtc(addDays(dateString, 1), '00:00', timeZone);
+
+  return {
+    date: dateString,
+    start,
+    end: new Date(nextStart.getTime() - 1)
+  };
+};
+
+/**
+ * Normalize a date-only API parameter to 'YYYY-MM-DD', or null if it is not one.
+ * Joi converts ISO dates to Date objects at UTC midnight, so those map back to their UTC date.
+ */
+const parseDateParam = (value) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().split('T')[0];
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const dateString = value.trim().slice(0, 10);
+  if (!DATE_PATTERN.test(dateString)) {
+    return null;
+  }
+
+  const [year, month, day] = dateString.split('-').map(Number);
+  const parsed = new Date(Date.UTC(year, month - 1, day));
+  return parsed.getUTCMonth() === month - 1 && parsed.getUTCDate() === day ? dateString : null;
+};
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  getOffsetMinutes,
+  toLocalDateString,
+  toLocalTimeString,
+  getWeekday,
+  addDays,
+  zonedTimeToUtc,
+  getDayBounds,
+  parseDateParam
+};
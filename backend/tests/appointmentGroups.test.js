@@ -0,0 +1,60 @@
+const { initializeModels } = require('../src/config/database');
+const AppointmentGroupService = require('../src/services/AppointmentGroupService');
+
+const { AppointmentGroup, Booking } = initializeModels();
+
+const at = (time) => new Date(`2030-03-04T${time}:00Z`);
+const treatment = (id, duration, amount = 50) => ({ id, duration, price: { amount, currency: 'USD' } });
+
+describe('Appointment groups', () => {
+  test('should chain sequential segments and start parallel ones together', () => {
+    const plan = AppointmentGroupService.planSegments(at('10:00'), [
+      { treatment: treatment('massage', 60) },
+      { treatment: treatment('manicure', 30), timing: 'parallel' },
+      { treatment: treatment('facial', 45), timing: 'sequential' }
+    ]);
+
+    expect(plan.map(segment => [segment.startTime, segment.endTime])).toEqual([
+      [at('10:00'), at('11:00')],
+      [at('10:00'), at('10:30')],
+      [at('11:00'), at('11:45')]
+    ]);
+  });
+
+  test('should only drop the buffer between back-to-back segments', () => {
+    const plan = AppointmentGroupService.planSegments(at('10:00'), [
+      { treatment: treatment('massage', 60) },
+      { treatment: treatment('manicure', 30), timing: 'parallel' },
+      { treatment: treatment('facial', 45) }
+    ]);
+
+    expect(plan.map(({ trimBefore, trimAfter }) => ({ trimBefore, trimAfter }))).toEqual([
+      { trimBefore: false, trimAfter: true },
+      { trimBefore: false, trimAfter: false },
+      { trimBefore: true, trimAfter: false }
+    ]);
+  });
+
+  test('should show the visit with the combined price of its booked segments', () => {
+    const group = AppointmentGroup.build({
+      id: 'group-1',
+      storeId: 'store-1',
+      customerId: 'customer-1',
+      startTime: at('10:00'),
+      endTime: at('11:45'),
+      totalPrice: { amount: 120.5, currency: 'USD' }
+    });
+    const segment = (groupPosition, amount, status = 'pending') => Booking.build({
+      groupId: 'group-1',
+      groupPosition,
+      status,
+      price: { amount, currency: 'USD' }
+    });
+
+    const visit = group.toVisit([segment(1, 50.25), segment(0, 70.25), segment(2, 30, 'cancelled')]);
+
+    expect(visit.type).toBe('visit');
+    expect(visit.price).toEqual({ amount: 120.5, currency: 'USD' });
+    expect(visit.segments.map(item => item.groupPosition)).toEqual([0, 1, 2]);
+  });
+});
@@ -0,0 +1,166 @@
+const { Op } = require('sequelize');
+const { initializeModels } = require('../src/config/database');
+const AvailabilityService = require('../src/services/AvailabilityService');
+const SlotComputationService = require('../src/services/SlotComputationService');
+const { addDays } = require('../src/utils/timezone');
+
+const {
+  Store, Treatment, User, Booking, Timeslot, StaffQualification, StaffShift, StaffTimeOff, ClassSession, WaitlistEntry
+} = initializeModels();
+
+// Every mocked query waits this long, standing in for a database round trip
+const QUERY_LATENCY_MS = 1;
+const DAYS = 7;
+const START_DATE = '2030-03-04';
+
+const dates = Array.from({ length: DAYS }, (_, index) => addDays(START_DATE, index));
+const at = (date, time) => new Date(`${date}T${time}:00Z`);
+
+const store = Store.build({
+  id: 'store-1',
+  name: 'Benchmark Spa',
+  timezone: 'UTC',
+  settings: { slots: { mode: 'dynamic', stepMinutes: 60 } }
+});
+store.exceptions = [];
+
+const treatment = Treatment.build({
+  id: 'treatment-1',
+  storeId: store.id,
+  name: 'Massage',
+  duration: 60,
+  price: 80,
+  requiredStaffLevel: 'any',
+  maxConcurrentBookings: 2,
+  bufferBeforeMinutes: 0,
+  bufferAfterMinutes: 0,
+  isActive: true
+});
+
+const staff = ['a', 'b', 'c', 'd'].map(suffix => User.build({
+  id: `staff-${suffix}`,
+  email: `staff-${suffix}@example.com`,
+  firstName: 'Staff',
+  lastName: suffix.toUpperCase(),
+  role: 'staff',
+  storeId: store.id,
+  isActive: true
+}));
+
+// Two parallel bookings at 10:00 fill the treatment; staff are busy at other times too
+const bookings = dates.flatMap(date => [
+  ['staff-a', '10:00'], ['staff-b', '10:00'], ['staff-c', '13:00'], ['staff-a', '15:00'], ['staff-b', '15:00'], ['staff-c', '15:00'], ['staff-d', '15:00']
+].map(([staffId, time], index) => Booking.build({
+  id: `${date}-${index}`,
+  storeId: store.id,
+  treatmentId: time === '10:00' ? treatment.id : 'treatment-2',
+  staffId,
+  customerId: 'customer-1',
+  bookingDateTime: at(date, time),
+  duration: 60,
+  bufferBeforeMinutes: 0,
+  bufferAfterMinutes: 0,
+  status: 'confirmed',
+  price: 80
+})));
+
+let queries = 0;
+
+const simulateQuery = (model, method, implementation) => {
+  jest.spyOn(model, method).mockImplementation(async (...args) => {
+    queries += 1;
+    await new Promise(resolve => setTimeout(resolve, QUERY_LATENCY_MS));
+    return implementation(...args);
+  });
+};
+
+const seed = () => {
+  simulateQuery(Store, 'findWithExceptions', () => store);
+  simulateQuery(Store, 'findByPk', () => store);
+  simulateQuery(Treatment, 'findByPk', () => treatment);
+  simulateQuery(User, 'findAll', () => staff);
+  simulateQuery(StaffQualification, 'findForTreatment', () => []);
+  simulateQuery(StaffShift, 'findActiveForStaff', () => []);
+  simulateQuery(StaffTimeOff, 'findApprovedOverlapping', () => []);
+  simulateQuery(ClassSession, 'findScheduledOverlapping', () => []);
+  simulateQuery(Timeslot, 'findAll', () => []);
+  simulateQuery(WaitlistEntry, 'findLiveOffers', () => []);
+  simulateQuery(Booking, 'findAll', () => bookings);
+  simulateQuery(Booking, 'findConflicting', (staffId, startTime, endTime, excludeBookingId, { buffer } = {}) =>
+    bookings.filter(booking => booking.staffId === staffId && SlotComputationService.conflicts(booking, startTime, endTime, buffer))
+  );
+  // Mirrors the treatment concurrency query in checkAvailability
+  simulateQuery(Booking, 'count', ({ where }) => {
+    const { [Op.gte]: startTime, [Op.lt]: endTime } = where[Op.or][0].bookingDateTime;
+    return bookings.filter(booking =>
+      booking.treatmentId === where.treatmentId &&
+      booking.bookingDateTime < endTime &&
+      booking.getEndDateTime() > startTime
+    ).length;
+  });
+};
+
+// The day-by-day approach this replaced: a full availability check and a staff
+// lookup (with a conflict query per staff member) for every candidate start
+const legacyRange = async () => {
+  const buffer = treatment.getBufferTimes(store);
+  const results = new Map();
+
+  for (const date of dates) {
+    const slots = [];
+    const operatingWindow = store.getOperatingWindow(date);
+    const candidates = operatingWindow ? SlotComputationService.candidateStarts(operatingWindow, treatment.duration, 60) : [];
+
+    for (const startTime of candidates) {
+      const availability = await AvailabilityService.checkAvailability(store.id, treatment.id, startTime, treatment.duration, { buffer });
+      if (!availability.available) continue;
+
+      const availableStaff = await AvailabilityService.getAvailableStaff(store.id, treatment.id, startTime, treatment.duration, { buffer });
+      if (availableStaff.length > 0) {
+        slots.push(startTime);
+      }
+    }
+    results.set(date, slots);
+  }
+
+  return results;
+};
+
+const measure = async (run) => {
+  queries = 0;
+  const result = await run();
+  return { result, queries };
+};
+
+describe('Availability range benchmark', () => {
+  beforeEach(seed);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should compute a range in a fixed number of queries, far fewer than day-by-day checks', async () => {
+    const legacy = await measure(legacyRange);
+    const batched = await measure(() => SlotComputationService.computeRange(store, treatment, dates[0], dates[DAYS - 1], {
+      mode: 'dynamic',
+      stepMinutes: 60,
+      now: at(START_DATE, '00:00')
+    }));
+
+    for (const date of dates) {
+      expect(batched.result.get(date).map(slot => slot.startTime)).toEqual(legacy.result.get(date));
+    }
+    expect(batched.result.get(dates[0]).map(slot => slot.startTime)).not.toContainEqual(at(dates[0], '10:00'));
+    expect(batched.result.get(dates[0]).map(slot => slot.startTime)).not.toContainEqual(at(dates[0], '15:00'));
+
+    expect(batched.queries).toBeLessThanOrEqual(7);
+    expect(batched.queries * 50).toBeLessThan(legacy.queries);
+  }, 30000);
+
+  test('should not issue more queries for a longer range', async () => {
+    const week = await measure(() => SlotComputationService.computeRange(store, treatment, dates[0], dates[6], { mode: 'dynamic', stepMinutes: 15 }));
+    const month = await measure(() => SlotComputationService.computeRange(store, treatment, dates[0], addDays(dates[0], 29), { mode: 'dynamic', stepMinutes: 15 }));
+
+    expect(month.queries).toBe(week.queries);
+  });
+});
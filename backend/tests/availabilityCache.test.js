@@ -0,0 +1,79 @@
+const AvailabilityCacheService = require('../src/services/AvailabilityCacheService');
+const { MemoryCache, getCache } = require('../src/utils/cache');
+
+describe('MemoryCache', () => {
+  test('should expire entries after their TTL', async () => {
+    const cache = new MemoryCache();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+    await cache.set('key', 'value', 60);
+    expect(await cache.get('key')).toBe('value');
+
+    now.mockReturnValue(1000 + 60 * 1000);
+    expect(await cache.get('key')).toBeNull();
+
+    now.mockRestore();
+  });
+
+  test('should evict the oldest entries past the size limit', async () => {
+    const cache = new MemoryCache({ maxEntries: 2 });
+
+    await cache.set('a', '1', 60);
+    await cache.set('b', '2', 60);
+    await cache.set('c', '3', 60);
+
+    expect(await cache.get('a')).toBeNull();
+    expect(await cache.get('c')).toBe('3');
+  });
+});
+
+describe('AvailabilityCacheService', () => {
+  beforeEach(async () => {
+    await (await getCache()).clear();
+  });
+
+  test('should serve repeat lookups from the cache', async () => {
+    const compute = jest.fn().mockResolvedValue([{ startTime: '2030-03-04T10:00:00.000Z' }]);
+    const entry = AvailabilityCacheService.slotsEntry('store-1', 'treatment-1', '2030-03-04', { mode: 'auto', stepMinutes: 15 });
+    const revive = slots => slots.map(slot => ({ startTime: new Date(slot.startTime) }));
+
+    await AvailabilityCacheService.wrap(entry, compute, { revive });
+    const cached = await AvailabilityCacheService.wrap(entry, compute, { revive });
+
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(cached[0].startTime).toEqual(new Date('2030-03-04T10:00:00.000Z'));
+  });
+
+  test('should only drop entries covering an invalidated date', async () => {
+    const compute = jest.fn().mockResolvedValue([]);
+    const monday = AvailabilityCacheService.slotsEntry('store-1', 'treatment-1', '2030-03-04', { mode: 'auto', stepMinutes: 15 });
+    const tuesday = AvailabilityCacheService.slotsEntry('store-1', 'treatment-1', '2030-03-05', { mode: 'auto', stepMinutes: 15 });
+    const week = AvailabilityCacheService.summaryEntry('store-1', null, '2030-03-03', '2030-03-09');
+    const otherStore = AvailabilityCacheService.slotsEntry('store-2', 'treatment-2', '2030-03-04', { mode: 'auto', stepMinutes: 15 });
+
+    for (const entry of [monday, tuesday, week, otherStore]) {
+      await AvailabilityCacheService.wrap(entry, compute);
+    }
+    expect(compute).toHaveBeenCalledTimes(4);
+
+    await AvailabilityCacheService.invalidateDates('store-1', ['2030-03-04']);
+
+    for (const entry of [monday, tuesday, week, otherStore]) {
+      await AvailabilityCacheService.wrap(entry, compute);
+    }
+    // Monday's slots and the week summary are recomputed; Tuesday and the other store are not
+    expect(compute).toHaveBeenCalledTimes(6);
+  });
+
+  test('should drop every entry for a treatment or a store', async () => {
+    const compute = jest.fn().mockResolvedValue([]);
+    const massage = AvailabilityCacheService.slotsEntry('store-1', 'treatment-1', '2030-03-04', { mode: 'auto', stepMinutes: 15 });
+    const facial = AvailabilityCacheService.slotsEntry('store-1', 'treatment-2', '2030-03-04', { mode: 'auto', stepMinutes: 15 });
+
+    await AvailabilityCacheService.wrap(massage, compute);
+    await AvailabilityCacheService.wrap(facial, compute);
+
+    expect(await AvailabilityCacheService.invalidateTreatment('treatment-1')).toBe(1);
+    expect(await AvailabilityCacheService.invalidateStore('store-1')).toBe(1);
+  });
+});
@@ -0,0 +1,91 @@
+const { initializeModels } = require('../src/config/database');
+const BookingService = require('../src/services/BookingService');
+const QuotaService = require('../src/services/QuotaService');
+const { globalErrorHandler, ConflictError } = require('../src/middleware/errorHandler');
+const logger = require('../src/utils/logger');
+
+const { Store, StoreException } = initializeModels();
+
+const start = new Date('2030-03-04T15:00:00Z');
+const open = { available: true };
+
+const stubChecks = (failing) => {
+  const checks = [
+    'checkOperatingHours',
+    'checkBookingWindow',
+    'checkTimeslots',
+    'checkTreatmentConcurrency',
+    'checkStaffAvailability',
+    'checkResourceAvailability',
+    'checkDailyBookingLimit',
+    'checkStoreCapacity',
+    'checkWaitlistHolds'
+  ];
+  for (const check of checks) {
+    jest.spyOn(QuotaService, check).mockResolvedValue(failing[check] || open);
+  }
+};
+
+describe('Booking conflict details', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should list each failing quota check as a type and reason', async () => {
+    stubChecks({
+      checkOperatingHours: { available: false, reason: 'Booking falls outside store operating hours' },
+      checkStoreCapacity: { available: false, current: 8, maximum: 8, reason: 'Store is at full capacity' }
+    });
+
+    const quota = await QuotaService.checkBookingQuota('store-1', 'massage', 'staff-1', start, 60, { buffer: { before: 0, after: 0 } });
+
+    expect(quota.available).toBe(false);
+    expect(quota.conflicts).toEqual([
+      { type: 'operatingHours', reason: 'Booking falls outside store operating hours' },
+      { type: 'storeCapacity', reason: 'Store is at full capacity' }
+    ]);
+  });
+
+  test('should name the closure a booking falls on', async () => {
+    const store = Store.build({ id: 'store-1', name: 'Harbour Spa', timezone: 'UTC' });
+    store.exceptions = [StoreException.build({ date: '2030-03-04', type: 'closure', name: 'Staff training' })];
+    jest.spyOn(Store, 'findWithExceptions').mockResolvedValue(store);
+
+    const check = await QuotaService.checkOperatingHours('store-1', start, new Date('2030-03-04T16:00:00Z'));
+
+    expect(check).toEqual({ available: false, reason: 'Store is closed on this date (Staff training)' });
+  });
+
+  test('should reject with a 409 carrying the conflicts', async () => {
+    stubChecks({ checkStaffAvailability: { available: false, reason: 'Staff member has conflicting bookings' } });
+
+    const error = await BookingService.assertAvailable('store-1', 'massage', 'staff-1', start, 60, { buffer: { before: 0, after: 0 } })
+      .catch(rejection => rejection);
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error).toMatchObject({
+      statusCode: 409,
+      code: 'CONFLICT_ERROR',
+      details: [{ type: 'staffAvailability', reason: 'Staff member has conflicting bookings' }]
+    });
+  });
+
+  test('should send the conflicts to the client as error details', () => {
+    jest.spyOn(logger, 'logApiRequest').mockImplementation(() => {});
+    jest.spyOn(logger, 'logError').mockImplementation(() => {});
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const conflicts = [{ type: 'dailyLimit', reason: 'Daily booking limit reached' }];
+
+    globalErrorHandler(new ConflictError('Requested time is not available', conflicts), { method: 'POST', originalUrl: '/api/bookings' }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      success: false,
+      error: expect.objectContaining({
+        code: 'CONFLICT_ERROR',
+        message: 'Requested time is not available',
+        details: conflicts
+      })
+    }));
+  });
+});
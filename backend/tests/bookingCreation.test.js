@@ -0,0 +1,101 @@
+const { initializeModels, sequelize } = require('../src/config/database');
+const BookingService = require('../src/services/BookingService');
+const QuotaService = require('../src/services/QuotaService');
+const AvailabilityService = require('../src/services/AvailabilityService');
+const AvailabilityCacheService = require('../src/services/AvailabilityCacheService');
+const ResourceAllocationService = require('../src/services/ResourceAllocationService');
+const { ConflictError } = require('../src/middleware/errorHandler');
+const logger = require('../src/utils/logger');
+
+const { Booking, Timeslot } = initializeModels();
+
+const at = (time) => new Date(`2030-03-04T${time}:00Z`);
+
+const request = {
+  customerId: 'customer-1',
+  storeId: 'store-1',
+  treatment: { id: 'massage', duration: 60, price: { amount: 80, currency: 'USD' } },
+  staffId: 'staff-1',
+  bookingDateTime: at('10:00')
+};
+
+const slot = (overrides = {}) => Timeslot.build({
+  id: 'slot-1',
+  storeId: 'store-1',
+  startTime: at('10:00'),
+  endTime: at('11:00'),
+  maxCapacity: 2,
+  currentBookings: 1,
+  isActive: true,
+  ...overrides
+});
+
+describe('Booking creation', () => {
+  beforeEach(() => {
+    jest.spyOn(QuotaService, 'getBufferTimes').mockResolvedValue({ before: 0, after: 15 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should take the store lock before releasing holds and inserting', async () => {
+    jest.spyOn(sequelize, 'transaction').mockImplementation((work) => work('tx'));
+    const lock = jest.spyOn(BookingService, 'lockStore').mockResolvedValue();
+    const expired = jest.spyOn(Booking, 'findExpiredHolds').mockResolvedValue([]);
+    const insert = jest.spyOn(BookingService, 'insertBooking').mockResolvedValue(Booking.build({ id: 'booking-1' }));
+    jest.spyOn(AvailabilityCacheService, 'invalidateBooking').mockResolvedValue();
+
+    await BookingService.createBooking(request);
+
+    expect(lock).toHaveBeenCalledWith('store-1', 'tx');
+    expect(insert).toHaveBeenCalledWith(request, { transaction: 'tx' });
+    expect(lock.mock.invocationCallOrder[0]).toBeLessThan(expired.mock.invocationCallOrder[0]);
+    expect(expired.mock.invocationCallOrder[0]).toBeLessThan(insert.mock.invocationCallOrder[0]);
+  });
+
+  test('should check quotas, reserve the timeslot and insert in one transaction', async () => {
+    const check = jest.spyOn(BookingService, 'assertAvailable').mockResolvedValue({ available: true });
+    const reserve = jest.spyOn(AvailabilityService, 'reserveTimeslots').mockResolvedValue([slot()]);
+    const create = jest.spyOn(Booking, 'create').mockImplementation(async (data) => Booking.build(data));
+    jest.spyOn(ResourceAllocationService, 'allocate').mockResolvedValue([]);
+
+    const booking = await BookingService.insertBooking(request, { transaction: 'tx' });
+
+    expect(check).toHaveBeenCalledWith('store-1', 'massage', 'staff-1', at('10:00'), 60, expect.objectContaining({ transaction: 'tx' }));
+    expect(reserve).toHaveBeenCalledWith('store-1', at('10:00'), at('11:00'), { transaction: 'tx' });
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ staffId: 'staff-1', bufferAfterMinutes: 15 }), { transaction: 'tx' });
+    expect(booking.metadata).toEqual({ timeslotId: 'slot-1' });
+  });
+
+  test('should not reserve or insert when a quota check fails', async () => {
+    jest.spyOn(BookingService, 'assertAvailable').mockRejectedValue(new ConflictError('Requested time is not available', [
+      { type: 'dailyLimit', reason: 'Daily booking limit reached' }
+    ]));
+    const reserve = jest.spyOn(AvailabilityService, 'reserveTimeslots');
+    const create = jest.spyOn(Booking, 'create');
+
+    await expect(BookingService.insertBooking(request, { transaction: 'tx' })).rejects.toMatchObject({ statusCode: 409 });
+    expect(reserve).not.toHaveBeenCalled();
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('should reject a timeslot that is full once this booking is counted', async () => {
+    jest.spyOn(AvailabilityService, 'reserveTimeslots').mockResolvedValue([slot({ currentBookings: 3 })]);
+
+    await expect(BookingService.reserveTimeslots('store-1', at('10:00'), at('11:00'), { transaction: 'tx' })).rejects.toMatchObject({
+      statusCode: 409,
+      details: [{ type: 'timeslotCapacity', reason: 'Timeslot is fully booked' }]
+    });
+  });
+
+  test('should turn a lost race on the staff index into a 409', async () => {
+    jest.spyOn(logger, 'logBookingEvent').mockImplementation(() => {});
+    const raceLost = Object.assign(new Error('duplicate key'), { name: 'SequelizeUniqueConstraintError' });
+
+    await expect(BookingService.withRaceProtection(() => Promise.reject(raceLost))).rejects.toMatchObject({
+      statusCode: 409,
+      details: [{ type: 'staffAvailability', reason: 'Staff member has conflicting bookings' }]
+    });
+  });
+});
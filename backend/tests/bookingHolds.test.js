@@ -0,0 +1,70 @@
+const { initializeModels } = require('../src/config/database');
+const BookingService = require('../src/services/BookingService');
+const QuotaService = require('../src/services/QuotaService');
+const BookingHoldService = require('../src/services/BookingHoldService');
+
+const { Booking } = initializeModels();
+
+const at = (time) => new Date(`2030-03-04T${time}:00Z`);
+
+const hold = (overrides = {}) => Booking.build({
+  id: 'hold-1',
+  storeId: 'store-1',
+  treatmentId: 'treatment-1',
+  customerId: 'customer-1',
+  bookingDateTime: at('10:00'),
+  duration: 60,
+  status: 'held',
+  holdExpiresAt: at('09:10'),
+  price: { amount: 50, currency: 'USD' },
+  ...overrides
+});
+
+describe('Checkout holds', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should only treat held bookings past their expiry as expired', () => {
+    expect(hold().isHoldExpired(at('09:00'))).toBe(false);
+    expect(hold().isHoldExpired(at('09:10'))).toBe(true);
+    expect(hold({ status: 'pending', holdExpiresAt: null }).isHoldExpired(at('09:30'))).toBe(false);
+  });
+
+  test('should not be cancellable or editable like a booking', () => {
+    expect(hold().canBeCancelled()).toBe(false);
+    expect(hold().canBeModified()).toBe(false);
+  });
+
+  test('should refuse new holds past the per-customer limit before any other check', async () => {
+    jest.spyOn(Booking, 'count').mockResolvedValue(2);
+    const getBufferTimes = jest.spyOn(QuotaService, 'getBufferTimes');
+
+    await expect(BookingService.insertBooking({
+      customerId: 'customer-1',
+      storeId: 'store-1',
+      treatment: { id: 'treatment-1', duration: 60 },
+      bookingDateTime: at('10:00'),
+      status: 'held'
+    }, { transaction: null })).rejects.toMatchObject({ statusCode: 409, code: 'HOLD_LIMIT_REACHED' });
+
+    expect(getBufferTimes).not.toHaveBeenCalled();
+  });
+
+  test('should cap the hold length and create the hold as a held booking', async () => {
+    const createBooking = jest.spyOn(BookingService, 'createBooking').mockImplementation(async (data) => hold(data));
+
+    const before = Date.now();
+    await BookingHoldService.createHold({
+      customerId: 'customer-1',
+      storeId: 'store-1',
+      treatment: { id: 'treatment-1', duration: 60 },
+      bookingDateTime: at('10:00'),
+      minutes: 90
+    }, 'customer-1');
+
+    const { status, holdExpiresAt } = createBooking.mock.calls[0][0];
+    expect(status).toBe('held');
+    expect(holdExpiresAt.getTime() - before).toBeLessThanOrEqual(30 * 60000 + 1000);
+  });
+});
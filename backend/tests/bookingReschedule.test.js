@@ -0,0 +1,100 @@
+const { initializeModels, sequelize } = require('../src/config/database');
+const BookingService = require('../src/services/BookingService');
+const AvailabilityCacheService = require('../src/services/AvailabilityCacheService');
+const ResourceAllocationService = require('../src/services/ResourceAllocationService');
+const { ConflictError } = require('../src/middleware/errorHandler');
+
+const { Booking } = initializeModels();
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+const at = (time) => new Date(`2030-03-04T${time}:00Z`);
+
+const buildBooking = (overrides = {}) => {
+  const booking = Booking.build({
+    id: 'booking-1',
+    storeId: 'store-1',
+    treatmentId: 'massage',
+    customerId: 'customer-1',
+    staffId: 'staff-1',
+    bookingDateTime: at('10:00'),
+    duration: 60,
+    bufferBeforeMinutes: 0,
+    bufferAfterMinutes: 15,
+    status: 'confirmed',
+    price: { amount: 80, currency: 'USD' },
+    metadata: { timeslotId: 'slot-10' },
+    ...overrides
+  });
+  jest.spyOn(booking, 'update').mockImplementation(async (updates) => booking.set(updates));
+  return booking;
+};
+
+describe('Booking reschedule', () => {
+  beforeEach(() => {
+    jest.spyOn(sequelize, 'transaction').mockImplementation((work) => work('tx'));
+    jest.spyOn(BookingService, 'lockStore').mockResolvedValue();
+    jest.spyOn(AvailabilityCacheService, 'invalidateBooking').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should only move active bookings before the reschedule deadline', () => {
+    expect(Booking.build({ status: 'confirmed', bookingDateTime: hoursFromNow(48) }).canBeRescheduled(24)).toBe(true);
+    expect(Booking.build({ status: 'confirmed', bookingDateTime: hoursFromNow(12) }).canBeRescheduled(24)).toBe(false);
+    expect(Booking.build({ status: 'cancelled', bookingDateTime: hoursFromNow(48) }).canBeRescheduled(24)).toBe(false);
+  });
+
+  test('should re-check the new time without the booking itself and move its timeslot', async () => {
+    const booking = buildBooking();
+    const check = jest.spyOn(BookingService, 'assertAvailable').mockResolvedValue({ available: true });
+    const release = jest.spyOn(BookingService, 'releaseBooking').mockResolvedValue();
+    const reserve = jest.spyOn(BookingService, 'reserveTimeslots').mockResolvedValue([{ id: 'slot-14' }]);
+    jest.spyOn(ResourceAllocationService, 'reallocate').mockResolvedValue([]);
+
+    await BookingService.rescheduleBooking(booking, { bookingDateTime: at('14:00'), actorId: 'customer-1', reason: 'Running late' });
+
+    expect(check).toHaveBeenCalledWith('store-1', 'massage', 'staff-1', at('14:00'), 60, expect.objectContaining({
+      excludeBookingId: 'booking-1',
+      buffer: { before: 0, after: 15 }
+    }));
+    expect(release.mock.invocationCallOrder[0]).toBeGreaterThan(check.mock.invocationCallOrder[0]);
+    expect(reserve).toHaveBeenCalledWith('store-1', at('14:00'), at('15:00'), { transaction: 'tx' });
+    expect(booking.metadata.timeslotId).toBe('slot-14');
+  });
+
+  test('should keep a reschedule history entry for each move', async () => {
+    const booking = buildBooking();
+    const update = jest.spyOn(BookingService, 'updateBooking').mockResolvedValue(booking);
+
+    const entry = await BookingService.rescheduleBooking(booking, { bookingDateTime: at('14:00'), staffId: 'staff-2', actorId: 'admin-1' });
+
+    expect(entry).toMatchObject({
+      from: '2030-03-04T10:00:00.000Z',
+      to: '2030-03-04T14:00:00.000Z',
+      fromStaffId: 'staff-1',
+      toStaffId: 'staff-2',
+      rescheduledBy: 'admin-1',
+      reason: null
+    });
+    expect(update).toHaveBeenCalledWith(booking, {
+      bookingDateTime: at('14:00'),
+      staffId: 'staff-2',
+      metadata: { timeslotId: 'slot-10', rescheduleHistory: [entry] }
+    });
+  });
+
+  test('should leave the booking where it was when the new time is taken', async () => {
+    const booking = buildBooking();
+    jest.spyOn(BookingService, 'assertAvailable').mockRejectedValue(new ConflictError('Requested time is not available', [
+      { type: 'staffAvailability', reason: 'Staff member has conflicting bookings' }
+    ]));
+    const release = jest.spyOn(BookingService, 'releaseBooking');
+
+    await expect(BookingService.rescheduleBooking(booking, { bookingDateTime: at('14:00'), actorId: 'customer-1' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(release).not.toHaveBeenCalled();
+    expect(booking.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,92 @@
+const BookingStateMachine = require('../src/services/BookingStateMachine');
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+describe('BookingStateMachine', () => {
+  describe('getAllowedTransitions', () => {
+    test('should allow staff to confirm or cancel a pending booking', () => {
+      const booking = { status: 'pending', bookingDateTime: hoursFromNow(24) };
+
+      expect(BookingStateMachine.getAllowedTransitions(booking, 'staff')).toEqual(['confirmed', 'cancelled']);
+    });
+
+    test('should only allow customers to cancel', () => {
+      const booking = { status: 'confirmed', bookingDateTime: hoursFromNow(48) };
+
+      expect(BookingStateMachine.getAllowedTransitions(booking, 'customer')).toEqual(['cancelled']);
+    });
+
+    test('should stop customers cancelling inside the cancellation deadline', () => {
+      const booking = { status: 'confirmed', bookingDateTime: hoursFromNow(-1) };
+
+      expect(BookingStateMachine.getAllowedTransitions(booking, 'customer')).toEqual([]);
+      expect(BookingStateMachine.getAllowedTransitions(booking, 'staff')).toContain('cancelled');
+    });
+
+    test('should hide time-guarded transitions for future bookings', () => {
+      const booking = { status: 'confirmed', bookingDateTime: hoursFromNow(2) };
+
+      expect(BookingStateMachine.getAllowedTransitions(booking, 'store_admin')).toEqual(['cancelled']);
+    });
+
+    test('should return no transitions from terminal states', () => {
+      ['completed', 'cancelled', 'no_show'].forEach(status => {
+        expect(BookingStateMachine.isTerminal(status)).toBe(true);
+        expect(BookingStateMachine.getAllowedTransitions({ status }, 'super_admin')).toEqual([]);
+      });
+    });
+  });
+
+  describe('assertTransition', () => {
+    test('should reject completing a cancelled booking with a 409', () => {
+      const booking = { status: 'cancelled', bookingDateTime: hoursFromNow(-2) };
+
+      expect(() => BookingStateMachine.assertTransition(booking, 'completed', 'staff')).toThrow(
+        expect.objectContaining({
+          statusCode: 409,
+          code: 'INVALID_STATUS_TRANSITION',
+          details: { currentStatus: 'cancelled', requestedStatus: 'completed', allowedTransitions: [] }
+        })
+      );
+    });
+
+    test('should reject marking a future booking as no-show', () => {
+      const booking = { status: 'confirmed', bookingDateTime: hoursFromNow(3) };
+
+      expect(() => BookingStateMachine.assertTransition(booking, 'no_show', 'staff')).toThrow(
+        'Booking cannot be marked as no-show before its scheduled time'
+      );
+    });
+
+    test('should reject starting a booking before its start time', () => {
+      const booking = { status: 'confirmed', bookingDateTime: hoursFromNow(1) };
+
+      expect(() => BookingStateMachine.assertTransition(booking, 'in_progress', 'staff')).toThrow(
+        expect.objectContaining({ details: expect.objectContaining({ allowedTransitions: ['cancelled'] }) })
+      );
+    });
+
+    test('should reject a customer cancelling an appointment that is hours away', () => {
+      const booking = { status: 'pending', bookingDateTime: hoursFromNow(2) };
+
+      expect(() => BookingStateMachine.assertTransition(booking, 'cancelled', 'customer')).toThrow(
+        expect.objectContaining({ statusCode: 409, code: 'INVALID_STATUS_TRANSITION' })
+      );
+    });
+
+    test('should reject transitions by roles without permission', () => {
+      const booking = { status: 'pending', bookingDateTime: hoursFromNow(24) };
+
+      expect(() => BookingStateMachine.assertTransition(booking, 'confirmed', 'customer')).toThrow(
+        'Role customer cannot change booking status from pending to confirmed'
+      );
+    });
+
+    test('should allow starting and completing a booking once it has begun', () => {
+      const booking = { status: 'confirmed', bookingDateTime: hoursFromNow(-0.5) };
+
+      expect(() => BookingStateMachine.assertTransition(booking, 'in_progress', 'staff')).not.toThrow();
+      expect(() => BookingStateMachine.assertTransition({ ...booking, status: 'in_progress' }, 'completed', 'staff')).not.toThrow();
+    });
+  });
+});
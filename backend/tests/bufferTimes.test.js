@@ -0,0 +1,50 @@
+const { initializeModels } = require('../src/config/database');
+const QuotaService = require('../src/services/QuotaService');
+const SlotComputationService = require('../src/services/SlotComputationService');
+
+const { Store, Treatment, Booking } = initializeModels();
+
+const at = (time) => new Date(`2030-03-04T${time}:00Z`);
+
+const store = Store.build({ id: 'store-1', name: 'Harbour Spa', settings: { bufferTimeMinutes: 10 } });
+
+describe('Buffer times', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should fall back from the treatment to the store to the global buffer', () => {
+    const facial = Treatment.build({ id: 'facial', bufferBeforeMinutes: 5, bufferAfterMinutes: null });
+
+    expect(facial.getBufferTimes(store)).toEqual({ before: 5, after: 10 });
+    expect(facial.getBufferTimes(Store.build({ settings: {} }))).toEqual({ before: 5, after: 15 });
+    expect(facial.getBufferTimes(null)).toEqual({ before: 5, after: 15 });
+  });
+
+  test('should use the store buffer when the treatment is unknown', async () => {
+    jest.spyOn(Store, 'findByPk').mockResolvedValue(store);
+    jest.spyOn(Treatment, 'findByPk').mockResolvedValue(null);
+
+    await expect(QuotaService.getBufferTimes('store-1', 'missing')).resolves.toEqual({ before: 10, after: 10 });
+  });
+
+  test('should widen the staff conflict query by the larger of both buffers', () => {
+    const { val } = Booking.overlapCondition(at('10:00'), at('11:00'), { before: 5, after: 20 });
+
+    expect(val).toContain('GREATEST("Booking"."buffer_after_minutes", 5)');
+    expect(val).toContain('GREATEST("Booking"."buffer_before_minutes", 20)');
+    expect(val).toContain("> '2030-03-04T10:00:00.000Z'");
+    expect(val).toContain("< '2030-03-04T11:00:00.000Z'");
+  });
+
+  test('should not offer back-to-back slots inside a neighbour\'s turnover', () => {
+    const earlier = { bookingDateTime: at('09:00'), duration: 60, bufferBeforeMinutes: 0, bufferAfterMinutes: 15 };
+    const later = { bookingDateTime: at('12:00'), duration: 60, bufferBeforeMinutes: 10, bufferAfterMinutes: 0 };
+    const buffer = { before: 0, after: 0 };
+
+    expect(SlotComputationService.conflicts(earlier, at('10:00'), at('11:00'), buffer)).toBe(true);
+    expect(SlotComputationService.conflicts(earlier, at('10:15'), at('11:15'), buffer)).toBe(false);
+    expect(SlotComputationService.conflicts(later, at('10:55'), at('11:55'), buffer)).toBe(true);
+    expect(SlotComputationService.conflicts(later, at('10:50'), at('11:50'), buffer)).toBe(false);
+  });
+});
@@ -0,0 +1,98 @@
+const { initializeModels, sequelize } = require('../src/config/database');
+const ClassSessionService = require('../src/services/ClassSessionService');
+const BookingService = require('../src/services/BookingService');
+const StaffScheduleService = require('../src/services/StaffScheduleService');
+const SlotComputationService = require('../src/services/SlotComputationService');
+
+const { ClassSession, Resource } = initializeModels();
+
+const at = (time) => new Date(`2030-03-04T${time}:00Z`);
+
+const yoga = ClassSession.build({
+  id: 'class-1',
+  storeId: 'store-1',
+  treatmentId: 'yoga',
+  instructorId: 'staff-1',
+  roomId: 'studio',
+  startTime: at('10:00'),
+  endTime: at('11:00'),
+  capacity: 12,
+  minAttendees: 4
+});
+
+describe('Class sessions', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should block the instructor for regular bookings during the class', () => {
+    const schedule = { shifts: [], timeOff: [], classes: [yoga] };
+
+    expect(StaffScheduleService.evaluate(schedule, at('10:30'), at('11:30'), 'UTC')).toEqual({
+      available: false,
+      reason: 'Staff member is teaching a class'
+    });
+    expect(StaffScheduleService.evaluate(schedule, at('11:00'), at('12:00'), 'UTC').available).toBe(true);
+  });
+
+  test('should take the whole room, including the turnover around other bookings', () => {
+    const context = { buffer: { before: 0, after: 15 }, maintenance: [], classes: [yoga], bookings: [] };
+    const studio = Resource.build({ id: 'studio', name: 'Studio', capacity: 20 });
+
+    expect(SlotComputationService.isResourceFree(context, studio, at('09:00'), at('09:50'))).toBe(false);
+    expect(SlotComputationService.isResourceFree(context, studio, at('08:30'), at('09:30'))).toBe(true);
+  });
+
+  test('should check minimum attendance a fixed time before the class', () => {
+    expect(ClassSession.attendanceDeadlineFor(at('10:00'), 4)).toEqual(new Date('2030-03-03T10:00:00Z'));
+    expect(ClassSession.attendanceDeadlineFor(at('10:00'), 0)).toBeNull();
+  });
+
+  test('should show seats left without going negative', () => {
+    expect(yoga.toListing(5)).toMatchObject({ seatsTaken: 5, seatsAvailable: 7 });
+    expect(yoga.toListing(14).seatsAvailable).toBe(0);
+  });
+
+  test('should export the roster as CSV with quoting and formula-safe cells', () => {
+    const csv = ClassSessionService.formatRosterCsv([
+      {
+        seat: 1,
+        bookingId: 'booking-1',
+        firstName: 'Ana',
+        lastName: 'Silva, Jr.',
+        email: 'ana@example.com',
+        phone: '+15550100',
+        status: 'confirmed',
+        bookedAt: new Date('2030-03-01T08:00:00Z'),
+        notes: 'Bring "own" mat'
+      },
+      { seat: 2, bookingId: 'booking-2', firstName: '=HYPERLINK()', status: 'no_show' }
+    ]);
+
+    expect(csv.split('\r\n')).toEqual([
+      'seat,bookingId,firstName,lastName,email,phone,status,bookedAt,notes',
+      '1,booking-1,Ana,"Silva, Jr.",ana@example.com,\'+15550100,confirmed,2030-03-01T08:00:00.000Z,"Bring ""own"" mat"',
+      '2,booking-2,\'=HYPERLINK(),,,,no_show,,',
+      ''
+    ]);
+  });
+
+  test('should keep a class that filled up after the attendance sweep counted it', async () => {
+    const due = ClassSession.build({ ...yoga.get(), status: 'scheduled' });
+    const current = ClassSession.build({ ...yoga.get(), status: 'scheduled' });
+    jest.spyOn(ClassSession, 'findDueForAttendanceCheck').mockResolvedValue([due]);
+    jest.spyOn(ClassSession, 'findByPk').mockResolvedValue(current);
+    jest.spyOn(ClassSession, 'countSeats')
+      .mockResolvedValueOnce(new Map([['class-1', 2]]))
+      .mockResolvedValueOnce(new Map([['class-1', 4]]));
+    jest.spyOn(sequelize, 'transaction').mockImplementation((work) => work('tx'));
+    jest.spyOn(BookingService, 'lockStore').mockResolvedValue();
+    const checked = jest.spyOn(current, 'update').mockResolvedValue(current);
+
+    const summary = await ClassSessionService.processAttendanceDeadlines(at('09:00'));
+
+    expect(summary).toEqual({ checked: 1, cancelled: 0, failed: 0 });
+    expect(ClassSession.countSeats).toHaveBeenLastCalledWith(['class-1'], { transaction: 'tx' });
+    expect(checked).toHaveBeenCalledWith({ attendanceCheckedAt: expect.any(Date) }, { transaction: 'tx' });
+  });
+});
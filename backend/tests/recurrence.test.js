@@ -0,0 +1,73 @@
+const { expandOccurrences, shiftOccurrence, toRRule } = require('../src/utils/recurrence');
+
+const iso = dates => dates.map(date => date.toISOString());
+
+describe('recurrence utils', () => {
+  describe('expandOccurrences', () => {
+    test('should repeat weekly at the same local time across a DST change', () => {
+      // 10:00 in New York, before and after the 2026-03-08 spring-forward
+      const occurrences = expandOccurrences({ frequency: 'weekly', count: 3 }, new Date('2026-03-02T15:00:00Z'), 'America/New_York');
+
+      expect(iso(occurrences)).toEqual([
+        '2026-03-02T15:00:00.000Z',
+        '2026-03-09T14:00:00.000Z',
+        '2026-03-16T14:00:00.000Z'
+      ]);
+    });
+
+    test('should step every N days until the end date inclusive', () => {
+      const occurrences = expandOccurrences({ frequency: 'daily', interval: 3, until: '2026-05-10' }, new Date('2026-05-01T09:00:00Z'), 'UTC');
+
+      expect(iso(occurrences)).toEqual([
+        '2026-05-01T09:00:00.000Z',
+        '2026-05-04T09:00:00.000Z',
+        '2026-05-07T09:00:00.000Z',
+        '2026-05-10T09:00:00.000Z'
+      ]);
+    });
+
+    test('should repeat on the given weekdays of every other week', () => {
+      // 2026-05-06 is a Wednesday
+      const occurrences = expandOccurrences(
+        { frequency: 'weekly', interval: 2, byWeekday: ['monday', 'wednesday'], count: 4 },
+        new Date('2026-05-06T09:00:00Z'),
+        'UTC'
+      );
+
+      expect(iso(occurrences).map(value => value.slice(0, 10))).toEqual(['2026-05-06', '2026-05-18', '2026-05-20', '2026-06-01']);
+    });
+
+    test('should keep the first date as an occurrence when it falls outside the given weekdays', () => {
+      // 2026-05-05 is a Tuesday
+      const occurrences = expandOccurrences(
+        { frequency: 'weekly', byWeekday: ['monday', 'wednesday'], count: 3 },
+        new Date('2026-05-05T09:00:00Z'),
+        'UTC'
+      );
+
+      expect(iso(occurrences).map(value => value.slice(0, 10))).toEqual(['2026-05-05', '2026-05-06', '2026-05-11']);
+    });
+
+    test('should stop at the occurrence limit', () => {
+      const occurrences = expandOccurrences({ frequency: 'daily', until: '2027-01-01' }, new Date('2026-05-01T09:00:00Z'), 'UTC', { maxOccurrences: 5 });
+
+      expect(occurrences).toHaveLength(5);
+    });
+  });
+
+  describe('shiftOccurrence', () => {
+    test('should move later occurrences by the same days to the new local time', () => {
+      const move = { fromStart: new Date('2026-03-02T15:00:00Z'), toStart: new Date('2026-03-03T16:30:00Z') };
+
+      // Tuesday 11:30 New York time, after the DST change
+      expect(shiftOccurrence(new Date('2026-03-09T14:00:00Z'), move, 'America/New_York').toISOString()).toBe('2026-03-10T15:30:00.000Z');
+    });
+  });
+
+  describe('toRRule', () => {
+    test('should format a rule as an RRULE string', () => {
+      expect(toRRule({ frequency: 'weekly', interval: 1, byWeekday: ['monday', 'thursday'], until: '2026-06-30' }))
+        .toBe('FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,TH;UNTIL=20260630');
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const { initializeModels } = require('../src/config/database');
+const ResourceAllocationService = require('../src/services/ResourceAllocationService');
+
+const { Treatment, Resource } = initializeModels();
+
+const start = new Date('2025-03-10T10:00:00Z');
+const end = new Date('2025-03-10T11:00:00Z');
+
+// Stand-in units whose availability is fixed per test
+const fakeResource = (id, available = true) => ({
+  id,
+  name: `Room ${id}`,
+  isAvailable: jest.fn().mockResolvedValue(available)
+});
+
+const mockResources = (resources) => {
+  jest.spyOn(Resource, 'findAll').mockResolvedValue(resources);
+};
+
+describe('ResourceAllocationService.findAllocation', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should treat each required resource as its own group before any-of groups', () => {
+    const treatment = Treatment.build({
+      requiredResources: ['table'],
+      resourceRequirements: [{ resourceIds: ['room-1', 'room-2'], label: 'Massage room' }]
+    });
+
+    expect(treatment.getResourceRequirements()).toEqual([
+      { resourceIds: ['table'], label: null },
+      { resourceIds: ['room-1', 'room-2'], label: 'Massage room' }
+    ]);
+    expect(treatment.getResourceIds()).toEqual(['table', 'room-1', 'room-2']);
+  });
+
+  test('should pick the first free unit from an any-of group', async () => {
+    mockResources([fakeResource('room-1', false), fakeResource('room-2'), fakeResource('room-3')]);
+    const treatment = Treatment.build({
+      resourceRequirements: [{ resourceIds: ['room-1', 'room-2', 'room-3'], label: 'Massage room' }]
+    });
+
+    const result = await ResourceAllocationService.findAllocation(treatment, start, end);
+
+    expect(result.available).toBe(true);
+    expect(result.allocations.map(allocation => allocation.resource.id)).toEqual(['room-2']);
+  });
+
+  test('should fill stricter groups first so a unit is not taken twice', async () => {
+    mockResources([fakeResource('room-1'), fakeResource('room-2')]);
+    const treatment = Treatment.build({
+      resourceRequirements: [
+        { resourceIds: ['room-1', 'room-2'], label: 'Any room' },
+        { resourceIds: ['room-1'], label: 'Suite' }
+      ]
+    });
+
+    const result = await ResourceAllocationService.findAllocation(treatment, start, end);
+
+    expect(result.allocations.map(allocation => [allocation.groupIndex, allocation.resource.id])).toEqual([
+      [0, 'room-2'],
+      [1, 'room-1']
+    ]);
+  });
+
+  test('should keep preferred units when they are still free', async () => {
+    mockResources([fakeResource('room-1'), fakeResource('room-2')]);
+    const treatment = Treatment.build({ resourceRequirements: [{ resourceIds: ['room-1', 'room-2'] }] });
+
+    const result = await ResourceAllocationService.findAllocation(treatment, start, end, { preferredResourceIds: ['room-2'] });
+
+    expect(result.allocations[0].resource.id).toBe('room-2');
+  });
+
+  test('should report the group label when no unit is free', async () => {
+    mockResources([fakeResource('room-1', false), fakeResource('room-2', false)]);
+    const treatment = Treatment.build({
+      resourceRequirements: [{ resourceIds: ['room-1', 'room-2'], label: 'massage room' }]
+    });
+
+    const result = await ResourceAllocationService.findAllocation(treatment, start, end);
+
+    expect(result).toEqual({ available: false, groupIndex: 0, reason: 'No massage room is available' });
+  });
+});
@@ -0,0 +1,46 @@
+const { initializeModels } = require('../src/config/database');
+
+const { Resource, ResourceMaintenance, Booking } = initializeModels();
+
+const start = new Date('2025-03-10T10:00:00Z');
+const end = new Date('2025-03-10T11:00:00Z');
+
+describe('Resource maintenance windows', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should make a resource unavailable during downtime without checking bookings', async () => {
+    jest.spyOn(ResourceMaintenance, 'findOverlapping').mockResolvedValue([
+      ResourceMaintenance.build({ resourceId: 'room-1', startTime: start, endTime: end })
+    ]);
+    const count = jest.spyOn(Booking, 'count');
+    const resource = Resource.build({ id: 'room-1', name: 'Room 1' });
+
+    await expect(resource.isAvailable(start, end)).resolves.toBe(false);
+    expect(count).not.toHaveBeenCalled();
+  });
+
+  test('should widen the checked range by the turnover buffers', async () => {
+    const findOverlapping = jest.spyOn(ResourceMaintenance, 'findOverlapping').mockResolvedValue([]);
+    const resource = Resource.build({ id: 'room-1', name: 'Room 1' });
+
+    await expect(resource.isUnderMaintenance(start, end, { buffer: { before: 15, after: 30 } })).resolves.toBe(false);
+    expect(findOverlapping).toHaveBeenCalledWith(
+      ['room-1'],
+      new Date('2025-03-10T09:45:00Z'),
+      new Date('2025-03-10T11:30:00Z'),
+      { transaction: undefined }
+    );
+  });
+
+  test('should only report overlap for windows that intersect the range', () => {
+    const window = ResourceMaintenance.build({
+      startTime: new Date('2025-03-10T11:00:00Z'),
+      endTime: new Date('2025-03-10T12:00:00Z')
+    });
+
+    expect(window.overlaps(start, end)).toBe(false);
+    expect(window.overlaps(start, new Date('2025-03-10T11:30:00Z'))).toBe(true);
+  });
+});
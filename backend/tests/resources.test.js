@@ -0,0 +1,66 @@
+const { initializeModels } = require('../src/config/database');
+const ResourceController = require('../src/controllers/ResourceController');
+const { authorizeStore } = require('../src/middleware/auth');
+const { schemas } = require('../src/middleware/validation');
+const logger = require('../src/utils/logger');
+
+const { Store, Resource } = initializeModels();
+
+// catchAsync handlers don't return their promise; settle on the response or on next
+const run = (handler, req) => new Promise((resolve) => {
+  const res = { json: body => resolve({ body }) };
+  handler(req, res, error => resolve({ error }));
+});
+
+describe('Resource API', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should validate new resources and drop fields the client may not set', () => {
+    const { value, error } = schemas.resourceCreation.validate(
+      { name: 'Treatment room 1', type: 'room', storeId: 'other-store' },
+      { stripUnknown: true }
+    );
+
+    expect(error).toBeUndefined();
+    expect(value).toEqual({ name: 'Treatment room 1', type: 'room', capacity: 1 });
+    expect(schemas.resourceCreation.validate({ name: 'Van', type: 'vehicle' }).error).toBeDefined();
+    expect(schemas.resourceCreation.validate({ type: 'room' }).error).toBeDefined();
+  });
+
+  test('should keep store staff to their own store\'s resources', async () => {
+    jest.spyOn(logger, 'logAuthEvent').mockImplementation(() => {});
+    const middleware = authorizeStore();
+    const req = (user) => ({ user, params: { storeId: 'store-1' }, body: {}, query: {}, originalUrl: '/api/stores/store-1/resources' });
+
+    await expect(run(middleware, req({ id: 'admin-2', role: 'store_admin', storeId: 'store-2' })))
+      .resolves.toMatchObject({ error: { statusCode: 403 } });
+    await expect(run(middleware, req({ id: 'staff-1', role: 'staff', storeId: 'store-1' }))).resolves.toEqual({ error: undefined });
+    await expect(run(middleware, req({ id: 'customer-1', role: 'customer' }))).resolves.toEqual({ error: undefined });
+  });
+
+  test('should only find a resource within the store in the route', async () => {
+    const findOne = jest.spyOn(Resource, 'findOne').mockResolvedValue(null);
+
+    await expect(ResourceController.findResource({ storeId: 'store-1', resourceId: 'room-9' }))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect(findOne).toHaveBeenCalledWith({ where: { id: 'room-9', storeId: 'store-1' } });
+  });
+
+  test('should list only active resources of a type to customers', async () => {
+    jest.spyOn(Store, 'findByPk').mockResolvedValue(Store.build({ id: 'store-1' }));
+    const byType = jest.spyOn(Resource, 'findByType').mockResolvedValue([Resource.build({ id: 'room-1', name: 'Room 1', type: 'room' })]);
+    const findAll = jest.spyOn(Resource, 'findAll');
+
+    const { body } = await run(ResourceController.getResources, {
+      params: { storeId: 'store-1' },
+      query: { type: 'room', includeInactive: true },
+      user: { id: 'customer-1', role: 'customer' }
+    });
+
+    expect(findAll).not.toHaveBeenCalled();
+    expect(byType).toHaveBeenCalledWith('store-1', 'room');
+    expect(body).toEqual({ success: true, data: [expect.objectContaining({ id: 'room-1' })] });
+  });
+});
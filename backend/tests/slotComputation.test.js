@@ -0,0 +1,102 @@
+const { initializeModels } = require('../src/config/database');
+const SlotComputationService = require('../src/services/SlotComputationService');
+
+const { Timeslot, Booking, Treatment, User } = initializeModels();
+
+const at = (time) => new Date(`2025-03-10T${time}:00Z`);
+
+describe('SlotComputationService', () => {
+  test('should offer start times every step that still finish by closing', () => {
+    const starts = SlotComputationService.candidateStarts({ open: at('09:00'), close: at('12:00') }, 90, 15);
+
+    expect(starts[0]).toEqual(at('09:00'));
+    expect(starts[2]).toEqual(at('09:30'));
+    expect(starts[starts.length - 1]).toEqual(at('10:30'));
+    expect(starts).toHaveLength(7);
+  });
+
+  test('should skip start times that have already passed', () => {
+    const starts = SlotComputationService.candidateStarts({ open: at('09:00'), close: at('11:00') }, 60, 30, { notBefore: at('09:10') });
+
+    expect(starts).toEqual([at('09:30'), at('10:00')]);
+  });
+
+  test('should let a long treatment span contiguous timeslots', () => {
+    const timeslots = [
+      Timeslot.build({ startTime: at('10:00'), endTime: at('11:00'), maxCapacity: 2, currentBookings: 0 }),
+      Timeslot.build({ startTime: at('11:00'), endTime: at('12:00'), maxCapacity: 2, currentBookings: 1 })
+    ];
+
+    expect(SlotComputationService.timeslotCapacity(timeslots, 'treatment-1', at('10:30'), at('12:00'))).toBe(1);
+    expect(SlotComputationService.timeslotCapacity(timeslots, 'treatment-1', at('11:30'), at('12:30'))).toBeNull();
+  });
+
+  test('should reject windows touching a blocked or restricted timeslot', () => {
+    const blocked = [
+      Timeslot.build({ startTime: at('10:00'), endTime: at('11:00'), isActive: false })
+    ];
+    const restricted = [
+      Timeslot.build({ startTime: at('10:00'), endTime: at('11:00'), treatmentTypes: ['treatment-2'] })
+    ];
+
+    expect(SlotComputationService.timeslotCapacity(blocked, 'treatment-1', at('10:00'), at('10:30'))).toBeNull();
+    expect(SlotComputationService.timeslotCapacity(restricted, 'treatment-1', at('10:00'), at('10:30'))).toBeNull();
+  });
+
+  test('should only offer the staff a covering timeslot names', async () => {
+    const staff = ['staff-1', 'staff-2'].map(id => User.build({ id, firstName: 'Staff', lastName: id }));
+    const schedule = { shifts: [], timeOff: [], classes: [] };
+    const context = {
+      store: { timezone: 'UTC', isOpenDuring: () => true },
+      treatment: Treatment.build({ id: 'treatment-1', duration: 60, maxConcurrentBookings: 2 }),
+      buffer: { before: 0, after: 0 },
+      staff,
+      schedules: new Map(staff.map(member => [member.id, schedule])),
+      bookings: []
+    };
+    const day = {
+      qualified: staff.map(member => ({ staff: member, skillLevel: null })),
+      timeslots: [
+        Timeslot.build({ startTime: at('10:00'), endTime: at('11:00'), staffIds: ['staff-2'] }),
+        Timeslot.build({ startTime: at('11:00'), endTime: at('12:00'), staffIds: ['staff-1'] })
+      ]
+    };
+
+    const slot = await SlotComputationService.evaluateCandidate(context, day, at('10:00'));
+    expect(slot.staff.map(member => member.id)).toEqual(['staff-2']);
+    expect(await SlotComputationService.evaluateCandidate(context, day, at('10:30'))).toBeNull();
+  });
+
+  test('should count each live waitlist offer as one held unit and its staff member as busy', async () => {
+    const staff = ['staff-1', 'staff-2'].map(id => User.build({ id, firstName: 'Staff', lastName: id }));
+    const context = {
+      store: { timezone: 'UTC', isOpenDuring: () => true },
+      treatment: Treatment.build({ id: 'treatment-1', duration: 60, maxConcurrentBookings: 2 }),
+      buffer: { before: 0, after: 0 },
+      staff,
+      schedules: new Map(staff.map(member => [member.id, { shifts: [], timeOff: [], classes: [] }])),
+      bookings: [],
+      offers: [{ treatmentId: 'treatment-1', offeredStaffId: 'staff-1', offeredStartTime: at('10:00'), offeredEndTime: at('11:00') }]
+    };
+    const day = { qualified: staff.map(member => ({ staff: member, skillLevel: null })), timeslots: null };
+
+    const slot = await SlotComputationService.evaluateCandidate(context, day, at('10:00'));
+    expect(slot.availableCapacity).toBe(1);
+    expect(slot.staff.map(member => member.id)).toEqual(['staff-2']);
+    expect((await SlotComputationService.evaluateCandidate(context, day, at('11:00'))).availableCapacity).toBe(2);
+  });
+
+  test('should keep both bookings\' buffers clear when checking conflicts', () => {
+    const booking = Booking.build({
+      bookingDateTime: at('10:00'),
+      duration: 60,
+      bufferBeforeMinutes: 0,
+      bufferAfterMinutes: 15
+    });
+
+    expect(SlotComputationService.conflicts(booking, at('11:00'), at('12:00'), { before: 0, after: 0 })).toBe(true);
+    expect(SlotComputationService.conflicts(booking, at('11:15'), at('12:15'), { before: 0, after: 0 })).toBe(false);
+    expect(SlotComputationService.conflicts(booking, at('11:15'), at('12:15'), { before: 30, after: 0 })).toBe(true);
+    expect(SlotComputationService.conflicts(booking, at('09:00'), at('09:50'), { before: 0, after: 15 })).toBe(true);
+  });
+});
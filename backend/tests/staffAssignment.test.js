@@ -0,0 +1,48 @@
+const StaffAssignmentService = require('../src/services/StaffAssignmentService');
+
+const candidates = [
+  { id: 'staff-a', skillLevel: 'junior' },
+  { id: 'staff-b', skillLevel: 'expert' },
+  { id: 'staff-c', skillLevel: 'senior' }
+];
+
+const buildStats = ({ lastAssignedAt = {}, dailyLoad = {}, preferredStaffIds = [] } = {}) => ({
+  lastAssignedAt: new Map(Object.entries(lastAssignedAt).map(([id, date]) => [id, new Date(date)])),
+  dailyLoad: new Map(Object.entries(dailyLoad)),
+  preferredStaffIds
+});
+
+const pick = (strategy, stats) => StaffAssignmentService.rankCandidates(strategy, candidates, stats)[0].id;
+
+describe('StaffAssignmentService.rankCandidates', () => {
+  test('round robin should pick whoever was assigned longest ago', () => {
+    const stats = buildStats({
+      lastAssignedAt: { 'staff-a': '2025-03-10T10:00:00Z', 'staff-b': '2025-03-10T09:00:00Z', 'staff-c': '2025-03-10T11:00:00Z' }
+    });
+
+    expect(pick('round_robin', stats)).toBe('staff-b');
+  });
+
+  test('round robin should prefer staff who have never been assigned', () => {
+    const stats = buildStats({ lastAssignedAt: { 'staff-a': '2025-03-10T10:00:00Z', 'staff-b': '2025-03-10T09:00:00Z' } });
+
+    expect(pick('round_robin', stats)).toBe('staff-c');
+  });
+
+  test('least loaded should pick the staff member with the fewest bookings that day', () => {
+    const stats = buildStats({ dailyLoad: { 'staff-a': 3, 'staff-b': 1, 'staff-c': 2 } });
+
+    expect(pick('least_loaded', stats)).toBe('staff-b');
+  });
+
+  test('preferred staff should fall back to least loaded when no preference is available', () => {
+    const dailyLoad = { 'staff-a': 2, 'staff-b': 2, 'staff-c': 0 };
+
+    expect(pick('preferred_staff', buildStats({ dailyLoad, preferredStaffIds: ['staff-a'] }))).toBe('staff-a');
+    expect(pick('preferred_staff', buildStats({ dailyLoad, preferredStaffIds: ['staff-x'] }))).toBe('staff-c');
+  });
+
+  test('skill match should pick the highest skill level', () => {
+    expect(pick('skill_match', buildStats({ dailyLoad: { 'staff-b': 5 } }))).toBe('staff-b');
+  });
+});
@@ -0,0 +1,46 @@
+const { initializeModels } = require('../src/config/database');
+const StaffQualificationService = require('../src/services/StaffQualificationService');
+
+const { Treatment, StaffQualification } = initializeModels();
+
+const seniorTreatment = Treatment.build({ name: 'Deep tissue massage', requiredStaffLevel: 'senior' });
+const openTreatment = Treatment.build({ name: 'Manicure', requiredStaffLevel: 'any' });
+
+describe('StaffQualificationService.evaluate', () => {
+  test('should require a qualification for level-restricted treatments', () => {
+    const result = StaffQualificationService.evaluate(seniorTreatment, undefined, '2025-03-10');
+
+    expect(result).toEqual({ qualified: false, skillLevel: null, reason: 'Staff member is not qualified for this treatment' });
+  });
+
+  test('should not require a qualification for treatments open to any level', () => {
+    expect(StaffQualificationService.evaluate(openTreatment, undefined, '2025-03-10').qualified).toBe(true);
+  });
+
+  test('should compare the per-treatment skill level against the requirement', () => {
+    const junior = StaffQualification.build({ skillLevel: 'junior' });
+    const expert = StaffQualification.build({ skillLevel: 'expert' });
+
+    expect(StaffQualificationService.evaluate(seniorTreatment, junior, '2025-03-10').reason).toBe('Treatment requires senior level or above');
+    expect(StaffQualificationService.evaluate(seniorTreatment, expert, '2025-03-10')).toEqual({
+      qualified: true,
+      skillLevel: 'expert',
+      reason: null
+    });
+  });
+
+  test('should reject certifications that have expired by the booking date', () => {
+    const qualification = StaffQualification.build({ skillLevel: 'senior', expiresAt: '2025-03-09' });
+
+    expect(StaffQualificationService.evaluate(seniorTreatment, qualification, '2025-03-09').qualified).toBe(true);
+    expect(StaffQualificationService.evaluate(seniorTreatment, qualification, '2025-03-10').reason)
+      .toBe('Staff member\'s certification for this treatment expired on 2025-03-09');
+  });
+
+  test('should reject suspended qualifications', () => {
+    const qualification = StaffQualification.build({ skillLevel: 'expert', isActive: false });
+
+    expect(StaffQualificationService.evaluate(seniorTreatment, qualification, '2025-03-10').qualified).toBe(false);
+    expect(StaffQualificationService.evaluate(openTreatment, qualification, '2025-03-10').qualified).toBe(false);
+  });
+});
@@ -0,0 +1,70 @@
+const { initializeModels } = require('../src/config/database');
+const StaffScheduleService = require('../src/services/StaffScheduleService');
+
+const { StaffShift, StaffTimeOff } = initializeModels();
+
+// 2025-03-10 is a Monday; times are UTC so the store timezone is UTC
+const at = (date, time) => new Date(`${date}T${time}:00Z`);
+
+const mondayShift = StaffShift.build({
+  dayOfWeek: 'monday',
+  startTime: '09:00',
+  endTime: '17:00',
+  breaks: [{ start: '12:00', end: '13:00', label: 'Lunch' }]
+});
+
+describe('StaffScheduleService.evaluate', () => {
+  test('should treat staff without shifts as available', () => {
+    const result = StaffScheduleService.evaluate({ shifts: [], timeOff: [] }, at('2025-03-10', '07:00'), at('2025-03-10', '08:00'), 'UTC');
+
+    expect(result.available).toBe(true);
+  });
+
+  test('should allow bookings inside a shift', () => {
+    const result = StaffScheduleService.evaluate({ shifts: [mondayShift], timeOff: [] }, at('2025-03-10', '10:00'), at('2025-03-10', '11:00'), 'UTC');
+
+    expect(result.available).toBe(true);
+  });
+
+  test('should reject bookings overlapping a break or outside the shift', () => {
+    const schedule = { shifts: [mondayShift], timeOff: [] };
+
+    expect(StaffScheduleService.evaluate(schedule, at('2025-03-10', '11:30'), at('2025-03-10', '12:30'), 'UTC').available).toBe(false);
+    expect(StaffScheduleService.evaluate(schedule, at('2025-03-10', '16:30'), at('2025-03-10', '17:30'), 'UTC').available).toBe(false);
+  });
+
+  test('should reject days without a shift', () => {
+    const result = StaffScheduleService.evaluate({ shifts: [mondayShift], timeOff: [] }, at('2025-03-11', '10:00'), at('2025-03-11', '11:00'), 'UTC');
+
+    expect(result).toEqual({ available: false, reason: 'Staff member is not working on this day' });
+  });
+
+  test('should block approved leave but not pending requests', () => {
+    const leave = { startDate: '2025-03-10', endDate: '2025-03-14', type: 'vacation' };
+    const start = at('2025-03-10', '10:00');
+    const end = at('2025-03-10', '11:00');
+
+    const pending = StaffTimeOff.build({ ...leave, status: 'pending' });
+    const approved = StaffTimeOff.build({ ...leave, status: 'approved' });
+
+    expect(StaffScheduleService.evaluate({ shifts: [mondayShift], timeOff: [pending] }, start, end, 'UTC').available).toBe(true);
+    expect(StaffScheduleService.evaluate({ shifts: [mondayShift], timeOff: [approved] }, start, end, 'UTC').reason)
+      .toBe('Staff member is on approved leave');
+  });
+
+  test('should only block the covered part of a partial sick day', () => {
+    const sick = StaffTimeOff.build({
+      type: 'sick',
+      status: 'approved',
+      startDate: '2025-03-10',
+      endDate: '2025-03-10',
+      startTime: '13:00',
+      endTime: '17:00'
+    });
+    const schedule = { shifts: [mondayShift], timeOff: [sick] };
+
+    expect(StaffScheduleService.evaluate(schedule, at('2025-03-10', '10:00'), at('2025-03-10', '11:00'), 'UTC').available).toBe(true);
+    expect(StaffScheduleService.evaluate(schedule, at('2025-03-10', '14:00'), at('2025-03-10', '15:00'), 'UTC').reason)
+      .toBe('Staff member is off sick');
+  });
+});
@@ -0,0 +1,65 @@
+const { initializeModels } = require('../src/config/database');
+const StoreExceptionService = require('../src/services/StoreExceptionService');
+
+const { Store, StoreException } = initializeModels();
+
+const storeWith = (exceptions) => {
+  const store = Store.build({ id: 'store-1', name: 'Harbour Spa', timezone: 'America/New_York' });
+  store.exceptions = exceptions.map(exception => StoreException.build({ storeId: 'store-1', ...exception }));
+  return store;
+};
+
+describe('Store exceptions', () => {
+  test('should close the store for the whole local day of a dated closure', () => {
+    const store = storeWith([{ id: 'closure-1', date: '2030-07-04', type: 'closure', name: 'Independence Day' }]);
+
+    expect(store.getOperatingHoursForDate(new Date('2030-07-04T15:00:00Z'))).toEqual({
+      closed: true,
+      exception: { id: 'closure-1', name: 'Independence Day', type: 'closure', isRecurring: false }
+    });
+    // 22:00 on the 4th in New York, already the 5th in UTC
+    expect(store.isOpenOnDate(new Date('2030-07-05T02:00:00Z'))).toBe(false);
+    expect(store.getOperatingWindow(new Date('2030-07-04T15:00:00Z'))).toBeNull();
+    expect(store.getOperatingHoursForDate(new Date('2030-07-05T15:00:00Z'))).toEqual({ open: '09:00', close: '17:00', closed: false });
+  });
+
+  test('should resolve special hours to instants in the store timezone', () => {
+    const store = storeWith([{ id: 'eve', date: '2030-12-24', type: 'special_hours', open: '09:00', close: '13:00' }]);
+
+    const window = store.getOperatingWindow(new Date('2030-12-24T15:00:00Z'));
+
+    expect(window).toEqual({
+      date: '2030-12-24',
+      open: new Date('2030-12-24T14:00:00Z'),
+      close: new Date('2030-12-24T18:00:00Z')
+    });
+    expect(store.isOpenDuring(new Date('2030-12-24T17:00:00Z'), new Date('2030-12-24T18:00:00Z'))).toBe(true);
+    expect(store.isOpenDuring(new Date('2030-12-24T17:30:00Z'), new Date('2030-12-24T18:30:00Z'))).toBe(false);
+  });
+
+  test('should repeat recurring exceptions every year and let dated ones win', () => {
+    const store = storeWith([
+      { id: 'christmas', date: '2020-12-25', type: 'closure', isRecurring: true },
+      { id: 'christmas-2031', date: '2031-12-25', type: 'special_hours', open: '10:00', close: '12:00' }
+    ]);
+
+    expect(store.getOperatingHoursForDate(new Date('2030-12-25T15:00:00Z')).closed).toBe(true);
+    expect(store.getOperatingHoursForDate(new Date('2031-12-25T15:00:00Z'))).toMatchObject({
+      open: '10:00',
+      close: '12:00',
+      closed: false,
+      exception: { id: 'christmas-2031' }
+    });
+  });
+
+  test('should list upcoming occurrences over the next year', () => {
+    const recurring = StoreException.build({ date: '2020-01-01', type: 'closure', isRecurring: true });
+    const leapDay = StoreException.build({ date: '2028-02-29', type: 'closure', isRecurring: true });
+    const past = StoreException.build({ date: '2030-03-01', type: 'closure' });
+
+    expect(StoreExceptionService.getUpcomingOccurrences(recurring, '2030-06-15')).toEqual(['2031-01-01']);
+    expect(StoreExceptionService.getUpcomingOccurrences(recurring, '2030-01-01')).toEqual(['2030-01-01', '2031-01-01']);
+    expect(StoreExceptionService.getUpcomingOccurrences(leapDay, '2030-06-15')).toEqual([]);
+    expect(StoreExceptionService.getUpcomingOccurrences(past, '2030-06-15')).toEqual([]);
+  });
+});
@@ -0,0 +1,87 @@
+const TimeslotService = require('../src/services/TimeslotService');
+
+const at = (time) => new Date(`2025-03-10T${time}:00Z`);
+
+const existingSlot = (id, start, end, overrides = {}) => ({
+  id,
+  startTime: at(start),
+  endTime: at(end),
+  maxCapacity: 1,
+  currentBookings: 0,
+  metadata: {},
+  ...overrides
+});
+
+const desiredSlot = (start, end, maxCapacity = 1) => ({
+  storeId: 'store-1',
+  startTime: at(start),
+  endTime: at(end),
+  maxCapacity,
+  currentBookings: 0
+});
+
+describe('TimeslotService.planRegeneration', () => {
+  test('should keep matching slots and only create the missing ones', () => {
+    const kept = existingSlot('slot-1', '09:00', '10:00', { currentBookings: 1 });
+
+    const plan = TimeslotService.planRegeneration(
+      [kept],
+      [desiredSlot('09:00', '10:00'), desiredSlot('10:00', '11:00')],
+      1
+    );
+
+    expect(plan.unchanged).toEqual([kept]);
+    expect(plan.create.map(slot => slot.startTime)).toEqual([at('10:00')]);
+    expect(plan.remove).toEqual([]);
+  });
+
+  test('should remove empty slots but retain booked ones that no longer fit the layout', () => {
+    const empty = existingSlot('slot-1', '09:00', '10:00');
+    const booked = existingSlot('slot-2', '10:00', '11:00', { currentBookings: 2, maxCapacity: 2 });
+
+    const plan = TimeslotService.planRegeneration(
+      [empty, booked],
+      [desiredSlot('09:00', '09:30'), desiredSlot('09:30', '10:00'), desiredSlot('10:00', '10:30'), desiredSlot('10:30', '11:00')],
+      1
+    );
+
+    expect(plan.remove).toEqual([empty]);
+    expect(plan.retain).toEqual([booked]);
+    expect(plan.create.map(slot => slot.startTime)).toEqual([at('09:00'), at('09:30')]);
+    expect(plan.skip.map(slot => [slot.startTime, slot.conflictsWith])).toEqual([
+      [at('10:00'), 'slot-2'],
+      [at('10:30'), 'slot-2']
+    ]);
+  });
+
+  test('should retain blocked and restricted slots that no longer fit the layout', () => {
+    const blocked = existingSlot('slot-1', '09:00', '10:00', { isActive: false });
+    const restricted = existingSlot('slot-2', '10:00', '11:00', { staffIds: ['staff-1'] });
+
+    const plan = TimeslotService.planRegeneration(
+      [blocked, restricted],
+      [desiredSlot('09:00', '09:30'), desiredSlot('09:30', '10:00'), desiredSlot('10:00', '10:30'), desiredSlot('10:30', '11:00')],
+      1
+    );
+
+    expect(plan.remove).toEqual([]);
+    expect(plan.retain).toEqual([blocked, restricted]);
+    expect(plan.create).toEqual([]);
+    expect(plan.skip).toHaveLength(4);
+  });
+
+  test('should update capacity without dropping below current bookings or overwriting overrides', () => {
+    const booked = existingSlot('slot-1', '09:00', '10:00', { currentBookings: 3, maxCapacity: 3 });
+    const overridden = existingSlot('slot-2', '10:00', '11:00', { maxCapacity: 5, metadata: { capacityOverride: true } });
+    const plain = existingSlot('slot-3', '11:00', '12:00');
+
+    const plan = TimeslotService.planRegeneration(
+      [booked, overridden, plain],
+      [desiredSlot('09:00', '10:00', 2), desiredSlot('10:00', '11:00', 2), desiredSlot('11:00', '12:00', 2)],
+      2
+    );
+
+    expect(plan.update).toEqual([{ slot: plain, changes: { maxCapacity: 2 } }]);
+    expect(plan.unchanged).toEqual([booked, overridden]);
+  });
+});
@@ -0,0 +1,71 @@
+const {
+  zonedTimeToUtc,
+  getDayBounds,
+  toLocalDateString,
+  toLocalTimeString,
+  getWeekday,
+  addDays,
+  parseDateParam
+} = require('../src/utils/timezone');
+
+describe('timezone utils', () => {
+  describe('zonedTimeToUtc', () => {
+    test('should interpret wall-clock times in the given timezone', () => {
+      expect(zonedTimeToUtc('2026-01-15', '09:00', 'America/New_York').toISOString()).toBe('2026-01-15T14:00:00.000Z');
+      expect(zonedTimeToUtc('2026-07-15', '09:00', 'America/New_York').toISOString()).toBe('2026-07-15T13:00:00.000Z');
+      expect(zonedTimeToUtc('2026-07-15', '09:00', 'Asia/Tokyo').toISOString()).toBe('2026-07-15T00:00:00.000Z');
+    });
+
+    test('should move times skipped by spring-forward past the gap', () => {
+      expect(zonedTimeToUtc('2026-03-08', '02:30', 'America/New_York').toISOString()).toBe('2026-03-08T07:30:00.000Z');
+    });
+
+    test('should resolve repeated fall-back times to their first occurrence', () => {
+      expect(zonedTimeToUtc('2026-11-01', '01:30', 'America/New_York').toISOString()).toBe('2026-11-01T05:30:00.000Z');
+    });
+  });
+
+  describe('getDayBounds', () => {
+    test('should span 23 hours on a spring-forward day', () => {
+      const { start, end } = getDayBounds('2026-03-29', 'Europe/London');
+
+      expect(start.toISOString()).toBe('2026-03-29T00:00:00.000Z');
+      expect(end.getTime() + 1 - start.getTime()).toBe(23 * 60 * 60 * 1000);
+    });
+
+    test('should span 25 hours on a fall-back day', () => {
+      const { start, end } = getDayBounds('2026-11-01', 'America/New_York');
+
+      expect(start.toISOString()).toBe('2026-11-01T04:00:00.000Z');
+      expect(end.getTime() + 1 - start.getTime()).toBe(25 * 60 * 60 * 1000);
+    });
+
+    test('should use the store-local calendar day of an instant', () => {
+      const { date } = getDayBounds(new Date('2026-01-15T03:00:00Z'), 'America/Los_Angeles');
+
+      expect(date).toBe('2026-01-14');
+    });
+  });
+
+  describe('calendar helpers', () => {
+    test('should format local dates and times', () => {
+      const instant = new Date('2026-01-15T23:30:00Z');
+
+      expect(toLocalDateString(instant, 'Asia/Tokyo')).toBe('2026-01-16');
+      expect(toLocalTimeString(instant, 'Asia/Tokyo')).toBe('08:30');
+      expect(toLocalTimeString(new Date('2026-01-15T05:00:00Z'), 'America/New_York')).toBe('00:00');
+    });
+
+    test('should compute weekdays and add days across month ends', () => {
+      expect(getWeekday('2026-03-08')).toBe('sunday');
+      expect(addDays('2026-02-28', 1)).toBe('2026-03-01');
+    });
+
+    test('should accept only valid calendar date parameters', () => {
+      expect(parseDateParam('2026-03-08')).toBe('2026-03-08');
+      expect(parseDateParam(new Date('2026-03-08'))).toBe('2026-03-08');
+      expect(parseDateParam('2026-02-30')).toBeNull();
+      expect(parseDateParam('next tuesday')).toBeNull();
+    });
+  });
+});
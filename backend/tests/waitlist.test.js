@@ -0,0 +1,81 @@
+const { initializeModels } = require('../src/config/database');
+const QuotaService = require('../src/services/QuotaService');
+const WaitlistService = require('../src/services/WaitlistService');
+
+const { WaitlistEntry } = initializeModels();
+
+const at = (time) => new Date(`2030-03-04T${time}:00Z`);
+
+const offer = (overrides = {}) => WaitlistEntry.build({
+  id: 'entry-1',
+  storeId: 'store-1',
+  treatmentId: 'treatment-1',
+  customerId: 'customer-2',
+  startDate: '2030-03-04',
+  endDate: '2030-03-04',
+  status: 'offered',
+  offeredStartTime: at('10:00'),
+  offeredEndTime: at('11:00'),
+  offeredStaffId: 'staff-1',
+  offerExpiresAt: at('09:30'),
+  metadata: { offerHistory: [{ sourceBookingId: 'booking-1' }] },
+  ...overrides
+});
+
+describe('Waitlist offers', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should hold the offered staff member and one unit of treatment capacity against other customers', async () => {
+    jest.spyOn(WaitlistEntry, 'findLiveOffers').mockResolvedValue([offer()]);
+    const concurrency = jest.spyOn(QuotaService, 'checkTreatmentConcurrency')
+      .mockResolvedValue({ available: true, current: 0, maximum: 1 });
+
+    const check = (treatmentId, staffId, customerId) =>
+      QuotaService.checkWaitlistHolds('store-1', treatmentId, staffId, at('10:30'), at('11:30'), { customerId });
+
+    expect((await check('treatment-1', null, 'customer-1')).available).toBe(false);
+    expect((await check('treatment-2', 'staff-1', 'customer-1')).available).toBe(false);
+    expect((await check('treatment-2', 'staff-2', 'customer-1')).available).toBe(true);
+    expect((await check('treatment-1', 'staff-1', 'customer-2')).available).toBe(true);
+
+    // With a second unit free the offer only takes the one that was freed
+    concurrency.mockResolvedValue({ available: true, current: 0, maximum: 2 });
+    expect((await check('treatment-1', 'staff-2', 'customer-1')).available).toBe(true);
+    concurrency.mockResolvedValue({ available: true, current: 1, maximum: 2 });
+    expect((await check('treatment-1', 'staff-2', 'customer-1')).available).toBe(false);
+  });
+
+  test('should only treat unexpired offers as live', () => {
+    expect(offer().hasLiveOffer(at('09:00'))).toBe(true);
+    expect(offer().hasLiveOffer(at('09:30'))).toBe(false);
+    expect(offer({ status: 'expired' }).hasLiveOffer(at('09:00'))).toBe(false);
+  });
+
+  test('should pass on the time an expired offer held', () => {
+    expect(WaitlistService.getOfferedSlot(offer())).toEqual({
+      storeId: 'store-1',
+      treatmentId: 'treatment-1',
+      staffId: 'staff-1',
+      startTime: at('10:00'),
+      endTime: at('11:00'),
+      sourceBookingId: 'booking-1'
+    });
+  });
+
+  test('should not offer time that has already started', async () => {
+    const findWaiting = jest.spyOn(WaitlistEntry, 'findWaiting');
+
+    const offered = await WaitlistService.offerSlot({
+      storeId: 'store-1',
+      treatmentId: 'treatment-1',
+      staffId: null,
+      startTime: new Date(Date.now() - 60000),
+      endTime: new Date(Date.now() + 3600000)
+    });
+
+    expect(offered).toBeNull();
+    expect(findWaiting).not.toHaveBeenCalled();
+  });
+});
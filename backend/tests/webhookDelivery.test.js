@@ -0,0 +1,94 @@
+const axios = require('axios');
+const { Op } = require('sequelize');
+const { initializeModels } = require('../src/config/database');
+const WebhookDeliveryService = require('../src/services/WebhookDeliveryService');
+const logger = require('../src/utils/logger');
+
+const { WebhookSubscription, WebhookDelivery } = initializeModels();
+
+const payload = { id: 'event-1', eventType: 'booking.created', data: { bookingId: 'booking-1' } };
+
+const buildSubscription = () => {
+  const subscription = WebhookSubscription.build({ id: 'sub-1', url: 'https://crm.example.com/hooks', secret: 'shh', events: ['booking.created'] });
+  jest.spyOn(subscription, 'recordSuccess').mockResolvedValue();
+  jest.spyOn(subscription, 'recordFailure').mockResolvedValue();
+  return subscription;
+};
+
+describe('Webhook delivery log', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should record a successful attempt with its status and response', async () => {
+    jest.spyOn(axios, 'post').mockResolvedValue({ status: 202, data: { received: true } });
+    const record = jest.spyOn(WebhookDelivery, 'create').mockResolvedValue({ id: 'delivery-1' });
+
+    const result = await WebhookDeliveryService.send(buildSubscription(), payload, { attemptNumber: 2 });
+
+    expect(result).toMatchObject({ success: true, statusCode: 202, deliveryId: 'delivery-1' });
+    expect(record).toHaveBeenCalledWith(expect.objectContaining({
+      subscriptionId: 'sub-1',
+      eventId: 'event-1',
+      eventType: 'booking.created',
+      status: 'success',
+      statusCode: 202,
+      responseBody: '{"received":true}',
+      latencyMs: expect.any(Number),
+      attemptNumber: 2,
+      error: null
+    }));
+  });
+
+  test('should record a failed attempt with the receiver status and error', async () => {
+    const failure = Object.assign(new Error('Request failed with status code 503'), {
+      response: { status: 503, data: 'Service Unavailable' }
+    });
+    jest.spyOn(axios, 'post').mockRejectedValue(failure);
+    const record = jest.spyOn(WebhookDelivery, 'create').mockResolvedValue({ id: 'delivery-2' });
+    const subscription = buildSubscription();
+
+    const result = await WebhookDeliveryService.send(subscription, payload);
+
+    expect(result).toMatchObject({ success: false, statusCode: 503, error: 'Request failed with status code 503' });
+    expect(subscription.recordFailure).toHaveBeenCalledWith('Request failed with status code 503');
+    expect(record).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'failed',
+      statusCode: 503,
+      responseBody: 'Service Unavailable',
+      attemptNumber: 1,
+      error: 'Request failed with status code 503'
+    }));
+  });
+
+  test('should keep delivering when the log write fails', async () => {
+    jest.spyOn(axios, 'post').mockResolvedValue({ status: 200, data: null });
+    jest.spyOn(WebhookDelivery, 'create').mockRejectedValue(new Error('connection lost'));
+    jest.spyOn(logger, 'logError').mockImplementation(() => {});
+
+    const result = await WebhookDeliveryService.send(buildSubscription(), payload);
+
+    expect(result).toMatchObject({ success: true, deliveryId: null });
+  });
+
+  test('should store only an excerpt of long response bodies', () => {
+    const excerpt = WebhookDelivery.toResponseExcerpt('x'.repeat(2500));
+
+    expect(excerpt).toHaveLength(2001);
+    expect(excerpt.endsWith('…')).toBe(true);
+    expect(WebhookDelivery.toResponseExcerpt(undefined)).toBeNull();
+  });
+
+  test('should page and filter the log by status, event type and date range', async () => {
+    const query = jest.spyOn(WebhookDelivery, 'findAndCountAll').mockResolvedValue({ rows: [], count: 0 });
+    const startDate = new Date('2030-03-01T00:00:00Z');
+
+    await WebhookDelivery.findForSubscription('sub-1', { status: 'failed', eventType: 'booking.created', startDate, limit: 20, offset: 40 });
+
+    const [{ where, limit, offset, order }] = query.mock.calls[0];
+    expect(where).toMatchObject({ subscriptionId: 'sub-1', status: 'failed', eventType: 'booking.created' });
+    expect(where.createdAt[Op.gte]).toBe(startDate);
+    expect(where.createdAt[Op.lte]).toBeUndefined();
+    expect({ limit, offset, order }).toEqual({ limit: 20, offset: 40, order: [['createdAt', 'DESC']] });
+  });
+});
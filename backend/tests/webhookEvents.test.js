@@ -0,0 +1,90 @@
+const { initializeModels } = require('../src/config/database');
+const WebhookEventService = require('../src/services/WebhookEventService');
+const WebhookDeliveryService = require('../src/services/WebhookDeliveryService');
+const WebhookController = require('../src/controllers/WebhookController');
+const config = require('../src/config');
+
+const { Booking, WebhookSubscription, WebhookOutbox } = initializeModels();
+
+const booking = Booking.build({
+  id: 'booking-1',
+  customerId: 'customer-1',
+  storeId: 'store-1',
+  treatmentId: 'massage',
+  staffId: null,
+  status: 'confirmed',
+  bookingDateTime: new Date('2030-03-04T10:00:00Z'),
+  duration: 90,
+  price: 120
+});
+
+describe('Booking webhook events', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should serialize bookings into a stable payload', () => {
+    expect(WebhookEventService.serializeBooking(booking)).toMatchObject({
+      id: 'booking-1',
+      staffId: null,
+      status: 'confirmed',
+      bookingDateTime: '2030-03-04T10:00:00.000Z',
+      endDateTime: '2030-03-04T11:30:00.000Z',
+      duration: 90,
+      notes: null,
+      cancelledAt: null,
+      completedAt: null
+    });
+  });
+
+  test('should map status changes to lifecycle events', () => {
+    expect(WebhookEventService.getEventForStatus(config.bookingStatus.CANCELLED)).toBe(config.webhookEvents.BOOKING_CANCELLED);
+    expect(WebhookEventService.getEventForStatus(config.bookingStatus.COMPLETED)).toBe(config.webhookEvents.BOOKING_COMPLETED);
+    expect(WebhookEventService.getEventForStatus(config.bookingStatus.CONFIRMED)).toBe(config.webhookEvents.BOOKING_UPDATED);
+  });
+
+  test('should hand booking events to the webhook dispatcher', async () => {
+    const trigger = jest.spyOn(WebhookController, 'triggerWebhooks').mockResolvedValue({ sent: 1, failed: 0 });
+
+    await WebhookEventService.emitBookingEvent(config.webhookEvents.BOOKING_UPDATED, booking, {
+      actorId: 'admin-1',
+      previousStatus: 'pending',
+      changes: ['status']
+    });
+
+    expect(trigger).toHaveBeenCalledWith(config.webhookEvents.BOOKING_UPDATED, {
+      booking: WebhookEventService.serializeBooking(booking),
+      previousStatus: 'pending',
+      changes: ['status'],
+      actorId: 'admin-1'
+    });
+  });
+
+  test('should queue one leased outbox row per subscriber and deliver it', async () => {
+    const subscription = WebhookSubscription.build({ id: 'sub-1', url: 'https://crm.example.com/hooks', events: ['booking.updated'] });
+    jest.spyOn(WebhookSubscription, 'findActiveForEvent').mockResolvedValue([subscription]);
+    const queue = jest.spyOn(WebhookOutbox, 'bulkCreate').mockImplementation(async rows => rows.map(row => WebhookOutbox.build(row)));
+    const deliver = jest.spyOn(WebhookDeliveryService, 'deliver').mockResolvedValue({ success: true });
+
+    const result = await WebhookDeliveryService.dispatch('booking.updated', { bookingId: 'booking-1' });
+
+    const [rows] = queue.mock.calls[0];
+    expect(result).toEqual({ sent: 1, failed: 0 });
+    expect(rows).toEqual([expect.objectContaining({
+      subscriptionId: 'sub-1',
+      eventType: 'booking.updated',
+      status: 'pending',
+      payload: expect.objectContaining({ eventType: 'booking.updated', data: { bookingId: 'booking-1' } })
+    })]);
+    expect(rows[0].leasedUntil.getTime()).toBeGreaterThan(Date.now());
+    expect(deliver).toHaveBeenCalledWith(expect.objectContaining({ subscriptionId: 'sub-1' }), subscription);
+  });
+
+  test('should not queue anything without subscribers', async () => {
+    jest.spyOn(WebhookSubscription, 'findActiveForEvent').mockResolvedValue([]);
+    const queue = jest.spyOn(WebhookOutbox, 'bulkCreate');
+
+    await expect(WebhookDeliveryService.dispatch('booking.created', {})).resolves.toEqual({ sent: 0, failed: 0 });
+    expect(queue).not.toHaveBeenCalled();
+  });
+});